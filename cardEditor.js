@@ -0,0 +1,628 @@
+// cardEditor.js - Edit tracker values from the cards and write them back into the message
+import { getContext } from "../../../extensions.js";
+import { getTrackerEntry, getTrackerState, findLatestTrackerMessage, invalidateTrackerState } from "./stateStore.js";
+import { parseTrackerData, generateTrackerBlock } from "./formatUtils.js";
+import { getKnownIdentifiers, findTrackerBlock } from "./patches.js";
+import { inferFieldType, coerceValue, readFieldValue, writeFieldValue } from "./validation.js";
+import { getFieldConstraints, applyFieldConstraints, parseConstraintValue, describeFieldConstraints } from "./fieldConstraints.js";
+import { applyComputedFields } from "./computedFields.js";
+import { getFieldLocks, findFieldLock, setFieldLock, removeFieldLock, applyFieldLocks } from "./fieldLocks.js";
+import { escapeHtml } from "./helpers.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+const EDITOR_MODAL_ID = "sst-editor-modal";
+const INLINE_EDITOR_ID = "sst-inline-editor";
+
+// World-level values that can be edited next to the character fields
+const WORLD_FIELDS = [
+  { key: "current_date", description: "Date (YYYY-MM-DD)" },
+  { key: "current_time", description: "Time (HH:MM)" },
+];
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Turn the text of an editor input into a value for a field, enforcing its type and constraints
+ * @param {string} text - Input value
+ * @param {Object} field - Custom field definition
+ * @returns {{ok: boolean, value: *, message: string|null}} The value to write, or ok=false with
+ *   the reason it was rejected. A message with ok=true means the value was adjusted.
+ */
+const parseEditedValue = (text, field) => {
+  const type = inferFieldType(field);
+  const constraints = getFieldConstraints(field);
+
+  if (type === "array") {
+    let value;
+    try {
+      value = JSON.parse(text || "[]");
+    } catch (error) {
+      return { ok: false, value: text, message: `not valid JSON (${error.message})` };
+    }
+    return Array.isArray(value)
+      ? { ok: true, value, message: null }
+      : { ok: false, value, message: "should be a list" };
+  }
+
+  // Enum options are rendered as a select whose values are JSON literals
+  if (constraints.enum.length) {
+    let value = text;
+    try {
+      value = JSON.parse(text);
+    } catch {
+      // Leave free text as it is; the enum check below reports it
+    }
+    const result = applyFieldConstraints(value, field);
+    return result.message ? { ok: false, value, message: result.message } : { ok: true, value: result.value, message: null };
+  }
+
+  const raw = type === "any" ? parseConstraintValue(text, constraints.valueType) : text;
+  const coerced = coerceValue(raw, type);
+  if (!coerced.ok) return { ok: false, value: raw, message: `should be a ${type}` };
+
+  const constrained = applyFieldConstraints(coerced.value, field);
+  return { ok: true, value: constrained.value, message: constrained.changed ? constrained.message : null };
+};
+
+/**
+ * Apply edits to the tracker data of a message.
+ * Full snapshots get the new values written in place, into the data the block was written with,
+ * so other top-level keys and the legacy one-key-per-character shape are kept. Patch blocks keep their operations
+ * and get a "set" operation per edit appended, so later patches still resolve the same way.
+ * @param {Object} entry - Tracker entry from the state store
+ * @param {Array<{character: string|null, key: string, value: *}>} edits - character is null for worldData
+ * @returns {Object|Array} Tracker data to serialize back into the block
+ */
+const applyTrackerEdits = (entry, edits) => {
+  if (entry.isPatch) {
+    const operations = edits.map(({ character, key, value }) => ({
+      op: "set",
+      path: character === null ? `worldData.${key}` : `${character}.${key}`,
+      value,
+    }));
+    // An earlier "set" of the same path is overridden anyway, so repeated edits don't pile up
+    const paths = new Set(operations.map((operation) => operation.path));
+    const keep = (operation) => !(operation?.op === "set" && paths.has(operation.path));
+    if (Array.isArray(entry.patch)) return [...structuredClone(entry.patch).filter(keep), ...operations];
+    const patch = structuredClone(entry.patch);
+    patch.ops = [...(Array.isArray(patch.ops) ? patch.ops.filter(keep) : []), ...operations];
+    return patch;
+  }
+
+  const data = parseTrackerData(entry.content, entry.format);
+  const legacyShape = !Array.isArray(data.characters);
+  edits.forEach(({ character, key, value }) => {
+    if (character === null) {
+      // Legacy blocks keep the date and time at the top level
+      if (legacyShape && !isPlainObject(data.worldData) && WORLD_FIELDS.some((field) => field.key === key)) {
+        data[key] = value;
+        return;
+      }
+      if (!isPlainObject(data.worldData)) data.worldData = {};
+      data.worldData[key] = value;
+      return;
+    }
+    const target = legacyShape
+      ? (isPlainObject(data[character]) ? data[character] : null)
+      : data.characters.find((candidate) => isPlainObject(candidate) && String(candidate.name) === String(character));
+    if (target) writeFieldValue(target, key, value);
+  });
+  return data;
+};
+
+/**
+ * Write edits back into the tracker block of a message, replacing the block in place
+ * (a surrounding hidden wrapper is kept) in the format the block was written in.
+ * Stored states from this message onward are dropped.
+ * @param {Array} chat - Chat messages
+ * @param {number} mesId - Message index
+ * @param {string|string[]} identifier - Code block identifier, or every known one
+ * @param {Array} edits - Edits as accepted by applyTrackerEdits
+ * @param {string} [fallbackFormat="json"] - Format used when the block's own format is unknown
+ * @returns {string} The new message text
+ */
+const writeTrackerEdits = (chat, mesId, identifier, edits, fallbackFormat = "json") => {
+  const message = chat[mesId];
+  const entry = getTrackerEntry(chat, mesId, identifier);
+  if (!entry) throw new Error(`Message ${mesId} has no tracker block`);
+  if (entry.error || !entry.state) throw new Error(`The tracker block of message ${mesId} could not be read`);
+
+  // The block keeps the identifier and syntax it was written with
+  const found = findTrackerBlock(message.mes, identifier);
+  const block = generateTrackerBlock(applyTrackerEdits(entry, edits), entry.format || fallbackFormat, found.identifier, found.syntax);
+  message.mes = message.mes.slice(0, found.index) + block + message.mes.slice(found.index + found.length);
+
+  // Keep the active swipe in step with the message, as SillyTavern's own editor does
+  if (Array.isArray(message.swipes) && message.swipe_id !== undefined && message.swipes[message.swipe_id] !== undefined) {
+    message.swipes[message.swipe_id] = message.mes;
+  }
+
+  // Patches after this message resolve against the edited state
+  invalidateTrackerState(chat, mesId);
+  return message.mes;
+};
+
+/**
+ * Find a character in a tracker state by name, exactly first and then ignoring case
+ * @returns {Object|null}
+ */
+const findStateCharacter = (state, name) => {
+  const wanted = String(name).trim();
+  return (
+    state.characters.find((character) => String(character.name) === wanted) ||
+    state.characters.find((character) => String(character.name).toLowerCase() === wanted.toLowerCase()) ||
+    null
+  );
+};
+
+/**
+ * Read a value from the latest tracker state of the chat
+ * @param {Array} chat - Chat messages
+ * @param {string|string[]} identifier - Code block identifier, or every known one
+ * @param {string|null} character - Character name, or null for a worldData value
+ * @param {string} field - Field key (may be dotted)
+ * @param {Object} [options]
+ * @param {Array} [options.customFields] - Field definitions, so computed fields can be read too
+ * @returns {{found: boolean, value: *, mesId: number}}
+ */
+const readLatestTrackerValue = (chat, identifier, character, field, { customFields = [] } = {}) => {
+  const mesId = findLatestTrackerMessage(chat, identifier);
+  const storedState = mesId === null ? null : getTrackerState(chat, mesId, identifier);
+  if (!storedState) throw new Error("No tracker data found in this chat");
+  const { data: state } = applyComputedFields(applyFieldLocks(storedState, getFieldLocks()).data, customFields);
+
+  if (character === null) return { ...readFieldValue(state.worldData, field), mesId };
+  const target = findStateCharacter(state, character);
+  if (!target) throw new Error(`No character named "${character}" in the latest tracker block`);
+  return { ...readFieldValue(target, field), mesId };
+};
+
+/**
+ * Change one value in the latest tracker block and write the block back
+ * @param {Array} chat - Chat messages
+ * @param {Function} get_settings - Settings getter
+ * @param {Object} change
+ * @param {string|null} change.character - Character name, or null for a worldData value
+ * @param {string} change.field - Field key (may be dotted)
+ * @param {"set"|"inc"|"dec"} [change.op="set"] - inc/dec add or subtract the value (default 1)
+ * @param {string} [change.value] - New value, or the amount for inc/dec
+ * @returns {{mesId: number, value: *, message: string|null}} The value written, and a note when
+ *   the field's constraints adjusted it. A locked field is locked to the new value.
+ */
+const updateLatestTrackerValue = (chat, get_settings, { character, field, op = "set", value = "" }) => {
+  const identifier = getKnownIdentifiers(get_settings);
+  const customField = (get_settings("customFields") || []).find((candidate) => candidate.key === field) || { key: field };
+  if (character !== null && customField.type === "computed") throw new Error(`"${field}" is computed from a formula and can't be changed`);
+  const current = readLatestTrackerValue(chat, identifier, character, field);
+
+  let text = String(value);
+  if (op === "inc" || op === "dec") {
+    const amount = text.trim() === "" ? 1 : Number(text);
+    if (!Number.isFinite(amount)) throw new Error(`"${value}" is not a number`);
+    const base = coerceValue(current.found ? current.value : 0, "number");
+    if (!base.ok) throw new Error(`"${field}" is not a number`);
+    // Round away floating point noise (0.1 + 0.2 style)
+    text = String(Math.round((base.value + (op === "inc" ? amount : -amount)) * 1e6) / 1e6);
+  } else if (op !== "set") {
+    throw new Error(`Unknown operation "${op}"; use set, inc or dec`);
+  }
+
+  // World values are plain text, like in the editor
+  const result = character === null ? { ok: true, value: text, message: null } : parseEditedValue(text, customField);
+  if (!result.ok) throw new Error(`"${field}" ${result.message}`);
+
+  // Write the name as the block has it, whatever case the caller used
+  const name = character === null ? null : String(findStateCharacter(getTrackerState(chat, current.mesId, identifier), character).name);
+  writeTrackerEdits(chat, current.mesId, identifier, [{ character: name, key: field, value: result.value }], get_settings("trackerFormat") || "json");
+  if (name !== null && findFieldLock(getFieldLocks(), name, field)) setFieldLock(name, field, result.value);
+  return { mesId: current.mesId, value: result.value, message: result.message };
+};
+
+/**
+ * Lock a character's field, to a given value or to its value in the latest tracker state
+ * @param {Array} chat - Chat messages
+ * @param {Function} get_settings - Settings getter
+ * @param {Object} lock
+ * @param {string} lock.character - Character name
+ * @param {string} lock.field - Field key (may be dotted)
+ * @param {string} [lock.value] - Value to lock to; empty keeps the current value
+ * @returns {{character: string, value: *, message: string|null}} The name as the block has it,
+ *   the locked value, and a note when the field's constraints adjusted it
+ */
+const lockTrackerValue = (chat, get_settings, { character, field, value = "" }) => {
+  if (!character || !field) throw new Error("Both char and field are required");
+  const customField = (get_settings("customFields") || []).find((candidate) => candidate.key === field) || { key: field };
+  if (customField.type === "computed") throw new Error(`"${field}" is computed from a formula and can't be locked`);
+
+  const identifier = getKnownIdentifiers(get_settings);
+  const current = readLatestTrackerValue(chat, identifier, character, field);
+  const name = String(findStateCharacter(getTrackerState(chat, current.mesId, identifier), character).name);
+
+  const text = String(value);
+  if (text.trim() === "") {
+    if (!current.found) throw new Error(`${name} has no "${field}" to lock; give a value`);
+    setFieldLock(name, field, current.value);
+    return { character: name, value: current.value, message: null };
+  }
+
+  const result = parseEditedValue(text, customField);
+  if (!result.ok) throw new Error(`"${field}" ${result.message}`);
+  setFieldLock(name, field, result.value);
+  return { character: name, value: result.value, message: result.message };
+};
+
+/**
+ * Write locked values into the latest tracker block where the model changed them
+ * @param {Array} chat - Chat messages
+ * @param {Function} get_settings - Settings getter
+ * @returns {{mesId: number|null, rewritten: number}} The tracker message, and how many values
+ *   were corrected in it (the caller saves the chat and re-renders when any were)
+ */
+const rewriteLockedValues = (chat, get_settings) => {
+  const identifier = getKnownIdentifiers(get_settings);
+  const mesId = findLatestTrackerMessage(chat, identifier);
+  const state = mesId === null ? null : getTrackerEntry(chat, mesId, identifier)?.state;
+  if (!state) return { mesId, rewritten: 0 };
+
+  // Patch blocks resolve against earlier blocks, so check the resolved state
+  const { forced } = applyFieldLocks(getTrackerState(chat, mesId, identifier), getFieldLocks());
+  if (!forced.length) return { mesId, rewritten: 0 };
+
+  const edits = forced.map(({ character, field, value }) => ({ character, key: field, value }));
+  writeTrackerEdits(chat, mesId, identifier, edits, get_settings("trackerFormat") || "json");
+  log(`Rewrote ${edits.length} locked values in the tracker block of message ${mesId}`);
+  return { mesId, rewritten: edits.length };
+};
+
+const formatInputValue = (value, type) => {
+  if (value === undefined || value === null) return "";
+  if (type === "array" || typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Markup of one editor input, chosen by the field's type and constraints
+ */
+const buildFieldInputHtml = (field, value, found) => {
+  const type = inferFieldType(field);
+  const constraints = getFieldConstraints(field);
+  const current = found ? formatInputValue(value, type) : "";
+
+  if (constraints.enum.length) {
+    const options = constraints.enum
+      .map((option) => {
+        const literal = JSON.stringify(option.value);
+        const selected = found && option.value === value ? " selected" : "";
+        const label = option.label ? `${option.value} - ${option.label}` : String(option.value);
+        return `<option value="${escapeHtml(literal)}"${selected}>${escapeHtml(label)}</option>`;
+      })
+      .join("");
+    // Keep a missing or out-of-range value selected until the user picks another one
+    const originalLiteral = found ? JSON.stringify(value) : "";
+    const matched = found && constraints.enum.some((option) => option.value === value);
+    const placeholder = matched ? "" : `<option value="${escapeHtml(originalLiteral)}" selected>${escapeHtml(current)}</option>`;
+    return `<select class="sst-select sst-editor-input" data-original="${escapeHtml(originalLiteral)}">${placeholder}${options}</select>`;
+  }
+
+  if (type === "boolean") {
+    const options = ["", "true", "false"]
+      .map((option) => `<option value="${option}"${option === current ? " selected" : ""}>${option}</option>`)
+      .join("");
+    return `<select class="sst-select sst-editor-input" data-original="${escapeHtml(current)}">${options}</select>`;
+  }
+
+  if (type === "array") {
+    return `<textarea class="text_pole sst-editor-input" rows="3" data-original="${escapeHtml(current)}">${escapeHtml(current)}</textarea>`;
+  }
+
+  const attributes =
+    type === "number"
+      ? ["min", "max", "step"]
+          .filter((name) => constraints[name] !== null)
+          .map((name) => ` ${name}="${constraints[name]}"`)
+          .join("") + (constraints.step === null ? ` step="any"` : "")
+      : "";
+  return `<input class="text_pole sst-editor-input" type="${type === "number" ? "number" : "text"}"${attributes} value="${escapeHtml(current)}" data-original="${escapeHtml(current)}">`;
+};
+
+// Character fields get a lock toggle; world fields can't be locked
+const buildLockButtonHtml = (locked) => `
+                            <button type="button" class="sst-editor-lock${locked ? " sst-editor-lock-active" : ""}" data-locked="${locked}" data-original-locked="${locked}" title="Lock this value so the model can't change it">
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="5" y="11" width="14" height="10" rx="2"/><path d="M8 11V7a4 4 0 0 1 8 0v4"/></svg>
+                            </button>`;
+
+const buildFieldRowHtml = (field, source, characterName, locked = null) => {
+  const { found, value } = readFieldValue(source, field.key);
+  const constraintSummary = describeFieldConstraints(field);
+  return `
+                        <label class="sst-editor-row" data-sst-editor-key="${escapeHtml(field.key)}" data-sst-editor-character="${escapeHtml(characterName ?? "")}">
+                            <span class="sst-editor-label" title="${escapeHtml([field.description, constraintSummary].filter(Boolean).join("\n"))}">${escapeHtml(field.key)}</span>
+                            ${buildFieldInputHtml(field, value, found)}
+                            ${locked === null ? "" : buildLockButtonHtml(locked)}
+                            <span class="sst-editor-error"></span>
+                        </label>`;
+};
+
+/**
+ * Open the editor for the tracker block of a message
+ * @param {Function} get_settings - Settings getter
+ * @param {number} mesId - Message index
+ * @param {Object} [options]
+ * @param {string} [options.character] - Character to scroll to
+ * @param {string} [options.field] - Field to focus
+ * @param {Function} [options.onSaved] - Called with the message index after the chat was saved
+ * @returns {boolean} False when the message has no readable tracker data
+ */
+const showTrackerEditor = (get_settings, mesId, { character = "", field = "", onSaved = null } = {}) => {
+  const context = getContext();
+  const identifier = getKnownIdentifiers(get_settings);
+  const entry = getTrackerEntry(context.chat, mesId, identifier);
+
+  if (!entry || entry.error || !entry.state) {
+    toastr.warning("This message has no tracker data that can be edited.");
+    return false;
+  }
+
+  // Computed fields follow from the others, so they have no input
+  const customFields = (get_settings("customFields") || []).filter((customField) => customField.key && customField.type !== "computed");
+  // Locked fields show their locked value
+  const locks = getFieldLocks();
+  const { worldData, characters } = applyFieldLocks(entry.state, locks).data;
+
+  const sectionsHtml = characters
+    .filter((candidate) => candidate.name !== undefined && candidate.name !== null)
+    .map(
+      (candidate) => `
+                    <fieldset class="sst-editor-character" data-sst-editor-section="${escapeHtml(String(candidate.name))}">
+                        <legend>${escapeHtml(String(candidate.name))}</legend>
+                        ${customFields
+                          .map((customField) => buildFieldRowHtml(customField, candidate, String(candidate.name), Boolean(findFieldLock(locks, candidate.name, customField.key))))
+                          .join("")}
+                    </fieldset>`
+    )
+    .join("");
+
+  $(`#${EDITOR_MODAL_ID}`).remove();
+
+  const modalHtml = `
+            <dialog id="${EDITOR_MODAL_ID}" class="popup wide_dialogue_popup large_dialogue_popup vertical_scrolling_dialogue_popup popup--animation-fast">
+                <div class="sst-modal-header">
+                    <h3 class="sst-modal-title">Edit Tracker (message #${mesId})</h3>
+                    <button class="sst-modal-close" data-sst-editor-close>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg>
+                    </button>
+                </div>
+                <div class="sst-modal-body">
+                    ${entry.isPatch ? `<div class="sst-editor-note">This message holds a patch block. Your changes are added to it as "set" operations.</div>` : ""}
+                    <fieldset class="sst-editor-character">
+                        <legend>World</legend>
+                        ${WORLD_FIELDS.map((worldField) => buildFieldRowHtml(worldField, worldData, null)).join("")}
+                    </fieldset>
+                    ${sectionsHtml}
+                </div>
+                <div class="sst-modal-footer">
+                    <button class="sst-btn" data-sst-editor-cancel>Cancel</button>
+                    <button class="sst-btn sst-btn-primary" data-sst-editor-save>Save</button>
+                </div>
+            </dialog>
+        `;
+
+  $("body").append(modalHtml);
+  const $modal = $(`#${EDITOR_MODAL_ID}`);
+  const fieldsByKey = Object.fromEntries(customFields.map((customField) => [customField.key, customField]));
+
+  const closeModal = () => $modal.remove();
+
+  // Toggle locks without focusing the row's input
+  $modal.find(".sst-editor-lock").on("click", function (e) {
+    e.preventDefault();
+    const locked = $(this).attr("data-locked") !== "true";
+    $(this).attr("data-locked", String(locked)).toggleClass("sst-editor-lock-active", locked);
+  });
+
+  const save = async () => {
+    const edits = [];
+    const adjustments = [];
+    const lockRows = [];
+    let hasErrors = false;
+
+    $modal.find(".sst-editor-row").each(function () {
+      const $row = $(this);
+      const $input = $row.find(".sst-editor-input");
+      const text = String($input.val() ?? "");
+      $row.removeClass("sst-editor-row-invalid").find(".sst-editor-error").text("");
+
+      const $lock = $row.find(".sst-editor-lock");
+      if ($lock.length) {
+        lockRows.push({
+          character: $row.attr("data-sst-editor-character"),
+          key: $row.attr("data-sst-editor-key"),
+          locked: $lock.attr("data-locked") === "true",
+          wasLocked: $lock.attr("data-original-locked") === "true",
+        });
+      }
+      if (text === String($input.attr("data-original") ?? "")) return;
+
+      // Clearing an input leaves the value as it was
+      if (text === "") return;
+
+      const key = $row.attr("data-sst-editor-key");
+      const rowCharacter = $row.attr("data-sst-editor-character") || null;
+      // World fields are plain text
+      const result = rowCharacter === null ? { ok: true, value: text, message: null } : parseEditedValue(text, fieldsByKey[key]);
+
+      if (!result.ok) {
+        hasErrors = true;
+        $row.addClass("sst-editor-row-invalid").find(".sst-editor-error").text(result.message);
+        return;
+      }
+      if (result.message) adjustments.push(`${rowCharacter}: ${key}: ${result.message}`);
+      edits.push({ character: rowCharacter, key, value: result.value });
+    });
+
+    if (hasErrors) return;
+
+    // Toggled locks, and locked fields that were edited (they are locked to the new value)
+    const findEdit = ({ character: rowCharacter, key }) => edits.find((edit) => edit.character === rowCharacter && edit.key === key);
+    const lockChanges = lockRows.filter((row) => row.locked !== row.wasLocked || (row.locked && findEdit(row)));
+    if (!edits.length && !lockChanges.length) {
+      closeModal();
+      return;
+    }
+
+    try {
+      if (edits.length) {
+        writeTrackerEdits(context.chat, mesId, identifier, edits, get_settings("trackerFormat") || "json");
+        await context.saveChat();
+        log(`Wrote ${edits.length} tracker edits to message ${mesId}`);
+      }
+      lockChanges.forEach((row) => {
+        if (!row.locked) {
+          removeFieldLock(row.character, row.key);
+          return;
+        }
+        const edit = findEdit(row);
+        const source = characters.find((candidate) => String(candidate.name) === row.character);
+        const current = edit ? { found: true, value: edit.value } : readFieldValue(source, row.key);
+        if (current.found) setFieldLock(row.character, row.key, current.value);
+      });
+      if (adjustments.length) toastr.info(adjustments.join("\n"), "Some values were adjusted to fit their constraints");
+      closeModal();
+      if (onSaved) onSaved(mesId);
+    } catch (error) {
+      log(`Error writing tracker edits: ${error.message}`);
+      toastr.error(`Could not save tracker edits: ${error.message}`);
+    }
+  };
+
+  $modal.find("[data-sst-editor-save]").on("click", save);
+  $modal.find("[data-sst-editor-close], [data-sst-editor-cancel]").on("click", closeModal);
+  $modal.on("keydown", (e) => {
+    if (e.key === "Escape") closeModal();
+  });
+  $modal.on("click", function (e) {
+    if (e.target === this) closeModal();
+  });
+
+  $modal[0].showModal();
+
+  // Bring the clicked character and field into view
+  const $section = character
+    ? $modal.find(".sst-editor-character").filter(function () {
+        return $(this).attr("data-sst-editor-section") === String(character);
+      })
+    : $();
+  const $target = field
+    ? ($section.length ? $section : $modal).find(".sst-editor-row").filter(function () {
+        return $(this).attr("data-sst-editor-key") === field;
+      }).first()
+    : $section;
+  if ($target.length) {
+    $target[0].scrollIntoView({ block: "center" });
+    $target.find(".sst-editor-input").first().trigger("focus");
+  }
+  return true;
+};
+
+/**
+ * Edit one character field in place, in a small input laid over the clicked stat.
+ * Enter saves, Escape or a click elsewhere cancels.
+ * @param {Function} get_settings - Settings getter
+ * @param {number} mesId - Message index
+ * @param {HTMLElement} element - Clicked element the input is placed over
+ * @param {Object} options
+ * @param {string} options.character - Character name
+ * @param {string} options.field - Field key
+ * @param {Function} [options.onSaved] - Called with the message index after the chat was saved
+ * @returns {boolean} False when the field can't be edited inline (unknown, computed or array
+ *   fields, or no readable tracker data); the full editor should be opened instead
+ */
+const showInlineFieldEditor = (get_settings, mesId, element, { character, field, onSaved = null }) => {
+  const context = getContext();
+  const identifier = getKnownIdentifiers(get_settings);
+  const entry = getTrackerEntry(context.chat, mesId, identifier);
+  const customField = (get_settings("customFields") || []).find((candidate) => candidate.key === field);
+  if (!entry || entry.error || !entry.state || !customField) return false;
+  if (customField.type === "computed" || inferFieldType(customField) === "array") return false;
+
+  // Locked fields show their locked value
+  const locks = getFieldLocks();
+  const target = findStateCharacter(applyFieldLocks(entry.state, locks).data, character);
+  if (!target) return false;
+  const name = String(target.name);
+  const { found, value } = readFieldValue(target, field);
+
+  $(`#${INLINE_EDITOR_ID}`).remove();
+  const rect = element.getBoundingClientRect();
+  const $editor = $(`
+            <form id="${INLINE_EDITOR_ID}" class="sst-inline-editor" title="${escapeHtml(describeFieldConstraints(customField))}">
+                <span class="sst-editor-label">${escapeHtml(name)}: ${escapeHtml(field)}</span>
+                ${buildFieldInputHtml(customField, value, found)}
+                <span class="sst-editor-error"></span>
+            </form>
+        `).css({ top: rect.top, left: rect.left, minWidth: Math.max(rect.width, 160) });
+  $("body").append($editor);
+  const $input = $editor.find(".sst-editor-input");
+
+  const close = () => {
+    $editor.remove();
+    $(document).off("mousedown.sstInlineEditor");
+  };
+
+  const save = async () => {
+    const text = String($input.val() ?? "");
+    // An unchanged or cleared input leaves the value as it was
+    if (text === "" || text === String($input.attr("data-original") ?? "")) {
+      close();
+      return;
+    }
+    const result = parseEditedValue(text, customField);
+    if (!result.ok) {
+      $editor.addClass("sst-editor-row-invalid").find(".sst-editor-error").text(result.message);
+      return;
+    }
+    try {
+      writeTrackerEdits(context.chat, mesId, identifier, [{ character: name, key: field, value: result.value }], get_settings("trackerFormat") || "json");
+      await context.saveChat();
+      log(`Wrote an inline edit of ${name}.${field} to message ${mesId}`);
+      // A locked field is locked to the new value
+      if (findFieldLock(locks, name, field)) setFieldLock(name, field, result.value);
+      if (result.message) toastr.info(`${name}: ${field}: ${result.message}`, "The value was adjusted to fit its constraints");
+      close();
+      if (onSaved) onSaved(mesId);
+    } catch (error) {
+      log(`Error writing inline edit: ${error.message}`);
+      toastr.error(`Could not save tracker edit: ${error.message}`);
+    }
+  };
+
+  $editor.on("submit", (e) => {
+    e.preventDefault();
+    save();
+  });
+  $editor.on("keydown", (e) => {
+    if (e.key === "Escape") close();
+  });
+  // Selects have no Enter to submit them, so a pick saves right away
+  $input.filter("select").on("change", save);
+  $(document).on("mousedown.sstInlineEditor", (e) => {
+    if (!$editor[0].contains(e.target)) close();
+  });
+
+  $input.trigger("focus").trigger("select");
+  return true;
+};
+
+export {
+  parseEditedValue,
+  applyTrackerEdits,
+  writeTrackerEdits,
+  readLatestTrackerValue,
+  updateLatestTrackerValue,
+  lockTrackerValue,
+  rewriteLockedValues,
+  showTrackerEditor,
+  showInlineFieldEditor,
+};
@@ -0,0 +1,354 @@
+// computedFields.js - Custom fields whose values are computed from other fields by a formula
+//
+// A field with type "computed" has a formula instead of a value written by the model, e.g.
+// `ap + tp`, `ap >= 150 ? "Lover" : ap >= 50 ? "Friend" : "Stranger"` or
+// `days_between(conception_date, world.current_date)`. Formulas are parsed by a small
+// expression language (no access to JavaScript): numbers, text, true/false/null, field names
+// (dotted for nested fields, `world.` for worldData, `name` for the character's name),
+// arithmetic, comparisons, && || !, `? :` and a fixed set of functions. Computed values are
+// added to a copy of the parsed state and never written into the tracker block.
+import { readFieldValue, writeFieldValue } from "./validation.js";
+import { applyFieldConstraints } from "./fieldConstraints.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TOKEN_RE = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)*)|(==|!=|<=|>=|&&|\|\||[-+*/%<>!?:(),]))/y;
+
+const BINARY_PRECEDENCE = {
+  "||": 1,
+  "&&": 2,
+  "==": 3,
+  "!=": 3,
+  "<": 4,
+  "<=": 4,
+  ">": 4,
+  ">=": 4,
+  "+": 5,
+  "-": 5,
+  "*": 6,
+  "/": 6,
+  "%": 6,
+};
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+const toNumber = (value) => {
+  if (isNumber(value)) return value;
+  if (typeof value === "string" && value.trim() !== "" && !Number.isNaN(Number(value))) return Number(value);
+  return null;
+};
+
+/**
+ * Read a story date (YYYY-MM-DD, optionally followed by a time) as milliseconds
+ * @returns {number|null}
+ */
+const toDateMs = (value) => {
+  const match = String(value ?? "").trim().match(/^(\d{4}-\d{2}-\d{2})/);
+  if (!match) return null;
+  const timestamp = Date.parse(`${match[1]}T00:00:00Z`);
+  return Number.isNaN(timestamp) ? null : timestamp;
+};
+
+// Functions formulas may call. Arguments are already evaluated; null means "unknown".
+const FUNCTIONS = {
+  min: (...values) => {
+    const numbers = values.map(toNumber);
+    return numbers.includes(null) || !numbers.length ? null : Math.min(...numbers);
+  },
+  max: (...values) => {
+    const numbers = values.map(toNumber);
+    return numbers.includes(null) || !numbers.length ? null : Math.max(...numbers);
+  },
+  abs: (value) => (toNumber(value) === null ? null : Math.abs(toNumber(value))),
+  floor: (value) => (toNumber(value) === null ? null : Math.floor(toNumber(value))),
+  ceil: (value) => (toNumber(value) === null ? null : Math.ceil(toNumber(value))),
+  round: (value, digits = 0) => {
+    const number = toNumber(value);
+    if (number === null) return null;
+    const factor = 10 ** (toNumber(digits) || 0);
+    return Math.round(number * factor) / factor;
+  },
+  clamp: (value, low, high) => {
+    const [number, min, max] = [value, low, high].map(toNumber);
+    return number === null || min === null || max === null ? null : Math.min(Math.max(number, min), max);
+  },
+  coalesce: (...values) => values.find((value) => value !== null && value !== undefined && value !== "") ?? null,
+  len: (value) => (Array.isArray(value) || typeof value === "string" ? value.length : null),
+  lower: (value) => (value === null ? null : String(value).toLowerCase()),
+  upper: (value) => (value === null ? null : String(value).toUpperCase()),
+  number: (value) => toNumber(value),
+  text: (value) => (value === null ? "" : String(value)),
+  // Whole days from the first date to the second (negative when the second is earlier)
+  days_between: (from, to) => {
+    const [start, end] = [toDateMs(from), toDateMs(to)];
+    return start === null || end === null ? null : Math.round((end - start) / DAY_MS);
+  },
+  add_days: (date, days) => {
+    const start = toDateMs(date);
+    const amount = toNumber(days);
+    return start === null || amount === null ? null : new Date(start + Math.round(amount) * DAY_MS).toISOString().slice(0, 10);
+  },
+};
+
+const tokenize = (text) => {
+  const tokens = [];
+  let position = 0;
+  while (position < text.length) {
+    if (/^\s*$/.test(text.slice(position))) break;
+    TOKEN_RE.lastIndex = position;
+    const match = TOKEN_RE.exec(text);
+    if (!match) throw new Error(`unexpected "${text.slice(position).trim()[0]}" at position ${position + 1}`);
+    const [, number, string, name, operator] = match;
+    if (number !== undefined) tokens.push({ type: "number", value: Number(number) });
+    else if (string !== undefined) tokens.push({ type: "string", value: string.slice(1, -1).replace(/\\(.)/g, "$1") });
+    else if (name !== undefined) tokens.push({ type: "name", value: name });
+    else tokens.push({ type: "operator", value: operator });
+    position = TOKEN_RE.lastIndex;
+  }
+  return tokens;
+};
+
+/**
+ * Parse a formula into an expression tree
+ * @param {string} text - Formula
+ * @returns {Object} Expression tree for evaluateFormula
+ * @throws {Error} When the formula is not valid
+ */
+const parseFormula = (text) => {
+  const tokens = tokenize(String(text ?? ""));
+  if (!tokens.length) throw new Error("formula is empty");
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek()?.type === "operator" && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) throw new Error(`expected "${value}"${peek() ? ` before "${peek().value}"` : " at the end"}`);
+    index++;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) throw new Error("formula ends too early");
+    if (token.type === "number" || token.type === "string") return { type: "literal", value: token.value };
+    if (token.type === "name") {
+      if (token.value === "true" || token.value === "false") return { type: "literal", value: token.value === "true" };
+      if (token.value === "null") return { type: "literal", value: null };
+      if (isOperator("(")) {
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) throw new Error(`unknown function "${token.value}"`);
+        index++;
+        const args = [];
+        if (!isOperator(")")) {
+          args.push(parseExpression());
+          while (isOperator(",")) {
+            index++;
+            args.push(parseExpression());
+          }
+        }
+        expect(")");
+        return { type: "call", name: token.value, args };
+      }
+      return { type: "field", path: token.value };
+    }
+    if (token.value === "(") {
+      const inner = parseExpression();
+      expect(")");
+      return inner;
+    }
+    if (token.value === "-" || token.value === "!") return { type: "unary", op: token.value, operand: parsePrimary() };
+    throw new Error(`unexpected "${token.value}"`);
+  };
+
+  const parseBinary = (minPrecedence) => {
+    let left = parsePrimary();
+    for (;;) {
+      const token = peek();
+      const precedence = token?.type === "operator" ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence < minPrecedence) return left;
+      index++;
+      left = { type: "binary", op: token.value, left, right: parseBinary(precedence + 1) };
+    }
+  };
+
+  const parseExpression = () => {
+    const condition = parseBinary(1);
+    if (!isOperator("?")) return condition;
+    index++;
+    const whenTrue = parseExpression();
+    expect(":");
+    return { type: "conditional", condition, whenTrue, whenFalse: parseExpression() };
+  };
+
+  const tree = parseExpression();
+  if (index < tokens.length) throw new Error(`unexpected "${peek().value}"`);
+  return tree;
+};
+
+const isTruthy = (value) => value !== null && value !== undefined && value !== false && value !== 0 && value !== "";
+
+const applyBinary = (op, left, right) => {
+  switch (op) {
+    case "==":
+    case "!=": {
+      const [leftNumber, rightNumber] = [toNumber(left), toNumber(right)];
+      const equal = leftNumber !== null && rightNumber !== null ? leftNumber === rightNumber : (left ?? null) === (right ?? null) || String(left) === String(right);
+      return op === "==" ? equal : !equal;
+    }
+    case "<":
+    case "<=":
+    case ">":
+    case ">=": {
+      let [a, b] = [toNumber(left), toNumber(right)];
+      // Dates and text compare as text when they aren't both numbers
+      if (a === null || b === null) {
+        if (left === null || right === null || left === undefined || right === undefined) return false;
+        [a, b] = [String(left), String(right)];
+      }
+      if (op === "<") return a < b;
+      if (op === "<=") return a <= b;
+      if (op === ">") return a > b;
+      return a >= b;
+    }
+    case "+":
+      if (typeof left === "string" && toNumber(left) === null) return right === null ? left : left + String(right);
+      if (typeof right === "string" && toNumber(right) === null) return left === null ? right : String(left) + right;
+  }
+
+  const [a, b] = [toNumber(left), toNumber(right)];
+  if (a === null || b === null) return null;
+  switch (op) {
+    case "+": return a + b;
+    case "-": return a - b;
+    case "*": return a * b;
+    case "/": return b === 0 ? null : a / b;
+    case "%": return b === 0 ? null : a % b;
+  }
+  return null;
+};
+
+/**
+ * Evaluate an expression tree
+ * @param {Object} tree - Result of parseFormula
+ * @param {Function} resolve - Looks up a field path, returning its value or null
+ * @returns {*} The value, or null when it can't be known (missing fields, division by zero)
+ */
+const evaluateFormula = (tree, resolve) => {
+  switch (tree.type) {
+    case "literal":
+      return tree.value;
+    case "field":
+      return resolve(tree.path) ?? null;
+    case "unary": {
+      const operand = evaluateFormula(tree.operand, resolve);
+      if (tree.op === "!") return !isTruthy(operand);
+      return toNumber(operand) === null ? null : -toNumber(operand);
+    }
+    case "binary":
+      if (tree.op === "&&") return isTruthy(evaluateFormula(tree.left, resolve)) && isTruthy(evaluateFormula(tree.right, resolve));
+      if (tree.op === "||") return isTruthy(evaluateFormula(tree.left, resolve)) || isTruthy(evaluateFormula(tree.right, resolve));
+      return applyBinary(tree.op, evaluateFormula(tree.left, resolve), evaluateFormula(tree.right, resolve));
+    case "conditional":
+      return isTruthy(evaluateFormula(tree.condition, resolve))
+        ? evaluateFormula(tree.whenTrue, resolve)
+        : evaluateFormula(tree.whenFalse, resolve);
+    case "call":
+      return FUNCTIONS[tree.name](...tree.args.map((arg) => evaluateFormula(arg, resolve))) ?? null;
+  }
+  throw new Error(`unknown expression "${tree.type}"`);
+};
+
+/**
+ * Check a formula without evaluating it
+ * @returns {string|null} Why the formula is invalid, or null when it is fine
+ */
+const describeFormulaError = (text) => {
+  try {
+    parseFormula(text);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Add the values of computed fields to every character of a tracker state.
+ * Formulas may use other computed fields, whatever their order; cycles give null.
+ * @param {{worldData: Object, characters: Array}|null} data - Tracker state (not modified)
+ * @param {Array} customFields - Field definitions from settings
+ * @returns {{data: Object|null, issues: Array<{character: string, field: string, severity: string, message: string}>}}
+ *   A copy with the computed values, plus formulas that failed
+ */
+const applyComputedFields = (data, customFields) => {
+  const fields = (customFields || []).filter((field) => field.key && field.type === "computed");
+  if (!fields.length || !data || !Array.isArray(data.characters)) return { data, issues: [] };
+
+  const issues = [];
+  const trees = new Map();
+  fields.forEach((field) => {
+    try {
+      trees.set(field.key, parseFormula(field.formula));
+    } catch (error) {
+      issues.push({ character: "Formula", field: field.key, severity: "error", message: `"${field.key}": ${error.message}` });
+    }
+  });
+
+  const computed = structuredClone(data);
+  const worldData = computed.worldData || {};
+  const fieldsByKey = new Map(fields.map((field) => [field.key, field]));
+
+  computed.characters.forEach((character, index) => {
+    if (character === null || typeof character !== "object") return;
+    const label = character.name ? String(character.name) : `Character #${index + 1}`;
+    const values = new Map();
+    const evaluating = new Set();
+
+    const computeField = (key) => {
+      if (values.has(key)) return values.get(key);
+      if (evaluating.has(key)) {
+        issues.push({ character: label, field: key, severity: "error", message: `"${key}" depends on itself` });
+        return null;
+      }
+      evaluating.add(key);
+      let value = null;
+      if (trees.has(key)) {
+        try {
+          value = evaluateFormula(trees.get(key), resolve);
+          if (value !== null) value = applyFieldConstraints(value, fieldsByKey.get(key)).value;
+        } catch (error) {
+          issues.push({ character: label, field: key, severity: "error", message: `"${key}": ${error.message}` });
+        }
+      }
+      evaluating.delete(key);
+      values.set(key, value);
+      return value;
+    };
+
+    const resolve = (path) => {
+      if (fieldsByKey.has(path)) return computeField(path);
+      const dot = path.indexOf(".");
+      const head = dot === -1 ? path : path.slice(0, dot);
+      if ((head === "world" || head === "worldData") && dot !== -1) {
+        const { found, value } = readFieldValue(worldData, path.slice(dot + 1));
+        return found ? value : null;
+      }
+      const { found, value } = readFieldValue(character, path);
+      return found ? value : null;
+    };
+
+    fields.forEach((field) => computeField(field.key));
+    values.forEach((value, key) => writeFieldValue(character, key, value));
+  });
+
+  if (issues.length) log(`Computed fields: ${issues.length} formulas failed`);
+  return { data: computed, issues };
+};
+
+export {
+  parseFormula,
+  evaluateFormula,
+  describeFormulaError,
+  applyComputedFields,
+};
@@ -138,14 +138,37 @@ function getAllMessageContents() {
 /**
  * Find code blocks with a specific class pattern within the chat.
  * Works for both ST (#chat code[class*="..."]) and Lumiverse (.lcs-message-content code[class*="..."]).
- * @param {string} identifier - The code block identifier (e.g., "sim")
+ * @param {string|string[]} identifier - The code block identifier (e.g., "sim"), or several
  * @returns {Element[]}
  */
 function findCodeBlocksByIdentifier(identifier) {
-  if (isLumiverseActive()) {
-    return Array.from(document.querySelectorAll(`#lumiverse-chat-root code[class*="${identifier}"]`));
-  }
-  return Array.from(document.querySelectorAll(`#chat code[class*="${identifier}"]`));
+  const root = isLumiverseActive() ? "#lumiverse-chat-root" : "#chat";
+  const selector = [].concat(identifier).map((id) => `${root} code[class*="${id}"]`).join(", ");
+  return Array.from(document.querySelectorAll(selector));
+}
+
+/**
+ * CSS selector for tracker tag blocks (<sim>) within a scope. Identifiers that can't be an
+ * element name in a selector (e.g. "c++") are left out.
+ * @param {string|string[]} identifier - The code block identifier, or several
+ * @param {string} scope - Selector of the element the tags are in
+ * @returns {string} Empty when no identifier can be selected
+ */
+function getTrackerTagSelector(identifier, scope) {
+  return [].concat(identifier)
+    .filter((id) => /^[A-Za-z][\w-]*$/.test(id))
+    .map((id) => `${scope} ${id}`)
+    .join(", ");
+}
+
+/**
+ * Find tracker tag blocks that the chat kept as elements, in either DOM structure.
+ * @param {string|string[]} identifier - The code block identifier, or several
+ * @returns {Element[]}
+ */
+function findTrackerTagElements(identifier) {
+  const selector = getTrackerTagSelector(identifier, isLumiverseActive() ? "#lumiverse-chat-root" : "#chat");
+  return selector ? Array.from(document.querySelectorAll(selector)) : [];
 }
 
 /**
@@ -203,6 +226,8 @@ export {
   closestMessageWrapper,
   getAllMessageContents,
   findCodeBlocksByIdentifier,
+  getTrackerTagSelector,
+  findTrackerTagElements,
   isMessageContentElement,
   findMessageContentsInNode,
   getReasoningElement,
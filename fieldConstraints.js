@@ -0,0 +1,249 @@
+// fieldConstraints.js - Structured per-field constraints (min/max/step/enum/default)
+//
+// A custom field may carry, next to `key` and `description`:
+//   valueType: "number" | "string" | "boolean"  (omitted = inferred)
+//   min, max, step: numbers (number fields only)
+//   enum: [{ value, label }]  allowed values, label is optional
+//   default: value used when the model leaves the field out or writes something invalid
+//   maxDelta: largest change of a number field from one block to the next (see plausibility.js)
+//   terminal: [values] the field never leaves once it reaches one of them (e.g. 5 = Death)
+
+const NUMERIC_RE = /^\s*[+-]?(\d+\.?\d*|\.\d+)\s*$/;
+
+const isSet = (value) => value !== undefined && value !== null && value !== "";
+
+/**
+ * Read the constraints of a field in a normalized shape
+ * @param {Object} field - Custom field definition
+ * @returns {{valueType: string|null, min: number|null, max: number|null, step: number|null,
+ *   enum: Array<{value: *, label: string}>, hasDefault: boolean, default: *,
+ *   maxDelta: number|null, terminal: Array}}
+ */
+const getFieldConstraints = (field = {}) => {
+  const toNumber = (value) => (isSet(value) && Number.isFinite(Number(value)) ? Number(value) : null);
+  const step = toNumber(field.step);
+  const maxDelta = toNumber(field.maxDelta);
+  return {
+    valueType: field.valueType || null,
+    min: toNumber(field.min),
+    max: toNumber(field.max),
+    step: step !== null && step > 0 ? step : null,
+    enum: Array.isArray(field.enum)
+      ? field.enum.filter((option) => option && isSet(option.value))
+      : [],
+    hasDefault: Object.prototype.hasOwnProperty.call(field, "default") && field.default !== undefined,
+    default: field.default,
+    maxDelta: maxDelta !== null && maxDelta > 0 ? maxDelta : null,
+    terminal: Array.isArray(field.terminal) ? field.terminal.filter(isSet) : [],
+  };
+};
+
+/**
+ * Whether a field declares any structured constraint
+ */
+const hasFieldConstraints = (field) => {
+  const constraints = getFieldConstraints(field);
+  return Boolean(
+    constraints.valueType ||
+      constraints.min !== null ||
+      constraints.max !== null ||
+      constraints.step !== null ||
+      constraints.enum.length ||
+      constraints.hasDefault ||
+      constraints.maxDelta !== null ||
+      constraints.terminal.length
+  );
+};
+
+/**
+ * Value type implied by the constraints alone, or null when they don't say
+ */
+const getConstrainedType = (field) => {
+  const constraints = getFieldConstraints(field);
+  if (constraints.valueType) return constraints.valueType;
+  if (constraints.min !== null || constraints.max !== null || constraints.step !== null || constraints.maxDelta !== null) return "number";
+  if (constraints.enum.length) {
+    const values = constraints.enum.map((option) => option.value);
+    if (values.every((value) => typeof value === "number")) return "number";
+    if (values.every((value) => typeof value === "boolean")) return "boolean";
+    return "string";
+  }
+  if (constraints.hasDefault && constraints.default !== null) {
+    const type = typeof constraints.default;
+    if (type === "number" || type === "boolean" || type === "string") return type;
+  }
+  return null;
+};
+
+/**
+ * Parse text typed into the fields editor into a typed value
+ * @param {string} text - Raw input text
+ * @param {string} [valueType] - Declared value type, if any
+ * @returns {*} Parsed value (number, boolean or string)
+ */
+const parseConstraintValue = (text, valueType = null) => {
+  const trimmed = String(text).trim();
+  if (valueType === "string") return trimmed;
+  if ((valueType === "number" || !valueType) && NUMERIC_RE.test(trimmed)) return Number(trimmed);
+  if (valueType === "boolean" || !valueType) {
+    if (trimmed.toLowerCase() === "true") return true;
+    if (trimmed.toLowerCase() === "false") return false;
+  }
+  return trimmed;
+};
+
+/**
+ * Parse the enum editor text ("value = label" per line) into options
+ * @param {string} text - Editor contents
+ * @param {string} [valueType] - Declared value type, if any
+ * @returns {Array<{value: *, label: string}>}
+ */
+const parseEnumOptions = (text, valueType = null) =>
+  String(text)
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const separator = line.indexOf("=");
+      if (separator === -1) return { value: parseConstraintValue(line, valueType), label: "" };
+      return {
+        value: parseConstraintValue(line.slice(0, separator), valueType),
+        label: line.slice(separator + 1).trim(),
+      };
+    });
+
+/**
+ * Format enum options back into editor text
+ */
+const formatEnumOptions = (options = []) =>
+  options.map((option) => (option.label ? `${option.value} = ${option.label}` : `${option.value}`)).join("\n");
+
+// Round away floating point noise introduced by step snapping
+const roundToStep = (value, step) => {
+  const decimals = (String(step).split(".")[1] || "").length;
+  return Number(value.toFixed(decimals));
+};
+
+/**
+ * Enforce a field's constraints on a (type-coerced) value
+ * @param {*} value - Value from the tracker block
+ * @param {Object} field - Custom field definition
+ * @returns {{value: *, changed: boolean, message: string|null}} The constrained value
+ *   and, when it had to change, a short description of why
+ */
+const applyFieldConstraints = (value, field) => {
+  const constraints = getFieldConstraints(field);
+  const useDefault = (reason) =>
+    constraints.hasDefault
+      ? { value: constraints.default, changed: true, message: `${reason}, used default ${JSON.stringify(constraints.default)}` }
+      : { value, changed: false, message: reason };
+
+  if (value === null || value === undefined) return { value, changed: false, message: null };
+
+  if (constraints.enum.length) {
+    // Accept either the value itself or its label (models often echo the label)
+    const match = constraints.enum.find(
+      (option) =>
+        option.value === value ||
+        String(option.value).toLowerCase() === String(value).trim().toLowerCase() ||
+        (option.label && option.label.toLowerCase() === String(value).trim().toLowerCase())
+    );
+    if (!match) return useDefault(`${JSON.stringify(value)} is not an allowed value`);
+    return { value: match.value, changed: match.value !== value, message: null };
+  }
+
+  if (typeof value !== "number") return { value, changed: false, message: null };
+
+  let constrained = value;
+  if (constraints.step !== null) {
+    const base = constraints.min ?? 0;
+    constrained = roundToStep(Math.round((constrained - base) / constraints.step) * constraints.step + base, constraints.step);
+  }
+  if (constraints.min !== null && constrained < constraints.min) constrained = constraints.min;
+  if (constraints.max !== null && constrained > constraints.max) constrained = constraints.max;
+
+  if (constrained !== value) {
+    return { value: constrained, changed: true, message: `${value} adjusted to ${constrained}` };
+  }
+  return { value, changed: false, message: null };
+};
+
+/**
+ * Short human readable summary of a field's constraints, for prompts and tooltips
+ * @param {Object} field - Custom field definition
+ * @returns {string} e.g. "number 0-200, step 5, default 50" (empty when unconstrained)
+ */
+const describeFieldConstraints = (field) => {
+  const constraints = getFieldConstraints(field);
+  const type = getConstrainedType(field);
+  const parts = [];
+
+  if (constraints.enum.length) {
+    const options = constraints.enum.map((option) =>
+      option.label ? `${JSON.stringify(option.value)}=${option.label}` : JSON.stringify(option.value)
+    );
+    parts.push(`one of: ${options.join(", ")}`);
+  } else {
+    if (type) parts.push(type);
+    if (constraints.min !== null && constraints.max !== null) {
+      parts.push(`${constraints.min} to ${constraints.max}`);
+    } else if (constraints.min !== null) {
+      parts.push(`min ${constraints.min}`);
+    } else if (constraints.max !== null) {
+      parts.push(`max ${constraints.max}`);
+    }
+    if (constraints.step !== null) parts.push(`step ${constraints.step}`);
+  }
+  if (constraints.hasDefault) parts.push(`default ${JSON.stringify(constraints.default)}`);
+  if (constraints.maxDelta !== null) parts.push(`changes by at most ${constraints.maxDelta} per block`);
+  if (constraints.terminal.length) parts.push(`permanent once ${constraints.terminal.map((value) => JSON.stringify(value)).join(" or ")}`);
+
+  return parts.join(", ");
+};
+
+/**
+ * Build the comment shown next to a field in format examples
+ * @param {Object} field - Custom field definition
+ * @returns {string} Description followed by the constraint summary
+ */
+const getFieldPromptComment = (field) => {
+  const summary = describeFieldConstraints(field);
+  const description = field.description || "";
+  if (!summary) return description;
+  return description ? `${description} (${summary})` : summary;
+};
+
+/**
+ * Example value literal for a field in a format example
+ * @param {Object} field - Custom field definition
+ * @param {string} placeholder - Text to use when the constraints don't suggest a value
+ * @returns {string} JSON/YAML literal (quoted strings, bare numbers/booleans)
+ */
+const getFieldExampleLiteral = (field, placeholder) => {
+  const constraints = getFieldConstraints(field);
+  const type = getConstrainedType(field);
+
+  if (constraints.hasDefault) return JSON.stringify(constraints.default);
+  if (constraints.enum.length) return JSON.stringify(constraints.enum[0].value);
+  if (type === "number") {
+    if (constraints.min !== null && constraints.max !== null) {
+      return String(roundToStep((constraints.min + constraints.max) / 2, constraints.step ?? 1));
+    }
+    return String(constraints.min ?? constraints.max ?? 0);
+  }
+  if (type === "boolean") return "false";
+  return placeholder;
+};
+
+export {
+  getFieldConstraints,
+  hasFieldConstraints,
+  getConstrainedType,
+  parseConstraintValue,
+  parseEnumOptions,
+  formatEnumOptions,
+  applyFieldConstraints,
+  describeFieldConstraints,
+  getFieldPromptComment,
+  getFieldExampleLiteral,
+};
@@ -0,0 +1,104 @@
+// fieldLocks.js - Per-chat locks that keep a character's field at a fixed value
+//
+// A lock is {character, field, value}, kept in the chat metadata. Whenever a tracker block
+// is read for display, locked fields are forced back to their value, whatever the model
+// wrote; with "Rewrite Locked Values" on, the latest block is corrected in the message too.
+// The locks are also listed in the prompt so the model knows to leave them alone.
+import { getContext } from "../../../extensions.js";
+import { readFieldValue, writeFieldValue } from "./validation.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+
+// Key of the lock list inside the chat metadata
+const LOCKS_METADATA_KEY = "sst_locks";
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const sameName = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Locks of the current chat
+ * @returns {Array<{character: string, field: string, value: *}>}
+ */
+const getFieldLocks = () => {
+  const locks = getContext().chatMetadata?.[LOCKS_METADATA_KEY];
+  return Array.isArray(locks) ? locks : [];
+};
+
+/**
+ * Find the lock of a character's field (character names match case-insensitively)
+ * @returns {{character: string, field: string, value: *}|null}
+ */
+const findFieldLock = (locks, character, field) =>
+  locks.find((lock) => sameName(lock.character, character) && lock.field === field) || null;
+
+/**
+ * Lock a character's field to a value, replacing an existing lock of it
+ */
+const setFieldLock = (character, field, value) => {
+  const context = getContext();
+  const locks = getFieldLocks().filter((lock) => !(sameName(lock.character, character) && lock.field === field));
+  context.chatMetadata[LOCKS_METADATA_KEY] = [...locks, { character: String(character), field, value }];
+  context.saveMetadataDebounced?.();
+  log(`Locked ${character}.${field} to ${JSON.stringify(value)}`);
+};
+
+/**
+ * Remove the lock of a character's field
+ * @returns {boolean} False when the field wasn't locked
+ */
+const removeFieldLock = (character, field) => {
+  const context = getContext();
+  const locks = getFieldLocks();
+  const remaining = locks.filter((lock) => !(sameName(lock.character, character) && lock.field === field));
+  if (remaining.length === locks.length) return false;
+  context.chatMetadata[LOCKS_METADATA_KEY] = remaining;
+  context.saveMetadataDebounced?.();
+  log(`Unlocked ${character}.${field}`);
+  return true;
+};
+
+/**
+ * Force locked fields back to their values
+ * @param {{worldData: Object, characters: Array}|null} data - Tracker state (not modified)
+ * @param {Array} locks - Locks from getFieldLocks
+ * @returns {{data: Object|null, forced: Array<{character: string, field: string, value: *, previous: *}>}}
+ *   A copy with the locked values, plus the values that were overridden (previous is
+ *   undefined when the block left the field out)
+ */
+const applyFieldLocks = (data, locks) => {
+  if (!locks.length || !data || !Array.isArray(data.characters)) return { data, forced: [] };
+
+  const locked = structuredClone(data);
+  const forced = [];
+  locks.forEach((lock) => {
+    const character = locked.characters.find((candidate) => candidate && candidate.name !== undefined && sameName(candidate.name, lock.character));
+    if (!character) return;
+    const { found, value } = readFieldValue(character, lock.field);
+    if (found && sameValue(value, lock.value)) return;
+    writeFieldValue(character, lock.field, structuredClone(lock.value));
+    forced.push({ character: String(character.name), field: lock.field, value: lock.value, previous: found ? value : undefined });
+  });
+  return { data: locked, forced };
+};
+
+/**
+ * Prompt note listing the locked values
+ * @returns {string} The note, or "" when nothing is locked
+ */
+const describeFieldLocks = (locks) => {
+  if (!locks.length) return "";
+  const values = locks.map((lock) => `${lock.character}.${lock.field} = ${JSON.stringify(lock.value)}`);
+  return `[These tracker values are fixed. Always write them exactly as given and never change them: ${values.join("; ")}]`;
+};
+
+export {
+  getFieldLocks,
+  findFieldLock,
+  setFieldLock,
+  removeFieldLock,
+  applyFieldLocks,
+  describeFieldLocks,
+};
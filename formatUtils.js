@@ -1,5 +1,7 @@
 // formatUtils.js - Format detection, parsing, and generation utilities
 import { get_extension_directory } from "./utils.js";
+import { parseYaml, convertJsonToYaml, convertValueToYaml } from "./yamlUtils.js";
+import { repairJson } from "./jsonRepair.js";
 
 const MODULE_NAME = "silly-sim-tracker";
 
@@ -11,9 +13,9 @@ const detectFormat = (content) => {
   // Trim whitespace
   const trimmedContent = content.trim();
 
-  // Try to detect JSON format (starts with { or [)
-  if ((trimmedContent.startsWith("{") && trimmedContent.endsWith("}")) ||
-      (trimmedContent.startsWith("[") && trimmedContent.endsWith("]"))) {
+  // Try to detect JSON format (starts with { or [).
+  // The closing bracket may be missing when the reply was cut off.
+  if (trimmedContent.startsWith("{") || trimmedContent.startsWith("[")) {
     return "json";
   }
 
@@ -22,184 +24,6 @@ const detectFormat = (content) => {
   return "yaml";
 };
 
-// Improved function to parse YAML content
-const parseYaml = (yamlContent) => {
-  try {
-    // This is a simplified YAML parser for our specific use case
-    // A full implementation would use a library like js-yaml
-    const lines = yamlContent.trim().split('');
-    const result = {};
-    let currentObject = result;
-    const stack = [result];
-    let inArray = false;
-    let currentArray = null;
-    let currentArrayParent = null;
-
-    lines.forEach(line => {
-      // Skip empty lines and comments
-      if (!line.trim() || line.trim().startsWith('#')) return;
-
-      // Calculate indentation level
-      const indent = line.search(/\S/);
-      const trimmedLine = line.trim();
-
-      // Handle array items (lines starting with -)
-      if (trimmedLine.startsWith('- ')) {
-        // This is an array item
-        if (!inArray) {
-          // Start a new array
-          inArray = true;
-          currentArray = [];
-          // Add array to parent
-          const parent = stack[stack.length - 1];
-          // Find the key that should contain this array
-          // This is a simplification - in real YAML the array would be associated with a key
-          // For our purposes, we'll assume it's for the characters field
-          parent.characters = currentArray;
-        }
-
-        // Extract the content after "- "
-        const itemContent = trimmedLine.substring(2).trim();
-
-        // Check if it's a nested object
-        if (itemContent.endsWith(':')) {
-          // This is a nested object in the array
-          const newItem = {};
-          currentArray.push(newItem);
-          stack.push(newItem);
-        } else if (itemContent.includes(':')) {
-          // This is a key-value pair in an array item
-          // For simplicity, we'll create a new object for this array item if we don't have one
-          if (currentArray.length === 0 || typeof currentArray[currentArray.length - 1] !== 'object') {
-            const newItem = {};
-            if (currentArray.length > 0 && typeof currentArray[currentArray.length - 1] !== 'object') {
-              // Replace the last item if it was a simple value
-              currentArray.pop();
-            }
-            currentArray.push(newItem);
-            stack.push(newItem);
-          }
-
-          const currentArrayItem = stack[stack.length - 1];
-          const parts = itemContent.split(':');
-          const key = parts[0].trim().replace(/["']/g, '');
-          const value = parts.slice(1).join(':').trim();
-
-          // Handle different value types
-          if (value === 'true' || value === 'false') {
-            currentArrayItem[key] = value === 'true';
-          } else if (!isNaN(value.replace(/^\+/, '')) && value !== '') {
-            // Remove leading plus sign if present, then convert to number
-            currentArrayItem[key] = Number(value.replace(/^\+/, ''));
-          } else {
-            currentArrayItem[key] = value.replace(/["']/g, '');
-          }
-        } else {
-          // Simple value in array
-          currentArray.push(itemContent);
-        }
-        return;
-      }
-
-      // If we were in an array and now have a regular key, exit array mode
-      if (inArray && !trimmedLine.startsWith('- ')) {
-        inArray = false;
-        // Pop array items from stack if needed
-        while (stack.length > (indent / 2) + 1) {
-          stack.pop();
-        }
-      }
-
-      // Adjust stack based on indentation
-      while (stack.length > (indent / 2) + 1) {
-        stack.pop();
-      }
-
-      // Get current object at this indentation level
-      currentObject = stack[stack.length - 1];
-
-      // Parse key-value pairs
-      if (trimmedLine.includes(':')) {
-        const parts = trimmedLine.split(':');
-        const key = parts[0].trim().replace(/["']/g, '');
-        const value = parts.slice(1).join(':').trim();
-
-        // Handle nested objects
-        if (value === '') {
-          const newObject = {};
-          currentObject[key] = newObject;
-          stack.push(newObject);
-        } else {
-          // Handle different value types
-          if (value === 'true' || value === 'false') {
-            currentObject[key] = value === 'true';
-          } else if (!isNaN(value.replace(/^\+/, '')) && value !== '') {
-            // Remove leading plus sign if present, then convert to number
-            currentObject[key] = Number(value.replace(/^\+/, ''));
-          } else {
-            currentObject[key] = value.replace(/["']/g, '');
-          }
-        }
-      }
-    });
-
-    return result;
-  } catch (error) {
-    log(`Error parsing YAML content: ${error.message}`);
-    throw error;
-  }
-};
-
-// Function to convert JSON to YAML
-const convertJsonToYaml = (jsonObject, indent = 0) => {
-  let yaml = '';
-  const indentStr = '  '.repeat(indent);
-
-  if (typeof jsonObject === 'object' && jsonObject !== null) {
-    if (Array.isArray(jsonObject)) {
-      jsonObject.forEach(item => {
-        if (typeof item === 'object' && item !== null) {
-          yaml += `${indentStr}-\n${convertJsonToYaml(item, indent + 1)}`;
-        } else {
-          yaml += `${indentStr}- ${convertValueToYaml(item)}\n`;
-        }
-      });
-    } else {
-      Object.keys(jsonObject).forEach(key => {
-        const value = jsonObject[key];
-        if (typeof value === 'object' && value !== null) {
-          if (Array.isArray(value)) {
-            yaml += `${indentStr}${key}:\n`;
-            yaml += convertJsonToYaml(value, indent + 1);
-          } else {
-            yaml += `${indentStr}${key}:\n`;
-            yaml += convertJsonToYaml(value, indent + 1);
-          }
-        } else {
-          yaml += `${indentStr}${key}: ${convertValueToYaml(value)}\n`;
-        }
-      });
-    }
-  }
-
-  return yaml;
-};
-
-// Helper function to convert a value to its YAML representation
-const convertValueToYaml = (value) => {
-  if (typeof value === 'string') {
-    // Check if string needs quotes
-    if (value.includes(':') || value.includes('#') || /\s/.test(value)) {
-      return `"${value}"`;
-    }
-    return value;
-  }
-  if (typeof value === 'boolean') {
-    return value ? 'true' : 'false';
-  }
-  return String(value);
-};
-
 // Function to clean up plus signs from numeric values in content
 const cleanupPlusSignsInContent = (content) => {
   try {
@@ -218,8 +42,9 @@ const cleanupPlusSignsInContent = (content) => {
   }
 };
 
-// Universal parser that can handle both JSON and YAML
-const parseTrackerData = (content, format = null) => {
+// Universal parser that can handle both JSON and YAML.
+// Returns the parsed data together with the repairs that were needed to read it.
+const parseTrackerDataWithReport = (content, format = null) => {
   try {
     // Clean up plus signs from numeric values before parsing
     const cleanedContent = cleanupPlusSignsInContent(content);
@@ -230,9 +55,27 @@ const parseTrackerData = (content, format = null) => {
     }
 
     if (format === "json") {
-      return JSON.parse(cleanedContent);
+      try {
+        return { data: JSON.parse(cleanedContent), format, repairs: [] };
+      } catch (jsonError) {
+        // Fall back to the tolerant reader for LLM-style mistakes
+        const { data, fixes } = repairJson(cleanedContent);
+        return { data, format, repairs: fixes };
+      }
     } else if (format === "yaml") {
-      return parseYaml(cleanedContent);
+      try {
+        return { data: parseYaml(cleanedContent), format, repairs: [] };
+      } catch (yamlError) {
+        // JSON wrapped in prose is detected as YAML - try to recover it
+        if (!/^\s*\{/m.test(cleanedContent)) throw yamlError;
+        try {
+          const { data, fixes } = repairJson(cleanedContent);
+          if (typeof data !== "object" || data === null || Array.isArray(data)) throw yamlError;
+          return { data, format: "json", repairs: fixes };
+        } catch (repairError) {
+          throw yamlError;
+        }
+      }
     } else {
       throw new Error(`Unsupported format: ${format}`);
     }
@@ -242,17 +85,299 @@ const parseTrackerData = (content, format = null) => {
   }
 };
 
+// Universal parser that can handle both JSON and YAML
+const parseTrackerData = (content, format = null) =>
+  parseTrackerDataWithReport(content, format).data;
+
+// Function to serialize tracker data (without code fences) in the specified format
+const serializeTrackerData = (data, format) => {
+  if (format === "json") {
+    return JSON.stringify(data, null, 2);
+  } else if (format === "yaml") {
+    return convertJsonToYaml(data).replace(/\n$/, "");
+  }
+  throw new Error(`Unsupported format: ${format}`);
+};
+
+// --- FENCE TOKENIZER ---
+// Tracker blocks are found by markdown fence rules rather than by regex: a fence opens a line
+// (indented by at most 3 spaces) with 3 or more backticks or tildes and an info string whose
+// first word is the identifier, and it is closed by a line of the same character, at least as
+// long. Any other code block is skipped whole, so fences inside it are not mistaken for
+// tracker blocks, and a block can hold ``` lines when its own fence is longer.
+//
+// With the tag syntax a block is written as <sim>...</sim> instead. Tags are looked for outside
+// code blocks only, and a fenced code block right inside the tags is part of the tag block.
+// Which syntaxes are read and written is the Tracker Syntax setting, mirrored here by
+// setTrackerSyntax so that every reader follows it without being handed the settings.
+
+// Hidden wrapper the extension puts around blocks when Hide Sim Blocks is on
+const HIDDEN_WRAPPER_OPEN = '<div style="display: none;">';
+const HIDDEN_WRAPPER_CLOSE = "</div>";
+
+const FENCE_OPEN_RE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const FENCE_CLOSE_RE = /^ {0,3}(`{3,}|~{3,})[ \t]*$/;
+// Older versions found blocks with a regex, which also took a tracker fence opened at the end of
+// a line of prose, or closed at the end of the last data line. These are only tried where the
+// fence rules find no tracker block
+const LEGACY_FENCE_OPEN_RE = /(`{3,}|~{3,})([^`~\s]+)[ \t]*$/;
+const LEGACY_FENCE_CLOSE_RE = /(`{3,}|~{3,})[ \t]*$/;
+
+// "fence" reads and writes ```sim blocks, "tag" <sim> blocks, "both" reads both and writes fences
+const TRACKER_SYNTAXES = ["fence", "tag", "both"];
+let trackerSyntax = "fence";
+
+/**
+ * Set the syntax tracker blocks are read and written with
+ * @param {string} syntax - "fence", "tag" or "both"; anything else means "fence"
+ */
+const setTrackerSyntax = (syntax) => {
+  trackerSyntax = TRACKER_SYNTAXES.includes(syntax) ? syntax : "fence";
+};
+
+const getTrackerSyntax = () => trackerSyntax;
+
+/**
+ * Split text into lines, remembering where each starts. A carriage return is not part of a line.
+ */
+const splitLines = (text) => {
+  const lines = [];
+  let start = 0;
+  while (start <= text.length) {
+    const newline = text.indexOf("\n", start);
+    const end = newline === -1 ? text.length : newline;
+    const line = text.slice(start, end).replace(/\r$/, "");
+    lines.push({ text: line, start, end: start + line.length });
+    if (newline === -1) break;
+    start = newline + 1;
+  }
+  return lines;
+};
+
+// A line without the hidden wrapper older versions put on the same line as a fence
+const stripHiddenWrapperClose = (line) => {
+  const trimmed = line.trimEnd();
+  return trimmed.endsWith(HIDDEN_WRAPPER_CLOSE) ? trimmed.slice(0, -HIDDEN_WRAPPER_CLOSE.length) : line;
+};
+
+/**
+ * Find where a fence opened on line `from` closes
+ * @returns {{line: number, contentEnd: number, end: number}|null} The closing line, where the
+ *   content ends and where the fence ends; null when it isn't closed
+ */
+const findFenceClose = (lines, from, fence, { legacy = false } = {}) => {
+  for (let j = from + 1; j < lines.length; j++) {
+    const candidate = stripHiddenWrapperClose(lines[j].text);
+    const match = candidate.match(FENCE_CLOSE_RE);
+    if (match && match[1][0] === fence[0] && match[1].length >= fence.length) {
+      const contentEnd = from + 1 < j ? lines[j - 1].end : lines[j].start;
+      return { line: j, contentEnd, end: lines[j].start + candidate.length };
+    }
+  }
+  if (!legacy) return null;
+  // The fence at the end of a data line: {"a": 1}```
+  for (let j = from + 1; j < lines.length; j++) {
+    const candidate = stripHiddenWrapperClose(lines[j].text);
+    const match = candidate.match(LEGACY_FENCE_CLOSE_RE);
+    if (match && match[1][0] === fence[0] && match[1].length >= fence.length) {
+      const at = lines[j].start + match.index;
+      return { line: j, contentEnd: at, end: at + match[1].length };
+    }
+  }
+  return null;
+};
+
+/**
+ * Scan a text for fenced code blocks
+ * @returns {{blocks: Array, codeRanges: Array<[number, number]>}} The tracker blocks among them,
+ *   and where every code block is, an unclosed one running to the end of the text. Blocks only
+ *   found by the legacy shapes have `legacy: true`
+ */
+const scanFences = (text, identifiers) => {
+  const lines = splitLines(text);
+  const blocks = [];
+  const codeRanges = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    // Older versions put the wrapper and the fence on one line
+    let line = lines[i].text;
+    let offset = lines[i].start;
+    if (line.startsWith(HIDDEN_WRAPPER_OPEN)) {
+      offset += HIDDEN_WRAPPER_OPEN.length;
+      line = line.slice(HIDDEN_WRAPPER_OPEN.length);
+    }
+    let open = line.match(FENCE_OPEN_RE);
+    // A backtick fence's info string can't contain backticks
+    if (open && open[1][0] === "`" && open[2].includes("`")) open = null;
+    let start = open ? offset + line.indexOf(open[1]) : -1;
+    let legacyOpen = false;
+    if (!open) {
+      // A tracker fence at the end of a line of prose: Hello.```sim
+      const inline = line.match(LEGACY_FENCE_OPEN_RE);
+      if (!inline || !identifiers.includes(inline[2]) || !line.slice(0, inline.index).trim()) continue;
+      open = inline;
+      start = offset + inline.index;
+      legacyOpen = true;
+    }
+
+    const fence = open[1];
+    const language = open[2].trim().split(/\s+/)[0];
+    const isTracker = identifiers.includes(language);
+    let close = findFenceClose(lines, i, fence);
+    let legacy = legacyOpen;
+    if (!close && isTracker) {
+      close = findFenceClose(lines, i, fence, { legacy: true });
+      legacy = true;
+    }
+    // An unclosed fence runs to the end of the text, so nothing after it is a block
+    if (!close) {
+      codeRanges.push([legacyOpen ? start : lines[i].start, text.length]);
+      break;
+    }
+    codeRanges.push([legacyOpen ? start : lines[i].start, lines[close.line].end]);
+
+    if (isTracker) {
+      const content = i + 1 < close.line || close.contentEnd > lines[close.line].start
+        ? text.slice(lines[i + 1].start, close.contentEnd)
+        : "";
+      const block = { identifier: language, syntax: "fence", fence, content, start, end: close.end };
+      blocks.push(legacy ? { ...block, legacy } : block);
+    }
+    i = close.line;
+  }
+  return { blocks, codeRanges };
+};
+
+// Content of a tag block: without the line breaks next to the tags, and without a code fence
+// the model put around the data
+const unwrapTagContent = (raw) => {
+  const content = raw.replace(/^[ \t]*\r?\n/, "").replace(/\r?\n[ \t]*$/, "");
+  const fenced = content.match(/^\s*(`{3,}|~{3,})[^\n`]*\r?\n([\s\S]*?)\r?\n {0,3}\1[ \t]*\s*$/);
+  return fenced ? fenced[2] : content;
+};
+
+/**
+ * Find <identifier>...</identifier> tag blocks outside the code blocks of a text
+ */
+const scanTags = (text, identifiers, codeRanges) => {
+  const inCode = (index) => codeRanges.some(([from, to]) => index >= from && index < to);
+  const indexOutsideCode = (needle, from) => {
+    let at = text.indexOf(needle, from);
+    while (at !== -1 && inCode(at)) at = text.indexOf(needle, at + 1);
+    return at;
+  };
+
+  const blocks = [];
+  identifiers.forEach((identifier) => {
+    const openTag = `<${identifier}>`;
+    const closeTag = `</${identifier}>`;
+    let open = indexOutsideCode(openTag, 0);
+    while (open !== -1) {
+      const close = indexOutsideCode(closeTag, open + openTag.length);
+      if (close === -1) break;
+      blocks.push({
+        identifier,
+        syntax: "tag",
+        fence: "",
+        content: unwrapTagContent(text.slice(open + openTag.length, close)),
+        start: open,
+        end: close + closeTag.length,
+      });
+      open = indexOutsideCode(openTag, close + closeTag.length);
+    }
+  });
+  return blocks;
+};
+
+/**
+ * Find the tracker blocks of a text whose identifier is one of the given ones: closed fenced
+ * code blocks with that language, <identifier> tag blocks, or both, as the syntax says.
+ * Blocks written by older versions with the hidden wrapper on the same line as the fences
+ * (<div style="display: none;">```sim ... ```</div>) are found too, and so are fences opened after
+ * prose or closed after data on the same line, which get `legacy: true`.
+ * @param {string} text - Message text
+ * @param {string|string[]} identifier - Code block identifier, or several
+ * @param {Object} [options]
+ * @param {string} [options.syntax] - "fence", "tag" or "both"; defaults to the Tracker Syntax setting
+ * @returns {Array<{identifier: string, syntax: string, fence: string, content: string, start: number,
+ *   end: number, outerStart: number, outerEnd: number, wrapped: boolean}>} In order. start/end span
+ *   the fences or tags; outerStart/outerEnd also span the hidden wrapper when there is one.
+ *   fence is "" for tag blocks
+ */
+const findTrackerFences = (text, identifier, { syntax = trackerSyntax } = {}) => {
+  if (typeof text !== "string" || !text) return [];
+  const identifiers = [].concat(identifier).filter(Boolean).map(String);
+  const { blocks: fenced, codeRanges } = scanFences(text, identifiers);
+  const tags = syntax === "fence" ? [] : scanTags(text, identifiers, codeRanges);
+  // A fenced tracker block inside a tag block belongs to the tag block
+  const fences = syntax === "tag" ? [] : fenced.filter((block) => !tags.some((tag) => block.start > tag.start && block.end < tag.end));
+
+  return [...fences, ...tags]
+    .sort((a, b) => a.start - b.start)
+    .map((block) => {
+      // The hidden wrapper counts when it both opens right before and closes right after the block
+      const before = text.slice(0, block.start).match(/<div style="display: none;">\s*$/);
+      const after = text.slice(block.end).match(/^\s*<\/div>/);
+      const wrapped = Boolean(before && after);
+      return {
+        ...block,
+        outerStart: wrapped ? block.start - before[0].length : block.start,
+        outerEnd: wrapped ? block.end + after[0].length : block.end,
+        wrapped,
+      };
+    });
+};
+
+/**
+ * Replace the tracker blocks of a text, hidden wrapper included
+ * @param {string} text - Message text
+ * @param {string|string[]} identifier - Code block identifier, or several
+ * @param {Function} replacer - Called with each block (see findTrackerFences) and its source
+ *   text; returns the replacement, "" to remove the block
+ * @param {Object} [options] - As for findTrackerFences
+ * @returns {string}
+ */
+const replaceTrackerFences = (text, identifier, replacer, options) => {
+  const blocks = findTrackerFences(text, identifier, options);
+  if (!blocks.length) return text;
+  let result = "";
+  let position = 0;
+  blocks.forEach((block) => {
+    result += text.slice(position, block.outerStart) + replacer(block, text.slice(block.outerStart, block.outerEnd));
+    position = block.outerEnd;
+  });
+  return result + text.slice(position);
+};
+
+/**
+ * Put content in a tracker fence, longer than any fence inside the content
+ * @param {string} content - Block content
+ * @param {string} identifier - Code block identifier
+ * @param {string} [fenceChar="`"] - Fence character
+ * @returns {string}
+ */
+const wrapTrackerFence = (content, identifier, fenceChar = "`") => {
+  const runs = String(content).match(new RegExp(`^ {0,3}\\${fenceChar}{3,}`, "gm")) || [];
+  const longest = Math.max(2, ...runs.map((run) => run.trim().length));
+  const fence = fenceChar.repeat(longest + 1);
+  return `${fence}${identifier}\n${content}\n${fence}`;
+};
+
+/**
+ * Write content as a tracker block: in tags with the tag syntax, in a fence otherwise
+ * @param {string} content - Block content
+ * @param {string} identifier - Code block identifier
+ * @param {string} [syntax] - "fence", "tag" or "both"; defaults to the Tracker Syntax setting
+ * @returns {string}
+ */
+const wrapTrackerBlock = (content, identifier, syntax = trackerSyntax) =>
+  syntax === "tag" ? `<${identifier}>\n${content}\n</${identifier}>` : wrapTrackerFence(content, identifier);
+
 // Function to generate tracker block in the specified format
-const generateTrackerBlock = (data, format, identifier) => {
+// (in the current syntax unless one is given)
+const generateTrackerBlock = (data, format, identifier, syntax = trackerSyntax) => {
   try {
-    if (format === "json") {
-      return `\`\`\`${identifier}\n${JSON.stringify(data, null, 2)}\n\`\`\``;
-    } else if (format === "yaml") {
-      const yamlContent = convertJsonToYaml(data);
-      return `\`\`\`${identifier}\n${yamlContent}\`\`\``;
-    } else {
-      throw new Error(`Unsupported format: ${format}`);
-    }
+    return wrapTrackerBlock(serializeTrackerData(data, format), identifier, syntax);
   } catch (error) {
     log(`Error generating tracker block: ${error.message}`);
     throw error;
@@ -281,6 +406,15 @@ export {
   convertValueToYaml,
   cleanupPlusSignsInContent,
   parseTrackerData,
+  parseTrackerDataWithReport,
+  serializeTrackerData,
   generateTrackerBlock,
-  convertTrackerFormat
+  convertTrackerFormat,
+  TRACKER_SYNTAXES,
+  setTrackerSyntax,
+  getTrackerSyntax,
+  findTrackerFences,
+  replaceTrackerFences,
+  wrapTrackerFence,
+  wrapTrackerBlock
 };
@@ -0,0 +1,285 @@
+// history.js - Stat history built from every tracker block in the chat
+import { getContext } from "../../../extensions.js";
+import { getTrackerEntry } from "./stateStore.js";
+import { getKnownIdentifiers } from "./patches.js";
+import { inferFieldType, readFieldValue, coerceValue } from "./validation.js";
+import { applyComputedFields } from "./computedFields.js";
+import { escapeHtml } from "./helpers.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+const HISTORY_MODAL_ID = "sst-history-modal";
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+/**
+ * Story timestamp of a tracker state, from worldData.current_date (YYYY-MM-DD)
+ * and current_time (HH:MM)
+ * @returns {number|null} Milliseconds, or null when the date can't be read
+ */
+const getStoryTimestamp = (worldData = {}) => {
+  const date = String(worldData.current_date || "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+  const time = String(worldData.current_time || "").trim();
+  const timestamp = Date.parse(`${date}T${/^\d{1,2}:\d{2}$/.test(time) ? time.padStart(5, "0") : "00:00"}:00Z`);
+  return Number.isNaN(timestamp) ? null : timestamp;
+};
+
+/**
+ * Collect the value of every numeric custom field, per character, from each tracker block
+ * @param {Array} chat - Chat messages
+ * @param {string|string[]} identifier - Code block identifier, or every known one
+ * @param {Array} customFields - Field definitions from settings
+ * @param {Object} [options]
+ * @param {number} [options.upTo] - Last message index to include
+ * @returns {{points: Array<{mesId: number, date: string, time: string, timestamp: number|null}>,
+ *   characters: Object<string, Object<string, Array<{mesId: number, timestamp: number|null, value: number}>>>}}
+ *   One point per message with readable tracker data; per character, one series per field key
+ */
+const buildTrackerHistory = (chat, identifier, customFields, { upTo = Infinity } = {}) => {
+  const history = { points: [], characters: {} };
+  if (!Array.isArray(chat)) return history;
+
+  // Untyped fields are charted whenever their values are numbers
+  const fields = (customFields || []).filter((field) => {
+    if (!field.key) return false;
+    const type = inferFieldType(field);
+    return type === "number" || type === "any";
+  });
+
+  const last = Math.min(upTo, chat.length - 1);
+  for (let mesId = 0; mesId <= last; mesId++) {
+    const entry = getTrackerEntry(chat, mesId, identifier);
+    if (!entry || !entry.state) continue;
+
+    const { worldData, characters } = applyComputedFields(entry.state, customFields).data;
+    const timestamp = getStoryTimestamp(worldData);
+    history.points.push({
+      mesId,
+      date: worldData.current_date || "",
+      time: worldData.current_time || "",
+      timestamp,
+    });
+
+    characters.forEach((character) => {
+      if (character.name === undefined || character.name === null) return;
+      const series = (history.characters[character.name] = history.characters[character.name] || {});
+      fields.forEach((field) => {
+        const { found, value } = readFieldValue(character, field.key);
+        if (!found) return;
+        // Stored states are unvalidated, so numeric strings still count
+        const result = coerceValue(value, "number");
+        if (!result.ok || !isNumber(result.value)) return;
+        (series[field.key] = series[field.key] || []).push({ mesId, timestamp, value: result.value });
+      });
+    });
+  }
+
+  return history;
+};
+
+/**
+ * Values of one character's history for templates, keyed like the fields
+ * (dotted keys become nested objects, e.g. history.stats.hp.current)
+ * @returns {Object} Arrays of numbers, oldest first
+ */
+const getCharacterHistoryValues = (history, name) => {
+  const values = {};
+  Object.entries(history.characters[name] || {}).forEach(([key, series]) => {
+    const parts = key.split(".");
+    let current = values;
+    parts.slice(0, -1).forEach((part) => {
+      if (current[part] === null || typeof current[part] !== "object" || Array.isArray(current[part])) current[part] = {};
+      current = current[part];
+    });
+    current[parts[parts.length - 1]] = series.map((point) => point.value);
+  });
+  return values;
+};
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Small inline SVG trend line
+ * @param {number[]} values - Values, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.width=80]
+ * @param {number} [options.height=20]
+ * @param {string} [options.color="currentColor"]
+ * @param {number} [options.min] - Lower bound of the y axis (defaults to the smallest value)
+ * @param {number} [options.max] - Upper bound of the y axis (defaults to the largest value)
+ * @returns {string} SVG markup, or an empty string when there are no values
+ */
+const renderSparklineSvg = (values, { width = 80, height = 20, color = "currentColor", min, max } = {}) => {
+  const numbers = (values || []).filter(isNumber);
+  if (!numbers.length) return "";
+
+  const low = isNumber(min) ? min : Math.min(...numbers);
+  const high = isNumber(max) ? max : Math.max(...numbers);
+  const pad = 2;
+  const step = numbers.length > 1 ? (width - pad * 2) / (numbers.length - 1) : 0;
+  const coordinates = numbers.map((value, index) => {
+    const x = numbers.length > 1 ? pad + index * step : width / 2;
+    // A flat series is drawn through the middle
+    const ratio = high === low ? 0.5 : (Math.min(high, Math.max(low, value)) - low) / (high - low);
+    const y = pad + (1 - ratio) * (height - pad * 2);
+    return [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+  });
+  const [lastX, lastY] = coordinates[coordinates.length - 1];
+
+  return (
+    `<svg class="sst-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">` +
+    `<title>${escapeHtml(numbers.map(formatNumber).join(" → "))}</title>` +
+    `<polyline fill="none" stroke="${escapeHtml(String(color))}" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round" points="${coordinates.map((point) => point.join(",")).join(" ")}"/>` +
+    `<circle cx="${lastX}" cy="${lastY}" r="2" fill="${escapeHtml(String(color))}"/>` +
+    `</svg>`
+  );
+};
+
+const formatStoryTime = (point) => [point.date, point.time].filter(Boolean).join(" ");
+
+/**
+ * Line chart of one field for the history view
+ * @param {Array<{mesId: number, timestamp: number|null, value: number}>} series
+ * @param {Object} pointsByMessage - History points keyed by message index (for tooltips)
+ * @param {"message"|"date"} axis - What the x axis shows
+ * @returns {string} SVG markup
+ */
+const renderHistoryChartSvg = (series, pointsByMessage, axis) => {
+  const width = 560;
+  const height = 150;
+  const margin = { top: 10, right: 12, bottom: 22, left: 40 };
+  const plotted = axis === "date" ? series.filter((point) => point.timestamp !== null) : series;
+  if (!plotted.length) {
+    return `<div class="sst-history-empty">No story dates recorded for this field.</div>`;
+  }
+
+  const xOf = (point) => (axis === "date" ? point.timestamp : point.mesId);
+  const xs = plotted.map(xOf);
+  const ys = plotted.map((point) => point.value);
+  const [xMin, xMax] = [Math.min(...xs), Math.max(...xs)];
+  const [yMin, yMax] = [Math.min(...ys), Math.max(...ys)];
+  const scaleX = (x) => margin.left + (xMax === xMin ? 0.5 : (x - xMin) / (xMax - xMin)) * (width - margin.left - margin.right);
+  const scaleY = (y) => margin.top + (yMax === yMin ? 0.5 : 1 - (y - yMin) / (yMax - yMin)) * (height - margin.top - margin.bottom);
+  const formatX = (x) => (axis === "date" ? new Date(x).toISOString().slice(0, 10) : `#${x}`);
+
+  const line = plotted.map((point) => `${scaleX(xOf(point)).toFixed(1)},${scaleY(point.value).toFixed(1)}`).join(" ");
+  const dots = plotted
+    .map((point) => {
+      const storyTime = formatStoryTime(pointsByMessage[point.mesId] || {});
+      const label = `Message #${point.mesId}${storyTime ? ` · ${storyTime}` : ""}: ${formatNumber(point.value)}`;
+      return `<circle cx="${scaleX(xOf(point)).toFixed(1)}" cy="${scaleY(point.value).toFixed(1)}" r="3"><title>${escapeHtml(label)}</title></circle>`;
+    })
+    .join("");
+
+  return (
+    `<svg class="sst-history-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid meet">` +
+    `<line class="sst-history-axis" x1="${margin.left}" y1="${height - margin.bottom}" x2="${width - margin.right}" y2="${height - margin.bottom}"/>` +
+    `<line class="sst-history-axis" x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${height - margin.bottom}"/>` +
+    `<text class="sst-history-label" x="${margin.left - 6}" y="${margin.top + 4}" text-anchor="end">${formatNumber(yMax)}</text>` +
+    `<text class="sst-history-label" x="${margin.left - 6}" y="${height - margin.bottom}" text-anchor="end">${formatNumber(yMin)}</text>` +
+    `<text class="sst-history-label" x="${margin.left}" y="${height - 6}">${escapeHtml(formatX(xMin))}</text>` +
+    `<text class="sst-history-label" x="${width - margin.right}" y="${height - 6}" text-anchor="end">${escapeHtml(formatX(xMax))}</text>` +
+    `<polyline class="sst-history-line" points="${line}"/>` +
+    `<g class="sst-history-points">${dots}</g>` +
+    `</svg>`
+  );
+};
+
+/**
+ * Open the history view for the current chat
+ * @param {Function} get_settings - Settings getter
+ * @param {Object} [options]
+ * @param {string} [options.character] - Character to show first
+ * @returns {boolean} False when the chat has no tracker data to show
+ */
+const showHistoryModal = (get_settings, { character = "" } = {}) => {
+  const context = getContext();
+  const customFields = get_settings("customFields") || [];
+  const history = buildTrackerHistory(context.chat, getKnownIdentifiers(get_settings), customFields);
+  const names = Object.keys(history.characters).filter((name) => Object.keys(history.characters[name]).length);
+
+  if (!names.length) {
+    toastr.info("No numeric tracker data found in this chat.");
+    return false;
+  }
+
+  const descriptions = Object.fromEntries(customFields.map((field) => [field.key, field.description || ""]));
+  const pointsByMessage = Object.fromEntries(history.points.map((point) => [point.mesId, point]));
+  const selected = names.find((name) => name.toLowerCase() === String(character).trim().toLowerCase()) || names[0];
+
+  $(`#${HISTORY_MODAL_ID}`).remove();
+
+  const modalHtml = `
+            <dialog id="${HISTORY_MODAL_ID}" class="popup wide_dialogue_popup large_dialogue_popup vertical_scrolling_dialogue_popup popup--animation-fast">
+                <div class="sst-modal-header">
+                    <h3 class="sst-modal-title">Stat History</h3>
+                    <button class="sst-modal-close" data-sst-history-close>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg>
+                    </button>
+                </div>
+                <div class="sst-modal-body">
+                    <div class="sst-history-controls">
+                        <select class="sst-select" data-sst-history-character>
+                            ${names.map((name) => `<option value="${escapeHtml(name)}"${name === selected ? " selected" : ""}>${escapeHtml(name)}</option>`).join("")}
+                        </select>
+                        <select class="sst-select" data-sst-history-axis>
+                            <option value="message">By message</option>
+                            <option value="date">By story date</option>
+                        </select>
+                    </div>
+                    <div class="sst-history-charts"></div>
+                </div>
+            </dialog>
+        `;
+
+  $("body").append(modalHtml);
+  const $modal = $(`#${HISTORY_MODAL_ID}`);
+
+  const renderCharts = () => {
+    const name = $modal.find("[data-sst-history-character]").val();
+    const axis = $modal.find("[data-sst-history-axis]").val();
+    const series = history.characters[name] || {};
+    const chartsHtml = Object.entries(series)
+      .map(([key, points]) => {
+        const first = points[0].value;
+        const lastValue = points[points.length - 1].value;
+        const delta = lastValue - first;
+        return `
+                    <div class="sst-history-field">
+                        <div class="sst-history-field-header">
+                            <span class="sst-history-field-name">${escapeHtml(key)}</span>
+                            <span class="sst-history-field-desc">${escapeHtml(descriptions[key] || "")}</span>
+                            <span class="sst-history-field-summary">${formatNumber(first)} → ${formatNumber(lastValue)} (${delta > 0 ? "+" : ""}${formatNumber(delta)})</span>
+                        </div>
+                        ${renderHistoryChartSvg(points, pointsByMessage, axis)}
+                    </div>`;
+      })
+      .join("");
+    $modal.find(".sst-history-charts").html(chartsHtml);
+  };
+
+  $modal.find("[data-sst-history-character], [data-sst-history-axis]").on("change", renderCharts);
+  $modal.find("[data-sst-history-close]").on("click", () => $modal.remove());
+  $modal.on("keydown", (e) => {
+    if (e.key === "Escape") $modal.remove();
+  });
+  $modal.on("click", function (e) {
+    if (e.target === this) $modal.remove();
+  });
+
+  renderCharts();
+  $modal[0].showModal();
+  log(`Opened stat history (${history.points.length} tracker blocks, ${names.length} characters)`);
+  return true;
+};
+
+export {
+  getStoryTimestamp,
+  buildTrackerHistory,
+  getCharacterHistoryValues,
+  renderSparklineSvg,
+  renderHistoryChartSvg,
+  showHistoryModal,
+};
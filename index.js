@@ -7,7 +7,7 @@ import {
 import { MacrosParser } from "../../../macros.js";
 import { SlashCommand } from "../../../slash-commands/SlashCommand.js";
 import { SlashCommandParser } from "../../../slash-commands/SlashCommandParser.js";
-import { SlashCommandArgument, ARGUMENT_TYPE } from "../../../slash-commands/SlashCommandArgument.js";
+import { SlashCommandArgument, SlashCommandNamedArgument, ARGUMENT_TYPE } from "../../../slash-commands/SlashCommandArgument.js";
 
 // Import helper utilities
 import {
@@ -28,6 +28,8 @@ import {
   closestMessageWrapper,
   getMessageIdFromElement,
   findCodeBlocksByIdentifier,
+  getTrackerTagSelector,
+  findTrackerTagElements,
 } from "./domBridge.js";
 
 // Import from our new modules
@@ -35,6 +37,7 @@ import {
   renderTracker,
   renderTrackerWithoutSim,
   refreshAllCards,
+  renderTrackerTypes,
   updateLeftSidebar,
   updateRightSidebar,
   removeGlobalSidebars,
@@ -92,13 +95,101 @@ import {
   getInactiveReasonEmoji,
   updateLastSimStatsOnRegenerateOrSwipe,
   filterSimBlocksInPrompt,
-  migrateAllSimData
+  filterSimBlocksByTokenBudget,
+  stripAllSimBlocks,
+  migrateAllSimData,
+  expandAllTrackerPatches,
+  convertAllTrackerSyntax
 } from "./utils.js";
 
+import {
+  replaceTrackerFences,
+  wrapTrackerBlock,
+  getTrackerSyntax
+} from "./formatUtils.js";
+
+import {
+  getAdditionalTrackerTypes,
+  getTrackerTypes,
+  getAllTrackerIdentifiers,
+  getTrackerTypeSettings,
+  loadTrackerTypeTemplates
+} from "./trackerTypes.js";
+
 import {
   generateTrackerWithSecondaryLLM
 } from "./secondaryLLM.js";
 
+import {
+  getFieldExampleLiteral,
+  getFieldPromptComment
+} from "./fieldConstraints.js";
+
+import {
+  getPatchFormatInstructions,
+  getKnownIdentifiers
+} from "./patches.js";
+
+import {
+  hasTrackerBlock,
+  findLatestTrackerMessage,
+  expandPatchContent,
+  invalidateTrackerState
+} from "./stateStore.js";
+
+import {
+  showHistoryModal
+} from "./history.js";
+
+import {
+  syncTrackerVariables
+} from "./variableSync.js";
+
+import {
+  applyTrackerRules,
+  takePendingRuleNotes
+} from "./rules.js";
+
+import {
+  showTrackerEditor,
+  showInlineFieldEditor,
+  readLatestTrackerValue,
+  updateLatestTrackerValue,
+  lockTrackerValue,
+  rewriteLockedValues
+} from "./cardEditor.js";
+
+import {
+  enforceTrackerPlausibility
+} from "./plausibility.js";
+
+import {
+  buildTrackerSummaries
+} from "./trackerSummary.js";
+
+import {
+  updateStateInjection
+} from "./stateInjection.js";
+
+import {
+  reidentifyTrackerBlocks,
+  showReidentifyPrompt
+} from "./reidentify.js";
+
+import {
+  getPendingTrackerReview,
+  holdTrackerBlock,
+  proposeTrackerUpdate,
+  findPendingTrackerReview,
+  showTrackerReview
+} from "./trackerReview.js";
+
+import {
+  getFieldLocks,
+  removeFieldLock,
+  describeFieldLocks
+} from "./fieldLocks.js";
+
 const MODULE_NAME = "silly-sim-tracker";
 
 let lastSimJsonString = "";
@@ -135,70 +226,45 @@ globalThis.simTrackerGenInterceptor = async function (
   // This ensures we don't clutter the context with old tracker data
   // Only keep the most recent N blocks as configured
   const retainCount = parseInt(get_settings("retainTrackerCount")) || 3;
-  const knownIdentifiers = get_settings("knownIdentifiers") || ["sim"];
-  
-  // Also include the current identifier if it's not in the list
-  const currentIdentifier = get_settings("codeBlockIdentifier");
-  if (currentIdentifier && !knownIdentifiers.includes(currentIdentifier)) {
-    knownIdentifiers.push(currentIdentifier);
-  }
-
-  // Find the cutoff point (Nth last assistant message) based on retainTrackerCount
-  let cutoffIndex = 0;
-  let assistantCount = 0;
-  
-  // Scan backwards to find the Nth assistant message
-  for (let i = clonedChat.length - 1; i >= 0; i--) {
-    const msg = clonedChat[i];
-    if (!msg.mes) continue;
-    
-    // Only count assistant messages
-    if (!msg.is_user && !msg.is_system) {
-      assistantCount++;
-      if (assistantCount >= retainCount) {
-        cutoffIndex = i;
-        break;
-      }
-    }
-  }
-  
-  // If we found enough assistant messages, strip trackers from all messages older than the cutoff
-  // If we didn't reach the limit (cutoffIndex is 0), we don't need to clean anything before it
-  if (cutoffIndex > 0) {
-    log(`Cleaning up tracker blocks older than message ${cutoffIndex} (retaining last ${retainCount} assistant messages)`);
-    
-    // Iterate through all messages older than the cutoff
-    for (let i = 0; i < cutoffIndex; i++) {
-      const msg = clonedChat[i];
-      if (!msg.mes) continue;
-      
-      let content = msg.mes;
-      let modified = false;
-      
-      // Remove all known tracker blocks from this message
-      knownIdentifiers.forEach(id => {
-        // Regex to match code blocks with this identifier
-        const regex = new RegExp("```" + id + "[\\s\\S]*?```", "g");
-        
-        if (regex.test(content)) {
-          content = content.replace(regex, "");
-          modified = true;
-        }
-        
-        // Also clean up any wrapper divs if present (for hidden blocks)
-        // We handle this by checking for the div wrapper pattern that might remain
-        const divRegex = /<div style="display: none;">\s*\n?\s*<\/div>/g;
-        if (divRegex.test(content)) {
-            content = content.replace(divRegex, "");
-            modified = true;
-        }
+  // The current identifier and the ones used before it
+  const knownIdentifiers = getKnownIdentifiers(get_settings);
+
+  // In token budget mode, the blocks that fit the budget are kept instead of a fixed number
+  const retainByTokens = get_settings("trackerRetentionMode") === "tokens";
+
+  // Summary lines that replace stripped blocks, built while every block is still there
+  const summaries = get_settings("summarizeStrippedTrackers") ? buildTrackerSummaries(clonedChat, get_settings) : null;
+
+  // With state injection, every block is stripped and only the latest state goes into the prompt,
+  // as an extension prompt (cleared here when the mode is off)
+  const injectState = updateStateInjection(clonedChat, get_settings);
+
+  // Keep the latest retainTrackerCount blocks of each tracker type and strip the older ones.
+  // Each type is counted on its own, so a type written only now and then keeps its last blocks
+  // however many messages ago they were.
+  if (!injectState && !retainByTokens) {
+    for (const trackerType of getTrackerTypes(get_settings)) {
+      const blockIndexes = [];
+      clonedChat.forEach((msg, i) => {
+        if (hasTrackerBlock(msg, trackerType.identifiers)) blockIndexes.push(i);
       });
-      
-      if (modified) {
+      if (blockIndexes.length <= retainCount) continue;
+
+      const strippedIndexes = blockIndexes.slice(0, blockIndexes.length - retainCount);
+      log(`Cleaning up ${strippedIndexes.length} ${trackerType.name} tracker blocks (retaining the last ${retainCount})`);
+
+      strippedIndexes.forEach((i) => {
+        // Remove the blocks of this type from the message, hidden-div wrappers included
+        let content = replaceTrackerFences(clonedChat[i].mes, trackerType.identifiers, () => "");
+
         // Clean up empty lines that might be left
         content = content.replace(/\n\s*\n\s*\n/g, "\n\n").trim();
+        // Summaries only cover the main tracker
+        if (trackerType.isMain && summaries && summaries.has(i)) {
+          content = content ? `${content}\n\n${summaries.get(i)}` : summaries.get(i);
+        }
         clonedChat[i].mes = content;
-      }
+      });
     }
   }
 
@@ -206,7 +272,46 @@ globalThis.simTrackerGenInterceptor = async function (
   // This is a separate setting from Retain N Trackers - Max Sim Blocks is specifically for prompt engineering
   // whereas Retain N Trackers is for context management
   // However, since we just removed old trackers, filterSimBlocksInPrompt will have less work to do
-  filterSimBlocksInPrompt(clonedChat, get_settings);
+  if (injectState) {
+    stripAllSimBlocks(clonedChat, get_settings, knownIdentifiers, summaries);
+  } else if (retainByTokens) {
+    await filterSimBlocksByTokenBudget(clonedChat, get_settings, knownIdentifiers, summaries);
+  } else {
+    filterSimBlocksInPrompt(clonedChat, get_settings, summaries);
+  }
+
+  // Additional tracker types keep their blocks by the same limits, each type counted on its own.
+  // Summaries and state injection only cover the main tracker.
+  for (const trackerType of getAdditionalTrackerTypes(get_settings)) {
+    const typeSettings = getTrackerTypeSettings(get_settings, trackerType);
+    if (retainByTokens) {
+      await filterSimBlocksByTokenBudget(clonedChat, typeSettings, [trackerType.identifier]);
+    } else {
+      filterSimBlocksInPrompt(clonedChat, typeSettings);
+    }
+  }
+
+  // One-shot author's notes queued by fired rules go into the next real generation only;
+  // the list of locked values goes into every generation while there are locks.
+  // When continuing, the notes go before the message being continued.
+  if (get_settings("isEnabled")) {
+    const notes = type === "quiet" ? [] : takePendingRuleNotes();
+    const lockNote = describeFieldLocks(getFieldLocks());
+    if (lockNote) notes.push(lockNote);
+    if (notes.length) {
+      log(`Injecting ${notes.length} tracker notes into the prompt`);
+      const note = {
+        name: "System",
+        is_user: false,
+        is_system: false,
+        mes: notes.join("\n"),
+        send_date: Date.now(),
+        extra: { type: "narrator" },
+      };
+      const position = type === "continue" ? Math.max(0, clonedChat.length - 1) : clonedChat.length;
+      clonedChat.splice(position, 0, note);
+    }
+  }
 
   // Return the modified clone - SillyTavern will use this for prompt building
   // The original chat array remains unchanged in the chat history
@@ -224,8 +329,10 @@ jQuery(async () => {
     // Create wrapper functions that pass the required dependencies
     const wrappedLoadTemplate = () => loadTemplate(get_settings, set_settings);
     const wrappedRefreshAllCards = () => refreshAllCards(get_settings, CONTAINER_ID, 
-      (mesId) => renderTrackerWithoutSim(mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor, lastSimJsonString));
+      (mesId) => renderTrackerWithoutSim(mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor),
+      (mesId) => renderTrackerTypes(mesId, get_settings, getReactionEmoji, darkenColor));
     const wrappedMigrateAllSimData = () => migrateAllSimData(get_settings);
+    const wrappedExpandAllTrackerPatches = () => expandAllTrackerPatches(get_settings);
     const wrappedHandleCustomTemplateUpload = (event) => handleCustomTemplateUpload(event, set_settings, wrappedLoadTemplate, wrappedRefreshAllCards);
     const wrappedHandlePresetExport = () => handlePresetExport(wrappedLoadTemplate, wrappedRefreshAllCards);
     const wrappedHandlePresetImport = (event) => handlePresetImport(event, wrappedLoadTemplate, wrappedRefreshAllCards);
@@ -241,6 +348,7 @@ jQuery(async () => {
     log("Settings UI refreshed with saved values.");
     
     await wrappedLoadTemplate();
+    await loadTrackerTypeTemplates(get_settings);
 
     // Initialize viewport change detection for dynamic layout updates
     log("Initializing viewport change detection...");
@@ -255,7 +363,7 @@ jQuery(async () => {
     // persistent and survives React's dangerouslySetInnerHTML updates.
     // Uses data-code-lang attribute added by LumiverseHelper's custom Marked renderer.
     // Always injected (targets .lcs-message-content which only exists in Lumiverse).
-    const updateLumiverseSimBlockCSS = (identifier) => {
+    const updateLumiverseSimBlockCSS = (identifiers) => {
       let style = document.getElementById("sst-lumiverse-hide-sim");
       if (!get_settings("hideSimBlocks")) {
         // Remove the style if hiding is disabled
@@ -267,19 +375,59 @@ jQuery(async () => {
         style.id = "sst-lumiverse-hide-sim";
         document.head.appendChild(style);
       }
-      // Target pre[data-code-lang] set by LumiverseHelper's Marked code renderer
-      style.textContent = `.lcs-message-content pre[data-code-lang="${identifier}"] { display: none !important; }`;
+      // Target pre[data-code-lang] set by LumiverseHelper's Marked code renderer,
+      // and <sim> elements for tag blocks
+      const selectors = [];
+      if (getTrackerSyntax() !== "tag") {
+        selectors.push(...identifiers.map((identifier) => `.lcs-message-content pre[data-code-lang="${identifier}"]`));
+      }
+      if (getTrackerSyntax() !== "fence") {
+        selectors.push(getTrackerTagSelector(identifiers, ".lcs-message-content"));
+      }
+      style.textContent = `${selectors.filter(Boolean).join(", ")} { display: none !important; }`;
     };
 
     // Initial CSS injection (always inject — selector only matches Lumiverse DOM)
-    updateLumiverseSimBlockCSS(get_settings("codeBlockIdentifier"));
+    updateLumiverseSimBlockCSS(getAllTrackerIdentifiers(get_settings));
 
     // Update CSS when identifier or hideSimBlocks settings change
     jQuery("#codeBlockIdentifier").on("change input", () => {
-      updateLumiverseSimBlockCSS(get_settings("codeBlockIdentifier"));
+      updateLumiverseSimBlockCSS(getAllTrackerIdentifiers(get_settings));
     });
     jQuery("#hideSimBlocks").on("change", () => {
-      updateLumiverseSimBlockCSS(get_settings("codeBlockIdentifier"));
+      updateLumiverseSimBlockCSS(getAllTrackerIdentifiers(get_settings));
+    });
+
+    // Blocks of the other syntax are no longer read, so states built from them are dropped
+    jQuery("#trackerSyntax").on("change", () => {
+      updateLumiverseSimBlockCSS(getAllTrackerIdentifiers(get_settings));
+      invalidateTrackerState(getContext().chat);
+      wrappedRefreshAllCards();
+    });
+
+    // Offer to rewrite the blocks of the previous identifier once a new one is entered
+    let previousIdentifier = get_settings("codeBlockIdentifier");
+    jQuery("#codeBlockIdentifier").on("change", () => {
+      const identifier = get_settings("codeBlockIdentifier");
+      const from = previousIdentifier;
+      previousIdentifier = identifier;
+      if (!get_settings("isEnabled") || !identifier || !from || identifier === from) return;
+      showReidentifyPrompt(from, identifier, { onRewritten: () => wrappedRefreshAllCards() });
+    });
+
+    // Re-render cards so validation notices appear or disappear immediately
+    jQuery("#validateTrackerData, #showValidationBadge, #plausibilityMode").on("change", () => {
+      wrappedRefreshAllCards();
+    });
+
+    // Mirror the current state as soon as variable sync is switched on
+    jQuery("#syncChatVariables").on("change", () => {
+      syncChatVariables();
+    });
+
+    // Correct the latest block as soon as rewriting locked values is switched on
+    jQuery("#rewriteLockedFields").on("change", () => {
+      enforceFieldLocks();
     });
 
     const hideSimBlocks = () => {
@@ -288,10 +436,12 @@ jQuery(async () => {
       // In Lumiverse mode, CSS handles hiding — skip DOM manipulation
       if (isLumiverseActive()) return;
 
-      const identifier = get_settings("codeBlockIdentifier");
+      // Blocks of every tracker type
+      const identifiers = getAllTrackerIdentifiers(get_settings);
 
       // Find all code elements with the sim class pattern (supports both ST and Lumiverse)
-      const simCodeElements = findCodeBlocksByIdentifier(identifier);
+      // With the tag syntax, such code blocks are not tracker blocks
+      const simCodeElements = getTrackerSyntax() === "tag" ? [] : findCodeBlocksByIdentifier(identifiers);
 
       simCodeElements.forEach((codeElement) => {
         // Find the parent pre element
@@ -301,12 +451,22 @@ jQuery(async () => {
           pre.style.display = "none";
         }
       });
+
+      // Tag blocks, where the chat keeps them as elements
+      if (getTrackerSyntax() !== "fence") {
+        findTrackerTagElements(identifiers).forEach((element) => {
+          if (element.style.display !== "none") {
+            log(`Hiding sim tag block`);
+            element.style.display = "none";
+          }
+        });
+      }
     };
 
     const observer = new MutationObserver((mutations) => {
       if (!get_settings("isEnabled") || !get_settings("hideSimBlocks")) return;
 
-      const identifier = get_settings("codeBlockIdentifier");
+      const identifiers = getAllTrackerIdentifiers(get_settings);
       const isGenerating = getGenerationInProgress();
       const lumiverseActive = isLumiverseActive();
 
@@ -317,13 +477,15 @@ jQuery(async () => {
       mutations.forEach((mutation) => {
         mutation.addedNodes.forEach((node) => {
           if (node.nodeType !== Node.ELEMENT_NODE) return;
+          // Tag blocks are hidden by the sweep below
+          if (getTrackerSyntax() === "tag") return;
 
           // Check if this node is or contains a code element with sim class
           let codeElements = [];
-          if (node.tagName === "CODE" && node.className.includes(identifier)) {
+          if (node.tagName === "CODE" && identifiers.some((identifier) => node.className.includes(identifier))) {
             codeElements = [node];
           } else {
-            codeElements = Array.from(queryAll(`code[class*="${identifier}"]`, node));
+            codeElements = Array.from(queryAll(identifiers.map((identifier) => `code[class*="${identifier}"]`).join(", "), node));
           }
 
           codeElements.forEach((codeElement) => {
@@ -426,10 +588,11 @@ jQuery(async () => {
     log("Registering macros...");
 
     // Helper function to generate sim_format content (used by both macros and for nested macro replacement)
-    const generateSimFormatContent = () => {
-      const fields = get_settings("customFields") || [];
-      const format = get_settings("trackerFormat") || "json";
-      const identifier = get_settings("codeBlockIdentifier") || "sim";
+    const generateSnapshotFormatContent = (settings = get_settings) => {
+      // Computed fields are filled in by the extension, so the model never writes them
+      const fields = (settings("customFields") || []).filter((field) => field.type !== "computed");
+      const format = settings("trackerFormat") || "json";
+      const identifier = settings("codeBlockIdentifier") || "sim";
 
       // Helper to generate default value for a type
       const getDefaultValue = (type) => {
@@ -508,12 +671,13 @@ jQuery(async () => {
           if (field.type === "array") {
             exampleYaml += generateYamlArrayField(field);
           } else {
-            exampleYaml += `    ${sanitizedKey}: [${sanitizedKey.toUpperCase()}_VALUE]  # ${field.description}\n`;
+            const exampleValue = getFieldExampleLiteral(field, `[${sanitizedKey.toUpperCase()}_VALUE]`);
+            exampleYaml += `    ${sanitizedKey}: ${exampleValue}  # ${getFieldPromptComment(field)}\n`;
           }
         });
 
         exampleYaml += "  # Add additional character objects here as needed\n";
-        return `\`\`\`${identifier}\n${exampleYaml}\`\`\``;
+        return wrapTrackerBlock(exampleYaml.trimEnd(), identifier);
       } else {
         let exampleJson = "{\n";
         exampleJson += "  \"worldData\": {\n";
@@ -529,7 +693,8 @@ jQuery(async () => {
           if (field.type === "array") {
             exampleJson += generateJsonArrayField(field);
           } else {
-            exampleJson += `      "${sanitizedKey}": [${sanitizedKey.toUpperCase()}_VALUE], // ${field.description}\n`;
+            const exampleValue = getFieldExampleLiteral(field, `[${sanitizedKey.toUpperCase()}_VALUE]`);
+            exampleJson += `      "${sanitizedKey}": ${exampleValue}, // ${getFieldPromptComment(field)}\n`;
           }
         });
 
@@ -537,10 +702,33 @@ jQuery(async () => {
         exampleJson += "    // Add additional character objects here as needed\n";
         exampleJson += "  ]\n";
         exampleJson += "}";
-        return `\`\`\`${identifier}\n${exampleJson}\n\`\`\``;
+        return wrapTrackerBlock(exampleJson, identifier);
       }
     };
 
+    // In patch mode the snapshot example is followed by the patch syntax
+    // Each additional tracker type adds the example of its own block
+    const generateSimFormatContent = () => {
+      let snapshotFormat = generateSnapshotFormatContent();
+      if (get_settings("trackerMode") === "patch") {
+        const format = get_settings("trackerFormat") || "json";
+        const identifier = get_settings("codeBlockIdentifier") || "sim";
+        snapshotFormat = `${snapshotFormat}\n\n${getPatchFormatInstructions(format, identifier)}`;
+      }
+
+      return getAdditionalTrackerTypes(get_settings).reduce(
+        (content, trackerType) =>
+          `${content}\n\nAlso write a separate ${trackerType.name} block in every reply:\n${generateSnapshotFormatContent(getTrackerTypeSettings(get_settings, trackerType))}`,
+        snapshotFormat
+      );
+    };
+
+    // How the display instructions show a tracker block, in the current syntax
+    const describeTrackerBlockSyntax = (identifier) =>
+      getTrackerSyntax() === "tag"
+        ? `<${identifier}>\\n[data here]\\n</${identifier}>`
+        : "```" + identifier + "\\n[data here]\\n```";
+
     MacrosParser.registerMacro("sim_tracker", () => {
       if (!get_settings("isEnabled")) return "";
       log("Processed {{sim_tracker}} macro.");
@@ -570,8 +758,8 @@ jQuery(async () => {
         
         displayContent += "## Available Inline Display Add-ons\n\n";
         displayContent += "### 1. Tracker Code Block\n\n";
-        displayContent += "Place tracker data at the END of your response in a code block:\n\n";
-        displayContent += "- Syntax: ```" + identifier + "\\n[data here]\\n```\n";
+        displayContent += `Place tracker data at the END of your response in a ${getTrackerSyntax() === "tag" ? "tag" : "code"} block:\n\n`;
+        displayContent += "- Syntax: " + describeTrackerBlockSyntax(identifier) + "\n";
         displayContent += "- Must be the LAST element in your message\n";
         displayContent += "- Use the format specified above (see main tracker instructions)\n";
         displayContent += "- Will render as visual tracker cards for the user\n\n";
@@ -690,26 +878,42 @@ jQuery(async () => {
     MacrosParser.registerMacro("last_sim_stats", () => {
       if (!get_settings("isEnabled")) return "";
       log("Processed {{last_sim_stats}} macro.");
-      return lastSimJsonString || "{}";
+      // Patch blocks are expanded so the model always sees the whole state
+      const lastStats = expandPatchContent(
+        lastSimJsonString,
+        getContext().chat,
+        getKnownIdentifiers(get_settings),
+        get_settings("trackerFormat") || "json"
+      );
+      return lastStats || "{}";
     });
 
     // Register the slash command for converting sim data formats
     SlashCommandParser.addCommandObject(
       SlashCommand.fromProps({
         name: "sst-convert",
-        callback: (args) => {
-          // Check if a format parameter was provided
-          const targetFormat = args && args.length > 0 ? args[0].toLowerCase() : null;
+        callback: async (namedArgs, value) => {
+          // Arguments: an optional format (json/yaml), syntax (fence/tag) and/or "expand"
+          const options = String(value || "").toLowerCase().split(/\s+/).filter(Boolean);
+          const expandPatches = options.includes("expand");
+          const targetSyntax = options.find((option) => option === "fence" || option === "tag") || null;
+          const targetFormat = options.find((option) => option !== "expand" && option !== targetSyntax) || null;
           
           // Validate format parameter
           if (targetFormat && targetFormat !== "json" && targetFormat !== "yaml") {
-            return "Invalid format specified. Use 'json' or 'yaml'.";
+            return "Invalid format specified. Use 'json', 'yaml', 'fence', 'tag' or 'expand'.";
           }
           
           let message = "This will convert all sim data in the current chat to the new format.";
+          if (expandPatches) {
+            message += " Patch blocks will be rewritten as full snapshots.";
+          }
           if (targetFormat) {
             message += ` All blocks will be converted to ${targetFormat.toUpperCase()} format.`;
           }
+          if (targetSyntax) {
+            message += ` All blocks will be written as ${targetSyntax === "tag" ? "XML tags" : "code fences"}.`;
+          }
           message += " Are you sure?";
           
           if (confirm(message)) {
@@ -717,7 +921,19 @@ jQuery(async () => {
             if (targetFormat) {
               set_settings("trackerFormat", targetFormat);
             }
-            wrappedMigrateAllSimData();
+            // Blocks of both syntaxes are rewritten before only the target one is read
+            if (targetSyntax) {
+              await convertAllTrackerSyntax(getAllTrackerIdentifiers(get_settings), targetSyntax);
+              set_settings("trackerSyntax", targetSyntax);
+              jQuery("#trackerSyntax").val(targetSyntax);
+              updateLumiverseSimBlockCSS(getAllTrackerIdentifiers(get_settings));
+            }
+            // Expand first, so the snapshots are written in the target format
+            if (expandPatches) {
+              await wrappedExpandAllTrackerPatches();
+            }
+            await wrappedMigrateAllSimData();
+            wrappedRefreshAllCards();
             return "Converting sim data formats... Check notifications for results.";
           }
           return "Conversion cancelled.";
@@ -727,14 +943,15 @@ jQuery(async () => {
           {
             name: "format",
             type: "string",
-            description: "Target format (json or yaml). If not specified, uses current setting.",
+            description: "Target format (json or yaml), target syntax (fence or tag), and/or \"expand\" to turn patch blocks into full snapshots. If no format is given, uses current setting.",
             optional: true,
           },
         ],
         helpString: `
                 <div>
                     Converts all sim data in the current chat from the old format to the new format.
-                    Optionally converts all blocks to a specific format.
+                    Optionally converts all blocks to a specific format or syntax, and with <code>expand</code>
+                    rewrites patch blocks as the full snapshots they resolve to.
                 </div>
                 <div>
                     <strong>Examples:</strong>
@@ -751,6 +968,14 @@ jQuery(async () => {
                             <pre><code class="language-stscript">/sst-convert yaml</code></pre>
                             Converts all sim data to YAML format
                         </li>
+                        <li>
+                            <pre><code class="language-stscript">/sst-convert tag</code></pre>
+                            Rewrites every tracker block as <code>&lt;sim&gt;</code> tags and switches the syntax to XML tags
+                        </li>
+                        <li>
+                            <pre><code class="language-stscript">/sst-convert expand</code></pre>
+                            Expands every patch block in the chat into a full snapshot
+                        </li>
                     </ul>
                 </div>
             `,
@@ -781,8 +1006,8 @@ jQuery(async () => {
       
       output += "## Available Inline Display Add-ons\n\n";
       output += "### 1. Tracker Code Block\n\n";
-      output += "Place tracker data at the END of your response in a code block:\n\n";
-      output += "- Syntax: ```" + identifier + "\\n[data here]\\n```\n";
+      output += `Place tracker data at the END of your response in a ${getTrackerSyntax() === "tag" ? "tag" : "code"} block:\n\n`;
+      output += "- Syntax: " + describeTrackerBlockSyntax(identifier) + "\n";
       output += "- Must be the LAST element in your message\n";
       output += "- Format: " + generateSimFormatContent() + "\n";
       output += "- Will render as visual tracker cards for the user\n\n";
@@ -974,9 +1199,9 @@ jQuery(async () => {
             const lastCharMessage = context.chat[lastCharMessageIndex];
             const identifier = get_settings("codeBlockIdentifier");
 
-            // Remove existing sim block if present
-            const simRegex = new RegExp("```" + identifier + "[\\s\\S]*?```", "gm");
-            lastCharMessage.mes = lastCharMessage.mes.replace(simRegex, "").trim();
+            // Remove existing sim block if present, whichever identifier it was written with
+            lastCharMessage.mes = replaceTrackerFences(lastCharMessage.mes, getKnownIdentifiers(get_settings), () => "").trim();
+            invalidateTrackerState(context.chat, lastCharMessageIndex);
 
             // Update the message UI to show it's being regenerated
             const regenMsgEl = getMessageContent(lastCharMessageIndex);
@@ -1021,8 +1246,20 @@ jQuery(async () => {
               cleanedContent = cleanedContent.replace(/\n?```\s*$/i, "");
               cleanedContent = cleanedContent.trim();
               
+              // With review on, the block waits for approval instead of going into the message
+              if (get_settings("reviewTrackerUpdates")) {
+                proposeTrackerUpdate(context.chat, lastCharMessageIndex, cleanedContent, getKnownIdentifiers(get_settings));
+                await context.saveChat();
+                const preparingTextElement = query(".sst-regen-preparing");
+                if (preparingTextElement) {
+                  preparingTextElement.remove();
+                }
+                openTrackerReview(lastCharMessageIndex);
+                return "The regenerated tracker block is waiting for review.";
+              }
+
               // Wrap the content in our code block
-              const wrappedBlock = `\`\`\`${identifier}\n${cleanedContent}\n\`\`\``;
+              const wrappedBlock = wrapTrackerBlock(cleanedContent, identifier);
               
               // Append the tracker block to the message
               lastCharMessage.mes += "\n\n" + wrappedBlock;
@@ -1054,7 +1291,8 @@ jQuery(async () => {
               }
               
               // Re-render the tracker with the new sim block
-              renderTrackerWithoutSim(lastCharMessageIndex, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor, lastSimJsonString);
+              renderTrackerWithoutSim(lastCharMessageIndex, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor);
+              await enforcePlausibility();
               
               return "Successfully regenerated tracker block for last character message.";
             } else {
@@ -1203,17 +1441,13 @@ jQuery(async () => {
 
             // Check if the message already contains a sim block
             const identifier = get_settings("codeBlockIdentifier");
-            const simRegex = new RegExp(
-              "```" + identifier + "[\\s\\S]*?```",
-              "m"
-            );
-            if (simRegex.test(lastCharMessage.mes)) {
+            if (hasTrackerBlock(lastCharMessage, getKnownIdentifiers(get_settings))) {
               return "Last character message already contains a sim block.";
             }
 
             // Append the sim block to the message in the user's preferred format
             const format = get_settings("trackerFormat") || "json";
-            const customFields = get_settings("customFields") || [];
+            const customFields = (get_settings("customFields") || []).filter((field) => field.type !== "computed");
             let simBlock;
 
             if (format === "yaml") {
@@ -1242,9 +1476,7 @@ jQuery(async () => {
                 yamlContent += `    ${key}: ${defaultValue}\n`;
               });
 
-              simBlock = `
-\`\`\`${identifier}
-${yamlContent}\`\`\``;
+              simBlock = `\n${wrapTrackerBlock(yamlContent.trimEnd(), identifier)}`;
             } else {
               // Create a JSON structure based on custom fields
               let fieldsJson = "";
@@ -1266,9 +1498,7 @@ ${yamlContent}\`\`\``;
                 fieldsJson += `      "${key}": ${defaultValue}${comma}\n`;
               });
 
-              simBlock = `
-\`\`\`${identifier}
-{
+              const jsonContent = `{
   "worldData": {
     "current_date": "",
     "current_time": ""
@@ -1278,8 +1508,8 @@ ${yamlContent}\`\`\``;
       "name": "",
 ${fieldsJson}    }
   ]
-}
-\`\`\``;
+}`;
+              simBlock = `\n${wrapTrackerBlock(jsonContent, identifier)}`;
             }
             
             lastCharMessage.mes += simBlock;
@@ -1324,6 +1554,487 @@ ${fieldsJson}    }
       })
     );
 
+    // Register the slash command for the stat history view
+    SlashCommandParser.addCommandObject(
+      SlashCommand.fromProps({
+        name: "sst-history",
+        callback: (namedArgs, character) => {
+          if (!get_settings("isEnabled")) {
+            return "Silly Sim Tracker is not enabled.";
+          }
+
+          const opened = showHistoryModal(get_settings, { character: String(character || "").trim() });
+          return opened ? "Opened stat history." : "No numeric tracker data found in this chat.";
+        },
+        returns: "status message",
+        unnamedArgumentList: [
+          SlashCommandArgument.fromProps({
+            description: "Character to show first",
+            typeList: [ARGUMENT_TYPE.STRING],
+            isRequired: false,
+          }),
+        ],
+        helpString: `
+                <div>
+                    Opens the stat history: a chart of every numeric field per character, built from all tracker blocks in the chat.
+                    The x axis can follow the message index or the in-story date.
+                </div>
+                <div>
+                    <strong>Examples:</strong>
+                    <ul>
+                        <li>
+                            <pre><code class="language-stscript">/sst-history</code></pre>
+                            Opens the history of the first tracked character
+                        </li>
+                        <li>
+                            <pre><code class="language-stscript">/sst-history Alice</code></pre>
+                            Opens the history of Alice
+                        </li>
+                    </ul>
+                </div>
+            `,
+      })
+    );
+
+    // History buttons on the cards (templates can add their own with data-sst-history="{{characterName}}")
+    $(document).on("click", "[data-sst-history]", function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      showHistoryModal(get_settings, { character: $(this).attr("data-sst-history") || "" });
+    });
+
+    // Redraw a message whose tracker block was rewritten, then the cards
+    const rerenderEditedMessage = (mesId) => {
+      const editedMessage = getContext().chat[mesId];
+      const messageEl = getMessageContent(mesId);
+      if (messageEl && editedMessage) {
+        messageEl.innerHTML = messageFormatting(
+          editedMessage.mes,
+          editedMessage.name,
+          editedMessage.is_system,
+          editedMessage.is_user,
+          mesId
+        );
+      }
+      wrappedRefreshAllCards();
+      runTrackerRules().then(syncChatVariables);
+    };
+
+    // Correct locked values the model changed in the latest tracker block, when enabled
+    const enforceFieldLocks = async () => {
+      if (!get_settings("isEnabled") || !get_settings("rewriteLockedFields")) return;
+      try {
+        const { mesId, rewritten } = rewriteLockedValues(getContext().chat, get_settings);
+        if (!rewritten) return;
+        await getContext().saveChat();
+        rerenderEditedMessage(mesId);
+      } catch (error) {
+        log(`Error rewriting locked values: ${error.message}`);
+      }
+    };
+
+    // Damp or correct implausible changes in the latest tracker block, when enabled
+    const enforcePlausibility = async () => {
+      if (!get_settings("isEnabled")) return;
+      try {
+        const { mesId, corrections } = await enforceTrackerPlausibility(getContext().chat, get_settings);
+        if (!corrections.length) return;
+        await getContext().saveChat();
+        rerenderEditedMessage(mesId);
+      } catch (error) {
+        log(`Error checking tracker plausibility: ${error.message}`);
+      }
+    };
+
+    // Fire the rules whose conditions became true with the latest tracker block
+    const runTrackerRules = async ({ silent = false } = {}) => {
+      try {
+        const { mesId, changed } = applyTrackerRules(get_settings, { silent });
+        if (!changed) return;
+        await getContext().saveChat();
+        rerenderEditedMessage(mesId);
+      } catch (error) {
+        log(`Error applying tracker rules: ${error.message}`);
+      }
+    };
+
+    // Mirror the latest tracker state into chat variables, after writing variables
+    // changed by scripts into it when it is a new block
+    const syncChatVariables = async () => {
+      try {
+        const { mesId, applied } = syncTrackerVariables(get_settings);
+        if (!applied.length) return;
+        await getContext().saveChat();
+        rerenderEditedMessage(mesId);
+      } catch (error) {
+        log(`Error syncing chat variables: ${error.message}`);
+      }
+    };
+
+    // Review the tracker blocks held for a message, one tracker type at a time, and redraw it
+    // with what was accepted
+    const openTrackerReview = async (mesId) => {
+      const message = getContext().chat[mesId];
+      const trackerType = getTrackerTypes(get_settings).find((type) => getPendingTrackerReview(message, type.identifiers));
+      if (!trackerType) return false;
+      const typeSettings = trackerType.isMain ? get_settings : getTrackerTypeSettings(get_settings, trackerType);
+      return showTrackerReview(typeSettings, mesId, {
+        onCommitted: async (committedId) => {
+          await enforceFieldLocks();
+          await enforcePlausibility();
+          rerenderEditedMessage(committedId);
+          await openTrackerReview(committedId);
+        },
+      });
+    };
+
+    // Register the slash commands for reading and changing tracker values from scripts
+    const characterArgument = SlashCommandNamedArgument.fromProps({
+      name: "char",
+      description: "Character name (leave out for world values such as current_date)",
+      typeList: [ARGUMENT_TYPE.STRING],
+      isRequired: false,
+    });
+    const fieldArgument = SlashCommandNamedArgument.fromProps({
+      name: "field",
+      description: "Field key, may be nested (stats.hp.current)",
+      typeList: [ARGUMENT_TYPE.STRING],
+      isRequired: true,
+    });
+
+    SlashCommandParser.addCommandObject(
+      SlashCommand.fromProps({
+        name: "sst-get",
+        callback: (namedArgs) => {
+          if (!get_settings("isEnabled")) return "";
+
+          try {
+            const { found, value } = readLatestTrackerValue(
+              getContext().chat,
+              getKnownIdentifiers(get_settings),
+              namedArgs.char ? String(namedArgs.char) : null,
+              String(namedArgs.field || ""),
+              { customFields: get_settings("customFields") || [] }
+            );
+            if (!found || value === null || value === undefined) return "";
+            return typeof value === "object" ? JSON.stringify(value) : String(value);
+          } catch (error) {
+            log(`Error in /sst-get command: ${error.message}`);
+            toastr.warning(error.message, "/sst-get");
+            return "";
+          }
+        },
+        returns: "the field's current value (objects and lists as JSON), or an empty string",
+        namedArgumentList: [characterArgument, fieldArgument],
+        helpString: `
+                <div>
+                    Returns a value from the latest tracker state. Patch blocks are resolved first.
+                </div>
+                <div>
+                    <strong>Examples:</strong>
+                    <ul>
+                        <li>
+                            <pre><code class="language-stscript">/sst-get char=Alice field=ap | /echo</code></pre>
+                            Shows Alice's affection points
+                        </li>
+                        <li>
+                            <pre><code class="language-stscript">/sst-get field=current_date</code></pre>
+                            Returns the in-story date
+                        </li>
+                    </ul>
+                </div>
+            `,
+      })
+    );
+
+    SlashCommandParser.addCommandObject(
+      SlashCommand.fromProps({
+        name: "sst-set",
+        callback: async (namedArgs, value) => {
+          if (!get_settings("isEnabled")) return "";
+
+          try {
+            const context = getContext();
+            const { mesId, value: written, message } = updateLatestTrackerValue(context.chat, get_settings, {
+              character: namedArgs.char ? String(namedArgs.char) : null,
+              field: String(namedArgs.field || ""),
+              op: String(namedArgs.op || "set").toLowerCase(),
+              value: value ?? "",
+            });
+            await context.saveChat();
+            rerenderEditedMessage(mesId);
+            if (message) toastr.info(message, "/sst-set");
+            return typeof written === "object" ? JSON.stringify(written) : String(written);
+          } catch (error) {
+            log(`Error in /sst-set command: ${error.message}`);
+            toastr.error(error.message, "/sst-set");
+            return "";
+          }
+        },
+        returns: "the value written, after the field's constraints were applied",
+        namedArgumentList: [
+          characterArgument,
+          fieldArgument,
+          SlashCommandNamedArgument.fromProps({
+            name: "op",
+            description: "set (default), inc or dec",
+            typeList: [ARGUMENT_TYPE.STRING],
+            defaultValue: "set",
+            enumList: ["set", "inc", "dec"],
+          }),
+        ],
+        unnamedArgumentList: [
+          SlashCommandArgument.fromProps({
+            description: "New value, or the amount for inc/dec (default 1)",
+            typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER],
+            isRequired: false,
+          }),
+        ],
+        helpString: `
+                <div>
+                    Changes a value in the latest tracker block and re-renders the cards.
+                    The field's type and constraints apply, so numbers are clamped to their range.
+                    A patch block gets a <code>set</code> operation added instead of being rewritten.
+                </div>
+                <div>
+                    <strong>Examples:</strong>
+                    <ul>
+                        <li>
+                            <pre><code class="language-stscript">/sst-set char=Alice field=ap 120</code></pre>
+                            Sets Alice's affection points to 120
+                        </li>
+                        <li>
+                            <pre><code class="language-stscript">/sst-set op=inc char=Alice field=ap 5</code></pre>
+                            Adds 5 to Alice's affection points
+                        </li>
+                        <li>
+                            <pre><code class="language-stscript">/sst-set op=dec char=Alice field=stats.hp.current</code></pre>
+                            Takes 1 from Alice's current HP
+                        </li>
+                    </ul>
+                </div>
+            `,
+      })
+    );
+
+    // Register the slash commands for locking fields the model must not change
+    SlashCommandParser.addCommandObject(
+      SlashCommand.fromProps({
+        name: "sst-lock",
+        callback: (namedArgs, value) => {
+          if (!get_settings("isEnabled")) return "";
+
+          try {
+            const { value: locked, message } = lockTrackerValue(getContext().chat, get_settings, {
+              character: namedArgs.char ? String(namedArgs.char) : "",
+              field: String(namedArgs.field || ""),
+              value: value ?? "",
+            });
+            wrappedRefreshAllCards();
+            enforceFieldLocks();
+            if (message) toastr.info(message, "/sst-lock");
+            return typeof locked === "object" ? JSON.stringify(locked) : String(locked);
+          } catch (error) {
+            log(`Error in /sst-lock command: ${error.message}`);
+            toastr.error(error.message, "/sst-lock");
+            return "";
+          }
+        },
+        returns: "the locked value",
+        namedArgumentList: [characterArgument, fieldArgument],
+        unnamedArgumentList: [
+          SlashCommandArgument.fromProps({
+            description: "Value to lock to (default: the current value)",
+            typeList: [ARGUMENT_TYPE.STRING, ARGUMENT_TYPE.NUMBER],
+            isRequired: false,
+          }),
+        ],
+        helpString: `
+                <div>
+                    Locks a character's field in this chat. Whatever the model writes, the cards show the locked value,
+                    and the prompt tells the model the value is fixed.
+                </div>
+                <div>
+                    <strong>Examples:</strong>
+                    <ul>
+                        <li>
+                            <pre><code class="language-stscript">/sst-lock char=Alice field=species</code></pre>
+                            Keeps Alice's species as it is now
+                        </li>
+                        <li>
+                            <pre><code class="language-stscript">/sst-lock char=Alice field=ap 100</code></pre>
+                            Holds Alice's affection points at 100
+                        </li>
+                    </ul>
+                </div>
+            `,
+      })
+    );
+
+    SlashCommandParser.addCommandObject(
+      SlashCommand.fromProps({
+        name: "sst-unlock",
+        callback: (namedArgs) => {
+          if (!get_settings("isEnabled")) return "";
+
+          const character = namedArgs.char ? String(namedArgs.char) : "";
+          const field = String(namedArgs.field || "");
+          if (!removeFieldLock(character, field)) {
+            toastr.warning(`${character}.${field} is not locked`, "/sst-unlock");
+            return "false";
+          }
+          wrappedRefreshAllCards();
+          return "true";
+        },
+        returns: "true when a lock was removed",
+        namedArgumentList: [characterArgument, fieldArgument],
+        helpString: `
+                <div>
+                    Removes the lock of a character's field, e.g. <code>/sst-unlock char=Alice field=species</code>.
+                </div>
+            `,
+      })
+    );
+
+    // Register the slash command for reopening a tracker update that is waiting for review
+    SlashCommandParser.addCommandObject(
+      SlashCommand.fromProps({
+        name: "sst-review",
+        callback: async () => {
+          if (!get_settings("isEnabled")) return "";
+
+          const chat = getContext().chat;
+          const pending = getTrackerTypes(get_settings)
+            .map((type) => findPendingTrackerReview(chat, type.identifiers))
+            .filter((candidate) => candidate !== null);
+          const mesId = pending.length ? Math.max(...pending) : null;
+          if (mesId === null) {
+            toastr.info("No tracker update is waiting for review.", "/sst-review");
+            return "";
+          }
+          await openTrackerReview(mesId);
+          return String(mesId);
+        },
+        returns: "the id of the message under review",
+        helpString: `
+                <div>
+                    Opens the review of the latest tracker update that is still waiting for a decision
+                    (when Review Tracker Updates is on and the review was closed without one).
+                </div>
+            `,
+      })
+    );
+
+    SlashCommandParser.addCommandObject(
+      SlashCommand.fromProps({
+        name: "sst-reidentify",
+        callback: async (namedArgs) => {
+          if (!get_settings("isEnabled")) return "";
+
+          const to = String(namedArgs.to || get_settings("codeBlockIdentifier")).trim();
+          if (!/^[^\s`]+$/.test(to)) return `"${to}" is not a valid identifier; it can't contain spaces or backticks.`;
+          // Without from=, every other known identifier is rewritten
+          const from = namedArgs.from
+            ? String(namedArgs.from).trim()
+            : getKnownIdentifiers(get_settings).filter((identifier) => identifier !== to);
+          const scope = String(namedArgs.scope || "chat");
+          if (scope !== "chat" && scope !== "character") return `Unknown scope "${scope}"; use chat or character.`;
+
+          try {
+            const counted = await reidentifyTrackerBlocks(from, to, { scope, dryRun: true });
+            const where = scope === "character" ? ` of ${counted.chats} chats` : "";
+            const summary = `${counted.blocks} tracker blocks in ${counted.messages} messages${where}`;
+            if (!counted.blocks) return "No tracker blocks to rewrite.";
+            if (String(namedArgs.dry) === "true") return `Would rewrite ${summary} as \`\`\`${to}.`;
+            if (!confirm(`Rewrite ${summary} as \`\`\`${to}? This cannot be undone.`)) return "Rewrite cancelled.";
+
+            await reidentifyTrackerBlocks(from, to, { scope });
+            // Blocks under the new identifier have to stay readable
+            const known = get_settings("knownIdentifiers") || [];
+            if (!known.includes(to)) set_settings("knownIdentifiers", [...known, to]);
+            wrappedRefreshAllCards();
+            return `Rewrote ${summary} as \`\`\`${to}.`;
+          } catch (error) {
+            toastr.error(error.message, "/sst-reidentify");
+            return "";
+          }
+        },
+        returns: "status message",
+        namedArgumentList: [
+          SlashCommandNamedArgument.fromProps({
+            name: "from",
+            description: "Identifier to rewrite (default: every known identifier other than the new one)",
+            typeList: [ARGUMENT_TYPE.STRING],
+          }),
+          SlashCommandNamedArgument.fromProps({
+            name: "to",
+            description: "New identifier (default: the current Code Block Identifier)",
+            typeList: [ARGUMENT_TYPE.STRING],
+          }),
+          SlashCommandNamedArgument.fromProps({
+            name: "scope",
+            description: "chat (default) rewrites the open chat, character every chat of the current character",
+            typeList: [ARGUMENT_TYPE.STRING],
+            defaultValue: "chat",
+            enumList: ["chat", "character"],
+          }),
+          SlashCommandNamedArgument.fromProps({
+            name: "dry",
+            description: "Only count the blocks that would be rewritten",
+            typeList: [ARGUMENT_TYPE.BOOLEAN],
+            defaultValue: "false",
+          }),
+        ],
+        helpString: `
+                <div>
+                    Rewrites tracker blocks written under one code block identifier to another, in the
+                    open chat or in every chat of the current character. Hidden blocks and other swipes
+                    are rewritten too; the content of the blocks is not changed. Asks before writing.
+                </div>
+                <div>
+                    <strong>Examples:</strong>
+                    <ul>
+                        <li>
+                            <pre><code class="language-stscript">/sst-reidentify from=sim to=rpg dry=true</code></pre>
+                            Counts the <code>sim</code> blocks of this chat without changing them
+                        </li>
+                        <li>
+                            <pre><code class="language-stscript">/sst-reidentify from=sim to=rpg scope=character</code></pre>
+                            Rewrites the <code>sim</code> blocks of every chat of this character as <code>rpg</code> blocks
+                        </li>
+                        <li>
+                            <pre><code class="language-stscript">/sst-reidentify</code></pre>
+                            Rewrites every block of this chat under an earlier identifier to the current one
+                        </li>
+                    </ul>
+                </div>
+            `,
+      })
+    );
+
+    // Edit buttons on the cards (templates can add their own with
+    // data-sst-edit="{{characterName}}" and optionally data-sst-field="ap" to jump to a field)
+    $(document).on("click", "[data-sst-edit]", function (e) {
+      e.preventDefault();
+      e.stopPropagation();
+      const chat = getContext().chat;
+      const messageWrapper = closestMessageWrapper(this);
+      // Sidebar and positioned cards live outside the message, and always show the latest tracker
+      const mesIdText =
+        $(this).attr("data-sst-mesid") ??
+        (messageWrapper ? getMessageIdFromElement(messageWrapper) : null);
+      const mesId = mesIdText !== null && mesIdText !== undefined && mesIdText !== ""
+        ? parseInt(mesIdText, 10)
+        : findLatestTrackerMessage(chat, getKnownIdentifiers(get_settings));
+      if (mesId === null || Number.isNaN(mesId)) return;
+
+      const character = $(this).attr("data-sst-edit") || "";
+      const field = $(this).attr("data-sst-field") || "";
+      // A single stat is edited in place; the pencil button, and fields that need more room, open the full editor
+      if (character && field && showInlineFieldEditor(get_settings, mesId, this, { character, field, onSaved: rerenderEditedMessage })) return;
+      showTrackerEditor(get_settings, mesId, { character, field, onSaved: rerenderEditedMessage });
+    });
+
     const context = getContext();
     const { eventSource, event_types } = context;
 
@@ -1342,6 +2053,15 @@ ${fieldsJson}    }
     // Track pending swipe render to ensure DOM is ready
     let pendingSwipeRender = null;
 
+    // Hold back the tracker block of a new message until it is reviewed
+    eventSource.on(event_types.MESSAGE_RECEIVED, (mesId, type) => {
+      if (!get_settings("isEnabled") || !get_settings("reviewTrackerUpdates") || type === "first_message") return;
+      const chat = getContext().chat;
+      const message = chat[mesId];
+      if (!message || message.is_user || message.is_system) return;
+      getTrackerTypes(get_settings).forEach((type) => holdTrackerBlock(chat, mesId, type.identifiers));
+    });
+
     eventSource.on(event_types.CHARACTER_MESSAGE_RENDERED, async (mesId) => {
       // Store the last rendered message ID
       lastRenderedMessageId = mesId;
@@ -1369,7 +2089,14 @@ ${fieldsJson}    }
 
       // Render the tracker (this will use existing sim block if present)
       // Sidebar updates are now batched via RAF, so no redundant re-render needed
-      renderTracker(mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor, lastSimJsonString);
+      renderTracker(mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor);
+      await enforceFieldLocks();
+      await enforcePlausibility();
+      await runTrackerRules();
+      await syncChatVariables();
+
+      // Blocks held back from this message wait for review
+      openTrackerReview(mesId);
 
       // Process inline templates for this message (supports both ST and Lumiverse)
       const inlineMsgEl = getMessageContent(mesId);
@@ -1390,7 +2117,7 @@ ${fieldsJson}    }
       const { mesId } = e.detail;
       if (mesId === undefined || mesId === null) return;
 
-      renderTracker(mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor, lastSimJsonString);
+      renderTracker(mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor);
 
       // Re-process inline templates for this message
       const msgEl = getMessageContent(mesId);
@@ -1416,56 +2143,24 @@ ${fieldsJson}    }
       
       if (!chat || !Array.isArray(chat)) return;
       
-      const identifier = get_settings("codeBlockIdentifier");
+      // Blocks of every tracker type, under the current identifier or an earlier one
+      const identifiers = getAllTrackerIdentifiers(get_settings);
       let modifiedCount = 0;
       let fixedOldFormatCount = 0;
       
-      chat.forEach((message, index) => {
+      chat.forEach((message) => {
         if (!message || !message.mes) return;
         
-        // First, fix old incorrect format: <div style="display: none;">```sim without newlines
-        const oldIncorrectFormat = new RegExp(
-          `<div style="display: none;">\`\`\`${identifier}([\\s\\S]*?)\`\`\`</div>`,
-          'g'
-        );
-        
-        message.mes = message.mes.replace(oldIncorrectFormat, (match, content) => {
-          // Check if it already has proper newlines
-          if (match.startsWith('<div style="display: none;">\n```') && match.endsWith('```\n</div>')) {
-            return match; // Already correct
-          }
+        message.mes = replaceTrackerFences(message.mes, identifiers, (block, source) => {
+          const fenced = message.mes.slice(block.start, block.end);
+          const wrapped = `<div style="display: none;">\n${fenced}\n</div>`;
+          if (source === wrapped) return source; // Already wrapped correctly
           
-          // Fix the format with proper newlines
-          fixedOldFormatCount++;
-          return `<div style="display: none;">\n\`\`\`${identifier}${content}\`\`\`\n</div>`;
+          // Old incorrect format (<div style="display: none;">```sim without newlines) or not wrapped at all
+          if (block.wrapped) fixedOldFormatCount++;
+          else modifiedCount++;
+          return wrapped;
         });
-        
-        // Now check if message contains unwrapped sim blocks
-        // Look for sim blocks that aren't preceded by the div tag with newline
-        const unwrappedRegex = new RegExp(
-          `(?<!<div style="display: none;">\\n)\`\`\`${identifier}[\\s\\S]*?\`\`\`(?!\\n</div>)`,
-          'g'
-        );
-        
-        if (unwrappedRegex.test(message.mes)) {
-          // Wrap any unwrapped sim blocks
-          const wrapRegex = new RegExp(`\`\`\`${identifier}[\\s\\S]*?\`\`\``, 'g');
-          message.mes = message.mes.replace(wrapRegex, (match) => {
-            // Check if this specific match is already wrapped with proper format
-            const matchIndex = message.mes.indexOf(match);
-            const beforeMatch = message.mes.substring(Math.max(0, matchIndex - 30), matchIndex);
-            const afterMatch = message.mes.substring(matchIndex + match.length, matchIndex + match.length + 10);
-            
-            if (beforeMatch.endsWith('<div style="display: none;">\n') && afterMatch.startsWith('\n</div>')) {
-              // Already wrapped correctly, return as-is
-              return match;
-            }
-            
-            // Not wrapped, wrap it with proper newlines
-            modifiedCount++;
-            return `<div style="display: none;">\n${match}\n</div>`;
-          });
-        }
       });
       
       if (modifiedCount > 0 || fixedOldFormatCount > 0) {
@@ -1495,6 +2190,9 @@ ${fieldsJson}    }
       // Just refresh all cards - this will update sidebars with new chat data
       // The refreshAllCards function will find the latest sim data in the new chat
       wrappedRefreshAllCards();
+      // Crossings that happened before the chat was opened don't fire again
+      await runTrackerRules({ silent: true });
+      await syncChatVariables();
 
       // Process all inline templates in the new chat
       processAllInlineTemplates(get_settings, getCurrentTemplateConfig);
@@ -1513,7 +2211,9 @@ ${fieldsJson}    }
     
     eventSource.on(event_types.MESSAGE_EDITED, (mesId) => {
       log(`Message ${mesId} was edited. Re-rendering tracker card.`);
-      renderTrackerWithoutSim(mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor, lastSimJsonString);
+      // Later patch blocks were resolved against the old text, so drop their state too
+      invalidateTrackerState(getContext().chat, mesId);
+      renderTrackerWithoutSim(mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor);
       
       // Process inline templates for the edited message (supports both ST and Lumiverse)
       const editedMsgEl = getMessageContent(mesId);
@@ -1524,10 +2224,17 @@ ${fieldsJson}    }
       }
     });
 
+    // Deleting a message shifts every message after it, and the event doesn't
+    // reliably say which one went, so rebuild the whole store
+    eventSource.on(event_types.MESSAGE_DELETED, () => {
+      invalidateTrackerState(getContext().chat);
+    });
+
     eventSource.on(event_types.MESSAGE_SWIPE, (mesId) => {
       log(
         `Message swipe detected for message ID ${mesId}. Updating last_sim_stats macro and scheduling tracker re-render.`
       );
+      invalidateTrackerState(getContext().chat, mesId);
       const updatedStats = updateLastSimStatsOnRegenerateOrSwipe(mesId, get_settings);
       if (updatedStats) {
         lastSimJsonString = updatedStats;
@@ -1568,11 +2275,11 @@ ${fieldsJson}    }
         // Only proceed if we have a valid character message with actual content
         if (message && !message.is_user && !message.is_system && message.mes && message.mes.trim().length > 0) {
           // Check if the message already has a sim block
-          const identifier = get_settings("codeBlockIdentifier");
-          const simRegex = new RegExp("```" + identifier + "[\\s\\S]*?```", "m");
-          const hasSimBlock = simRegex.test(message.mes);
+          const hasSimBlock = hasTrackerBlock(message, getKnownIdentifiers(get_settings));
+          // Blocks held for review are shown once every tracker type has had its turn
+          let heldForReview = false;
           
-          if (!hasSimBlock) {
+          if (!hasSimBlock && !getPendingTrackerReview(message, getKnownIdentifiers(get_settings))) {
             log("Generation complete. Message doesn't have sim block, attempting secondary LLM generation...");
             
             try {
@@ -1590,44 +2297,87 @@ ${fieldsJson}    }
                 cleanedContent = cleanedContent.replace(/\n?```\s*$/i, "");
                 cleanedContent = cleanedContent.trim();
                 
-                // Wrap the content in our code block
-                const wrappedBlock = `\`\`\`${identifier}\n${cleanedContent}\n\`\`\``;
+                // With review on, the block waits for approval instead of going into the message
+                if (get_settings("reviewTrackerUpdates")) {
+                  proposeTrackerUpdate(context.chat, mesId, cleanedContent, getKnownIdentifiers(get_settings));
+                  heldForReview = true;
+                } else {
+                  // Wrap the content in our code block, under the current identifier
+                  const identifier = get_settings("codeBlockIdentifier");
+                  const wrappedBlock = wrapTrackerBlock(cleanedContent, identifier);
                 
-                // Append the tracker block to the message
-                message.mes += "\n\n" + wrappedBlock;
+                  // Append the tracker block to the message
+                  message.mes += "\n\n" + wrappedBlock;
                 
-                // Update lastSimJsonString for the macro
-                lastSimJsonString = cleanedContent;
+                  // Update lastSimJsonString for the macro
+                  lastSimJsonString = cleanedContent;
                 
-                // Save the updated chat
-                await context.saveChat();
+                  // Save the updated chat
+                  await context.saveChat();
                 
-                // Update the message in the UI
-                // Lumiverse: Skip innerHTML replacement — React manages message content.
-                // LumiverseHelper will pick up the change via syncSingleMessage/syncFullChat.
-                if (!isLumiverseActive()) {
-                  const secLlmMsgEl = getMessageContent(mesId);
-                  if (secLlmMsgEl) {
-                    secLlmMsgEl.innerHTML = messageFormatting(
-                      message.mes,
-                      message.name,
-                      message.is_system,
-                      message.is_user,
-                      mesId
-                    );
+                  // Update the message in the UI
+                  // Lumiverse: Skip innerHTML replacement — React manages message content.
+                  // LumiverseHelper will pick up the change via syncSingleMessage/syncFullChat.
+                  if (!isLumiverseActive()) {
+                    const secLlmMsgEl = getMessageContent(mesId);
+                    if (secLlmMsgEl) {
+                      secLlmMsgEl.innerHTML = messageFormatting(
+                        message.mes,
+                        message.name,
+                        message.is_system,
+                        message.is_user,
+                        mesId
+                      );
+                    }
                   }
-                }
 
-                log("Updated message with secondary LLM generated tracker block");
+                  log("Updated message with secondary LLM generated tracker block");
                 
-                // Re-render the tracker with the new sim block using renderTrackerWithoutSim
-                // This ensures proper state synchronization for sidebars
-                renderTrackerWithoutSim(mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor, lastSimJsonString);
+                  // Re-render the tracker with the new sim block using renderTrackerWithoutSim
+                  // This ensures proper state synchronization for sidebars
+                  renderTrackerWithoutSim(mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor);
+                  await enforcePlausibility();
+                }
               }
             } catch (error) {
               console.error(`[SST] [${MODULE_NAME}]`, "Error in secondary LLM generation:", error);
             }
           }
+
+          // Each additional tracker type whose block is missing gets one of its own
+          let addedTypeBlocks = 0;
+          for (const trackerType of getAdditionalTrackerTypes(get_settings)) {
+            if (hasTrackerBlock(message, trackerType.identifier)) continue;
+            if (getPendingTrackerReview(message, [trackerType.identifier])) continue;
+            try {
+              const generatedContent = await generateTrackerWithSecondaryLLM(get_settings, { trackerType });
+              if (!generatedContent) continue;
+              if (get_settings("reviewTrackerUpdates")) {
+                proposeTrackerUpdate(context.chat, mesId, generatedContent, [trackerType.identifier]);
+                heldForReview = true;
+                continue;
+              }
+              message.mes += "\n\n" + wrapTrackerBlock(generatedContent, trackerType.identifier);
+              addedTypeBlocks++;
+              log(`Added a ${trackerType.name} tracker block generated by the secondary LLM`);
+            } catch (error) {
+              console.error(`[SST] [${MODULE_NAME}]`, `Error in secondary LLM generation of the ${trackerType.name} tracker:`, error);
+            }
+          }
+          if (addedTypeBlocks) {
+            await context.saveChat();
+            if (!isLumiverseActive()) {
+              const typeMsgEl = getMessageContent(mesId);
+              if (typeMsgEl) {
+                typeMsgEl.innerHTML = messageFormatting(message.mes, message.name, message.is_system, message.is_user, mesId);
+              }
+            }
+            renderTrackerWithoutSim(mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor);
+          }
+          if (heldForReview) {
+            await context.saveChat();
+            openTrackerReview(mesId);
+          }
         }
         
         // Reset the last rendered message ID
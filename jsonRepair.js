@@ -0,0 +1,387 @@
+// jsonRepair.js - Tolerant JSON reader for LLM-written tracker blocks
+//
+// Reads "almost JSON" the way a model tends to write it and reports every
+// fix that was needed to make sense of it. The result is re-serialized as
+// strict JSON so the rest of the pipeline never sees the broken text.
+
+const MODULE_NAME = "silly-sim-tracker";
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+// Human readable descriptions of each repair, shown in the card badge tooltip
+const REPAIR_DESCRIPTIONS = {
+  comments: "Removed comments",
+  trailingCommas: "Removed trailing or duplicate commas",
+  missingCommas: "Inserted missing commas",
+  missingColons: "Inserted missing colons",
+  unquotedKeys: "Quoted unquoted keys",
+  unquotedStrings: "Quoted unquoted string values",
+  singleQuotes: "Replaced single quotes",
+  smartQuotes: "Replaced smart quotes",
+  unescapedQuotes: "Escaped stray quotes inside strings",
+  lineBreaksInStrings: "Escaped line breaks inside strings",
+  invalidEscapes: "Dropped invalid escape sequences",
+  nonJsonLiterals: "Converted non-JSON literals (True, None, NaN, ...)",
+  numberFormat: "Normalized number formatting",
+  unclosedStrings: "Closed an unterminated string",
+  unclosedBrackets: "Closed unterminated brackets",
+  mismatchedBrackets: "Fixed mismatched brackets",
+  incompleteEntries: "Dropped an incomplete trailing entry",
+  surroundingText: "Removed text around the JSON",
+};
+
+const DOUBLE_QUOTES = ['"', "“", "”", "„", "‟"];
+const SINGLE_QUOTES = ["'", "‘", "’", "‚", "‛"];
+
+const LITERALS = {
+  true: true,
+  false: false,
+  null: null,
+  True: true,
+  False: false,
+  None: null,
+  TRUE: true,
+  FALSE: false,
+  NULL: null,
+  undefined: null,
+  NaN: null,
+  Infinity: null,
+  "-Infinity": null,
+};
+
+const JSON_ESCAPES = {
+  '"': '"',
+  "\\": "\\",
+  "/": "/",
+  b: "\b",
+  f: "\f",
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  "'": "'",
+};
+
+const NUMBER_RE = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+const STRICT_NUMBER_RE = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+// --- SCANNING ---
+
+const peek = (state, offset = 0) => state.src[state.pos + offset] || "";
+const isAtEnd = (state) => state.pos >= state.src.length;
+const note = (state, fix) => state.fixes.add(fix);
+
+/**
+ * Skip whitespace and comments (// line, block, and "# " line comments)
+ */
+const skipWhitespace = (state) => {
+  while (!isAtEnd(state)) {
+    const ch = peek(state);
+    if (/\s/.test(ch)) {
+      state.pos++;
+    } else if (ch === "/" && peek(state, 1) === "/") {
+      note(state, "comments");
+      while (!isAtEnd(state) && peek(state) !== "\n") state.pos++;
+    } else if (ch === "/" && peek(state, 1) === "*") {
+      note(state, "comments");
+      const end = state.src.indexOf("*/", state.pos + 2);
+      state.pos = end === -1 ? state.src.length : end + 2;
+    } else if (ch === "#" && /[ \t\n]|^$/.test(peek(state, 1))) {
+      // "# note" style comments; "#ff0000" is left alone as a bare value
+      note(state, "comments");
+      while (!isAtEnd(state) && peek(state) !== "\n") state.pos++;
+    } else {
+      break;
+    }
+  }
+};
+
+// Index of the next character on this line that isn't a space or tab
+const significantIndex = (state, from) => {
+  let index = from;
+  while (index < state.src.length && /[ \t]/.test(state.src[index])) index++;
+  return index;
+};
+
+// Peek at the next significant character without consuming anything
+const peekSignificant = (state, from) => state.src[significantIndex(state, from)] || "";
+
+// --- VALUES ---
+
+/**
+ * Read a quoted string. A quote only closes the string when it is followed
+ * by something that can legitimately come after a string; otherwise it is
+ * treated as an unescaped quote inside the text.
+ */
+const parseString = (state) => {
+  const opener = peek(state);
+  const isDouble = DOUBLE_QUOTES.includes(opener);
+  const closers = isDouble ? DOUBLE_QUOTES : SINGLE_QUOTES;
+
+  if (opener === "'") note(state, "singleQuotes");
+  else if (opener !== '"') note(state, "smartQuotes");
+
+  state.pos++;
+  let result = "";
+
+  while (true) {
+    if (isAtEnd(state)) {
+      note(state, "unclosedStrings");
+      return result;
+    }
+
+    const ch = peek(state);
+
+    if (ch === "\\") {
+      const next = peek(state, 1);
+      if (next in JSON_ESCAPES) {
+        result += JSON_ESCAPES[next];
+        state.pos += 2;
+      } else if (next === "u" && /^[0-9a-fA-F]{4}$/.test(state.src.slice(state.pos + 2, state.pos + 6))) {
+        result += String.fromCharCode(parseInt(state.src.slice(state.pos + 2, state.pos + 6), 16));
+        state.pos += 6;
+      } else {
+        note(state, "invalidEscapes");
+        state.pos++;
+      }
+      continue;
+    }
+
+    if (closers.includes(ch)) {
+      const followingIndex = significantIndex(state, state.pos + 1);
+      const following = state.src[followingIndex] || "";
+      const startsComment = following === "/" && "/*".includes(state.src[followingIndex + 1] || "");
+      if (following === "" || ",:}]\n\r".includes(following) || DOUBLE_QUOTES.includes(following) || startsComment) {
+        if (ch !== '"' && ch !== "'") note(state, "smartQuotes");
+        state.pos++;
+        return result;
+      }
+      note(state, "unescapedQuotes");
+    }
+
+    if (ch === "\n" || ch === "\r") note(state, "lineBreaksInStrings");
+
+    result += ch;
+    state.pos++;
+  }
+};
+
+/**
+ * Read an unquoted token up to the next structural character
+ * @param {string} terminators - Characters that end the token
+ */
+const readBareWord = (state, terminators) => {
+  const start = state.pos;
+  while (!isAtEnd(state) && !terminators.includes(peek(state)) && peek(state) !== "\n") {
+    if (peek(state) === "/" && (peek(state, 1) === "/" || peek(state, 1) === "*")) break;
+    state.pos++;
+  }
+  return state.src.slice(start, state.pos).trim();
+};
+
+// A number or literal ends where a new token (or the next line) starts,
+// so a missing comma doesn't swallow the following key into the value.
+const isTokenBoundary = (state, pos) => {
+  const following = peekSignificant(state, pos);
+  return (
+    following === "" ||
+    ",}]\n\r/#".includes(following) ||
+    DOUBLE_QUOTES.includes(following) ||
+    SINGLE_QUOTES.includes(following)
+  );
+};
+
+const parseBareValue = (state) => {
+  const rest = state.src.slice(state.pos);
+
+  const literalMatch = rest.match(/^-?[A-Za-z]+/);
+  if (literalMatch && literalMatch[0] in LITERALS && isTokenBoundary(state, state.pos + literalMatch[0].length)) {
+    const word = literalMatch[0];
+    state.pos += word.length;
+    if (!["true", "false", "null"].includes(word)) note(state, "nonJsonLiterals");
+    return LITERALS[word];
+  }
+
+  const numberMatch = rest.match(NUMBER_RE);
+  if (numberMatch && isTokenBoundary(state, state.pos + numberMatch[0].length)) {
+    const word = numberMatch[0];
+    state.pos += word.length;
+    if (!STRICT_NUMBER_RE.test(word)) note(state, "numberFormat");
+    return Number(word);
+  }
+
+  note(state, "unquotedStrings");
+  return readBareWord(state, ",}]");
+};
+
+const parseValue = (state) => {
+  skipWhitespace(state);
+  const ch = peek(state);
+
+  if (ch === "{") return parseObject(state);
+  if (ch === "[") return parseArray(state);
+  if (DOUBLE_QUOTES.includes(ch) || SINGLE_QUOTES.includes(ch)) return parseString(state);
+  return parseBareValue(state);
+};
+
+// Consume a closing bracket, tolerating the wrong kind
+const closeCollection = (state, expected) => {
+  if (peek(state) !== expected) note(state, "mismatchedBrackets");
+  state.pos++;
+};
+
+const parseObject = (state) => {
+  state.pos++;
+  const result = {};
+
+  while (true) {
+    skipWhitespace(state);
+
+    if (isAtEnd(state)) {
+      note(state, "unclosedBrackets");
+      return result;
+    }
+
+    const ch = peek(state);
+    if (ch === "}" || ch === "]") {
+      closeCollection(state, "}");
+      return result;
+    }
+    if (ch === ",") {
+      note(state, "trailingCommas");
+      state.pos++;
+      continue;
+    }
+
+    // Key
+    let key;
+    if (DOUBLE_QUOTES.includes(ch) || SINGLE_QUOTES.includes(ch)) {
+      key = parseString(state);
+    } else {
+      key = readBareWord(state, ":,}]=");
+      note(state, "unquotedKeys");
+    }
+
+    skipWhitespace(state);
+    if (peek(state) === ":" || peek(state) === "=") {
+      state.pos++;
+    } else if (isAtEnd(state) || peek(state) === "}" || peek(state) === ",") {
+      // A key with nothing after it - the reply was most likely cut off here
+      note(state, isAtEnd(state) ? "incompleteEntries" : "missingColons");
+      if (!isAtEnd(state)) result[key] = null;
+      continue;
+    } else {
+      note(state, "missingColons");
+    }
+
+    skipWhitespace(state);
+    if (isAtEnd(state)) {
+      note(state, "incompleteEntries");
+      note(state, "unclosedBrackets");
+      return result;
+    }
+    if (peek(state) === "," || peek(state) === "}") {
+      note(state, "unquotedStrings");
+      result[key] = null;
+    } else {
+      result[key] = parseValue(state);
+    }
+
+    skipWhitespace(state);
+    if (peek(state) === ",") {
+      state.pos++;
+      skipWhitespace(state);
+      if (peek(state) === "}" || peek(state) === "]") note(state, "trailingCommas");
+    } else if (!isAtEnd(state) && peek(state) !== "}" && peek(state) !== "]") {
+      note(state, "missingCommas");
+    }
+  }
+};
+
+const parseArray = (state) => {
+  state.pos++;
+  const result = [];
+
+  while (true) {
+    skipWhitespace(state);
+
+    if (isAtEnd(state)) {
+      note(state, "unclosedBrackets");
+      return result;
+    }
+
+    const ch = peek(state);
+    if (ch === "]" || ch === "}") {
+      closeCollection(state, "]");
+      return result;
+    }
+    if (ch === ",") {
+      note(state, "trailingCommas");
+      state.pos++;
+      continue;
+    }
+
+    const before = state.pos;
+    result.push(parseValue(state));
+    if (state.pos === before) {
+      // Nothing could be read here; skip the character rather than loop forever
+      note(state, "unquotedStrings");
+      state.pos++;
+    }
+
+    skipWhitespace(state);
+    if (peek(state) === ",") {
+      state.pos++;
+      skipWhitespace(state);
+      if (peek(state) === "]" || peek(state) === "}") note(state, "trailingCommas");
+    } else if (!isAtEnd(state) && peek(state) !== "]" && peek(state) !== "}") {
+      note(state, "missingCommas");
+    }
+  }
+};
+
+// --- PUBLIC API ---
+
+/**
+ * Repair almost-JSON text written by a language model
+ * @param {string} text - Broken JSON text
+ * @returns {{data: *, text: string, fixes: string[]}} Parsed data, strict JSON
+ *   text and the list of repairs that were applied (keys of REPAIR_DESCRIPTIONS)
+ * @throws {Error} If no JSON object or array can be found in the text
+ */
+const repairJson = (text) => {
+  const src = String(text ?? "");
+
+  // Fast path: nothing to repair
+  try {
+    const data = JSON.parse(src);
+    return { data, text: src, fixes: [] };
+  } catch (error) {
+    // Fall through to the tolerant reader
+  }
+
+  const start = src.search(/[{[]/);
+  if (start === -1) {
+    throw new Error("No JSON object or array found in tracker block");
+  }
+
+  const state = { src, pos: start, fixes: new Set() };
+  if (src.slice(0, start).trim() !== "") note(state, "surroundingText");
+
+  const data = parseValue(state);
+
+  skipWhitespace(state);
+  if (!isAtEnd(state)) note(state, "surroundingText");
+
+  const fixes = [...state.fixes];
+  log(`Repaired tracker JSON: ${fixes.join(", ")}`);
+  return { data, text: JSON.stringify(data, null, 2), fixes };
+};
+
+/**
+ * Turn repair keys into readable descriptions
+ * @param {string[]} fixes - Keys returned by repairJson
+ * @returns {string[]}
+ */
+const describeRepairs = (fixes) => fixes.map((fix) => REPAIR_DESCRIPTIONS[fix] || fix);
+
+export { repairJson, describeRepairs, REPAIR_DESCRIPTIONS };
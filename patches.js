@@ -0,0 +1,373 @@
+// patches.js - Patch-mode tracker blocks resolved against the previous tracker state
+//
+// A patch block only carries what changed since the previous block. It is either
+// a list of operations:
+//   [{"op": "inc", "path": "Alice.ap", "value": 5}, {"op": "set", "path": "worldData.current_time", "value": "15:10"}]
+// or a partial snapshot marked with "$patch": true, optionally with operations under "ops":
+//   {"$patch": true, "characters": [{"name": "Alice", "ap": 80}], "ops": [...]}
+import { findTrackerFences, wrapTrackerBlock } from "./formatUtils.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+
+// World-level keys used by the legacy (object-per-character) format
+const WORLD_DATA_FIELDS = ["current_date", "current_time"];
+
+// Keys of a patch object that are instructions rather than data
+const PATCH_MARKER = "$patch";
+const REMOVE_MARKER = "$remove";
+
+const PATCH_OPERATIONS = ["set", "inc", "dec", "unset", "push", "pull", "merge"];
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isOperation = (value) => isPlainObject(value) && typeof value.op === "string";
+
+/**
+ * Whether parsed tracker data is a patch rather than a full snapshot
+ * @param {*} data - Parsed tracker data
+ * @returns {boolean}
+ */
+const isPatchData = (data) => {
+  if (Array.isArray(data)) return data.length > 0 && data.every(isOperation);
+  return isPlainObject(data) && data[PATCH_MARKER] === true;
+};
+
+/**
+ * Bring tracker data (new or legacy format) into the {worldData, characters} shape.
+ * Returns a copy; the input is not modified.
+ * @param {Object} data - Parsed tracker data
+ * @returns {{worldData: Object, characters: Array<Object>}}
+ */
+const normalizeTrackerData = (data) => {
+  if (!isPlainObject(data)) return { worldData: {}, characters: [] };
+
+  if (Array.isArray(data.characters)) {
+    return {
+      worldData: isPlainObject(data.worldData) ? structuredClone(data.worldData) : {},
+      characters: structuredClone(data.characters).filter(isPlainObject),
+    };
+  }
+
+  const normalized = { worldData: {}, characters: [] };
+  Object.keys(data).forEach((key) => {
+    if (key === PATCH_MARKER || key === "ops") return;
+    if (key === "worldData" && isPlainObject(data.worldData)) {
+      Object.assign(normalized.worldData, structuredClone(data.worldData));
+    } else if (WORLD_DATA_FIELDS.includes(key)) {
+      normalized.worldData[key] = structuredClone(data[key]);
+    } else if (isPlainObject(data[key])) {
+      normalized.characters.push({ name: key, ...structuredClone(data[key]) });
+    }
+  });
+  return normalized;
+};
+
+/**
+ * Split "stats.hp" into segments, keeping a literal dotted key when the target has one
+ * (the same lookup rule the validator uses for dotted field keys)
+ */
+const resolveKeyPath = (target, path) => {
+  if (Object.prototype.hasOwnProperty.call(target, path) || !path.includes(".")) return [path];
+  return path.split(".");
+};
+
+const getAtPath = (target, path) => {
+  let current = target;
+  for (const part of resolveKeyPath(target, path)) {
+    if (!isPlainObject(current) || !(part in current)) return undefined;
+    current = current[part];
+  }
+  return current;
+};
+
+const setAtPath = (target, path, value) => {
+  const parts = resolveKeyPath(target, path);
+  let current = target;
+  parts.slice(0, -1).forEach((part) => {
+    if (!isPlainObject(current[part])) current[part] = {};
+    current = current[part];
+  });
+  current[parts[parts.length - 1]] = value;
+};
+
+const deleteAtPath = (target, path) => {
+  const parts = resolveKeyPath(target, path);
+  let current = target;
+  for (const part of parts.slice(0, -1)) {
+    if (!isPlainObject(current[part])) return;
+    current = current[part];
+  }
+  delete current[parts[parts.length - 1]];
+};
+
+// Nested objects are merged key by key; arrays and scalars are replaced
+const mergeInto = (target, source) => {
+  Object.keys(source).forEach((key) => {
+    if (isPlainObject(source[key]) && isPlainObject(target[key])) {
+      mergeInto(target[key], source[key]);
+    } else {
+      target[key] = structuredClone(source[key]);
+    }
+  });
+  return target;
+};
+
+/**
+ * Find which character (or worldData) an operation path points at.
+ * Character names may contain dots and spaces, so the longest matching name wins.
+ * @returns {{scope: "world"|"character", character: Object|null, name: string, key: string}}
+ */
+const resolveOperationTarget = (state, path) => {
+  if (path === "worldData" || path.startsWith("worldData.")) {
+    return { scope: "world", character: null, name: "worldData", key: path.slice("worldData.".length) };
+  }
+
+  const match = state.characters
+    .filter((character) => {
+      const name = String(character.name);
+      return path === name || path.startsWith(`${name}.`);
+    })
+    .sort((a, b) => String(b.name).length - String(a.name).length)[0];
+
+  if (match) {
+    return { scope: "character", character: match, name: String(match.name), key: path.slice(String(match.name).length + 1) };
+  }
+
+  // Unknown character: the first segment names it
+  const separator = path.indexOf(".");
+  const name = separator === -1 ? path : path.slice(0, separator);
+  return { scope: "character", character: null, name, key: separator === -1 ? "" : path.slice(separator + 1) };
+};
+
+const sameValue = (a, b) => {
+  if (isPlainObject(a) && typeof b === "string") return a.name === b;
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Apply one operation to the state in place
+ * @returns {string|null} Why the operation was skipped, or null when it was applied
+ */
+const applyOperation = (state, operation) => {
+  const op = String(operation.op).toLowerCase();
+  const path = typeof operation.path === "string" ? operation.path.trim() : "";
+  if (!PATCH_OPERATIONS.includes(op) && op !== "remove") return `unknown operation "${operation.op}"`;
+  if (!path) return `"${op}" has no path`;
+
+  const target = resolveOperationTarget(state, path);
+
+  // Operations on a whole character
+  if (target.scope === "character" && !target.key) {
+    if (op === "unset" || op === "remove") {
+      if (!target.character) return `no character "${target.name}" to remove`;
+      state.characters = state.characters.filter((character) => character !== target.character);
+      return null;
+    }
+    if ((op === "set" || op === "merge") && isPlainObject(operation.value)) {
+      if (target.character && op === "merge") {
+        mergeInto(target.character, operation.value);
+      } else if (target.character) {
+        Object.keys(target.character).forEach((key) => delete target.character[key]);
+        Object.assign(target.character, structuredClone(operation.value), { name: target.character.name ?? target.name });
+      } else {
+        state.characters.push({ name: target.name, ...structuredClone(operation.value) });
+      }
+      return null;
+    }
+    return `"${op}" needs a field path, got "${path}"`;
+  }
+
+  let container;
+  if (target.scope === "world") {
+    container = state.worldData;
+  } else if (target.character) {
+    container = target.character;
+  } else {
+    if (op === "unset" || op === "remove" || op === "pull") return `no character "${target.name}"`;
+    container = { name: target.name };
+    state.characters.push(container);
+  }
+
+  if (!target.key) {
+    if (op === "merge" && isPlainObject(operation.value)) {
+      mergeInto(container, operation.value);
+      return null;
+    }
+    return `"${op}" needs a field path, got "${path}"`;
+  }
+
+  const current = getAtPath(container, target.key);
+  switch (op) {
+    case "set":
+      setAtPath(container, target.key, structuredClone(operation.value));
+      return null;
+    case "inc":
+    case "dec": {
+      const amount = operation.value === undefined ? 1 : Number(operation.value);
+      if (!Number.isFinite(amount)) return `"${op}" on ${path} needs a number, got ${JSON.stringify(operation.value)}`;
+      const base = current === undefined || current === null ? 0 : Number(current);
+      if (!Number.isFinite(base)) return `${path} is not a number (${JSON.stringify(current)})`;
+      setAtPath(container, target.key, op === "inc" ? base + amount : base - amount);
+      return null;
+    }
+    case "unset":
+    case "remove":
+      deleteAtPath(container, target.key);
+      return null;
+    case "push": {
+      if (current !== undefined && !Array.isArray(current)) return `${path} is not a list`;
+      const items = Array.isArray(operation.value) && operation.each !== false ? operation.value : [operation.value];
+      setAtPath(container, target.key, [...(current || []), ...structuredClone(items)]);
+      return null;
+    }
+    case "pull": {
+      if (!Array.isArray(current)) return `${path} is not a list`;
+      const values = Array.isArray(operation.value) ? operation.value : [operation.value];
+      setAtPath(container, target.key, current.filter((item) => !values.some((value) => sameValue(item, value))));
+      return null;
+    }
+    case "merge": {
+      if (!isPlainObject(operation.value)) return `"merge" on ${path} needs an object`;
+      if (current !== undefined && !isPlainObject(current)) return `${path} is not an object`;
+      setAtPath(container, target.key, mergeInto(structuredClone(current || {}), operation.value));
+      return null;
+    }
+    default:
+      return `unknown operation "${operation.op}"`;
+  }
+};
+
+/**
+ * Merge the changed fields of a partial snapshot onto the state in place
+ */
+const mergePartialSnapshot = (state, patch) => {
+  const partial = normalizeTrackerData(patch);
+  mergeInto(state.worldData, partial.worldData);
+
+  partial.characters.forEach((character) => {
+    const existing = state.characters.find((candidate) => String(candidate.name) === String(character.name));
+    if (character[REMOVE_MARKER] === true) {
+      state.characters = state.characters.filter((candidate) => candidate !== existing);
+    } else if (existing) {
+      mergeInto(existing, character);
+    } else {
+      state.characters.push(character);
+    }
+  });
+};
+
+/**
+ * Apply a patch block to a tracker state
+ * @param {Object|null} base - Previous full state (new or legacy format), or null when there is none
+ * @param {Object|Array} patch - Parsed patch block
+ * @returns {{data: {worldData: Object, characters: Array}, skipped: string[]}} The new full state
+ *   and a description of every operation that could not be applied
+ */
+const applyTrackerPatch = (base, patch) => {
+  const state = normalizeTrackerData(base);
+  const skipped = [];
+
+  const operations = Array.isArray(patch) ? patch : Array.isArray(patch?.ops) ? patch.ops : [];
+  if (isPlainObject(patch)) mergePartialSnapshot(state, patch);
+
+  operations.forEach((operation, index) => {
+    const reason = isOperation(operation)
+      ? applyOperation(state, operation)
+      : `entry ${index + 1} is not an operation`;
+    if (reason) skipped.push(reason);
+  });
+
+  skipped.forEach((reason) => log(`Skipped tracker patch operation: ${reason}`));
+  return { data: state, skipped };
+};
+
+/**
+ * Every code block identifier trackers are read under: the current one first, then the
+ * ones used before (the Known Identifiers setting). New blocks are always written with
+ * the current one.
+ * @param {Function} get_settings - Settings getter
+ * @returns {string[]}
+ */
+const getKnownIdentifiers = (get_settings) => {
+  const current = get_settings("codeBlockIdentifier") || "sim";
+  const known = Array.isArray(get_settings("knownIdentifiers")) ? get_settings("knownIdentifiers") : [];
+  return [...new Set([current, ...known].map((identifier) => String(identifier).trim()).filter(Boolean))];
+};
+
+/**
+ * Find the first tracker block in a message, hidden or not
+ * @param {string} text - Message text
+ * @param {string|string[]} identifier - Code block identifier, or several
+ * @returns {{identifier: string, syntax: string, content: string, index: number, length: number}|null}
+ *   The identifier and syntax the block was written with, its content without fences or tags,
+ *   and where the block is
+ */
+const findTrackerBlock = (text, identifier) => {
+  const [block] = findTrackerFences(text, identifier);
+  if (!block) return null;
+  return { identifier: block.identifier, syntax: block.syntax, content: block.content.trim(), index: block.start, length: block.end - block.start };
+};
+
+/**
+ * Find the content of the first tracker block in a message, hidden or not
+ * @param {string} text - Message text
+ * @param {string|string[]} identifier - Code block identifier, or several
+ * @returns {string|null} Block content without fences, or null when there is no block
+ */
+const findTrackerBlockContent = (text, identifier) => findTrackerBlock(text, identifier)?.content ?? null;
+
+/**
+ * Patch syntax instructions appended to {{sim_format}} in patch mode
+ * @param {string} format - Tracker format ("json" or "yaml")
+ * @param {string} identifier - Code block identifier
+ * @returns {string}
+ */
+const getPatchFormatInstructions = (format, identifier) => {
+  let output = "Only the FIRST tracker block of the chat must use the full format above. ";
+  output += "After that, write a PATCH block containing only what changed since the previous block. Fields and characters you leave out keep their previous values; ";
+  output += "a character that appears for the first time needs all of its fields.\n\n";
+  output += "A patch is either a partial snapshot marked with `$patch: true`, or a list of operations ";
+  output += "(`set`, `inc`, `dec`, `unset`, `push`, `pull`, `merge`) whose `path` is `CharacterName.field` or `worldData.field`:\n\n";
+
+  if (format === "yaml") {
+    let partial = "$patch: true\n";
+    partial += "worldData:\n";
+    partial += "  current_time: \"[NEW_TIME]\"\n";
+    partial += "characters:\n";
+    partial += "  - name: \"[CHARACTER_NAME]\"\n";
+    partial += "    [CHANGED_FIELD]: [NEW_VALUE]\n";
+    partial += "ops:\n";
+    partial += "  - { op: inc, path: \"[CHARACTER_NAME].[NUMERIC_FIELD]\", value: 5 }";
+    let operations = "- { op: dec, path: \"[CHARACTER_NAME].[NUMERIC_FIELD]\", value: 3 }\n";
+    operations += "- { op: set, path: \"worldData.current_time\", value: \"[NEW_TIME]\" }";
+    output += `${wrapTrackerBlock(partial, identifier)}\n\n${wrapTrackerBlock(operations, identifier)}`;
+  } else {
+    let partial = "{\n";
+    partial += "  \"$patch\": true,\n";
+    partial += "  \"worldData\": { \"current_time\": \"[NEW_TIME]\" },\n";
+    partial += "  \"characters\": [{ \"name\": \"[CHARACTER_NAME]\", \"[CHANGED_FIELD]\": [NEW_VALUE] }],\n";
+    partial += "  \"ops\": [{ \"op\": \"inc\", \"path\": \"[CHARACTER_NAME].[NUMERIC_FIELD]\", \"value\": 5 }]\n";
+    partial += "}";
+    let operations = "[\n";
+    operations += "  { \"op\": \"dec\", \"path\": \"[CHARACTER_NAME].[NUMERIC_FIELD]\", \"value\": 3 },\n";
+    operations += "  { \"op\": \"set\", \"path\": \"worldData.current_time\", \"value\": \"[NEW_TIME]\" }\n";
+    operations += "]";
+    output += `${wrapTrackerBlock(partial, identifier)}\n\n${wrapTrackerBlock(operations, identifier)}`;
+  }
+
+  output += "\n\nTo drop a character, use `{ \"op\": \"unset\", \"path\": \"[CHARACTER_NAME]\" }` or add `\"$remove\": true` to its entry.";
+  return output;
+};
+
+export {
+  PATCH_OPERATIONS,
+  isPatchData,
+  normalizeTrackerData,
+  applyTrackerPatch,
+  getKnownIdentifiers,
+  findTrackerBlock,
+  findTrackerBlockContent,
+  getPatchFormatInstructions,
+};
@@ -0,0 +1,229 @@
+// plausibility.js - Checks of each tracker block against the one before it
+//
+// Custom fields can limit how a value moves between blocks: `maxDelta` caps the change of
+// a number, and `terminal` values are never left once reached (see fieldConstraints.js).
+// Violations are shown on the cards. With Plausibility Checks set to "damp", the latest
+// block is corrected in the message as it arrives; with "correct", the secondary LLM is
+// asked for plausible values first, and whatever is still out of bounds is damped.
+import { getTrackerEntry, getTrackerState, findLatestTrackerMessage } from "./stateStore.js";
+import { parseTrackerDataWithReport, serializeTrackerData } from "./formatUtils.js";
+import { isPatchData, normalizeTrackerData, applyTrackerPatch, findTrackerBlockContent, getKnownIdentifiers } from "./patches.js";
+import { getFieldConstraints } from "./fieldConstraints.js";
+import { validateTrackerData, readFieldValue, writeFieldValue } from "./validation.js";
+import { getFieldLocks, applyFieldLocks } from "./fieldLocks.js";
+import { writeTrackerEdits } from "./cardEditor.js";
+import { correctTrackerWithSecondaryLLM } from "./secondaryLLM.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+
+// Key of the recorded corrections inside message.extra
+const CORRECTIONS_KEY = "sst_plausibility";
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Terminal values are compared as text, so 5 and "5" are the same state
+const sameState = (a, b) => String(a) === String(b);
+
+/**
+ * Find the changes between two tracker states that break a field's plausibility limits
+ * @param {{worldData: Object, characters: Array}|null} previous - State of the block before
+ * @param {{worldData: Object, characters: Array}|null} current - State of the block to check
+ * @param {Array} customFields - Field definitions from settings
+ * @returns {Array<{character: string, field: string, kind: "delta"|"terminal", before: *, after: *,
+ *   allowed: *, limit: number|null}>} `allowed` is the nearest value the limits accept
+ */
+const checkTrackerPlausibility = (previous, current, customFields) => {
+  if (!previous || !current || !Array.isArray(previous.characters) || !Array.isArray(current.characters)) return [];
+
+  const limited = (customFields || [])
+    .filter((field) => field.key && field.type !== "computed" && field.type !== "array")
+    .map((field) => ({ key: field.key, constraints: getFieldConstraints(field) }))
+    .filter(({ constraints }) => constraints.maxDelta !== null || constraints.terminal.length);
+  if (!limited.length) return [];
+
+  const violations = [];
+  current.characters.forEach((character) => {
+    if (!character || character.name === undefined) return;
+    const name = String(character.name);
+    const before = previous.characters.find((candidate) => candidate && String(candidate.name) === name);
+    if (!before) return;
+
+    limited.forEach(({ key, constraints }) => {
+      const old = readFieldValue(before, key);
+      const now = readFieldValue(character, key);
+      if (!old.found || !now.found) return;
+
+      if (constraints.terminal.some((value) => sameState(value, old.value)) && !sameState(old.value, now.value)) {
+        violations.push({ character: name, field: key, kind: "terminal", before: old.value, after: now.value, allowed: old.value, limit: null });
+        return;
+      }
+      if (constraints.maxDelta !== null && isNumber(old.value) && isNumber(now.value)) {
+        const delta = now.value - old.value;
+        if (Math.abs(delta) <= constraints.maxDelta) return;
+        // Round away floating point noise (0.1 + 0.2 style)
+        const allowed = Math.round((old.value + Math.sign(delta) * constraints.maxDelta) * 1e6) / 1e6;
+        violations.push({ character: name, field: key, kind: "delta", before: old.value, after: now.value, allowed, limit: constraints.maxDelta });
+      }
+    });
+  });
+  return violations;
+};
+
+/**
+ * Describe a violation in a short sentence, without the character's name
+ * @returns {string} e.g. `"ap" jumped from 20 to 180 (at most 30 per block)`
+ */
+const describePlausibilityViolation = (violation) => {
+  const before = JSON.stringify(violation.before);
+  const after = JSON.stringify(violation.after);
+  if (violation.kind === "terminal") {
+    return `"${violation.field}" left its permanent value ${before} for ${after}`;
+  }
+  return `"${violation.field}" jumped from ${before} to ${after} (at most ${violation.limit} per block)`;
+};
+
+// States as the cards see them: coerced and constrained, with locked values
+const readEffectiveState = (state, customFields) =>
+  applyFieldLocks(validateTrackerData(state, customFields, { silent: true }).data, getFieldLocks()).data;
+
+const getSwipeId = (message) => message.swipe_id ?? 0;
+
+/**
+ * Corrections made to the current block of a message when it arrived
+ * @returns {Array} Violations, each with `by` ("damp" or "llm") and the value that was written
+ */
+const getPlausibilityCorrections = (message, identifier) => {
+  const record = message?.extra?.[CORRECTIONS_KEY];
+  if (!record || record.swipeId !== getSwipeId(message)) return [];
+  // Edited blocks no longer hold the corrected values
+  if (record.content !== findTrackerBlockContent(message.mes, identifier)) return [];
+  return Array.isArray(record.corrections) ? record.corrections : [];
+};
+
+/**
+ * Card issues for a block: its implausible changes, and the ones corrected when it arrived
+ * @param {Object} message - Chat message of the block
+ * @param {Object|null} previous - Previous state, as shown on the cards
+ * @param {Object} current - State of the block, as shown on the cards
+ * @param {Function} get_settings - Settings getter
+ * @returns {Array<{character: string, field: string, severity: string, message: string}>}
+ */
+const getPlausibilityIssues = (message, previous, current, get_settings) => {
+  if ((get_settings("plausibilityMode") || "off") === "off") return [];
+
+  const corrected = getPlausibilityCorrections(message, getKnownIdentifiers(get_settings)).map((correction) => ({
+    character: correction.character,
+    field: correction.field,
+    severity: "info",
+    message: `${describePlausibilityViolation(correction)}; ${correction.by === "llm" ? "corrected by the secondary LLM" : "damped"} to ${JSON.stringify(correction.value)}`,
+  }));
+  const remaining = checkTrackerPlausibility(previous, current, get_settings("customFields")).map((violation) => ({
+    character: violation.character,
+    field: violation.field,
+    severity: "warning",
+    message: describePlausibilityViolation(violation),
+  }));
+  return [...corrected, ...remaining];
+};
+
+/**
+ * Values the secondary LLM proposes for the violating fields. Only those fields are taken
+ * from its answer; anything else it changed is ignored.
+ */
+const requestCorrectedValues = async (get_settings, previous, current, violations, format) => {
+  const text = await correctTrackerWithSecondaryLLM(get_settings, {
+    previous: serializeTrackerData(previous, format),
+    current: serializeTrackerData(current, format),
+    problems: violations.map((violation) => `${violation.character}: ${describePlausibilityViolation(violation)}`),
+    format,
+  });
+  if (!text) return {};
+
+  try {
+    const { data } = parseTrackerDataWithReport(text);
+    const answer = isPatchData(data) ? applyTrackerPatch(current, data).data : normalizeTrackerData(data);
+    const validated = validateTrackerData(answer, get_settings("customFields"), { silent: true }).data;
+    const values = {};
+    violations.forEach(({ character, field }) => {
+      const answered = validated.characters.find((candidate) => String(candidate.name) === character);
+      const result = answered ? readFieldValue(answered, field) : { found: false };
+      if (result.found) values[`${character}\u0000${field}`] = result.value;
+    });
+    return values;
+  } catch (error) {
+    log(`Could not read the secondary LLM's correction: ${error.message}`);
+    return {};
+  }
+};
+
+/**
+ * Correct implausible changes in the latest tracker block, when Plausibility Checks is set
+ * to "damp" or "correct", and remember the corrections for the cards
+ * @param {Array} chat - Chat messages
+ * @param {Function} get_settings - Settings getter
+ * @returns {Promise<{mesId: number|null, corrections: Array}>} The tracker message, and what was
+ *   corrected in it (the caller saves the chat and re-renders when anything was)
+ */
+const enforceTrackerPlausibility = async (chat, get_settings) => {
+  const mode = get_settings("plausibilityMode") || "off";
+  const identifier = getKnownIdentifiers(get_settings);
+  const mesId = findLatestTrackerMessage(chat, identifier);
+  if ((mode !== "damp" && mode !== "correct") || mesId === null) return { mesId, corrections: [] };
+
+  const entry = getTrackerEntry(chat, mesId, identifier);
+  const storedPrevious = getTrackerState(chat, mesId - 1, identifier);
+  if (!entry || !entry.state || !storedPrevious) return { mesId, corrections: [] };
+
+  const customFields = get_settings("customFields") || [];
+  const previous = readEffectiveState(storedPrevious, customFields);
+  const current = readEffectiveState(entry.state, customFields);
+  const violations = checkTrackerPlausibility(previous, current, customFields);
+  if (!violations.length) return { mesId, corrections: [] };
+
+  const format = entry.format || get_settings("trackerFormat") || "json";
+  const suggested = mode === "correct" ? await requestCorrectedValues(get_settings, previous, current, violations, format) : {};
+
+  // Values from the secondary LLM still have to fit the limits; the rest is damped
+  const proposal = structuredClone(current);
+  violations.forEach(({ character, field }) => {
+    const key = `${character}\u0000${field}`;
+    if (!(key in suggested)) return;
+    const target = proposal.characters.find((candidate) => String(candidate.name) === character);
+    if (target) writeFieldValue(target, field, suggested[key]);
+  });
+  const stillImplausible = checkTrackerPlausibility(previous, proposal, customFields);
+
+  const corrections = violations.map((violation) => {
+    const key = `${violation.character}\u0000${violation.field}`;
+    const remaining = stillImplausible.find((candidate) => candidate.character === violation.character && candidate.field === violation.field);
+    if (key in suggested && !remaining) return { ...violation, by: "llm", value: suggested[key] };
+    return { ...violation, by: "damp", value: remaining ? remaining.allowed : violation.allowed };
+  });
+
+  const message = chat[mesId];
+  writeTrackerEdits(
+    chat,
+    mesId,
+    identifier,
+    corrections.map(({ character, field, value }) => ({ character, key: field, value })),
+    get_settings("trackerFormat") || "json"
+  );
+  if (!message.extra) message.extra = {};
+  message.extra[CORRECTIONS_KEY] = {
+    swipeId: getSwipeId(message),
+    content: findTrackerBlockContent(message.mes, identifier),
+    corrections,
+  };
+  log(`Corrected ${corrections.length} implausible values in the tracker block of message ${mesId}`);
+  return { mesId, corrections };
+};
+
+export {
+  checkTrackerPlausibility,
+  describePlausibilityViolation,
+  getPlausibilityCorrections,
+  getPlausibilityIssues,
+  enforceTrackerPlausibility,
+};
@@ -0,0 +1,254 @@
+// reidentify.js - Rewriting tracker blocks from one code block identifier to another
+//
+// Changing the Code Block Identifier leaves earlier blocks under the old fence. Known
+// identifiers keep them readable, but the prompt then shows mixed fences the model may copy.
+// This rewrites ```sim blocks as ```rpg (and <sim> tags as <rpg>, or any pair) in the current
+// chat or in every chat of the current character: in the message text, inside hidden-div
+// wrappers, and in every swipe.
+// Block content is left untouched. Counting comes first, so nothing is written unconfirmed.
+import { getContext } from "../../../extensions.js";
+import { invalidateTrackerState } from "./stateStore.js";
+import { findTrackerFences } from "./formatUtils.js";
+import { escapeHtml } from "./helpers.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+const REIDENTIFY_MODAL_ID = "sst-reidentify-modal";
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+/**
+ * Rewrite the tracker blocks of a list of messages from some identifiers to another
+ * @param {Array} messages - Chat messages (changed in place unless dryRun)
+ * @param {string|string[]} from - Identifier to rewrite, or several
+ * @param {string} to - New identifier
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only count
+ * @returns {{messages: number, blocks: number}} Messages and blocks (swipes included) affected
+ */
+const rewriteTrackerIdentifier = (messages, from, to, { dryRun = false } = {}) => {
+  const identifiers = [].concat(from).filter((identifier) => identifier && identifier !== to);
+  const result = { messages: 0, blocks: 0 };
+  if (!identifiers.length || !Array.isArray(messages)) return result;
+
+  // Only the identifier in the opening fence, or in both tags, changes; the fence itself and
+  // any wrapper stay
+  const rewrite = (text) => {
+    const blocks = findTrackerFences(text, identifiers);
+    const rewritten = blocks.reduceRight((result, block) => {
+      if (block.syntax === "tag") {
+        const close = block.end - block.identifier.length - 1;
+        result = result.slice(0, close) + to + result.slice(close + block.identifier.length);
+      }
+      const at = result.indexOf(block.identifier, block.start + block.fence.length);
+      return result.slice(0, at) + to + result.slice(at + block.identifier.length);
+    }, text);
+    return { text: rewritten, count: blocks.length };
+  };
+
+  messages.forEach((message) => {
+    if (!message || typeof message.mes !== "string") return;
+    const current = rewrite(message.mes);
+    let blocks = current.count;
+    // The active swipe is the message text itself
+    const swipes = Array.isArray(message.swipes)
+      ? message.swipes.map((swipe, index) => {
+          if (typeof swipe !== "string") return swipe;
+          if (index === message.swipe_id) return current.text;
+          const other = rewrite(swipe);
+          blocks += other.count;
+          return other.text;
+        })
+      : null;
+    if (!blocks) return;
+
+    result.messages++;
+    result.blocks += blocks;
+    if (dryRun) return;
+    message.mes = current.text;
+    if (swipes) message.swipes = swipes;
+  });
+  return result;
+};
+
+/**
+ * Every chat of the current character, as {fileName, messages}. The open chat comes from
+ * memory; the others are loaded from the server with their header line first.
+ * @returns {Promise<Array<{fileName: string, header: Object|null, messages: Array, isCurrent: boolean}>>}
+ */
+const loadCharacterChats = async () => {
+  const context = getContext();
+  const character = context.characters?.[context.characterId];
+  if (context.groupId || !character) throw new Error("Open a chat with a single character to rewrite all of its chats");
+
+  const currentFile = context.getCurrentChatId();
+  const response = await fetch("/api/characters/chats", {
+    method: "POST",
+    headers: context.getRequestHeaders(),
+    body: JSON.stringify({ avatar_url: character.avatar }),
+  });
+  if (!response.ok) throw new Error(`Could not list the chats of ${character.name} (${response.status})`);
+  const list = Object.values(await response.json()).filter((entry) => entry && entry.file_name);
+
+  const chats = [];
+  for (const entry of list) {
+    const fileName = String(entry.file_name).replace(/\.jsonl$/, "");
+    if (fileName === currentFile) {
+      chats.push({ fileName, header: null, messages: context.chat, isCurrent: true });
+      continue;
+    }
+    const chatResponse = await fetch("/api/chats/get", {
+      method: "POST",
+      headers: context.getRequestHeaders(),
+      body: JSON.stringify({ ch_name: character.name, file_name: fileName, avatar_url: character.avatar }),
+    });
+    if (!chatResponse.ok) throw new Error(`Could not load the chat "${fileName}" (${chatResponse.status})`);
+    const [header = null, ...messages] = await chatResponse.json();
+    chats.push({ fileName, header, messages, isCurrent: false });
+  }
+  return chats;
+};
+
+const saveCharacterChat = async ({ fileName, header, messages }) => {
+  const context = getContext();
+  const character = context.characters[context.characterId];
+  const response = await fetch("/api/chats/save", {
+    method: "POST",
+    headers: context.getRequestHeaders(),
+    body: JSON.stringify({ ch_name: character.name, file_name: fileName, chat: [header, ...messages], avatar_url: character.avatar }),
+  });
+  if (!response.ok) throw new Error(`Could not save the chat "${fileName}" (${response.status})`);
+};
+
+/**
+ * Rewrite tracker blocks from some identifiers to another in the current chat, or in every
+ * chat of the current character. The open chat is saved and its stored states are dropped.
+ * @param {string|string[]} from - Identifier to rewrite, or several
+ * @param {string} to - New identifier
+ * @param {Object} [options]
+ * @param {"chat"|"character"} [options.scope="chat"] - Which chats to rewrite
+ * @param {boolean} [options.dryRun=false] - Only count
+ * @returns {Promise<{chats: number, messages: number, blocks: number}>} Chats, messages and
+ *   blocks affected (or that would be, in a dry run)
+ */
+const reidentifyTrackerBlocks = async (from, to, { scope = "chat", dryRun = false } = {}) => {
+  const context = getContext();
+  const chats = scope === "character"
+    ? await loadCharacterChats()
+    : [{ fileName: context.getCurrentChatId(), header: null, messages: context.chat, isCurrent: true }];
+
+  const total = { chats: 0, messages: 0, blocks: 0 };
+  for (const chat of chats) {
+    const counted = rewriteTrackerIdentifier(chat.messages, from, to, { dryRun: true });
+    if (!counted.blocks) continue;
+    total.chats++;
+    total.messages += counted.messages;
+    total.blocks += counted.blocks;
+    if (dryRun) continue;
+
+    rewriteTrackerIdentifier(chat.messages, from, to);
+    if (chat.isCurrent) {
+      invalidateTrackerState(chat.messages, 0);
+      await context.saveChat();
+    } else {
+      await saveCharacterChat(chat);
+    }
+  }
+
+  log(`${dryRun ? "Found" : "Rewrote"} ${total.blocks} tracker blocks in ${total.messages} messages of ${total.chats} chats as \`\`\`${to}`);
+  return total;
+};
+
+const describeCount = ({ chats, messages, blocks }, scope) =>
+  `${blocks} block${blocks !== 1 ? "s" : ""} in ${messages} message${messages !== 1 ? "s" : ""}` +
+  (scope === "character" ? ` of ${chats} chat${chats !== 1 ? "s" : ""}` : "");
+
+/**
+ * Offer to rewrite the blocks of an old identifier after the identifier was changed.
+ * Shows the count for the open chat right away and the count for every chat of the
+ * character once those are loaded. Nothing is shown when the open chat has no such block.
+ * @param {string} from - Previous identifier
+ * @param {string} to - New identifier
+ * @param {Object} [options]
+ * @param {Function} [options.onRewritten] - Called after blocks were rewritten
+ * @returns {boolean} Whether the prompt was shown
+ */
+const showReidentifyPrompt = (from, to, { onRewritten = null } = {}) => {
+  const context = getContext();
+  const inChat = rewriteTrackerIdentifier(context.chat, from, to, { dryRun: true });
+  if (!inChat.blocks) return false;
+
+  $(`#${REIDENTIFY_MODAL_ID}`).remove();
+  const canDoCharacter = !context.groupId && context.characterId !== undefined;
+  const modalHtml = `
+            <dialog id="${REIDENTIFY_MODAL_ID}" class="popup wide_dialogue_popup large_dialogue_popup vertical_scrolling_dialogue_popup popup--animation-fast">
+                <div class="sst-modal-header">
+                    <h3 class="sst-modal-title">Rewrite Tracker Blocks</h3>
+                    <button class="sst-modal-close" data-sst-reidentify-close>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg>
+                    </button>
+                </div>
+                <div class="sst-modal-body">
+                    <p>
+                        The code block identifier changed from <code>${escapeHtml(from)}</code> to <code>${escapeHtml(to)}</code>.
+                        Earlier blocks are still read, but rewriting them keeps the prompt from showing both.
+                    </p>
+                    <ul>
+                        <li>This chat: ${describeCount(inChat, "chat")}</li>
+                        ${canDoCharacter ? `<li>All chats of this character: <span data-sst-reidentify-count>counting…</span></li>` : ""}
+                    </ul>
+                </div>
+                <div class="sst-modal-footer">
+                    <button class="sst-btn" data-sst-reidentify-close>Keep</button>
+                    ${canDoCharacter ? `<button class="sst-btn" data-sst-reidentify-scope="character" disabled>All Chats of Character</button>` : ""}
+                    <button class="sst-btn sst-btn-primary" data-sst-reidentify-scope="chat">This Chat</button>
+                </div>
+            </dialog>
+        `;
+
+  $("body").append(modalHtml);
+  const $modal = $(`#${REIDENTIFY_MODAL_ID}`);
+
+  if (canDoCharacter) {
+    reidentifyTrackerBlocks(from, to, { scope: "character", dryRun: true })
+      .then((total) => {
+        $modal.find("[data-sst-reidentify-count]").text(describeCount(total, "character"));
+        $modal.find('[data-sst-reidentify-scope="character"]').prop("disabled", false);
+      })
+      .catch((error) => {
+        log(`Error counting tracker blocks in the character's chats: ${error.message}`);
+        $modal.find("[data-sst-reidentify-count]").text("could not be loaded");
+      });
+  }
+
+  $modal.find("[data-sst-reidentify-scope]").on("click", async function () {
+    const scope = $(this).attr("data-sst-reidentify-scope");
+    $modal.find("button").prop("disabled", true);
+    try {
+      const total = await reidentifyTrackerBlocks(from, to, { scope });
+      toastr.success(`Rewrote ${describeCount(total, scope)} as \`\`\`${to}.`);
+      $modal.remove();
+      if (onRewritten) onRewritten(total);
+    } catch (error) {
+      log(`Error rewriting tracker blocks: ${error.message}`);
+      toastr.error(error.message, "Rewrite Tracker Blocks");
+      $modal.find("button").prop("disabled", false);
+    }
+  });
+
+  $modal.find("[data-sst-reidentify-close]").on("click", () => $modal.remove());
+  $modal.on("keydown", (e) => {
+    if (e.key === "Escape") $modal.remove();
+  });
+  $modal.on("click", function (e) {
+    if (e.target === this) $modal.remove();
+  });
+
+  $modal[0].showModal();
+  return true;
+};
+
+export {
+  rewriteTrackerIdentifier,
+  reidentifyTrackerBlocks,
+  showReidentifyPrompt,
+};
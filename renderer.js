@@ -2,9 +2,19 @@
 import { getContext } from "../../../extensions.js";
 import { messageFormatting } from "../../../../script.js";
 import { extractTemplatePosition, currentTemplatePosition, currentTemplateLogic, currentTabsType, clearDomMeasurementCache } from "./templating.js";
-import { parseTrackerData } from "./formatUtils.js";
+import { describeRepairs } from "./jsonRepair.js";
+import { validateTrackerData, describeValidationIssues, inferFieldType, readFieldValue } from "./validation.js";
+import { getTrackerEntry, getTrackerState, findLatestTrackerMessage } from "./stateStore.js";
+import { getKnownIdentifiers } from "./patches.js";
+import { replaceTrackerFences } from "./formatUtils.js";
+import { getAdditionalTrackerTypes, getAllTrackerIdentifiers, getTrackerTypeSettings, getTrackerTypeTemplate } from "./trackerTypes.js";
+import { buildTrackerHistory, getCharacterHistoryValues } from "./history.js";
+import { applyComputedFields } from "./computedFields.js";
+import { getFieldLocks, applyFieldLocks } from "./fieldLocks.js";
+import { getPlausibilityIssues } from "./plausibility.js";
 import {
   createElement,
+  escapeHtml,
   query,
   queryAll,
   on,
@@ -26,25 +36,8 @@ import {
 const MODULE_NAME = "silly-sim-tracker";
 const CONTAINER_ID = "silly-sim-tracker-container";
 const TRACKER_DIVIDER_CLASS = "sst-tracker-divider";
-
-/**
- * Strip <div style="display: none;"> wrappers around sim blocks in message text.
- * Standard ST mode wraps sim blocks in hidden divs for persistence. When searching
- * for sim data, we need to see through these wrappers so the regex matches cleanly.
- * Does NOT modify the original message — returns a clean copy for regex matching.
- *
- * @param {string} text - Raw message text (message.mes)
- * @param {string} identifier - The code block identifier (e.g. "sim")
- * @returns {string} Text with sim block wrappers stripped (bare ```sim...``` blocks)
- */
-function stripSimBlockWrappers(text, identifier) {
-  if (!text) return text;
-  const wrappedRegex = new RegExp(
-    `<div style="display: none;">\\s*(\`\`\`${identifier}[\\s\\S]*?\`\`\`)\\s*</div>`,
-    'g'
-  );
-  return text.replace(wrappedRegex, '$1');
-}
+// Cards of the additional tracker types, one container per type
+const TYPE_CONTAINER_CLASS = "sst-tracker-type-container";
 
 // Viewport change detection
 let viewportResizeTimeout = null;
@@ -646,17 +639,183 @@ const executeTemplateLogic = (data, templateType) => {
   }
 };
 
+/**
+ * Build the small status badges shown above the tracker cards
+ * (e.g. when the block had to be auto-repaired before it could be read).
+ * @param {Object} notices
+ * @param {string[]} [notices.repairs] - Repair keys reported by the parser
+ * @param {Array} [notices.issues] - Validation issues reported against customFields
+ * @param {Object} [notices.patch] - Set when the block was a patch: {hasBase, skipped}
+ * @param {number} [notices.mesId] - Message the cards belong to; adds the edit and stat history buttons
+ * @returns {string} Badge HTML, or an empty string when there is nothing to show
+ */
+const buildTrackerNoticesHtml = ({ repairs = [], issues = [], patch = null, mesId = null } = {}) => {
+  const badges = [];
+
+  if (patch) {
+    const details = [
+      patch.hasBase
+        ? "Patch block merged onto the tracker state of the previous messages."
+        : "Patch block, but no earlier tracker state was found; applied to an empty state.",
+      ...patch.skipped.map((reason) => `Skipped: ${reason}`),
+    ].join("\n");
+    const needsAttention = !patch.hasBase || patch.skipped.length > 0;
+    badges.push(
+      `<span class="sst-notice-badge ${needsAttention ? "sst-notice-warning" : "sst-notice-patch"}" title="${escapeHtml(details)}">patch</span>`
+    );
+  }
+
+  if (repairs.length) {
+    const details = describeRepairs(repairs).join("\n");
+    badges.push(
+      `<span class="sst-notice-badge sst-notice-repaired" title="${escapeHtml(details)}">auto-repaired</span>`
+    );
+  }
+
+  if (issues.length) {
+    const hasErrors = issues.some((issue) => issue.severity === "error");
+    const details = describeValidationIssues(issues).join("\n");
+    const label = `${issues.length} ${issues.length === 1 ? "issue" : "issues"}`;
+    badges.push(
+      `<span class="sst-notice-badge ${hasErrors ? "sst-notice-invalid" : "sst-notice-warning"}" title="${escapeHtml(details)}">${label}</span>`
+    );
+  }
+
+  if (mesId !== null) {
+    badges.push(
+      `<button class="sst-card-action-btn sst-edit-btn" data-sst-edit="" data-sst-mesid="${mesId}" title="Edit tracker values">` +
+        `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 20h9"/><path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4z"/></svg>` +
+        `</button>`,
+      `<button class="sst-card-action-btn" data-sst-history="" title="Stat history">` +
+        `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 3v18h18"/><path d="M7 15l4-4 3 3 5-6"/></svg>` +
+        `</button>`
+    );
+  }
+
+  if (!badges.length) return "";
+  return `<div class="sst-tracker-notices">${badges.join("")}</div>`;
+};
+
+/**
+ * Apply field constraints and locks to parsed tracker data, fill in computed fields and, when
+ * validation is enabled, log the problems found against the configured custom fields and
+ * collect them for the card badge if it is shown
+ * @param {Object} [options]
+ * @param {boolean} [options.report=true] - Set to false to only apply constraints (e.g. for the previous state)
+ * @returns {{data: Object, issues: Array}} Data with coercions, constraints, locked and computed values, plus any issues
+ */
+const validateParsedTrackerData = (jsonData, get_settings, { report = true } = {}) => {
+  const reportIssues = report && get_settings("validateTrackerData");
+  const showIssues = reportIssues && get_settings("showValidationBadge");
+  const customFields = get_settings("customFields");
+  const { data: validated, issues } = validateTrackerData(jsonData, customFields, { silent: !reportIssues });
+  const { data: locked, forced } = applyFieldLocks(validated, getFieldLocks());
+  const { data, issues: formulaIssues } = applyComputedFields(locked, customFields);
+  const lockIssues = forced.map(({ character, field, value, previous }) => ({
+    character,
+    field,
+    severity: "info",
+    message: `"${field}" is locked; kept ${JSON.stringify(value)}${previous === undefined ? "" : ` instead of ${JSON.stringify(previous)}`}`,
+  }));
+  return { data, issues: showIssues ? [...issues, ...lockIssues, ...formulaIssues] : [] };
+};
+
+// Round away floating point noise in deltas (0.1 + 0.2 style)
+const roundDelta = (value) => Math.round(value * 1e6) / 1e6;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// Write a dotted field key as nested objects, so templates can use changes.stats.hp
+const setChangeValue = (target, key, value) => {
+  const parts = key.split(".");
+  let current = target;
+  parts.slice(0, -1).forEach((part) => {
+    if (current[part] === null || typeof current[part] !== "object") current[part] = {};
+    current = current[part];
+  });
+  current[parts[parts.length - 1]] = value;
+};
+
+/**
+ * Property that identifies an item of an array field across messages:
+ * "name" or "id" when the item schema has one, otherwise its first text property
+ */
+const getItemMatchKey = (field) => {
+  if (!Array.isArray(field.itemSchema)) return null;
+  const keys = field.itemSchema.map((prop) => prop.key);
+  if (keys.includes("name")) return "name";
+  if (keys.includes("id")) return "id";
+  const textProp = field.itemSchema.find((prop) => !prop.type || prop.type === "string");
+  return textProp ? textProp.key : null;
+};
+
+/**
+ * Deltas of every numeric custom field between two versions of a character
+ * @param {Object} currentChar - Character in the rendered message
+ * @param {Object} previousChar - Same character in the previous tracker state
+ * @param {Array} customFields - Field definitions from settings
+ * @returns {Object} Changes keyed like the fields; array fields are keyed by item, e.g.
+ *   {ap: 5, stats: {hp: {current: -3}, inventory: {Potion: {qty: -1}}}}
+ */
+const calculateFieldChanges = (currentChar, previousChar, customFields) => {
+  const fieldChanges = {};
+
+  (customFields || []).forEach((field) => {
+    if (!field.key) return;
+    const current = readFieldValue(currentChar, field.key);
+    const previous = readFieldValue(previousChar, field.key);
+    if (!current.found || !previous.found) return;
+
+    const type = inferFieldType(field);
+    if (type === "array") {
+      // Items are matched by a key of their schema, so arrays of strings have no deltas
+      const matchKey = getItemMatchKey(field);
+      if (!matchKey) return;
+      const numericProps = field.itemSchema
+        .filter((prop) => prop.type === "number")
+        .map((prop) => prop.key);
+      if (!numericProps.length || !Array.isArray(current.value) || !Array.isArray(previous.value)) return;
+
+      const itemChanges = {};
+      current.value.forEach((item) => {
+        if (!item || item[matchKey] === undefined) return;
+        const previousItem = previous.value.find((candidate) => candidate && candidate[matchKey] === item[matchKey]);
+        if (!previousItem) return;
+        numericProps.forEach((prop) => {
+          if (isNumber(item[prop]) && isNumber(previousItem[prop])) {
+            itemChanges[item[matchKey]] = itemChanges[item[matchKey]] || {};
+            itemChanges[item[matchKey]][prop] = roundDelta(item[prop] - previousItem[prop]);
+          }
+        });
+      });
+      if (Object.keys(itemChanges).length) setChangeValue(fieldChanges, field.key, itemChanges);
+      return;
+    }
+
+    // Untyped fields count as numeric when both values are numbers
+    if (type !== "number" && type !== "any") return;
+    if (isNumber(current.value) && isNumber(previous.value)) {
+      setChangeValue(fieldChanges, field.key, roundDelta(current.value - previous.value));
+    }
+  });
+
+  return fieldChanges;
+};
+
 /**
  * Calculate stat changes by comparing current and previous character data
  * @param {Array} currentCharacters - Current character list
- * @param {String} previousSimData - Previous sim block data (raw string)
- * @returns {Object} - Map of character names to their calculated changes
+ * @param {Object|null} previousState - Tracker state ({worldData, characters}) of the nearest
+ *   earlier message with tracker data, or null when there is none
+ * @param {Array} [customFields] - Field definitions; every numeric field gets a delta under `changes`
+ * @returns {Object} - Map of character names to their calculated changes. Each entry holds the
+ *   legacy `<stat>Change`/`connectionChanges` keys plus `changes` (see calculateFieldChanges)
  */
-const calculateStatChanges = (currentCharacters, previousSimData) => {
+const calculateStatChanges = (currentCharacters, previousState, customFields = []) => {
   const changes = {};
 
   // If no previous data, all changes are 0
-  if (!previousSimData || previousSimData.trim() === '' || previousSimData === '{}') {
+  if (!previousState || !Array.isArray(previousState.characters)) {
     currentCharacters.forEach(char => {
       changes[char.name] = {};
     });
@@ -664,25 +823,7 @@ const calculateStatChanges = (currentCharacters, previousSimData) => {
   }
 
   try {
-    // Parse previous sim data
-    const previousData = parseTrackerData(previousSimData);
-
-    // Handle both old and new JSON formats for previous data
-    let previousCharacters = [];
-    if (previousData.worldData && Array.isArray(previousData.characters)) {
-      previousCharacters = previousData.characters;
-    } else {
-      // Convert old format to array
-      const worldDataFields = ["current_date", "current_time"];
-      Object.keys(previousData).forEach((key) => {
-        if (!worldDataFields.includes(key)) {
-          previousCharacters.push({
-            name: key,
-            ...previousData[key],
-          });
-        }
-      });
-    }
+    const previousCharacters = previousState.characters;
 
     // Build a map of previous character data by name
     const previousCharMap = {};
@@ -742,6 +883,8 @@ const calculateStatChanges = (currentCharacters, previousSimData) => {
         });
       }
 
+      charChanges.changes = calculateFieldChanges(currentChar, previousChar, customFields);
+
       changes[charName] = charChanges;
     });
 
@@ -1380,7 +1523,65 @@ function attachTabEventListeners(sidebarElement) {
 }
 
 // --- RENDER LOGIC ---
-const renderTracker = (mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor, lastSimJsonString) => {
+/**
+ * History of the tracker blocks up to a message, built on first use and then kept.
+ * Building it scans the whole chat, so cards whose template never reads it skip that.
+ * @returns {Function} Returns the history (see buildTrackerHistory)
+ */
+const lazyTrackerHistory = (chat, identifier, customFields, mesId) => {
+  let history = null;
+  return () => {
+    if (!history) history = buildTrackerHistory(chat, identifier, customFields, { upTo: mesId });
+    return history;
+  };
+};
+
+/**
+ * Template data of one character's card
+ * @param {Object} character - Character entry of the tracker state
+ * @param {Object} block - currentDate, currentTime, statChanges and getHistory (see
+ *   lazyTrackerHistory) of the block
+ * @returns {Object} Its `history` is only read from the chat when the template uses it
+ */
+const buildCharacterCardData = (character, { currentDate, currentTime, statChanges, getHistory }, get_settings, getReactionEmoji, darkenColor) => {
+  const stats = character;
+  const name = character.name;
+  const bgColor = stats.bg || get_settings("defaultBgColor");
+  const { changes: fieldChanges = {}, ...changes } = statChanges[name] || {};
+  const cardData = {
+    characterName: name,
+    currentDate: currentDate,
+    currentTime: currentTime,
+    changes: fieldChanges,
+    stats: {
+      ...stats,
+      ...changes,
+      internal_thought:
+        stats.internal_thought ||
+        stats.thought ||
+        "No thought recorded.",
+      relationshipStatus:
+        stats.relationshipStatus || "Unknown Status",
+      desireStatus: stats.desireStatus || "Unknown Desire",
+      inactive: stats.inactive || false,
+      inactiveReason: stats.inactiveReason || 0,
+    },
+    bgColor: bgColor,
+    darkerBgColor: darkenColor(bgColor),
+    reactionEmoji: getReactionEmoji(stats.last_react),
+    healthIcon:
+      stats.health === 1 ? "🤕" : stats.health === 2 ? "💀" : null,
+    showThoughtBubble: get_settings("showThoughtBubble"),
+  };
+  Object.defineProperty(cardData, "history", {
+    enumerable: true,
+    configurable: true,
+    get: () => getCharacterHistoryValues(getHistory(), name),
+  });
+  return cardData;
+};
+
+const renderTracker = (mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor) => {
   try {
     if (!get_settings("isEnabled")) return;
     const context = getContext();
@@ -1394,21 +1595,8 @@ const renderTracker = (mesId, get_settings, compiledWrapperTemplate, compiledCar
     const templatePosition = currentTemplatePosition;
     if (templatePosition === "TOP" || templatePosition === "BOTTOM" || templatePosition === "LEFT" || templatePosition === "RIGHT") {
       // Find the most recent message with sim data
-      const identifier = get_settings("codeBlockIdentifier");
-      let mostRecentSimMessageId = null;
-
-      for (let i = context.chat.length - 1; i >= 0; i--) {
-        const msg = context.chat[i];
-        if (msg && msg.mes) {
-          // Strip hidden div wrappers so the regex matches both wrapped and unwrapped blocks
-          const cleanMes = stripSimBlockWrappers(msg.mes, identifier);
-          const dataMatch = cleanMes.match(new RegExp("```" + identifier + "[\\s\\S]*?```", "m"));
-          if (dataMatch && dataMatch[0]) {
-            mostRecentSimMessageId = i;
-            break;
-          }
-        }
-      }
+      const identifier = getKnownIdentifiers(get_settings);
+      const mostRecentSimMessageId = findLatestTrackerMessage(context.chat, identifier);
       
       // If this message is not the most recent one with sim data, skip rendering
       if (mostRecentSimMessageId !== null && mesId !== mostRecentSimMessageId) {
@@ -1441,12 +1629,9 @@ const renderTracker = (mesId, get_settings, compiledWrapperTemplate, compiledCar
       )}px, Height: ${messageRect.height.toFixed(2)}px`
     );
 
-    // Parse the sim data from the original message content
-    // Strip any hidden div wrappers (from standard ST mode) so the regex matches cleanly
-    const identifier = get_settings("codeBlockIdentifier");
-    const cleanMes = stripSimBlockWrappers(message.mes, identifier);
-    const jsonRegex = new RegExp("```" + identifier + "[\\s\\S]*?```");
-    const match = cleanMes.match(jsonRegex);
+    // Read the parsed sim data of this message from the state store
+    const identifier = getKnownIdentifiers(get_settings);
+    const trackerEntry = getTrackerEntry(context.chat, mesId, identifier);
 
     // Handle message formatting and sim block hiding
     // Lumiverse: Skip innerHTML replacement entirely — React manages message content
@@ -1457,10 +1642,8 @@ const renderTracker = (mesId, get_settings, compiledWrapperTemplate, compiledCar
         let displayMessage = message.mes;
 
         // Hide sim blocks with div wrapper (more robust against re-rendering)
-        const hideRegex = new RegExp("```" + identifier + "[\\s\\S]*?```", "gm");
-        displayMessage = displayMessage.replace(
-          hideRegex,
-          (match) => `<div style="display: none;">\n${match}\n</div>`
+        displayMessage = replaceTrackerFences(displayMessage, getAllTrackerIdentifiers(get_settings), (block, source) =>
+          block.wrapped ? source : `<div style="display: none;">\n${source}\n</div>`
         );
 
         // Format and display the message content (without the tracker UI)
@@ -1483,17 +1666,7 @@ const renderTracker = (mesId, get_settings, compiledWrapperTemplate, compiledCar
       }
     }
 
-    if (match) {
-      // Extract content from the match
-      const fullContent = match[0];
-      const content = fullContent
-        .replace(/```/g, "")
-        .replace(new RegExp(`^${identifier}\\s*`), "")
-        .trim();
-
-      // Update lastSimJsonString
-      lastSimJsonString = content;
-
+    if (trackerEntry) {
       // Remove any preparing text
       const preparingText = messageElement.parentNode.querySelector(".sst-preparing-text");
       if (preparingText) {
@@ -1502,13 +1675,9 @@ const renderTracker = (mesId, get_settings, compiledWrapperTemplate, compiledCar
         mesTextsWithPreparingText.delete(messageElement);
       }
 
-      let jsonData;
-      try {
-        // Use our new universal parser that can handle both JSON and YAML
-        jsonData = parseTrackerData(content);
-      } catch (parseError) {
+      if (trackerEntry.error) {
         console.log(`[SST] [${MODULE_NAME}]`,
-          `Failed to parse tracker data in message ID ${mesId}. Error: ${parseError.message}`
+          `Failed to parse tracker data in message ID ${mesId}. Error: ${trackerEntry.error}`
         );
         messageElement.insertAdjacentHTML(
           "beforeend",
@@ -1517,44 +1686,38 @@ const renderTracker = (mesId, get_settings, compiledWrapperTemplate, compiledCar
         return;
       }
 
-      if (typeof jsonData !== "object" || jsonData === null) {
+      if (!trackerEntry.state) {
         console.log(`[SST] [${MODULE_NAME}]`, `Parsed data in message ID ${mesId} is not a valid object.`);
         return;
       }
 
-      // Handle both old and new JSON formats
-      let worldData, characterList;
+      // Work on a copy so rendering never touches the stored state
+      let jsonData = structuredClone(trackerEntry.state);
+      const { repairs } = trackerEntry;
+      const patch = trackerEntry.isPatch ? { hasBase: trackerEntry.hasBase, skipped: trackerEntry.skipped } : null;
 
-      // Check if it's the new format (with worldData and characters array)
-      if (jsonData.worldData && Array.isArray(jsonData.characters)) {
-        worldData = jsonData.worldData;
-        characterList = jsonData.characters;
-      } else {
-        // Handle old format - convert object structure to array format
-        const worldDataFields = ["current_date", "current_time"];
-        worldData = {};
-        characterList = [];
-
-        Object.keys(jsonData).forEach((key) => {
-          if (worldDataFields.includes(key)) {
-            worldData[key] = jsonData[key];
-          } else {
-            // Convert character object to array item
-            characterList.push({
-              name: key,
-              ...jsonData[key],
-            });
-          }
-        });
-      }
+      let issues;
+      ({ data: jsonData, issues } = validateParsedTrackerData(jsonData, get_settings));
+
+      // The store keeps every block (legacy or new format, full or patch) as {worldData, characters}
+      const { worldData, characters: characterList } = jsonData;
 
       const currentDate = worldData.current_date || "Unknown Date";
       const currentTime = worldData.current_time || "Unknown Time";
 
       if (!characterList.length) return;
 
-      // Calculate stat changes for all characters
-      const statChanges = calculateStatChanges(characterList, lastSimJsonString);
+      // Calculate stat changes against the nearest earlier tracker state in the active swipes
+      const previousState = validateParsedTrackerData(
+        getTrackerState(context.chat, mesId - 1, identifier),
+        get_settings,
+        { report: false }
+      ).data;
+      const statChanges = calculateStatChanges(characterList, previousState, get_settings("customFields"));
+      issues.push(...getPlausibilityIssues(context.chat[mesId], previousState, jsonData, get_settings));
+
+      // Numeric field values from every tracker block up to this one, for sparklines
+      const getHistory = lazyTrackerHistory(context.chat, identifier, get_settings("customFields"), mesId);
 
       // For tabbed templates, we need to pass all characters to the template
       const templateFile = get_settings("templateFile");
@@ -1575,32 +1738,7 @@ const renderTracker = (mesId, get_settings, compiledWrapperTemplate, compiledCar
               );
               return null;
             }
-            const bgColor = stats.bg || get_settings("defaultBgColor");
-            const changes = statChanges[name] || {};
-            return {
-              characterName: name,
-              currentDate: currentDate,
-              currentTime: currentTime,
-              stats: {
-                ...stats,
-                ...changes,
-                internal_thought:
-                  stats.internal_thought ||
-                  stats.thought ||
-                  "No thought recorded.",
-                relationshipStatus:
-                  stats.relationshipStatus || "Unknown Status",
-                desireStatus: stats.desireStatus || "Unknown Desire",
-                inactive: stats.inactive || false,
-                inactiveReason: stats.inactiveReason || 0,
-              },
-              bgColor: bgColor,
-              darkerBgColor: darkenColor(bgColor),
-              reactionEmoji: getReactionEmoji(stats.last_react),
-              healthIcon:
-                stats.health === 1 ? "🤕" : stats.health === 2 ? "💀" : null,
-              showThoughtBubble: get_settings("showThoughtBubble"),
-            };
+            return buildCharacterCardData(character, { currentDate, currentTime, statChanges, getHistory }, get_settings, getReactionEmoji, darkenColor);
           })
           .filter(Boolean); // Remove any null entries
 
@@ -1626,32 +1764,7 @@ const renderTracker = (mesId, get_settings, compiledWrapperTemplate, compiledCar
               );
               return "";
             }
-            const bgColor = stats.bg || get_settings("defaultBgColor");
-            const changes = statChanges[name] || {};
-            let cardData = {
-              characterName: name,
-              currentDate: currentDate,
-              currentTime: currentTime,
-              stats: {
-                ...stats,
-                ...changes,
-                internal_thought:
-                  stats.internal_thought ||
-                  stats.thought ||
-                  "No thought recorded.",
-                relationshipStatus:
-                  stats.relationshipStatus || "Unknown Status",
-                desireStatus: stats.desireStatus || "Unknown Desire",
-                inactive: stats.inactive || false,
-                inactiveReason: stats.inactiveReason || 0,
-              },
-              bgColor: bgColor,
-              darkerBgColor: darkenColor(bgColor),
-              reactionEmoji: getReactionEmoji(stats.last_react),
-              healthIcon:
-                stats.health === 1 ? "🤕" : stats.health === 2 ? "💀" : null,
-              showThoughtBubble: get_settings("showThoughtBubble"),
-            };
+            let cardData = buildCharacterCardData(character, { currentDate, currentTime, statChanges, getHistory }, get_settings, getReactionEmoji, darkenColor);
             
             // Execute bundled template logic if it exists
             cardData = executeTemplateLogic(cardData, 'single');
@@ -1661,6 +1774,9 @@ const renderTracker = (mesId, get_settings, compiledWrapperTemplate, compiledCar
           .join("");
       }
 
+      // Show parser and validation notices and the edit and history buttons above the cards
+      cardsHtml = buildTrackerNoticesHtml({ repairs, issues, patch, mesId }) + cardsHtml;
+
       // Use the template position from the templating module
       const templatePosition = currentTemplatePosition;
       const lumiverseMode = isLumiverseActive();
@@ -1744,10 +1860,13 @@ const renderTracker = (mesId, get_settings, compiledWrapperTemplate, compiledCar
     console.log(`[SST] [${MODULE_NAME}]`,
       `A critical error occurred in renderTracker for message ID ${mesId}. Please check the console. Error: ${error.stack}`
     );
+  } finally {
+    // Additional tracker types render on their own, whatever happened to the main cards
+    renderTrackerTypes(mesId, get_settings, getReactionEmoji, darkenColor);
   }
 };
 
-const renderTrackerWithoutSim = (mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor, lastSimJsonString) => {
+const renderTrackerWithoutSim = (mesId, get_settings, compiledWrapperTemplate, compiledCardTemplate, getReactionEmoji, darkenColor) => {
   try {
     if (!get_settings("isEnabled")) return;
 
@@ -1771,7 +1890,7 @@ const renderTrackerWithoutSim = (mesId, get_settings, compiledWrapperTemplate, c
       return;
     }
 
-    const identifier = get_settings("codeBlockIdentifier");
+    const identifier = getKnownIdentifiers(get_settings);
     let displayMessage = message.mes;
 
     // Only format and display message content if we have a message element
@@ -1780,10 +1899,8 @@ const renderTrackerWithoutSim = (mesId, get_settings, compiledWrapperTemplate, c
     if (messageElement && !isLumiverseActive()) {
       // Hide sim blocks if the setting is enabled
       if (get_settings("hideSimBlocks")) {
-        const hideRegex = new RegExp("```" + identifier + "[\\s\\S]*?```", "gm");
-        displayMessage = displayMessage.replace(
-          hideRegex,
-          (match) => `<div style="display: none;">\n${match}\n</div>`
+        displayMessage = replaceTrackerFences(displayMessage, getAllTrackerIdentifiers(get_settings), (block, source) =>
+          block.wrapped ? source : `<div style="display: none;">\n${source}\n</div>`
         );
       }
 
@@ -1797,14 +1914,10 @@ const renderTrackerWithoutSim = (mesId, get_settings, compiledWrapperTemplate, c
       );
     }
 
-    // Parse the sim data from the original message content (not the hidden version)
-    // Strip hidden div wrappers so the regex matches both wrapped and unwrapped blocks
-    const cleanMes = stripSimBlockWrappers(message.mes, identifier);
-    const dataMatch = cleanMes.match(
-      new RegExp("```" + identifier + "[\\s\\S]*?```", "m")
-    );
+    // Read the parsed sim data of this message from the state store
+    const trackerEntry = getTrackerEntry(context.chat, mesId, identifier);
 
-    if (dataMatch && dataMatch[0]) {
+    if (trackerEntry) {
       // Remove the container if it already exists to prevent duplication on re-renders
       if (isLumiverseActive()) {
         // Lumiverse: tracker container is a sibling of .lcs-message-content, search in wrapper
@@ -1823,14 +1936,6 @@ const renderTrackerWithoutSim = (mesId, get_settings, compiledWrapperTemplate, c
         }
       }
 
-      const jsonContent = dataMatch[0]
-        .replace(/```/g, "")
-        .replace(new RegExp(`^${identifier}\s*`), "")
-        .trim();
-
-      // Update lastSimJsonString
-      lastSimJsonString = jsonContent;
-
       // Remove any preparing text (only if messageElement exists)
       if (messageElement) {
         const preparingText = messageElement.parentNode.querySelector(".sst-preparing-text");
@@ -1841,15 +1946,9 @@ const renderTrackerWithoutSim = (mesId, get_settings, compiledWrapperTemplate, c
         }
       }
 
-      let jsonData;
-
-      try {
-        // Use our new universal parser that can handle both JSON and YAML
-        jsonData = parseTrackerData(jsonContent);
-        console.log(`[SST] [${MODULE_NAME}]`, `Successfully parsed tracker data for message ${mesId}`);
-      } catch (parseError) {
+      if (trackerEntry.error) {
         console.log(`[SST] [${MODULE_NAME}]`,
-          `Failed to parse tracker data in message ID ${mesId}. Error: ${parseError.message}`
+          `Failed to parse tracker data in message ID ${mesId}. Error: ${trackerEntry.error}`
         );
         // Only show error in message element if it exists
         if (messageElement) {
@@ -1859,43 +1958,38 @@ const renderTrackerWithoutSim = (mesId, get_settings, compiledWrapperTemplate, c
         return;
       }
 
-      if (typeof jsonData !== "object" || jsonData === null) {
+      if (!trackerEntry.state) {
         console.log(`[SST] [${MODULE_NAME}]`, `Parsed data in message ID ${mesId} is not a valid object.`);
         return;
       }
-      // Handle both old and new JSON formats
-      let worldData, characterList;
+      console.log(`[SST] [${MODULE_NAME}]`, `Successfully parsed tracker data for message ${mesId}`);
 
-      // Check if it's the new format (with worldData and characters array)
-      if (jsonData.worldData && Array.isArray(jsonData.characters)) {
-        worldData = jsonData.worldData;
-        characterList = jsonData.characters;
-      } else {
-        // Handle old format - convert object structure to array format
-        const worldDataFields = ["current_date", "current_time"];
-        worldData = {};
-        characterList = [];
-
-        Object.keys(jsonData).forEach((key) => {
-          if (worldDataFields.includes(key)) {
-            worldData[key] = jsonData[key];
-          } else {
-            // Convert character object to array item
-            characterList.push({
-              name: key,
-              ...jsonData[key],
-            });
-          }
-        });
-      }
+      // Work on a copy so rendering never touches the stored state
+      let jsonData = structuredClone(trackerEntry.state);
+      const { repairs } = trackerEntry;
+      const patch = trackerEntry.isPatch ? { hasBase: trackerEntry.hasBase, skipped: trackerEntry.skipped } : null;
+
+      let issues;
+      ({ data: jsonData, issues } = validateParsedTrackerData(jsonData, get_settings));
+      // The store keeps every block (legacy or new format, full or patch) as {worldData, characters}
+      const { worldData, characters: characterList } = jsonData;
 
       const currentDate = worldData.current_date || "Unknown Date";
       const currentTime = worldData.current_time || "Unknown Time";
 
       if (!characterList.length) return;
 
-      // Calculate stat changes for all characters
-      const statChanges = calculateStatChanges(characterList, lastSimJsonString);
+      // Calculate stat changes against the nearest earlier tracker state in the active swipes
+      const previousState = validateParsedTrackerData(
+        getTrackerState(context.chat, mesId - 1, identifier),
+        get_settings,
+        { report: false }
+      ).data;
+      const statChanges = calculateStatChanges(characterList, previousState, get_settings("customFields"));
+      issues.push(...getPlausibilityIssues(context.chat[mesId], previousState, jsonData, get_settings));
+
+      // Numeric field values from every tracker block up to this one, for sparklines
+      const getHistory = lazyTrackerHistory(context.chat, identifier, get_settings("customFields"), mesId);
 
       // For tabbed templates, we need to pass all characters to the template
       const templateFile = get_settings("templateFile");
@@ -1916,32 +2010,7 @@ const renderTrackerWithoutSim = (mesId, get_settings, compiledWrapperTemplate, c
               );
               return null;
             }
-            const bgColor = stats.bg || get_settings("defaultBgColor");
-            const changes = statChanges[name] || {};
-            return {
-              characterName: name,
-              currentDate: currentDate,
-              currentTime: currentTime,
-              stats: {
-                ...stats,
-                ...changes,
-                internal_thought:
-                  stats.internal_thought ||
-                  stats.thought ||
-                  "No thought recorded.",
-                relationshipStatus:
-                  stats.relationshipStatus || "Unknown Status",
-                desireStatus: stats.desireStatus || "Unknown Desire",
-                inactive: stats.inactive || false,
-                inactiveReason: stats.inactiveReason || 0,
-              },
-              bgColor: bgColor,
-              darkerBgColor: darkenColor(bgColor),
-              reactionEmoji: getReactionEmoji(stats.last_react),
-              healthIcon:
-                stats.health === 1 ? "🤕" : stats.health === 2 ? "💀" : null,
-              showThoughtBubble: get_settings("showThoughtBubble"),
-            };
+            return buildCharacterCardData(character, { currentDate, currentTime, statChanges, getHistory }, get_settings, getReactionEmoji, darkenColor);
           })
           .filter(Boolean); // Remove any null entries
 
@@ -1967,32 +2036,7 @@ const renderTrackerWithoutSim = (mesId, get_settings, compiledWrapperTemplate, c
               );
               return "";
             }
-            const bgColor = stats.bg || get_settings("defaultBgColor");
-            const changes = statChanges[name] || {};
-            let cardData = {
-              characterName: name,
-              currentDate: currentDate,
-              currentTime: currentTime,
-              stats: {
-                ...stats,
-                ...changes,
-                internal_thought:
-                  stats.internal_thought ||
-                  stats.thought ||
-                  "No thought recorded.",
-                relationshipStatus:
-                  stats.relationshipStatus || "Unknown Status",
-                desireStatus: stats.desireStatus || "Unknown Desire",
-                inactive: stats.inactive || false,
-                inactiveReason: stats.inactiveReason || 0,
-              },
-              bgColor: bgColor,
-              darkerBgColor: darkenColor(bgColor),
-              reactionEmoji: getReactionEmoji(stats.last_react),
-              healthIcon:
-                stats.health === 1 ? "🤕" : stats.health === 2 ? "💀" : null,
-              showThoughtBubble: get_settings("showThoughtBubble"),
-            };
+            let cardData = buildCharacterCardData(character, { currentDate, currentTime, statChanges, getHistory }, get_settings, getReactionEmoji, darkenColor);
             
             // Execute bundled template logic if it exists
             cardData = executeTemplateLogic(cardData, 'single');
@@ -2002,6 +2046,9 @@ const renderTrackerWithoutSim = (mesId, get_settings, compiledWrapperTemplate, c
           .join("");
       }
 
+      // Show parser and validation notices and the edit and history buttons above the cards
+      cardsHtml = buildTrackerNoticesHtml({ repairs, issues, patch, mesId }) + cardsHtml;
+
       // Handle different positions
       console.log(`[SST] [${MODULE_NAME}]`, `Rendering tracker for position: ${templatePosition}, mesId: ${mesId}`);
       const lumiverseMode = isLumiverseActive();
@@ -2078,10 +2125,74 @@ const renderTrackerWithoutSim = (mesId, get_settings, compiledWrapperTemplate, c
     console.log(`[SST] [${MODULE_NAME}]`,
       `A critical error occurred in renderTrackerWithoutSim for message ID ${mesId}. Please check the console. Error: ${error.stack}`
     );
+  } finally {
+    renderTrackerTypes(mesId, get_settings, getReactionEmoji, darkenColor);
   }
 };
 
-const refreshAllCards = (get_settings, CONTAINER_ID, renderTrackerWithoutSim) => {
+/**
+ * Render the cards of the additional tracker types (see trackerTypes.js) on a message. Like a
+ * positioned main template, each type is shown only on the latest message with a block of its own.
+ * Types render on their own, so the main tracker's position and early exits don't affect them.
+ */
+const renderTrackerTypes = (mesId, get_settings, getReactionEmoji, darkenColor) => {
+  try {
+    if (!get_settings("isEnabled")) return;
+    const context = getContext();
+    const messageElement = getMessageContent(mesId);
+    if (!context.chat[mesId] || !messageElement) return;
+    const lumiverseMode = isLumiverseActive();
+    // In Lumiverse mode the cards are siblings of the message content, outside React's control
+    const messageWrapper = lumiverseMode ? getMessageElement(mesId) : messageElement;
+
+    getAdditionalTrackerTypes(get_settings).forEach((type) => {
+      const selector = `.${TYPE_CONTAINER_CLASS}[data-sst-type="${type.id}"]`;
+      messageWrapper?.querySelectorAll(selector).forEach((container) => container.remove());
+      if (findLatestTrackerMessage(context.chat, type.identifier) !== mesId) return;
+      document.querySelectorAll(selector).forEach((container) => container.remove());
+
+      const trackerEntry = getTrackerEntry(context.chat, mesId, type.identifier);
+      if (!trackerEntry) return;
+      const template = getTrackerTypeTemplate(type);
+      let cardsHtml = "";
+      if (trackerEntry.error) {
+        cardsHtml = `<div style="color: red; font-family: monospace;">[SillySimTracker] Error: Invalid ${escapeHtml(type.name)} tracker data in code block.</div>`;
+      } else if (trackerEntry.state && template) {
+        const typeSettings = getTrackerTypeSettings(get_settings, type);
+        const customFields = typeSettings("customFields");
+        const readState = (state) => applyComputedFields(validateTrackerData(state, customFields, { silent: true }).data, customFields).data;
+
+        const { worldData, characters: characterList } = readState(structuredClone(trackerEntry.state));
+        const previousState = getTrackerState(context.chat, mesId - 1, type.identifier);
+        const block = {
+          currentDate: worldData.current_date || "Unknown Date",
+          currentTime: worldData.current_time || "Unknown Time",
+          statChanges: calculateStatChanges(characterList, previousState && readState(structuredClone(previousState)), customFields),
+          getHistory: lazyTrackerHistory(context.chat, type.identifier, customFields, mesId),
+        };
+        const cardsData = characterList
+          .filter((character) => character && character.name !== undefined)
+          .map((character) => buildCharacterCardData(character, block, typeSettings, getReactionEmoji, darkenColor));
+        cardsHtml = template.isTabbed
+          ? template.compiledCardTemplate({ characters: cardsData, currentDate: block.currentDate, currentTime: block.currentTime })
+          : cardsData.map((cardData) => template.compiledCardTemplate(cardData)).join("");
+      }
+      if (!cardsHtml) return;
+
+      const divider = `<hr style="margin-top: 15px; margin-bottom: 20px;">`;
+      const html = `<div class="${TYPE_CONTAINER_CLASS}" data-sst-type="${type.id}" style="width:100%;">${type.position === "TOP" ? cardsHtml + divider : divider + cardsHtml}</div>`;
+      if (type.position === "TOP") {
+        messageElement.insertAdjacentHTML(lumiverseMode ? "beforebegin" : "afterbegin", html);
+      } else {
+        messageElement.insertAdjacentHTML(lumiverseMode ? "afterend" : "beforeend", html);
+      }
+    });
+  } catch (error) {
+    console.log(`[SST] [${MODULE_NAME}]`, `Error rendering the additional tracker types of message ID ${mesId}: ${error.stack}`);
+  }
+};
+
+const refreshAllCards = (get_settings, CONTAINER_ID, renderTrackerWithoutSim, renderTypes = null) => {
   console.log(`[SST] [${MODULE_NAME}]`, "Refreshing all tracker cards on screen.");
 
   // ALWAYS clear all existing containers and sidebars first when refreshing
@@ -2097,6 +2208,9 @@ const refreshAllCards = (get_settings, CONTAINER_ID, renderTrackerWithoutSim) =>
   // Remove all tracker dividers (used in Lumiverse mode where tracker is a sibling)
   document.querySelectorAll(`.${TRACKER_DIVIDER_CLASS}`).forEach((el) => el.remove());
 
+  // Remove the cards of the additional tracker types
+  document.querySelectorAll(`.${TYPE_CONTAINER_CLASS}`).forEach((el) => el.remove());
+
   // Remove all sidebars
   removeGlobalSidebars();
   
@@ -2119,26 +2233,9 @@ const refreshAllCards = (get_settings, CONTAINER_ID, renderTrackerWithoutSim) =>
     const context = getContext();
     const chat = context.chat;
     
-    let lastMessageWithSim = null;
-    
-    if (chat && Array.isArray(chat)) {
-      // Iterate backwards through the chat to find the most recent message with sim data
-      const identifier = get_settings("codeBlockIdentifier");
-      for (let i = chat.length - 1; i >= 0; i--) {
-        const message = chat[i];
-        if (message && message.mes) {
-          // Strip hidden div wrappers so the regex matches both wrapped and unwrapped blocks
-          const cleanMes = stripSimBlockWrappers(message.mes, identifier);
-          const dataMatch = cleanMes.match(
-            new RegExp("```" + identifier + "[\\s\\S]*?```", "m")
-          );
-          if (dataMatch && dataMatch[0]) {
-            lastMessageWithSim = i;
-            console.log(`[SST] [${MODULE_NAME}]`, `Found sim data in context.chat[${i}]`);
-            break;
-          }
-        }
-      }
+    const lastMessageWithSim = findLatestTrackerMessage(chat, getKnownIdentifiers(get_settings));
+    if (lastMessageWithSim !== null) {
+      console.log(`[SST] [${MODULE_NAME}]`, `Found sim data in context.chat[${lastMessageWithSim}]`);
     }
     
     // Only render the last message with sim data for positioned templates
@@ -2159,6 +2256,15 @@ const refreshAllCards = (get_settings, CONTAINER_ID, renderTrackerWithoutSim) =>
       }
     });
   }
+
+  // Each additional tracker type shows on the latest message with a block of its own
+  if (renderTypes) {
+    const chat = getContext().chat;
+    getAdditionalTrackerTypes(get_settings).forEach((type) => {
+      const latestMessage = findLatestTrackerMessage(chat, type.identifier);
+      if (latestMessage !== null) renderTypes(latestMessage);
+    });
+  }
 };
 
 // Helper function to get and clear pending sidebar content
@@ -2250,6 +2356,7 @@ export {
   renderTracker,
   renderTrackerWithoutSim,
   refreshAllCards,
+  renderTrackerTypes,
   mesTextsWithPreparingText,
   isGenerationInProgress,
   pendingLeftSidebarContent,
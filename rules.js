@@ -0,0 +1,422 @@
+// rules.js - Threshold rules that fire actions when tracker values cross them
+//
+// A rule is a condition on the tracker state, like `Alice.ap >= 150` or `any.health == 2`,
+// plus actions: a toast, an STscript snippet, a one-shot author's note for the next prompt,
+// and a flag written into worldData. A rule fires when its condition holds for the latest
+// tracker block but did not hold for the block before it, so re-renders, edits that keep
+// it true and later messages don't fire it again. What fired for which block is kept in
+// the chat metadata.
+import { getContext } from "../../../extensions.js";
+import { getTrackerEntry, getTrackerState, findLatestTrackerMessage } from "./stateStore.js";
+import { getKnownIdentifiers } from "./patches.js";
+import { readFieldValue } from "./validation.js";
+import { parseConstraintValue } from "./fieldConstraints.js";
+import { writeTrackerEdits } from "./cardEditor.js";
+import { applyComputedFields } from "./computedFields.js";
+import { getFieldLocks, applyFieldLocks } from "./fieldLocks.js";
+import { escapeHtml } from "./helpers.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+const RULES_MODAL_ID = "sst-rules-modal";
+
+// Key of the rule bookkeeping inside the chat metadata
+const RULES_METADATA_KEY = "sst_rules";
+
+// Blocks whose fired rules are remembered (older ones can't become the latest again)
+const MAX_REMEMBERED_BLOCKS = 20;
+
+const COMPARISON_RE = /^(.+?)\s*(==|!=|>=|<=|>|<)\s*(.+)$/;
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+/**
+ * Split text on an operator, ignoring operators inside quotes
+ */
+const splitOutsideQuotes = (text, separator) => {
+  const parts = [];
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (text.startsWith(separator, i)) {
+      parts.push(text.slice(start, i));
+      start = i + separator.length;
+      i += separator.length - 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((part) => part.trim());
+};
+
+const parseComparisonValue = (text) => {
+  const match = text.match(/^(["'])(.*)\1$/);
+  return match ? match[2] : parseConstraintValue(text);
+};
+
+/**
+ * Parse a rule condition: comparisons joined by && and ||, where && binds tighter.
+ * The left side of a comparison is `Name.field`, `any.field` (some character, the same one
+ * across the condition), `all.field` (every character) or `world.field`.
+ * @param {string} text - Condition text
+ * @returns {{ok: boolean, condition: Array<Array<Object>>|null, message: string|null}}
+ *   The condition as alternatives of comparisons, or ok=false with the reason
+ */
+const parseRuleCondition = (text) => {
+  const source = String(text ?? "").trim();
+  if (!source) return { ok: false, condition: null, message: "is empty" };
+
+  const condition = [];
+  for (const alternative of splitOutsideQuotes(source, "||")) {
+    const comparisons = [];
+    for (const part of splitOutsideQuotes(alternative, "&&")) {
+      const match = part.match(COMPARISON_RE);
+      if (!match) return { ok: false, condition: null, message: `"${part}" is not a comparison like Alice.ap >= 150` };
+      const [, path, op, value] = match;
+      const dot = path.indexOf(".");
+      if (dot <= 0 || dot === path.length - 1) {
+        return { ok: false, condition: null, message: `"${path}" should be Name.field, any.field, all.field or world.field` };
+      }
+      comparisons.push({ path: path.trim(), op, value: parseComparisonValue(value.trim()) });
+    }
+    condition.push(comparisons);
+  }
+  return { ok: true, condition, message: null };
+};
+
+const compareValues = (left, op, right) => {
+  const leftNumber = typeof left === "number" ? left : Number(left);
+  const rightNumber = typeof right === "number" ? right : Number(right);
+  const numeric = left !== "" && left !== null && typeof left !== "boolean" && !Number.isNaN(leftNumber) && typeof right === "number";
+
+  if (numeric) {
+    switch (op) {
+      case "==": return leftNumber === rightNumber;
+      case "!=": return leftNumber !== rightNumber;
+      case ">": return leftNumber > rightNumber;
+      case ">=": return leftNumber >= rightNumber;
+      case "<": return leftNumber < rightNumber;
+      case "<=": return leftNumber <= rightNumber;
+    }
+  }
+  if (op === "==") return String(left) === String(right);
+  if (op === "!=") return String(left) !== String(right);
+  return false;
+};
+
+/**
+ * Resolve the left side of a comparison to the objects it reads from and the field
+ * @returns {{subject: string, targets: Array<Object>, field: string}}
+ */
+const resolveComparisonPath = (path, state, boundCharacter) => {
+  const dot = path.indexOf(".");
+  const head = path.slice(0, dot).toLowerCase();
+  const rest = path.slice(dot + 1);
+
+  if (head === "any") return { subject: "any", targets: boundCharacter ? [boundCharacter] : [], field: rest };
+  if (head === "all") return { subject: "all", targets: state.characters, field: rest };
+  if (head === "world" || head === "worlddata") return { subject: "world", targets: [state.worldData || {}], field: rest };
+
+  // Character names may contain dots, so the longest name the path starts with wins
+  const lowerPath = path.toLowerCase();
+  const character = state.characters
+    .filter((candidate) => candidate.name !== undefined && lowerPath.startsWith(`${String(candidate.name).toLowerCase()}.`))
+    .sort((a, b) => String(b.name).length - String(a.name).length)[0];
+  if (!character) return { subject: "character", targets: [], field: rest };
+  return { subject: "character", targets: [character], field: path.slice(String(character.name).length + 1) };
+};
+
+const evaluateComparison = (comparison, state, boundCharacter) => {
+  const { subject, targets, field } = resolveComparisonPath(comparison.path, state, boundCharacter);
+  if (!targets.length) return false;
+  const holds = (target) => {
+    const { found, value } = readFieldValue(target, field);
+    return found && compareValues(value, comparison.op, comparison.value);
+  };
+  return subject === "all" ? targets.every(holds) : holds(targets[0]);
+};
+
+const usesAnyCharacter = (condition) =>
+  condition.some((comparisons) => comparisons.some((comparison) => /^any\./i.test(comparison.path)));
+
+/**
+ * Evaluate a parsed condition against a tracker state
+ * @param {Array<Array<Object>>} condition - Result of parseRuleCondition
+ * @param {{worldData: Object, characters: Array}|null} state - Tracker state
+ * @returns {string[]} What the rule matched: the characters an `any` condition holds for,
+ *   or [""] when a condition without `any` holds; empty when it doesn't hold
+ */
+const evaluateRuleCondition = (condition, state) => {
+  if (!state || !Array.isArray(state.characters)) return [];
+  const holds = (boundCharacter) =>
+    condition.some((comparisons) => comparisons.every((comparison) => evaluateComparison(comparison, state, boundCharacter)));
+
+  if (!usesAnyCharacter(condition)) return holds(null) ? [""] : [];
+  return state.characters
+    .filter((character) => character.name !== undefined && character.name !== null && holds(character))
+    .map((character) => String(character.name));
+};
+
+const getRuleKey = (rule) => `${rule.name || ""}|${rule.condition}`;
+
+// Blocks are told apart by message, swipe and send date, so a message that replaces a
+// deleted one at the same index starts with a clean slate
+const getBlockKey = (message, mesId) => `${mesId}:${message.swipe_id ?? 0}:${message.send_date || ""}`;
+
+/**
+ * Parse a flag action: "key=value", or just "key" for true
+ * @returns {{key: string, value: *}|null}
+ */
+const parseRuleFlag = (text) => {
+  const source = String(text ?? "").trim();
+  if (!source) return null;
+  const separator = source.indexOf("=");
+  if (separator === -1) return { key: source, value: true };
+  const key = source.slice(0, separator).trim();
+  if (!key) return null;
+  return { key, value: parseComparisonValue(source.slice(separator + 1).trim()) };
+};
+
+const fillCharacter = (text, character) => String(text ?? "").replace(/\{char\}/g, character);
+
+const runRuleScript = (context, script) => {
+  const execute = context.executeSlashCommandsWithOptions || context.executeSlashCommands;
+  if (!execute) {
+    log("Cannot run rule script: slash commands are not available");
+    return;
+  }
+  Promise.resolve(execute(script)).catch((error) => log(`Error running rule script: ${error.message}`));
+};
+
+/**
+ * Fire the rules whose conditions became true with the latest tracker block
+ * @param {Function} get_settings - Settings getter
+ * @param {Object} [options]
+ * @param {boolean} [options.silent=false] - Only record what is true now, without running
+ *   actions (used when a chat is opened, so old crossings don't fire again)
+ * @returns {{mesId: number|null, changed: boolean}} The tracker message, and whether flags
+ *   were written into its block (the caller saves the chat and re-renders then)
+ */
+const applyTrackerRules = (get_settings, { silent = false } = {}) => {
+  const result = { mesId: null, changed: false };
+  const rules = (get_settings("rules") || []).filter((rule) => rule.enabled !== false && rule.condition);
+  if (!get_settings("isEnabled") || !rules.length) return result;
+
+  const context = getContext();
+  const chat = context.chat;
+  const identifier = getKnownIdentifiers(get_settings);
+  const mesId = findLatestTrackerMessage(chat, identifier);
+  if (mesId === null || !getTrackerEntry(chat, mesId, identifier)?.state) return result;
+  result.mesId = mesId;
+
+  // Conditions see locked and computed values, as the cards do
+  const customFields = get_settings("customFields") || [];
+  const locks = getFieldLocks();
+  const resolveState = (stateMesId) =>
+    stateMesId === null ? null : applyComputedFields(applyFieldLocks(getTrackerState(chat, stateMesId, identifier), locks).data, customFields).data;
+  const state = resolveState(mesId);
+  const previousState = resolveState(findLatestTrackerMessage(chat, identifier, { before: mesId }));
+
+  const metadata = context.chatMetadata;
+  const bookkeeping = metadata[RULES_METADATA_KEY] || { fired: {}, pendingNotes: [] };
+  const blockKey = getBlockKey(chat[mesId], mesId);
+  const fired = new Set(bookkeeping.fired[blockKey] || []);
+
+  const toFire = [];
+  rules.forEach((rule) => {
+    const parsed = parseRuleCondition(rule.condition);
+    if (!parsed.ok) {
+      log(`Skipped rule "${rule.name || rule.condition}": condition ${parsed.message}`);
+      return;
+    }
+    const before = new Set(evaluateRuleCondition(parsed.condition, previousState));
+    evaluateRuleCondition(parsed.condition, state).forEach((character) => {
+      const firedKey = `${getRuleKey(rule)}|${character}`;
+      if (before.has(character) || fired.has(firedKey)) return;
+      fired.add(firedKey);
+      toFire.push({ rule, character });
+    });
+  });
+  if (!toFire.length) return result;
+
+  // Record before running anything, as scripts and flags re-render and evaluate again
+  const keys = Object.keys(bookkeeping.fired).filter((key) => key !== blockKey).slice(-(MAX_REMEMBERED_BLOCKS - 1));
+  bookkeeping.fired = Object.fromEntries([...keys.map((key) => [key, bookkeeping.fired[key]]), [blockKey, [...fired]]]);
+  metadata[RULES_METADATA_KEY] = bookkeeping;
+
+  if (silent) {
+    context.saveMetadataDebounced?.();
+    return result;
+  }
+
+  const flags = [];
+  const scripts = [];
+  toFire.forEach(({ rule, character }) => {
+    const title = rule.name || "Tracker rule";
+    log(`Rule "${title}" fired${character ? ` for ${character}` : ""} at message ${mesId}`);
+
+    if (rule.toast) toastr.info(fillCharacter(rule.toast, character), title);
+    if (rule.note) bookkeeping.pendingNotes = [...(bookkeeping.pendingNotes || []), fillCharacter(rule.note, character)];
+    if (rule.script) scripts.push(fillCharacter(rule.script, character));
+    const flag = parseRuleFlag(fillCharacter(rule.flag, character));
+    if (flag) flags.push({ character: null, key: flag.key, value: flag.value });
+  });
+
+  const changedFlags = flags.filter(({ key, value }) => {
+    const { found, value: current } = readFieldValue(state.worldData || {}, key);
+    return !found || current !== value;
+  });
+  if (changedFlags.length) {
+    writeTrackerEdits(chat, mesId, identifier, changedFlags, get_settings("trackerFormat") || "json");
+    result.changed = true;
+  }
+  context.saveMetadataDebounced?.();
+
+  scripts.forEach((script) => runRuleScript(context, script));
+  return result;
+};
+
+/**
+ * Take the author's notes queued by fired rules; they are removed from the queue
+ * @returns {string[]}
+ */
+const takePendingRuleNotes = () => {
+  const context = getContext();
+  const bookkeeping = context.chatMetadata?.[RULES_METADATA_KEY];
+  if (!bookkeeping?.pendingNotes?.length) return [];
+  const notes = bookkeeping.pendingNotes;
+  bookkeeping.pendingNotes = [];
+  context.saveMetadataDebounced?.();
+  return notes;
+};
+
+/**
+ * Open the rule list
+ * @param {Function} get_settings - Settings getter
+ * @param {Function} set_settings - Settings setter
+ */
+const showRulesModal = (get_settings, set_settings) => {
+  $(`#${RULES_MODAL_ID}`).remove();
+
+  const modalHtml = `
+            <dialog id="${RULES_MODAL_ID}" class="popup wide_dialogue_popup large_dialogue_popup vertical_scrolling_dialogue_popup popup--animation-fast">
+                <div class="sst-modal-header">
+                    <h3 class="sst-modal-title">Tracker Rules</h3>
+                    <button class="sst-modal-close" data-sst-rules-close>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg>
+                    </button>
+                </div>
+                <div class="sst-modal-body">
+                    <p class="sst-setting-desc">
+                        A rule fires once when its condition becomes true, e.g. <code>Alice.ap &gt;= 150</code>,
+                        <code>any.health == 2</code> or <code>world.current_time == "22:00" &amp;&amp; all.ap &gt; 50</code>.
+                        <code>{char}</code> in the actions is the character an <code>any</code> condition matched.
+                        The note is added to the next prompt only; the flag (<code>key=value</code>) is written into worldData.
+                    </p>
+                    <div class="sst-rule-list"></div>
+                    <div class="sst-rule-actions">
+                        <button class="sst-btn sst-btn-primary" data-sst-rules-add>Add Rule</button>
+                    </div>
+                </div>
+            </dialog>
+        `;
+
+  $("body").append(modalHtml);
+  const $modal = $(`#${RULES_MODAL_ID}`);
+  const $list = $modal.find(".sst-rule-list");
+
+  const updateRule = (index, property, value) => {
+    const rules = [...(get_settings("rules") || [])];
+    rules[index] = { ...rules[index], [property]: value };
+    set_settings("rules", rules);
+  };
+
+  const describeCondition = (text) => {
+    if (!String(text || "").trim()) return "";
+    const parsed = parseRuleCondition(text);
+    return parsed.ok ? "" : `Condition ${parsed.message}`;
+  };
+
+  const renderRules = () => {
+    const rules = get_settings("rules") || [];
+    $list.empty();
+    if (!rules.length) {
+      $list.append('<p class="sst-setting-desc">No rules yet.</p>');
+      return;
+    }
+    rules.forEach((rule, index) => {
+      const $rule = $(`
+                <div class="sst-rule">
+                    <div class="sst-rule-header">
+                        <input type="text" class="sst-input sst-rule-name" placeholder="Rule name" value="${escapeHtml(rule.name || "")}" />
+                        <label class="sst-toggle" title="Enabled">
+                            <input type="checkbox" class="sst-rule-enabled" ${rule.enabled !== false ? "checked" : ""} />
+                            <span class="sst-slider"></span>
+                        </label>
+                        <button class="sst-btn sst-btn-danger sst-rule-remove" title="Remove rule">
+                            <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor"><path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>
+                        </button>
+                    </div>
+                    <label class="sst-rule-label">When</label>
+                    <input type="text" class="sst-input sst-rule-condition" placeholder="Alice.ap >= 150" value="${escapeHtml(rule.condition || "")}" />
+                    <div class="sst-rule-error">${escapeHtml(describeCondition(rule.condition))}</div>
+                    <label class="sst-rule-label">Toast</label>
+                    <input type="text" class="sst-input" data-sst-rule-property="toast" placeholder="{char} is in love!" value="${escapeHtml(rule.toast || "")}" />
+                    <label class="sst-rule-label">Author's note for the next prompt</label>
+                    <textarea class="sst-input" data-sst-rule-property="note" rows="2" placeholder="{char} confesses their feelings.">${escapeHtml(rule.note || "")}</textarea>
+                    <label class="sst-rule-label">STscript</label>
+                    <textarea class="sst-input" data-sst-rule-property="script" rows="2" placeholder="/echo {char} crossed the line">${escapeHtml(rule.script || "")}</textarea>
+                    <label class="sst-rule-label">World flag</label>
+                    <input type="text" class="sst-input" data-sst-rule-property="flag" placeholder="{char}_confessed=true" value="${escapeHtml(rule.flag || "")}" />
+                </div>
+            `);
+      $rule.find(".sst-rule-name").on("input", function () {
+        updateRule(index, "name", $(this).val().trim());
+      });
+      $rule.find(".sst-rule-enabled").on("change", function () {
+        updateRule(index, "enabled", $(this).is(":checked"));
+      });
+      $rule.find(".sst-rule-condition").on("input", function () {
+        const condition = $(this).val().trim();
+        updateRule(index, "condition", condition);
+        $rule.find(".sst-rule-error").text(describeCondition(condition));
+      });
+      $rule.find("[data-sst-rule-property]").on("input", function () {
+        updateRule(index, $(this).attr("data-sst-rule-property"), $(this).val());
+      });
+      $rule.find(".sst-rule-remove").on("click", () => {
+        set_settings("rules", (get_settings("rules") || []).filter((_, i) => i !== index));
+        renderRules();
+      });
+      $list.append($rule);
+    });
+  };
+
+  $modal.find("[data-sst-rules-add]").on("click", () => {
+    const rule = { name: "", enabled: true, condition: "", toast: "", note: "", script: "", flag: "" };
+    set_settings("rules", [...(get_settings("rules") || []), rule]);
+    renderRules();
+  });
+
+  $modal.find("[data-sst-rules-close]").on("click", () => $modal.remove());
+  $modal.on("keydown", (e) => {
+    if (e.key === "Escape") $modal.remove();
+  });
+  $modal.on("click", function (e) {
+    if (e.target === this) $modal.remove();
+  });
+
+  renderRules();
+  $modal[0].showModal();
+};
+
+export {
+  parseRuleCondition,
+  evaluateRuleCondition,
+  applyTrackerRules,
+  takePendingRuleNotes,
+  showRulesModal,
+};
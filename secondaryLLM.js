@@ -1,7 +1,11 @@
 // secondaryLLM.js - Handle secondary LLM generation for tracker blocks
 
 import { getContext } from "../../../extensions.js";
-import { generateTrackerBlock } from "./formatUtils.js";
+import { generateTrackerBlock, replaceTrackerFences, wrapTrackerBlock } from "./formatUtils.js";
+import { getFieldExampleLiteral, getFieldPromptComment } from "./fieldConstraints.js";
+import { getResolvedTrackerContent } from "./stateStore.js";
+import { getKnownIdentifiers } from "./patches.js";
+import { getAllTrackerIdentifiers, getTrackerTypeSettings } from "./trackerTypes.js";
 
 const MODULE_NAME = "silly-sim-tracker";
 
@@ -507,40 +511,13 @@ function stripHTML(text) {
   return stripped;
 }
 
-/**
- * Extract sim tracker data from a message
- * Handles both wrapped and unwrapped sim blocks
- */
-function extractTrackerData(message, identifier) {
-  if (!message || !message.mes) {
-    return null;
-  }
-  
-  // Try to match wrapped blocks first (with div wrapper)
-  const wrappedRegex = new RegExp(`<div style="display: none;">\`\`\`${identifier}\\s*([\\s\\S]*?)\`\`\`</div>`, "m");
-  let match = message.mes.match(wrappedRegex);
-  
-  if (match && match[1]) {
-    return match[1].trim();
-  }
-  
-  // Fall back to unwrapped blocks
-  const unwrappedRegex = new RegExp("```" + identifier + "\\s*([\\s\\S]*?)```", "m");
-  match = message.mes.match(unwrappedRegex);
-  
-  if (match && match[1]) {
-    return match[1].trim();
-  }
-  
-  return null;
-}
-
 /**
  * Process chat history to extract the last N messages
  * Converts them to a format suitable for the secondary LLM
  * Returns both the messages and any previous tracker data
+ * Tracker blocks under `stripIdentifiers` (by default those of every tracker type) are removed
  */
-function processChatHistory(chat, messageCount, get_settings) {
+function processChatHistory(chat, messageCount, get_settings, stripIdentifiers = getAllTrackerIdentifiers(get_settings)) {
   if (!chat || !Array.isArray(chat)) {
     return { messages: [], previousTrackerData: null };
   }
@@ -553,14 +530,20 @@ function processChatHistory(chat, messageCount, get_settings) {
 
   // Check if HTML stripping is enabled
   const stripHTMLEnabled = get_settings("secondaryLLMStripHTML") !== false; // Default to true
-  const identifier = get_settings("codeBlockIdentifier");
+  const identifier = getKnownIdentifiers(get_settings);
 
   // Extract tracker data from the message before the most recent one
   let previousTrackerData = null;
   if (recentMessages.length >= 2) {
     // Look at the second-to-last message (the one before the most recent)
     const previousMessage = recentMessages[recentMessages.length - 2];
-    previousTrackerData = extractTrackerData(previousMessage, identifier);
+    // Patch blocks are given as the full state they resolve to
+    previousTrackerData = getResolvedTrackerContent(
+      chat,
+      chat.indexOf(previousMessage),
+      identifier,
+      get_settings("trackerFormat") || "json"
+    );
   }
 
   // Convert to a simple format for the LLM
@@ -569,15 +552,7 @@ function processChatHistory(chat, messageCount, get_settings) {
     const role = msg.is_user ? "user" : "assistant";
     
     // Clean the message content - remove any existing sim blocks (both wrapped and unwrapped)
-    let cleanedContent = msg.mes;
-    
-    // Remove wrapped sim blocks
-    const wrappedRegex = new RegExp(`<div style="display: none;">\`\`\`${identifier}[\\s\\S]*?\`\`\`</div>`, "gm");
-    cleanedContent = cleanedContent.replace(wrappedRegex, "").trim();
-    
-    // Remove any remaining unwrapped sim blocks
-    const unwrappedRegex = new RegExp("```" + identifier + "[\\s\\S]*?```", "gm");
-    cleanedContent = cleanedContent.replace(unwrappedRegex, "").trim();
+    let cleanedContent = replaceTrackerFences(msg.mes, stripIdentifiers, () => "").trim();
     
     // Strip HTML if enabled
     if (stripHTMLEnabled) {
@@ -642,10 +617,72 @@ async function loadCurrentTemplateData(get_settings) {
   }
 }
 
+/**
+ * Request options for the secondary LLM from the settings
+ * @returns {Object|null} Options for sendRawCompletionRequest (without the prompt), or null when no model is set
+ */
+function getSecondaryRequestOptions(get_settings) {
+  const provider = get_settings("secondaryLLMAPI") || "openai";
+  const model = get_settings("secondaryLLMModel") || "";
+  const top_p = parseFloat(get_settings("secondaryLLMTopP")) || 1;
+
+  if (!model && provider !== "custom") {
+    console.log(`[SST] [${MODULE_NAME}]`, "No model specified for secondary LLM");
+    toastr.warning("Secondary LLM model not configured. Please set the model in settings.");
+    return null;
+  }
+
+  // Build extra parameters
+  const extra = {};
+  if (top_p < 1) {
+    extra.top_p = top_p;
+  }
+
+  return {
+    model: model,
+    temperature: parseFloat(get_settings("secondaryLLMTemperature")) || 0.7,
+    provider: provider,
+    endpoint: get_settings("secondaryLLMEndpoint") || null,
+    apiKey: get_settings("secondaryLLMAPIKey") || null,
+    extra: extra,
+    streaming: get_settings("secondaryLLMStreaming") !== false, // Default to true if not set
+    useReverseProxy: get_settings("secondaryLLMUseReverseProxy") !== false, // Default to true
+  };
+}
+
+/**
+ * Remove the code fences or tracker tags a model may wrap its answer in
+ */
+function sanitizeCompletionText(text) {
+  let sanitizedText = text.trim();
+
+  // Remove a pair of tags around the whole answer (<sim>...</sim>)
+  sanitizedText = sanitizedText.replace(/^<([A-Za-z][\w.-]*)>\s*([\s\S]*?)\s*<\/\1>$/, "$2");
+
+  // Remove code blocks with language identifiers (```json, ```yaml, etc.)
+  sanitizedText = sanitizedText.replace(/^```(?:json|yaml|yml)\s*/i, '');
+  // Remove generic code blocks (```)
+  sanitizedText = sanitizedText.replace(/^```\s*/, '');
+  // Remove closing code blocks
+  sanitizedText = sanitizedText.replace(/\s*```\s*$/, '');
+
+  // Trim again after removal
+  return sanitizedText.trim();
+}
+
 /**
  * Generate a tracker block using a secondary LLM
+ * @param {Function} get_settings - Settings getter
+ * @param {Object} [options]
+ * @param {Object} [options.trackerType] - Additional tracker type to generate the block of (see
+ *   trackerTypes.js) instead of the main tracker's; its own fields win over its template's
+ * @returns {Promise<string|null>} Block content without code fences
  */
-async function generateTrackerWithSecondaryLLM(get_settings) {
+async function generateTrackerWithSecondaryLLM(get_settings, { trackerType = null } = {}) {
+  // The blocks of every type are left out of the conversation, whichever type is generated
+  const stripIdentifiers = getAllTrackerIdentifiers(get_settings);
+  if (trackerType) get_settings = getTrackerTypeSettings(get_settings, trackerType);
+
   const context = getContext();
   const chat = context.chat;
 
@@ -656,26 +693,15 @@ async function generateTrackerWithSecondaryLLM(get_settings) {
 
   // Get settings
   const messageCount = parseInt(get_settings("secondaryLLMMessageCount")) || 5;
-  const provider = get_settings("secondaryLLMAPI") || "openai";
-  const model = get_settings("secondaryLLMModel") || "";
-  const endpoint = get_settings("secondaryLLMEndpoint") || null;
-  const apiKey = get_settings("secondaryLLMAPIKey") || null;
-  const temperature = parseFloat(get_settings("secondaryLLMTemperature")) || 0.7;
-  const top_p = parseFloat(get_settings("secondaryLLMTopP")) || 1;
-  const useReverseProxy = get_settings("secondaryLLMUseReverseProxy") !== false; // Default to true
-
-  if (!model && provider !== "custom") {
-    console.log(`[SST] [${MODULE_NAME}]`, "No model specified for secondary LLM");
-    toastr.warning("Secondary LLM model not configured. Please set the model in settings.");
-    return null;
-  }
+  const requestOptions = getSecondaryRequestOptions(get_settings);
+  if (!requestOptions) return null;
 
   // Load template data to get trackerDesc and other template-specific settings
   const templateData = await loadCurrentTemplateData(get_settings);
   const trackerDesc = templateData?.trackerDesc || "general tracker";
 
   // Process chat history
-  const { messages, previousTrackerData } = processChatHistory(chat, messageCount, get_settings);
+  const { messages, previousTrackerData } = processChatHistory(chat, messageCount, get_settings, stripIdentifiers);
 
   if (messages.length === 0) {
     console.log(`[SST] [${MODULE_NAME}]`, "No messages to process for secondary generation");
@@ -685,9 +711,10 @@ async function generateTrackerWithSecondaryLLM(get_settings) {
   // Get settings, preferring template data values over global settings
   // This ensures that when you switch templates, the template's specific fields/format/instructions are used
   const systemPrompt = templateData?.sysPrompt || get_settings("datingSimPrompt") || "";
-  const customFields = templateData?.customFields || get_settings("customFields") || [];
+  // Computed fields are filled in by the extension, so they are left out of the format
+  const customFields = ((trackerType ? null : templateData?.customFields) || get_settings("customFields") || []).filter((field) => field.type !== "computed");
   const trackerFormat = templateData?.extSettings?.trackerFormat || get_settings("trackerFormat") || "json";
-  const codeBlockIdentifier = templateData?.extSettings?.codeBlockIdentifier || get_settings("codeBlockIdentifier") || "sim";
+  const codeBlockIdentifier = trackerType?.identifier || templateData?.extSettings?.codeBlockIdentifier || get_settings("codeBlockIdentifier") || "sim";
 
   console.log(`[SST] [${MODULE_NAME}]`, `Using template-specific settings: ${customFields.length} custom fields, format: ${trackerFormat}`);
 
@@ -741,10 +768,10 @@ async function generateTrackerWithSecondaryLLM(get_settings) {
       if (field.type === "array") {
         yamlContent += generateYamlArrayField(field);
       } else {
-        yamlContent += `    ${field.key}: [appropriate value] # ${field.description}\n`;
+        yamlContent += `    ${field.key}: ${getFieldExampleLiteral(field, "[appropriate value]")} # ${getFieldPromptComment(field)}\n`;
       }
     });
-    formatExample = `\`\`\`${codeBlockIdentifier}\n${yamlContent}\`\`\``;
+    formatExample = wrapTrackerBlock(yamlContent.trimEnd(), codeBlockIdentifier);
   } else {
     let jsonContent = `{\n  "worldData": {\n    "current_date": "YYYY-MM-DD",\n    "current_time": "HH:MM"\n  },\n  "characters": [\n    {\n      "name": "Character Name",\n`;
     customFields.forEach((field, index) => {
@@ -753,11 +780,11 @@ async function generateTrackerWithSecondaryLLM(get_settings) {
         jsonContent += generateJsonArrayField(field, isLast);
       } else {
         const comma = isLast ? "" : ",";
-        jsonContent += `      "${field.key}": [appropriate value]${comma} // ${field.description}\n`;
+        jsonContent += `      "${field.key}": ${getFieldExampleLiteral(field, "[appropriate value]")}${comma} // ${getFieldPromptComment(field)}\n`;
       }
     });
     jsonContent += `    }\n  ]\n}`;
-    formatExample = `\`\`\`${codeBlockIdentifier}\n${jsonContent}\n\`\`\``;
+    formatExample = wrapTrackerBlock(jsonContent, codeBlockIdentifier);
   }
 
   // Replace {{sim_format}} in the system prompt
@@ -809,26 +836,7 @@ async function generateTrackerWithSecondaryLLM(get_settings) {
   try {
     console.log(`[SST] [${MODULE_NAME}]`, "Sending request to secondary LLM...");
     
-    // Get streaming setting
-    const streaming = get_settings("secondaryLLMStreaming") !== false; // Default to true if not set
-    
-    // Build extra parameters
-    const extra = {};
-    if (top_p < 1) {
-      extra.top_p = top_p;
-    }
-    
-    const response = await sendRawCompletionRequest({
-      model: model,
-      prompt: conversationText,
-      temperature: temperature,
-      provider: provider,
-      endpoint: endpoint,
-      apiKey: apiKey,
-      extra: extra,
-      streaming: streaming,
-      useReverseProxy: useReverseProxy,
-    });
+    const response = await sendRawCompletionRequest({ ...requestOptions, prompt: conversationText });
 
     if (!response.text) {
       console.log(`[SST] [${MODULE_NAME}]`, "No text received from secondary LLM");
@@ -838,17 +846,7 @@ async function generateTrackerWithSecondaryLLM(get_settings) {
     console.log(`[SST] [${MODULE_NAME}]`, "Received response from secondary LLM");
     
     // Sanitize the response to remove code block markers
-    let sanitizedText = response.text.trim();
-    
-    // Remove code blocks with language identifiers (```json, ```yaml, etc.)
-    sanitizedText = sanitizedText.replace(/^```(?:json|yaml|yml)\s*/i, '');
-    // Remove generic code blocks (```)
-    sanitizedText = sanitizedText.replace(/^```\s*/, '');
-    // Remove closing code blocks
-    sanitizedText = sanitizedText.replace(/\s*```\s*$/, '');
-    
-    // Trim again after removal
-    sanitizedText = sanitizedText.trim();
+    const sanitizedText = sanitizeCompletionText(response.text);
     
     console.log(`[SST] [${MODULE_NAME}]`, "Sanitized response (removed code block markers if present)");
     return sanitizedText;
@@ -859,4 +857,48 @@ async function generateTrackerWithSecondaryLLM(get_settings) {
   }
 }
 
-export { generateTrackerWithSecondaryLLM, processChatHistory };
+/**
+ * Ask the secondary LLM to fix implausible changes in a tracker block
+ * @param {Function} get_settings - Settings getter
+ * @param {Object} request
+ * @param {string} request.previous - Previous tracker state, serialized
+ * @param {string} request.current - New tracker state, serialized
+ * @param {string[]} request.problems - What is implausible about the new state
+ * @param {string} request.format - Format of both states ("json" or "yaml")
+ * @returns {Promise<string|null>} The corrected data without code fences, or null on failure
+ */
+async function correctTrackerWithSecondaryLLM(get_settings, { previous, current, problems, format }) {
+  const requestOptions = getSecondaryRequestOptions(get_settings);
+  if (!requestOptions) return null;
+
+  const messageCount = parseInt(get_settings("secondaryLLMMessageCount")) || 5;
+  const { messages } = processChatHistory(getContext().chat, messageCount, get_settings);
+
+  let prompt = "A tracker block was written for the latest message of this roleplay, but some of its changes are implausible.\n\n";
+  prompt += `Previous tracker state:\n${previous}\n\n`;
+  prompt += `New tracker state:\n${current}\n\n`;
+  prompt += `Implausible changes:\n${problems.map((problem) => `- ${problem}`).join("\n")}\n\n`;
+  if (messages.length) {
+    prompt += "Recent conversation:\n\n";
+    messages.forEach((msg) => {
+      prompt += `${msg.name}: ${msg.content}\n\n`;
+    });
+  }
+  prompt += `\nRewrite the new tracker state so that these changes are plausible, keeping everything else as it is. Output ONLY the raw ${format.toUpperCase()} data (without code fences or backticks), with no comments or acknowledgements of any instructions.`;
+
+  try {
+    console.log(`[SST] [${MODULE_NAME}]`, "Sending correction request to secondary LLM...");
+    const response = await sendRawCompletionRequest({ ...requestOptions, prompt });
+    if (!response.text) {
+      console.log(`[SST] [${MODULE_NAME}]`, "No text received from secondary LLM");
+      return null;
+    }
+    return sanitizeCompletionText(response.text);
+  } catch (error) {
+    console.error(`[SST] [${MODULE_NAME}]`, "Error calling secondary LLM:", error);
+    toastr.error(`Secondary LLM correction failed: ${error.message}`);
+    return null;
+  }
+}
+
+export { generateTrackerWithSecondaryLLM, correctTrackerWithSecondaryLLM, processChatHistory };
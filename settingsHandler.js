@@ -2,70 +2,109 @@
 
 const { extensionSettings, saveSettingsDebounced } = SillyTavern.getContext();
 import { sanitizeFieldKey } from "./utils.js";
+import { parseConstraintValue, parseEnumOptions, formatEnumOptions } from "./fieldConstraints.js";
 import { currentTemplatePosition, unescapeHtml } from "./templating.js";
 import { populateTemplateDropdown } from "./templating.js";
+import { showVariableMappingsModal } from "./variableSync.js";
+import { showRulesModal } from "./rules.js";
+import { showTrackerTypesModal } from "./trackerTypes.js";
+import { getKnownIdentifiers } from "./patches.js";
+import { findTrackerFences, setTrackerSyntax } from "./formatUtils.js";
+import { describeFormulaError } from "./computedFields.js";
 
 const MODULE_NAME = "silly-sim-tracker";
 
-// Default fields for sim data, used for both initial settings and the {{sim_format}} macro
+// Default fields for sim data, used for both initial settings and the {{sim_format}} macro.
+// Ranges, allowed values and defaults are structured constraints (see fieldConstraints.js)
+// so they can be enforced on parsed blocks and rendered into the format example.
 const defaultSimFields = [
-  { key: "ap", description: "Affection Points (0-200)" },
-  { key: "dp", description: "Desire Points (0-150)" },
-  { key: "tp", description: "Trust Points (0-150)" },
-  { key: "cp", description: "Contempt Points (0-150)" },
+  { key: "ap", description: "Affection Points", valueType: "number", min: 0, max: 200 },
+  { key: "dp", description: "Desire Points", valueType: "number", min: 0, max: 150 },
+  { key: "tp", description: "Trust Points", valueType: "number", min: 0, max: 150 },
+  { key: "cp", description: "Contempt Points", valueType: "number", min: 0, max: 150 },
   {
     key: "apChange",
     description:
       "Change in Affection from last action (positive/negative/zero)",
+    valueType: "number",
   },
   {
     key: "dpChange",
     description: "Change in Desire from last action (positive/negative/zero)",
+    valueType: "number",
   },
   {
     key: "tpChange",
     description: "Change in Trust from last action (positive/negative/zero)",
+    valueType: "number",
   },
   {
     key: "cpChange",
     description: "Change in Contempt from last action (positive/negative/zero)",
+    valueType: "number",
   },
   {
     key: "relationshipStatus",
     description: "Relationship status text (e.g., 'Romantic Interest')",
+    valueType: "string",
   },
   {
     key: "desireStatus",
     description: "Desire status text (e.g., 'A smoldering flame builds.')",
+    valueType: "string",
   },
-  { key: "preg", description: "Boolean for pregnancy status (true/false)" },
-  { key: "days_preg", description: "Days pregnant (if applicable)" },
-  { key: "conception_date", description: "Date of conception (YYYY-MM-DD)" },
+  { key: "preg", description: "Pregnancy status", valueType: "boolean", default: false },
+  { key: "days_preg", description: "Days pregnant (if applicable)", valueType: "number", min: 0 },
+  { key: "conception_date", description: "Date of conception (YYYY-MM-DD)", valueType: "string" },
   {
     key: "health",
-    description: "Health Status (0=Unharmed, 1=Injured, 2=Critical)",
+    description: "Health Status",
+    valueType: "number",
+    enum: [
+      { value: 0, label: "Unharmed" },
+      { value: 1, label: "Injured" },
+      { value: 2, label: "Critical" },
+    ],
+    default: 0,
   },
-  { key: "bg", description: "Hex color for card background (e.g., #6a5acd)" },
+  { key: "bg", description: "Hex color for card background (e.g., #6a5acd)", valueType: "string" },
   {
     key: "last_react",
-    description: "Reaction to User (0=Neutral, 1=Like, 2=Dislike)",
+    description: "Reaction to User",
+    valueType: "number",
+    enum: [
+      { value: 0, label: "Neutral" },
+      { value: 1, label: "Like" },
+      { value: 2, label: "Dislike" },
+    ],
+    default: 0,
   },
   {
     key: "internal_thought",
     description: "Character's current internal thoughts/feelings",
+    valueType: "string",
   },
   {
     key: "days_since_first_meeting",
     description: "Total days since first meeting",
+    valueType: "number",
+    min: 0,
   },
-  {
-    key: "inactive",
-    description: "Boolean for character inactivity (true/false)",
-  },
+  { key: "inactive", description: "Character inactivity", valueType: "boolean", default: false },
   {
     key: "inactiveReason",
-    description:
-      "Reason for inactivity (0=Not inactive, 1=Asleep, 2=Comatose, 3=Contempt/anger, 4=Incapacitated, 5=Death)",
+    description: "Reason for inactivity",
+    valueType: "number",
+    enum: [
+      { value: 0, label: "Not inactive" },
+      { value: 1, label: "Asleep" },
+      { value: 2, label: "Comatose" },
+      { value: 3, label: "Contempt/anger" },
+      { value: 4, label: "Incapacitated" },
+      { value: 5, label: "Death" },
+    ],
+    default: 0,
+    terminal: [5],
   },
 ];
 
@@ -84,6 +123,8 @@ const default_settings = {
   hideSimBlocks: true, // New setting to hide sim blocks in message text
   userPresets: [], // New setting to store user presets
   trackerFormat: "json", // New setting for tracker format (json or yaml)
+  trackerMode: "full", // "full" snapshots every turn, or "patch" blocks with only the changes
+  trackerSyntax: "fence", // "fence" (```sim blocks), "tag" (<sim> blocks) or "both" (reads both, writes fences)
   useSecondaryLLM: false, // Enable secondary LLM generation
   secondaryLLMMessageCount: 5, // Number of messages to include for secondary generation
   secondaryLLMAPI: "openai", // API to use for secondary generation
@@ -97,9 +138,27 @@ const default_settings = {
   secondaryLLMStripHTML: true, // Strip HTML from context for secondary LLM
   maxSimBlocksInContext: 3, // Maximum number of sim blocks to include in LLM context (0 = unlimited)
   retainTrackerCount: 3, // New setting: Number of most recent tracker blocks to retain in context
+  trackerRetentionMode: "count", // "count" uses the two settings above, "tokens" keeps the recent blocks that fit trackerTokenBudget
+  trackerTokenBudget: 2000, // Tokens of tracker blocks to keep in context in "tokens" mode (0 = unlimited)
+  summarizeStrippedTrackers: false, // Replace tracker blocks stripped from the prompt with a one-line summary
+  trackerSummaryTemplate: "[Tracker @ {{date}}: {{characters}}]", // Summary line; {{date}}, {{time}}, {{world.<key>}}, {{characters}}
+  trackerSummaryFields: "", // Comma-separated keys summarized per character (empty = all number fields)
+  injectStateAsExtension: false, // Strip all tracker blocks from the prompt and inject only the latest state
+  stateInjectionDepth: 1, // Depth of the injected state (0 = after the last message)
+  stateInjectionRole: "system", // Role of the injected state: "system", "user" or "assistant"
+  stateInjectionFormat: "json", // Format of the injected state: "json", "yaml" or "prose"
   enableInlineTemplates: false, // Enable inline template rendering
   inlinePacks: [], // Imported inline template packs
-  knownIdentifiers: ["sim"], // List of all known code block identifiers
+  knownIdentifiers: ["sim"], // Identifiers used before the current one; blocks under them are still read
+  validateTrackerData: true, // Check parsed tracker blocks against customFields
+  showValidationBadge: false, // Count validation issues in a badge on the card (they are always logged)
+  plausibilityMode: "off", // "off", "warn", "damp" or "correct" (secondary LLM) for maxDelta/terminal violations
+  syncChatVariables: false, // Mirror tracker values into chat variables (sst.Alice.ap)
+  variableMappings: [], // {field, variable, writeBack} rows; empty mirrors every scalar field
+  rules: [], // {name, enabled, condition, toast, note, script, flag} threshold rules (see rules.js)
+  rewriteLockedFields: false, // Also correct locked values in the latest message, not just on the cards
+  reviewTrackerUpdates: false, // Hold new tracker blocks until their changes are accepted
+  trackerTypes: [], // {name, enabled, identifier, customFields, templateFile, position} additional block types (see trackerTypes.js)
 };
 
 let settings = {};
@@ -117,6 +176,11 @@ const set_settings = (key, value) => {
     }
   }
 
+  // Block readers and writers follow the syntax without being handed the settings
+  if (key === "trackerSyntax") {
+    setTrackerSyntax(value);
+  }
+
   saveSettingsDebounced();
 };
 
@@ -167,6 +231,10 @@ const loadDefaultTemplate = async () => {
       set_settings("customFields", templateData.customFields);
     }
 
+    if (templateData.rules !== undefined) {
+      set_settings("rules", templateData.rules);
+    }
+
     if (templateData.extSettings) {
       Object.keys(templateData.extSettings).forEach((key) => {
         // Don't overwrite the templateFile setting with the one from extSettings
@@ -235,7 +303,8 @@ const bind_setting = (selector, key, type) => {
     return;
   }
   settings_ui_map[key] = [element, type];
-  element.on("change input", () => {
+  // Every identifier that is set is remembered as known, so only take the finished one
+  element.on(key === "codeBlockIdentifier" ? "change" : "change input", () => {
     let value;
     switch (type) {
       case "boolean":
@@ -273,7 +342,15 @@ const initialize_settings_listeners = (
   bind_setting("#defaultBgColor", "defaultBgColor", "color");
   bind_setting("#showThoughtBubble", "showThoughtBubble", "boolean");
   bind_setting("#hideSimBlocks", "hideSimBlocks", "boolean");
+  bind_setting("#validateTrackerData", "validateTrackerData", "boolean");
+  bind_setting("#showValidationBadge", "showValidationBadge", "boolean");
   bind_setting("#trackerFormat", "trackerFormat", "text");
+  bind_setting("#trackerMode", "trackerMode", "text");
+  bind_setting("#trackerSyntax", "trackerSyntax", "text");
+  bind_setting("#plausibilityMode", "plausibilityMode", "text");
+  bind_setting("#syncChatVariables", "syncChatVariables", "boolean");
+  bind_setting("#rewriteLockedFields", "rewriteLockedFields", "boolean");
+  bind_setting("#reviewTrackerUpdates", "reviewTrackerUpdates", "boolean");
   bind_setting("#datingSimPrompt", "datingSimPrompt", "textarea");
   bind_setting("#displayInstructionsPrompt", "displayInstructionsPrompt", "textarea");
   
@@ -291,6 +368,15 @@ const initialize_settings_listeners = (
   bind_setting("#secondaryLLMStripHTML", "secondaryLLMStripHTML", "boolean");
   bind_setting("#maxSimBlocksInContext", "maxSimBlocksInContext", "text");
   bind_setting("#retainTrackerCount", "retainTrackerCount", "text");
+  bind_setting("#trackerRetentionMode", "trackerRetentionMode", "text");
+  bind_setting("#trackerTokenBudget", "trackerTokenBudget", "text");
+  bind_setting("#summarizeStrippedTrackers", "summarizeStrippedTrackers", "boolean");
+  bind_setting("#trackerSummaryTemplate", "trackerSummaryTemplate", "text");
+  bind_setting("#trackerSummaryFields", "trackerSummaryFields", "text");
+  bind_setting("#injectStateAsExtension", "injectStateAsExtension", "boolean");
+  bind_setting("#stateInjectionDepth", "stateInjectionDepth", "text");
+  bind_setting("#stateInjectionRole", "stateInjectionRole", "text");
+  bind_setting("#stateInjectionFormat", "stateInjectionFormat", "text");
 
   // Provider-specific UI toggle for secondary LLM
   const providerPlaceholders = {
@@ -395,6 +481,10 @@ const initialize_settings_listeners = (
           set_settings("customFields", presetData.customFields);
         }
 
+        if (presetData.rules !== undefined) {
+          set_settings("rules", presetData.rules);
+        }
+
         if (presetData.extSettings) {
           Object.keys(presetData.extSettings).forEach((key) => {
             // Don't overwrite the templateFile setting with the one from extSettings
@@ -433,6 +523,10 @@ const initialize_settings_listeners = (
             set_settings("customFields", templateData.customFields);
           }
 
+          if (templateData.rules !== undefined) {
+            set_settings("rules", templateData.rules);
+          }
+
           if (templateData.extSettings) {
             Object.keys(templateData.extSettings).forEach((key) => {
               // Don't overwrite the templateFile setting with the one from extSettings
@@ -582,13 +676,15 @@ const initialize_settings_listeners = (
     // Create field template
     const createFieldTemplate = (fieldType = "scalar") => {
       const isArray = fieldType === "array";
+      const isComputed = fieldType === "computed";
       return $(`
                 <div class="sst-field-item" data-field-type="${fieldType}">
                     <div class="sst-field-header">
                         <input type="text" class="field-key-display sst-input" placeholder="Field key" style="flex: 1;" />
                         <select class="field-type-select sst-select" style="width: 100px;">
-                            <option value="scalar" ${!isArray ? 'selected' : ''}>Scalar</option>
+                            <option value="scalar" ${!isArray && !isComputed ? 'selected' : ''}>Scalar</option>
                             <option value="array" ${isArray ? 'selected' : ''}>Array</option>
+                            <option value="computed" ${isComputed ? 'selected' : ''}>Computed</option>
                         </select>
                         <div style="display: flex; gap: 8px;">
                             <button class="sst-toggle-field sst-btn">Expand</button>
@@ -602,6 +698,32 @@ const initialize_settings_listeners = (
                             <label class="sst-setting-label">Description for LLM</label>
                             <input type="text" class="field-description sst-input" placeholder="Field description" style="width: 100%;" />
                         </div>
+                        <div class="sst-field-formula" style="display: ${isComputed ? 'flex' : 'none'};">
+                            <label class="sst-setting-label">Formula</label>
+                            <input type="text" class="field-formula sst-input" placeholder='ap >= 150 ? "Lover" : "Friend"' />
+                            <div class="sst-field-formula-error"></div>
+                            <p class="sst-setting-desc">Computed after each block is read and never written by the model. Use other fields by key, <code>world.current_date</code> for world values, and functions like <code>min</code>, <code>round</code> or <code>days_between</code>.</p>
+                        </div>
+                        <div class="sst-field-constraints" style="display: ${isArray ? 'none' : 'flex'};">
+                            <label class="sst-setting-label">Constraints</label>
+                            <div class="sst-constraint-grid">
+                                <select class="field-value-type sst-select" title="Value type">
+                                    <option value="">Auto</option>
+                                    <option value="number">Number</option>
+                                    <option value="string">Text</option>
+                                    <option value="boolean">Boolean</option>
+                                </select>
+                                <input type="number" class="field-min sst-input" placeholder="Min" title="Minimum value" />
+                                <input type="number" class="field-max sst-input" placeholder="Max" title="Maximum value" />
+                                <input type="number" class="field-step sst-input" placeholder="Step" title="Values are rounded to this step" min="0" />
+                            </div>
+                            <div class="sst-plausibility-grid">
+                                <input type="number" class="field-maxDelta sst-input" placeholder="Max change" title="Largest change from one block to the next" min="0" />
+                                <input type="text" class="field-terminal sst-input" placeholder="Permanent values, e.g. 5" title="Once the field has one of these values (comma separated), it keeps it" />
+                            </div>
+                            <textarea class="field-enum sst-textarea" rows="3" placeholder="Allowed values, one per line (value = label), e.g.&#10;0 = Unharmed&#10;1 = Injured"></textarea>
+                            <input type="text" class="field-default sst-input" placeholder="Default value (used when missing or invalid)" />
+                        </div>
                         <div class="sst-array-schema-section" style="display: ${isArray ? 'block' : 'none'}; margin-top: 12px; padding: 12px; background: rgba(0,0,0,0.15); border-radius: 8px; border-left: 3px solid var(--SmartThemeQuoteColor, #6a5acd);">
                             <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
                                 <label class="sst-setting-label" style="margin: 0;">Array Item Schema</label>
@@ -763,17 +885,98 @@ const initialize_settings_listeners = (
             set_settings("customFields", updatedFields);
           });
 
+        // Structured constraints (scalar fields only)
+        const updateFieldProperty = (property, value) => {
+          const updatedFields = [...fields];
+          if (value === undefined) {
+            delete updatedFields[index][property];
+          } else {
+            updatedFields[index][property] = value;
+          }
+          set_settings("customFields", updatedFields);
+        };
+
+        $fieldElement
+          .find(".field-value-type")
+          .val(field.valueType || "")
+          .on("change", function () {
+            updateFieldProperty("valueType", $(this).val() || undefined);
+          });
+
+        ["min", "max", "step", "maxDelta"].forEach((property) => {
+          $fieldElement
+            .find(`.field-${property}`)
+            .val(field[property] ?? "")
+            .on("input", function () {
+              const rawValue = $(this).val();
+              updateFieldProperty(property, rawValue === "" ? undefined : Number(rawValue));
+            });
+        });
+
+        $fieldElement
+          .find(".field-terminal")
+          .val((field.terminal || []).join(", "))
+          .on("input", function () {
+            const values = $(this)
+              .val()
+              .split(",")
+              .filter((text) => text.trim() !== "")
+              .map((text) => parseConstraintValue(text, fields[index].valueType));
+            updateFieldProperty("terminal", values.length ? values : undefined);
+          });
+
+        $fieldElement
+          .find(".field-enum")
+          .val(formatEnumOptions(field.enum))
+          .on("input", function () {
+            const options = parseEnumOptions($(this).val(), fields[index].valueType);
+            updateFieldProperty("enum", options.length ? options : undefined);
+          });
+
+        $fieldElement
+          .find(".field-default")
+          .val(field.default === undefined ? "" : String(field.default))
+          .on("input", function () {
+            const rawValue = $(this).val();
+            updateFieldProperty(
+              "default",
+              rawValue.trim() === "" ? undefined : parseConstraintValue(rawValue, fields[index].valueType)
+            );
+          });
+
+        $fieldElement
+          .find(".field-formula")
+          .val(field.formula || "")
+          .on("input", function () {
+            const formula = $(this).val();
+            updateFieldProperty("formula", formula);
+            $fieldElement.find(".sst-field-formula-error").text(formula.trim() ? describeFormulaError(formula) || "" : "");
+          });
+        if (field.formula) {
+          $fieldElement.find(".sst-field-formula-error").text(describeFormulaError(field.formula) || "");
+        }
+
         // Handle type selector change
         $fieldElement.find(".field-type-select").on("change", function () {
           const newType = $(this).val();
           const updatedFields = [...fields];
           updatedFields[index].type = newType;
 
+          // Only computed fields keep a formula
+          if (newType !== "computed") {
+            delete updatedFields[index].formula;
+          } else if (updatedFields[index].formula === undefined) {
+            updatedFields[index].formula = "";
+          }
+
           // Initialize itemSchema if switching to array
           if (newType === "array" && !updatedFields[index].itemSchema) {
             updatedFields[index].itemSchema = [];
           }
-          // Remove itemSchema if switching to scalar
+          // Remove itemSchema if switching to scalar or computed
+          if (newType === "computed") {
+            delete updatedFields[index].itemSchema;
+          }
           if (newType === "scalar") {
             delete updatedFields[index].itemSchema;
             delete updatedFields[index].type; // Remove type property for scalar (backward compat)
@@ -853,6 +1056,23 @@ const initialize_settings_listeners = (
   $manageFieldsButton.on("click", () => {
     createAndShowModal();
   });
+
+  // Variable mappings button opens the mapping table
+  $("#manageVariableMappingsBtn").on("click", () => {
+    showVariableMappingsModal(get_settings, set_settings);
+  });
+
+  $("#manageRulesBtn").on("click", () => {
+    showRulesModal(get_settings, set_settings);
+  });
+
+  $("#manageKnownIdentifiersBtn").on("click", () => {
+    showKnownIdentifiersModal(refreshAllCards);
+  });
+
+  $("#manageTrackerTypesBtn").on("click", () => {
+    showTrackerTypesModal(get_settings, set_settings, refreshAllCards);
+  });
 };
 
 const initialize_settings = async () => {
@@ -906,6 +1126,10 @@ const initialize_settings = async () => {
         settings.customFields = templateData.customFields;
       }
 
+      if (templateData.rules !== undefined) {
+        settings.rules = templateData.rules;
+      }
+
       if (templateData.extSettings) {
         Object.keys(templateData.extSettings).forEach((key) => {
           settings[key] = templateData.extSettings[key];
@@ -951,6 +1175,10 @@ const initialize_settings = async () => {
           settings.customFields = preset.customFields;
         }
 
+        if (preset.rules !== undefined) {
+          settings.rules = preset.rules;
+        }
+
         if (preset.extSettings) {
           Object.keys(preset.extSettings).forEach((key) => {
             // Don't overwrite the templateFile setting with the one from extSettings
@@ -990,6 +1218,10 @@ const initialize_settings = async () => {
           settings.customFields = templateData.customFields;
         }
 
+        if (templateData.rules !== undefined) {
+          settings.rules = templateData.rules;
+        }
+
         if (templateData.extSettings) {
           Object.keys(templateData.extSettings).forEach((key) => {
             // Don't overwrite the templateFile setting with the one from extSettings
@@ -1007,6 +1239,9 @@ const initialize_settings = async () => {
       }
     }
   }
+
+  // Templates and presets can set the syntax too
+  setTrackerSyntax(settings.trackerSyntax);
 };
 
 const load_settings_html_manually = async () => {
@@ -1038,6 +1273,92 @@ const escapeHtml = (unsafe) => {
     .replace(/'/g, "&#039;");
 };
 
+/**
+ * Open the list of known code block identifiers. Blocks under any of them are read, hidden
+ * and kept out of the prompt like blocks under the current one; stale entries can be removed.
+ * @param {Function} refreshAllCards - Re-renders the cards after the list changed
+ */
+const showKnownIdentifiersModal = (refreshAllCards) => {
+  $("#sst-known-identifiers-modal").remove();
+
+  const modalHtml = `
+    <dialog id="sst-known-identifiers-modal" class="popup wide_dialogue_popup large_dialogue_popup vertical_scrolling_dialogue_popup popup--animation-fast">
+        <div class="sst-modal-header">
+          <h3 class="sst-modal-title">Known Identifiers</h3>
+          <button class="sst-modal-close" data-sst-identifiers-close>
+             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg>
+          </button>
+        </div>
+        <div class="sst-modal-body">
+          <p class="sst-setting-desc">
+            Tracker blocks written under any of these identifiers are still read, rendered and stripped from the prompt.
+            New blocks always use the current identifier. Remove identifiers your chats no longer use.
+          </p>
+          <div class="sst-identifier-list"></div>
+          <div class="sst-mapping-actions">
+            <input type="text" class="sst-input sst-identifier-new" placeholder="Identifier" style="width: 140px;" />
+            <button class="sst-btn sst-btn-primary" data-sst-identifiers-add>Add Identifier</button>
+          </div>
+        </div>
+    </dialog>
+  `;
+
+  $("body").append(modalHtml);
+  const $modal = $("#sst-known-identifiers-modal");
+  const $list = $modal.find(".sst-identifier-list");
+  const chat = SillyTavern.getContext().chat || [];
+
+  const saveIdentifiers = (identifiers) => {
+    set_settings("knownIdentifiers", identifiers);
+    renderIdentifiers();
+    refreshAllCards();
+  };
+
+  const renderIdentifiers = () => {
+    const current = get_settings("codeBlockIdentifier");
+    $list.empty();
+    getKnownIdentifiers(get_settings).forEach((identifier) => {
+      const used = chat.filter((message) => findTrackerFences(message?.mes, identifier).length).length;
+      const $row = $(`
+        <div class="sst-identifier-row">
+          <code>${escapeHtml(identifier)}</code>
+          <span class="sst-setting-desc">${identifier === current ? "current · " : ""}${used} message${used !== 1 ? "s" : ""} in this chat</span>
+          <button class="sst-btn sst-btn-danger sst-mapping-remove" title="Remove identifier" ${identifier === current ? "disabled" : ""}>
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor"><path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>
+          </button>
+        </div>
+      `);
+      $row.find(".sst-mapping-remove").on("click", () => {
+        saveIdentifiers((get_settings("knownIdentifiers") || []).filter((known) => known !== identifier));
+      });
+      $list.append($row);
+    });
+  };
+
+  $modal.find("[data-sst-identifiers-add]").on("click", () => {
+    const identifier = String($modal.find(".sst-identifier-new").val() || "").trim();
+    // The identifier is the first word of a fence's info string
+    if (!/^[^\s`]+$/.test(identifier)) {
+      toastr.warning("Identifiers can't contain spaces or backticks.");
+      return;
+    }
+    $modal.find(".sst-identifier-new").val("");
+    const known = get_settings("knownIdentifiers") || [];
+    if (!known.includes(identifier)) saveIdentifiers([...known, identifier]);
+  });
+
+  $modal.find("[data-sst-identifiers-close]").on("click", () => $modal.remove());
+  $modal.on("keydown", (e) => {
+    if (e.key === "Escape") $modal.remove();
+  });
+  $modal.on("click", function (e) {
+    if (e.target === this) $modal.remove();
+  });
+
+  renderIdentifiers();
+  $modal[0].showModal();
+};
+
 // Function to handle preset export
 const handlePresetExport = (loadTemplate, refreshAllCards) => {
   // Remove any existing modal
@@ -1075,6 +1396,13 @@ const handlePresetExport = (loadTemplate, refreshAllCards) => {
                <span class="sst-slider"></span>
             </label>
           </div>
+          <div style="margin-bottom: 12px; display: flex; align-items: center; justify-content: space-between;">
+            <label class="sst-setting-label" style="margin: 0;">Include Rules</label>
+            <label class="sst-toggle">
+               <input type="checkbox" id="exportIncludeRules" checked />
+               <span class="sst-slider"></span>
+            </label>
+          </div>
           <div style="margin-bottom: 12px; display: flex; align-items: center; justify-content: space-between;">
             <label class="sst-setting-label" style="margin: 0;">Include Extension Settings</label>
             <label class="sst-toggle">
@@ -1099,6 +1427,7 @@ const handlePresetExport = (loadTemplate, refreshAllCards) => {
   const $templateAuthor = $modal.find("#exportTemplateAuthor");
   const $includeSysPrompt = $modal.find("#exportIncludeSysPrompt");
   const $includeCustomFields = $modal.find("#exportIncludeCustomFields");
+  const $includeRules = $modal.find("#exportIncludeRules");
   const $includeSettings = $modal.find("#exportIncludeSettings");
   const $confirmBtn = $modal.find("#sst-export-preset-confirm");
   const $cancelBtn = $modal.find("#sst-export-preset-cancel");
@@ -1135,6 +1464,10 @@ const handlePresetExport = (loadTemplate, refreshAllCards) => {
         preset.customFields = get_settings("customFields") || [];
       }
 
+      if ($includeRules.is(":checked")) {
+        preset.rules = get_settings("rules") || [];
+      }
+
       if ($includeSettings.is(":checked")) {
         // Only include specific settings that make sense for a preset
         preset.extSettings = {
@@ -1142,6 +1475,7 @@ const handlePresetExport = (loadTemplate, refreshAllCards) => {
           defaultBgColor: get_settings("defaultBgColor"),
           showThoughtBubble: get_settings("showThoughtBubble"),
           hideSimBlocks: get_settings("hideSimBlocks"),
+          trackerSyntax: get_settings("trackerSyntax"),
           templateFile: get_settings("templateFile"),
         };
       }
@@ -1256,6 +1590,10 @@ const handlePresetImport = (event, loadTemplate, refreshAllCards) => {
           set_settings("customFields", preset.customFields);
         }
 
+        if (preset.rules !== undefined) {
+          set_settings("rules", preset.rules);
+        }
+
         if (preset.extSettings) {
           Object.keys(preset.extSettings).forEach((key) => {
             set_settings(key, preset.extSettings[key]);
@@ -1399,6 +1737,10 @@ const showManagePresetsModal = async (loadTemplate, refreshAllCards) => {
           set_settings("customFields", preset.customFields);
         }
 
+        if (preset.rules !== undefined) {
+          set_settings("rules", preset.rules);
+        }
+
         if (preset.extSettings) {
           Object.keys(preset.extSettings).forEach((key) => {
             set_settings(key, preset.extSettings[key]);
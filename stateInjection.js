@@ -0,0 +1,96 @@
+// stateInjection.js - The latest tracker state as a prompt extension
+//
+// With "Inject State as Extension" on, the generate interceptor strips every tracker block from
+// the prompt and injects only the latest resolved state, once, at a configurable depth and role.
+// Old blocks no longer teach the model to copy their formatting, and history stays clean.
+// The {{sim_tracker}} instructions are unaffected, so the model still writes a new block.
+import {
+  setExtensionPrompt,
+  extension_prompt_types,
+  extension_prompt_roles,
+} from "../../../../script.js";
+import { getTrackerState } from "./stateStore.js";
+import { getKnownIdentifiers } from "./patches.js";
+import { serializeTrackerData } from "./formatUtils.js";
+import { applyComputedFields } from "./computedFields.js";
+import { getFieldLocks, applyFieldLocks } from "./fieldLocks.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+
+// Key of the extension prompt, unique among extensions
+const STATE_INJECTION_KEY = `${MODULE_NAME}-state`;
+
+const STATE_INJECTION_ROLES = {
+  system: extension_prompt_roles.SYSTEM,
+  user: extension_prompt_roles.USER,
+  assistant: extension_prompt_roles.ASSISTANT,
+};
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+const describeKey = (key) => String(key).replace(/_/g, " ");
+
+const describeValue = (value) => {
+  if (Array.isArray(value)) return value.length ? value.map(describeValue).join(", ") : "none";
+  if (value !== null && typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Render a tracker state as plain sentences, one line for the world and one per character
+ * @param {{worldData: Object, characters: Array}} state - Tracker state
+ * @returns {string} e.g. "current date: 2024-03-12; location: Inn.\nAlice: ap 80, tp 60."
+ */
+const describeTrackerStateAsProse = (state) => {
+  const lines = [];
+  const world = Object.entries(state.worldData || {}).map(([key, value]) => `${describeKey(key)}: ${describeValue(value)}`);
+  if (world.length) lines.push(`${world.join("; ")}.`);
+  (state.characters || []).forEach((character) => {
+    if (!character || character.name === undefined) return;
+    const fields = Object.entries(character)
+      .filter(([key]) => key !== "name")
+      .map(([key, value]) => `${describeKey(key)} ${describeValue(value)}`);
+    lines.push(`${character.name}: ${fields.length ? fields.join(", ") : "no values"}.`);
+  });
+  return lines.join("\n");
+};
+
+/**
+ * Text injected for the latest tracker state of a chat, as the cards show it
+ * @param {Array} chat - Chat messages
+ * @param {Function} get_settings - Settings getter
+ * @returns {string} Empty when the chat has no readable tracker block
+ */
+const buildStateInjection = (chat, get_settings) => {
+  const stored = getTrackerState(chat, chat.length - 1, getKnownIdentifiers(get_settings));
+  if (!stored) return "";
+
+  const state = applyComputedFields(applyFieldLocks(stored, getFieldLocks()).data, get_settings("customFields") || []).data;
+  const format = get_settings("stateInjectionFormat") || "json";
+  const body = format === "prose" ? describeTrackerStateAsProse(state) : serializeTrackerData(state, format);
+  return `[Current tracker state. Write the updated state in a new ${get_settings("codeBlockIdentifier")} block.]\n${body}`;
+};
+
+/**
+ * Set the state extension prompt for the next generation, or clear it when the mode is off
+ * @param {Array} chat - Chat messages of the generation
+ * @param {Function} get_settings - Settings getter
+ * @returns {boolean} Whether a state was injected
+ */
+const updateStateInjection = (chat, get_settings) => {
+  const enabled = get_settings("isEnabled") && get_settings("injectStateAsExtension");
+  const text = enabled && Array.isArray(chat) ? buildStateInjection(chat, get_settings) : "";
+  const depth = Math.max(0, parseInt(get_settings("stateInjectionDepth")) || 0);
+  const role = STATE_INJECTION_ROLES[get_settings("stateInjectionRole")] ?? extension_prompt_roles.SYSTEM;
+
+  setExtensionPrompt(STATE_INJECTION_KEY, text, extension_prompt_types.IN_CHAT, depth, false, role);
+  if (text) log(`Injected the tracker state at depth ${depth} as ${get_settings("stateInjectionRole") || "system"}`);
+  return Boolean(text);
+};
+
+export {
+  STATE_INJECTION_KEY,
+  describeTrackerStateAsProse,
+  buildStateInjection,
+  updateStateInjection,
+};
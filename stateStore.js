@@ -0,0 +1,246 @@
+// stateStore.js - Parsed and resolved tracker state, stored per message and swipe
+//
+// Every message with a tracker block gets an entry in message.extra.sst_state, keyed by
+// swipe id and then by the identifiers it was read with, so the blocks of different tracker
+// types in one message keep their own entries. An entry remembers the block content it was built from, so it is rebuilt
+// as soon as the block text no longer matches. Patch states also depend on the blocks
+// before them, so edits, swipes and deletions drop the entries of the affected message
+// and of every message after it (see invalidateTrackerState).
+import { parseTrackerDataWithReport, serializeTrackerData } from "./formatUtils.js";
+import { isPatchData, normalizeTrackerData, applyTrackerPatch, findTrackerBlockContent } from "./patches.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+
+// Key of the store inside message.extra
+const STATE_KEY = "sst_state";
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+const getSwipeKey = (message) => String(message.swipe_id ?? 0);
+
+// Entries are read with the current identifier or with every known one
+const getIdentifierKey = (identifier) => [].concat(identifier).join("|");
+
+// Entries of the current swipe by identifier key. Stores written before they were keyed
+// by identifier hold a single entry per swipe; those are dropped.
+const readSwipeEntries = (message) => {
+  const entries = message.extra?.[STATE_KEY]?.[getSwipeKey(message)];
+  return entries && typeof entries.content !== "string" ? entries : {};
+};
+
+const readStoredEntry = (message, identifier, content) => {
+  const entry = readSwipeEntries(message)[getIdentifierKey(identifier)];
+  if (!entry || entry.content !== content) return null;
+  return entry;
+};
+
+const writeStoredEntry = (message, entry) => {
+  if (!message.extra) message.extra = {};
+  const entries = { ...readSwipeEntries(message), [entry.identifier]: entry };
+  message.extra[STATE_KEY] = { ...(message.extra[STATE_KEY] || {}), [getSwipeKey(message)]: entries };
+};
+
+/**
+ * Parse a block into a fresh store entry. Full snapshots are normalized right away;
+ * patches keep their operations until they are resolved against the blocks before them.
+ */
+const buildEntry = (content, identifier) => {
+  const entry = {
+    identifier: getIdentifierKey(identifier),
+    content,
+    format: null,
+    repairs: [],
+    isPatch: false,
+    patch: null,
+    state: null,
+    hasBase: false,
+    skipped: [],
+    error: null,
+  };
+
+  try {
+    const { data, format, repairs } = parseTrackerDataWithReport(content);
+    entry.format = format;
+    entry.repairs = repairs;
+    if (isPatchData(data)) {
+      entry.isPatch = true;
+      entry.patch = data;
+    } else if (data !== null && typeof data === "object" && !Array.isArray(data)) {
+      entry.state = normalizeTrackerData(data);
+    }
+  } catch (error) {
+    entry.error = error.message;
+  }
+  return entry;
+};
+
+/**
+ * Get the stored entry of a message, rebuilding it when missing or stale.
+ * Patch entries come back unresolved.
+ */
+const getOrBuildEntry = (chat, mesId, identifier) => {
+  const message = chat?.[mesId];
+  const content = findTrackerBlockContent(message?.mes, identifier);
+  if (content === null) return null;
+
+  let entry = readStoredEntry(message, identifier, content);
+  if (!entry) {
+    entry = buildEntry(content, identifier);
+    writeStoredEntry(message, entry);
+  }
+  return entry;
+};
+
+/**
+ * Resolve the patch at mesId and any unresolved patches before it, oldest first,
+ * starting from the nearest entry that already has a state
+ */
+const resolvePendingPatches = (chat, mesId, identifier) => {
+  const pending = [];
+  let base = null;
+
+  for (let i = mesId; i >= 0; i--) {
+    const entry = getOrBuildEntry(chat, i, identifier);
+    if (!entry || entry.error) continue;
+    if (entry.state !== null) {
+      base = entry.state;
+      break;
+    }
+    if (entry.isPatch) pending.push(entry);
+  }
+
+  pending.reverse().forEach((entry) => {
+    const { data, skipped } = applyTrackerPatch(base, entry.patch);
+    entry.hasBase = base !== null;
+    entry.skipped = skipped;
+    entry.state = data;
+    base = data;
+  });
+};
+
+/**
+ * Get the tracker entry of a message
+ * @param {Array} chat - Chat messages
+ * @param {number} mesId - Message index
+ * @param {string|string[]} identifier - Code block identifier, or every known one
+ * @returns {Object|null} Entry ({content, format, repairs, isPatch, hasBase, skipped, state, error}),
+ *   or null when the message has no tracker block. `state` is the full resolved state in the
+ *   {worldData, characters} shape, or null when the block could not be read as an object.
+ */
+const getTrackerEntry = (chat, mesId, identifier) => {
+  const entry = getOrBuildEntry(chat, mesId, identifier);
+  if (entry && entry.isPatch && entry.state === null) {
+    resolvePendingPatches(chat, mesId, identifier);
+  }
+  return entry;
+};
+
+/**
+ * Full tracker state as of a message: its own block, or the nearest readable one before it
+ * @param {Array} chat - Chat messages
+ * @param {number} mesId - Index of the last message to consider
+ * @param {string|string[]} identifier - Code block identifier, or every known one
+ * @returns {{worldData: Object, characters: Array}|null}
+ */
+const getTrackerState = (chat, mesId, identifier) => {
+  if (!Array.isArray(chat)) return null;
+  for (let i = Math.min(mesId, chat.length - 1); i >= 0; i--) {
+    const entry = getTrackerEntry(chat, i, identifier);
+    if (entry && entry.state) return entry.state;
+  }
+  return null;
+};
+
+/**
+ * Whether a message contains a tracker block, hidden or not
+ */
+const hasTrackerBlock = (message, identifier) =>
+  findTrackerBlockContent(message?.mes, identifier) !== null;
+
+/**
+ * Find the most recent message with a tracker block
+ * @param {Array} chat - Chat messages
+ * @param {string|string[]} identifier - Code block identifier, or every known one
+ * @param {Object} [options]
+ * @param {number} [options.before] - Only look at messages before this index
+ * @param {boolean} [options.characterOnly=false] - Skip user and system messages
+ * @returns {number|null} Message index, or null when there is none
+ */
+const findLatestTrackerMessage = (chat, identifier, { before = Infinity, characterOnly = false } = {}) => {
+  if (!Array.isArray(chat)) return null;
+  for (let i = Math.min(before, chat.length) - 1; i >= 0; i--) {
+    const message = chat[i];
+    if (!message) continue;
+    if (characterOnly && (message.is_user || message.is_system)) continue;
+    if (hasTrackerBlock(message, identifier)) return i;
+  }
+  return null;
+};
+
+/**
+ * Tracker block content of a message as a full snapshot: patches are replaced by the
+ * state they resolve to, written in the given format
+ * @returns {string|null} Content, or null when the message has no tracker block
+ */
+const getResolvedTrackerContent = (chat, mesId, identifier, format) => {
+  const entry = getTrackerEntry(chat, mesId, identifier);
+  if (!entry) return null;
+  if (!entry.isPatch || !entry.state) return entry.content;
+  return serializeTrackerData(entry.state, format);
+};
+
+/**
+ * Turn tracker block content into full-snapshot content when it is a patch.
+ * Used for {{last_sim_stats}}, which holds block content rather than a message index.
+ * @param {string} content - Tracker block content
+ * @param {Array} chat - Chat messages
+ * @param {string|string[]} identifier - Code block identifier, or every known one
+ * @param {string} format - Output format ("json" or "yaml")
+ * @returns {string} The content unchanged, or the resolved state in the given format
+ */
+const expandPatchContent = (content, chat, identifier, format) => {
+  if (!content || !Array.isArray(chat)) return content;
+
+  // Resolve at the most recent message carrying this exact block
+  for (let i = chat.length - 1; i >= 0; i--) {
+    if (findTrackerBlockContent(chat[i]?.mes, identifier) === content) {
+      return getResolvedTrackerContent(chat, i, identifier, format);
+    }
+  }
+  return content;
+};
+
+/**
+ * Drop stored entries from a message onward, including those kept with other swipes
+ * @param {Array} chat - Chat messages
+ * @param {number} [fromMesId=0] - First message whose entries are dropped
+ */
+const invalidateTrackerState = (chat, fromMesId = 0) => {
+  if (!Array.isArray(chat)) return;
+  const start = Math.max(0, Number(fromMesId) || 0);
+  let dropped = 0;
+
+  for (let i = start; i < chat.length; i++) {
+    const message = chat[i];
+    if (!message) continue;
+    if (message.extra && STATE_KEY in message.extra) {
+      delete message.extra[STATE_KEY];
+      dropped++;
+    }
+    (message.swipe_info || []).forEach((swipe) => {
+      if (swipe?.extra && STATE_KEY in swipe.extra) delete swipe.extra[STATE_KEY];
+    });
+  }
+
+  if (dropped) log(`Invalidated stored tracker state of ${dropped} messages from message ${start}`);
+};
+
+export {
+  getTrackerEntry,
+  getTrackerState,
+  hasTrackerBlock,
+  findLatestTrackerMessage,
+  getResolvedTrackerContent,
+  expandPatchContent,
+  invalidateTrackerState,
+};
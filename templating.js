@@ -1,5 +1,6 @@
 // templating.js - Handlebar replacements and template parsing
 import DOMUtils from './sthelpers/domUtils.js';
+import { renderSparklineSvg } from './history.js';
 
 const MODULE_NAME = "silly-sim-tracker";
 
@@ -291,6 +292,29 @@ Handlebars.registerHelper("camelCase", function (name) {
     .join('');
 });
 
+// === CHART HELPERS ===
+
+/**
+ * Render an inline SVG trend line from a field's history
+ * Usage: {{sparkline history.ap}} or {{sparkline stats.ap history=history.ap width=100 color="#0a84ff"}}
+ * Options: width, height, color, min, max (y axis bounds, default to the data range)
+ */
+Handlebars.registerHelper("sparkline", function (value, options) {
+  const hash = options?.hash || {};
+  const values = Array.isArray(value) ? value : hash.history;
+  if (!Array.isArray(values)) return "";
+  const toNumber = (option) => (option === undefined || option === "" ? undefined : Number(option));
+  return new Handlebars.SafeString(
+    renderSparklineSvg(values, {
+      width: toNumber(hash.width) || undefined,
+      height: toNumber(hash.height) || undefined,
+      color: hash.color || undefined,
+      min: toNumber(hash.min),
+      max: toNumber(hash.max),
+    })
+  );
+});
+
 Handlebars.registerHelper("unless", function (conditional, options) {
   if (!conditional) {
     return options.fn(this);
@@ -627,6 +651,34 @@ const extractTemplatePosition = (templateHtml) => {
   return positionMatch ? positionMatch[1].trim().toUpperCase() : "BOTTOM";
 };
 
+// Function to extract the card template from a template's HTML: the part between the
+// CARD_TEMPLATE_START and CARD_TEMPLATE_END markers, or else the largest <div> with Handlebars variables
+const extractCardTemplate = (templateHtml) => {
+  const cardStartMarker = "<!-- CARD_TEMPLATE_START -->";
+  const cardEndMarker = "<!-- CARD_TEMPLATE_END -->";
+  const startIndex = templateHtml.indexOf(cardStartMarker);
+  const endIndex = templateHtml.indexOf(cardEndMarker);
+
+  if (startIndex !== -1 && endIndex !== -1) {
+    return templateHtml.substring(startIndex + cardStartMarker.length, endIndex).trim();
+  }
+
+  const cleanedResponse = templateHtml.replace(/<!--[\s\S]*?-->/g, "").trim();
+  const templateVarRegex = /\{\{[^}]+\}\}/;
+  let bestMatch = null;
+  let maxLength = 0;
+  for (const match of cleanedResponse.matchAll(/<div[^>]*>[\s\S]*?<\/div>/g)) {
+    if (templateVarRegex.test(match[0]) && match[0].length > maxLength) {
+      bestMatch = match[0];
+      maxLength = match[0].length;
+    }
+  }
+  if (!bestMatch) {
+    throw new Error("Could not find template content with either markers or Handlebars variables.");
+  }
+  return bestMatch;
+};
+
 // Function to extract bundled JavaScript logic from template HTML
 const extractTemplateLogic = (templateHtml) => {
   if (!templateHtml) return null;
@@ -798,44 +850,10 @@ const loadTemplate = async (get_settings, set_settings) => {
   if (customTemplateHtml && customTemplateHtml.trim() !== "") {
     console.log(`[SST] [${MODULE_NAME}]`, "Loading template from custom HTML stored in settings.");
     try {
-      const cardStartMarker = "<!-- CARD_TEMPLATE_START -->";
-      const cardEndMarker = "<!-- CARD_TEMPLATE_END -->";
-      let cardTemplate = "";
-
       // Extract position metadata from the templatePosition setting or default to BOTTOM
       const templatePosition = get_settings("templatePosition") || extractTemplatePosition(customTemplateHtml) || "BOTTOM";
 
-      const startIndex = customTemplateHtml.indexOf(cardStartMarker);
-      const endIndex = customTemplateHtml.indexOf(cardEndMarker);
-
-      if (startIndex !== -1 && endIndex !== -1) {
-        cardTemplate = customTemplateHtml
-          .substring(startIndex + cardStartMarker.length, endIndex)
-          .trim();
-      } else {
-        let cleanedResponse = customTemplateHtml
-          .replace(/<!--[\s\S]*?-->/g, "")
-          .trim();
-        const templateVarRegex = /\{\{[^}]+\}\}/;
-        const divMatches = [
-          ...cleanedResponse.matchAll(/<div[^>]*>[\s\S]*?<\/div>/g),
-        ];
-        let bestMatch = null;
-        let maxLength = 0;
-        for (const match of divMatches) {
-          if (templateVarRegex.test(match[0]) && match[0].length > maxLength) {
-            bestMatch = match[0];
-            maxLength = match[0].length;
-          }
-        }
-        if (bestMatch) {
-          cardTemplate = bestMatch;
-        } else {
-          throw new Error(
-            "Could not find template content with either markers or Handlebars variables."
-          );
-        }
-      }
+      const cardTemplate = extractCardTemplate(customTemplateHtml);
 
           // Extract bundled JavaScript logic from the custom template
           currentTemplateLogic = extractTemplateLogic(customTemplateHtml);
@@ -888,42 +906,9 @@ const loadTemplate = async (get_settings, set_settings) => {
           const templatePosition = presetData.templatePosition || "BOTTOM";
           
           // Parse the template content, unescaping HTML if needed
-        const cardStartMarker = "<!-- CARD_TEMPLATE_START -->";
-        const cardEndMarker = "<!-- CARD_TEMPLATE_END -->";
-        let cardTemplate = "";
         // First unescape the HTML template
         const unescapedHtmlTemplate = unescapeHtml(presetData.htmlTemplate);
-        const startIndex = unescapedHtmlTemplate.indexOf(cardStartMarker);
-        const endIndex = unescapedHtmlTemplate.indexOf(cardEndMarker);
-        
-        if (startIndex !== -1 && endIndex !== -1) {
-          cardTemplate = unescapedHtmlTemplate
-            .substring(startIndex + cardStartMarker.length, endIndex)
-            .trim();
-        } else {
-          let cleanedResponse = unescapedHtmlTemplate
-            .replace(/<!--[\s\S]*?-->/g, "")
-            .trim();
-          const templateVarRegex = /\{\{[^}]+\}\}/;
-          const divMatches = [
-            ...cleanedResponse.matchAll(/<div[^>]*>[\s\S]*?<\/div>/g),
-          ];
-          let bestMatch = null;
-          let maxLength = 0;
-          for (const match of divMatches) {
-            if (templateVarRegex.test(match[0]) && match[0].length > maxLength) {
-              bestMatch = match[0];
-              maxLength = match[0].length;
-            }
-          }
-          if (bestMatch) {
-            cardTemplate = bestMatch;
-          } else {
-            throw new Error(
-              "Could not find template content with either markers or Handlebars variables."
-            );
-          }
-        }
+        const cardTemplate = extractCardTemplate(unescapedHtmlTemplate);
           
           // Extract bundled JavaScript logic from the user preset template
           currentTemplateLogic = extractTemplateLogic(unescapedHtmlTemplate);
@@ -972,42 +957,9 @@ const loadTemplate = async (get_settings, set_settings) => {
         const templatePosition = jsonData.templatePosition || "BOTTOM";
 
         // Parse the template content, unescaping HTML if needed
-        const cardStartMarker = "<!-- CARD_TEMPLATE_START -->";
-        const cardEndMarker = "<!-- CARD_TEMPLATE_END -->";
-        let cardTemplate = "";
         // First unescape the HTML template
         const unescapedHtmlTemplate = unescapeHtml(jsonData.htmlTemplate);
-        const startIndex = unescapedHtmlTemplate.indexOf(cardStartMarker);
-        const endIndex = unescapedHtmlTemplate.indexOf(cardEndMarker);
-        
-        if (startIndex !== -1 && endIndex !== -1) {
-          cardTemplate = unescapedHtmlTemplate
-            .substring(startIndex + cardStartMarker.length, endIndex)
-            .trim();
-        } else {
-          let cleanedResponse = unescapedHtmlTemplate
-            .replace(/<!--[\s\S]*?-->/g, "")
-            .trim();
-          const templateVarRegex = /\{\{[^}]+\}\}/;
-          const divMatches = [
-            ...cleanedResponse.matchAll(/<div[^>]*>[\s\S]*?<\/div>/g),
-          ];
-          let bestMatch = null;
-          let maxLength = 0;
-          for (const match of divMatches) {
-            if (templateVarRegex.test(match[0]) && match[0].length > maxLength) {
-              bestMatch = match[0];
-              maxLength = match[0].length;
-            }
-          }
-          if (bestMatch) {
-            cardTemplate = bestMatch;
-          } else {
-            throw new Error(
-              "Could not find template content with either markers or Handlebars variables."
-            );
-          }
-        }
+        const cardTemplate = extractCardTemplate(unescapedHtmlTemplate);
         
         // Extract bundled JavaScript logic from the default template
         currentTemplateLogic = extractTemplateLogic(unescapedHtmlTemplate);
@@ -1077,6 +1029,7 @@ export {
   populateTemplateDropdown,
   handleCustomTemplateUpload,
   loadTemplate,
+  extractCardTemplate,
   extractTemplatePosition,
   currentTemplatePosition,
   currentTemplateLogic,
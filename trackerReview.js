@@ -0,0 +1,416 @@
+// trackerReview.js - Review of new tracker blocks before they are written to the message
+//
+// With "Review Tracker Updates" on, a new block (from the main model or the secondary LLM)
+// is held in message.extra.sst_review instead of the message text, one per tracker type. The review shows what
+// the block changes against the state before the message; accepted changes are written
+// back as a block, rejected ones keep their previous values.
+import { getContext } from "../../../extensions.js";
+import { getTrackerState, invalidateTrackerState } from "./stateStore.js";
+import { parseTrackerDataWithReport, generateTrackerBlock, findTrackerFences, wrapTrackerBlock } from "./formatUtils.js";
+import { isPatchData, normalizeTrackerData, applyTrackerPatch, findTrackerBlockContent, getKnownIdentifiers } from "./patches.js";
+import { writeFieldValue } from "./validation.js";
+import { escapeHtml } from "./helpers.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+const REVIEW_MODAL_ID = "sst-review-modal";
+
+// Key of the held block inside message.extra
+const REVIEW_KEY = "sst_review";
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const getSwipeId = (message) => message.swipe_id ?? 0;
+
+// Held blocks are kept per tracker type, under the identifiers the type is read with
+const getReviewKey = (identifier) => [].concat(identifier).join("|");
+
+const readReviews = (message) => {
+  const reviews = message?.extra?.[REVIEW_KEY];
+  return isPlainObject(reviews) && typeof reviews.pending !== "boolean" ? reviews : {};
+};
+
+const readReview = (message, identifier) => readReviews(message)[getReviewKey(identifier)] || null;
+
+const writeReview = (message, identifier, review) => {
+  if (!message.extra) message.extra = {};
+  message.extra[REVIEW_KEY] = { ...readReviews(message), [getReviewKey(identifier)]: review };
+};
+
+// Keep the active swipe in step with the message, as SillyTavern's own editor does
+const syncActiveSwipe = (message) => {
+  if (Array.isArray(message.swipes) && message.swipe_id !== undefined && message.swipes[message.swipe_id] !== undefined) {
+    message.swipes[message.swipe_id] = message.mes;
+  }
+};
+
+/**
+ * Hold a block for review
+ * @param {Array} chat - Chat messages
+ * @param {number} mesId - Message index
+ * @param {string} content - Block content without fences
+ * @param {string|string[]} identifier - Identifiers of the block's tracker type
+ */
+const proposeTrackerUpdate = (chat, mesId, content, identifier) => {
+  const message = chat[mesId];
+  writeReview(message, identifier, { swipeId: getSwipeId(message), content, pending: true });
+  log(`Holding the ${[].concat(identifier)[0]} block of message ${mesId} for review`);
+};
+
+/**
+ * The block of a tracker type that is waiting for review in a message, if any (only for the
+ * swipe it came with)
+ * @returns {{swipeId: number, content: string, pending: boolean}|null}
+ */
+const getPendingTrackerReview = (message, identifier) => {
+  const review = readReview(message, identifier);
+  if (!review || !review.pending || review.swipeId !== getSwipeId(message)) return null;
+  return review;
+};
+
+/**
+ * Move the tracker block the model wrote into a message out of it and hold it for review.
+ * A block that was already reviewed (e.g. when a message is continued) is left in place.
+ * @returns {boolean} Whether a block was held
+ */
+const holdTrackerBlock = (chat, mesId, identifier) => {
+  const message = chat[mesId];
+  const content = findTrackerBlockContent(message?.mes, identifier);
+  if (content === null) return false;
+
+  const review = readReview(message, identifier);
+  if (review && !review.pending && review.swipeId === getSwipeId(message) && review.content === content) return false;
+
+  // Take a hidden wrapper along with the block
+  const [block] = findTrackerFences(message.mes, identifier);
+  message.mes = (message.mes.slice(0, block.outerStart) + message.mes.slice(block.outerEnd)).replace(/\n\s*\n\s*\n/g, "\n\n").trim();
+  syncActiveSwipe(message);
+  invalidateTrackerState(chat, mesId);
+  proposeTrackerUpdate(chat, mesId, content, identifier);
+  return true;
+};
+
+// Leaf values of an object by dotted path; arrays and empty objects are single values
+const flattenFields = (value, prefix = "", fields = {}) => {
+  if (isPlainObject(value) && Object.keys(value).length) {
+    Object.keys(value).forEach((key) => flattenFields(value[key], prefix ? `${prefix}.${key}` : key, fields));
+  } else if (prefix) {
+    fields[prefix] = value;
+  }
+  return fields;
+};
+
+const diffFields = (before, after, character, rows) => {
+  const beforeFields = flattenFields(before);
+  const afterFields = flattenFields(after);
+  const paths = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])];
+  paths.forEach((path) => {
+    if (character !== null && path === "name") return;
+    if (sameValue(beforeFields[path], afterFields[path])) return;
+    rows.push({ character, field: path, before: beforeFields[path], after: afterFields[path] });
+  });
+};
+
+/**
+ * Changes between two tracker states
+ * @param {{worldData: Object, characters: Array}|null} previous - State before the block
+ * @param {{worldData: Object, characters: Array}} proposed - State with the block
+ * @returns {Array<{character: string|null, field: string|null, before: *, after: *}>}
+ *   One row per changed field; `character` is null for world fields. Characters that are
+ *   added or dropped as a whole have a row with `field` null and the character as value.
+ */
+const buildTrackerDiff = (previous, proposed) => {
+  const rows = [];
+  diffFields(previous?.worldData || {}, proposed.worldData || {}, null, rows);
+
+  const previousCharacters = previous?.characters || [];
+  const findPrevious = (name) => previousCharacters.find((candidate) => String(candidate.name) === name);
+  proposed.characters.forEach((character) => {
+    const name = String(character.name);
+    const before = findPrevious(name);
+    if (before) {
+      diffFields(before, character, name, rows);
+    } else {
+      rows.push({ character: name, field: null, before: undefined, after: character });
+    }
+  });
+  previousCharacters.forEach((character) => {
+    const name = String(character.name);
+    if (!proposed.characters.some((candidate) => String(candidate.name) === name)) {
+      rows.push({ character: name, field: null, before: character, after: undefined });
+    }
+  });
+  return rows;
+};
+
+// Remove a (possibly dotted) field, following the same lookup rules as writeFieldValue
+const deleteFieldValue = (target, key) => {
+  if (Object.prototype.hasOwnProperty.call(target, key) || !key.includes(".")) {
+    delete target[key];
+    return;
+  }
+  const parts = key.split(".");
+  const parent = parts.slice(0, -1).reduce((current, part) => (isPlainObject(current) ? current[part] : undefined), target);
+  if (isPlainObject(parent)) delete parent[parts[parts.length - 1]];
+};
+
+const revertField = (target, field, before) => {
+  if (before === undefined) deleteFieldValue(target, field);
+  else writeFieldValue(target, field, structuredClone(before));
+};
+
+/**
+ * The proposed state with every change that was not accepted reverted
+ * @param {Object} proposed - State with the block (not modified)
+ * @param {Array} rows - Rows from buildTrackerDiff
+ * @param {Array<number>} accepted - Indexes of the accepted rows
+ * @returns {{worldData: Object, characters: Array}}
+ */
+const mergeReviewedState = (proposed, rows, accepted) => {
+  const merged = structuredClone(proposed);
+  if (!isPlainObject(merged.worldData)) merged.worldData = {};
+
+  rows.forEach((row, index) => {
+    if (accepted.includes(index)) return;
+    if (row.character === null) {
+      revertField(merged.worldData, row.field, row.before);
+    } else if (row.field === null) {
+      // A new character is left out, a dropped one is kept
+      if (row.before === undefined) merged.characters = merged.characters.filter((candidate) => String(candidate.name) !== row.character);
+      else merged.characters.push(structuredClone(row.before));
+    } else {
+      const character = merged.characters.find((candidate) => String(candidate.name) === row.character);
+      if (character) revertField(character, row.field, row.before);
+    }
+  });
+  return merged;
+};
+
+/**
+ * Read the block held for a message and compare it with the state before the message.
+ * Patch blocks are applied to that state first.
+ * @returns {{content: string, format: string|null, isPatch: boolean, proposed: Object|null,
+ *   rows: Array, error: string|null}|null} Null when nothing is waiting for review
+ */
+const readTrackerReview = (chat, mesId, identifier) => {
+  const review = getPendingTrackerReview(chat[mesId], identifier);
+  if (!review) return null;
+
+  const result = { content: review.content, format: null, isPatch: false, proposed: null, rows: [], error: null };
+  try {
+    const { data, format } = parseTrackerDataWithReport(review.content);
+    result.format = format;
+    const previous = getTrackerState(chat, mesId - 1, identifier);
+    if (isPatchData(data)) {
+      result.isPatch = true;
+      result.proposed = applyTrackerPatch(previous, data).data;
+    } else if (isPlainObject(data)) {
+      result.proposed = normalizeTrackerData(data);
+    } else {
+      throw new Error("The block is not a tracker object");
+    }
+    result.rows = buildTrackerDiff(previous, result.proposed);
+  } catch (error) {
+    result.error = error.message;
+  }
+  return result;
+};
+
+/**
+ * Write the outcome of a review to the message. Accepting everything writes the block
+ * as it was generated; accepting part of it writes a full snapshot with the rejected
+ * changes reverted; accepting nothing leaves the message without a block.
+ * @param {Array} chat - Chat messages
+ * @param {number} mesId - Message index
+ * @param {string|string[]} identifier - Code block identifier, or every known one (the block is
+ *   written with the first)
+ * @param {boolean|Array<number>} accepted - True for all changes, false for none, or the accepted row indexes
+ * @param {string} [fallbackFormat="json"] - Format used when the block's own format is unknown
+ * @returns {string|null} The block that was written, or null
+ */
+const commitTrackerReview = (chat, mesId, identifier, accepted, fallbackFormat = "json") => {
+  const message = chat[mesId];
+  const review = readTrackerReview(chat, mesId, identifier);
+  if (!review) throw new Error(`Message ${mesId} has no tracker update waiting for review`);
+  const writeIdentifier = [].concat(identifier)[0];
+
+  let content = null;
+  if (accepted === true || (Array.isArray(accepted) && review.rows.every((row, index) => accepted.includes(index)))) {
+    content = review.content;
+  } else if (Array.isArray(accepted) && accepted.length && !review.error) {
+    const block = generateTrackerBlock(mergeReviewedState(review.proposed, review.rows, accepted), review.format || fallbackFormat, writeIdentifier);
+    content = findTrackerBlockContent(block, writeIdentifier);
+  }
+
+  let block = null;
+  if (content !== null) {
+    block = wrapTrackerBlock(content, writeIdentifier);
+    message.mes = message.mes.trim() ? `${message.mes.trimEnd()}\n\n${block}` : block;
+    syncActiveSwipe(message);
+  }
+  // Remember what was written, so the block is not held again
+  writeReview(message, identifier, { swipeId: getSwipeId(message), content, pending: false });
+  invalidateTrackerState(chat, mesId);
+  log(`Reviewed the tracker block of message ${mesId}: ${content === null ? "rejected" : accepted === true ? "accepted" : "partly accepted"}`);
+  return block;
+};
+
+/**
+ * The latest message with a block of a tracker type waiting for review
+ * @returns {number|null}
+ */
+const findPendingTrackerReview = (chat, identifier) => {
+  if (!Array.isArray(chat)) return null;
+  for (let i = chat.length - 1; i >= 0; i--) {
+    if (getPendingTrackerReview(chat[i], identifier)) return i;
+  }
+  return null;
+};
+
+const formatReviewValue = (value, field) => {
+  if (value === undefined) return "(none)";
+  // Whole characters are shown without their name, which is already the heading
+  if (field === null && isPlainObject(value)) {
+    const fields = { ...value };
+    delete fields.name;
+    return JSON.stringify(fields);
+  }
+  return typeof value === "string" ? value : JSON.stringify(value);
+};
+
+const buildReviewRowHtml = (row, index) => {
+  const label = row.field === null ? (row.before === undefined ? "(new character)" : "(removed)") : row.field;
+  return `
+                        <label class="sst-review-row">
+                            <input type="checkbox" checked data-sst-review-row="${index}">
+                            <span class="sst-review-field">${escapeHtml(label)}</span>
+                            <span class="sst-review-before">${escapeHtml(formatReviewValue(row.before, row.field))}</span>
+                            <span class="sst-review-arrow">&rarr;</span>
+                            <span class="sst-review-after">${escapeHtml(formatReviewValue(row.after, row.field))}</span>
+                        </label>`;
+};
+
+/**
+ * Open the review of the block held for a message. A block that changes nothing is
+ * written right away.
+ * @param {Function} get_settings - Settings getter; one scoped to an additional tracker type
+ *   (see getTrackerTypeSettings) reviews that type's block
+ * @param {number} mesId - Message index
+ * @param {Object} [options]
+ * @param {Function} [options.onCommitted] - Called with mesId after the outcome was saved
+ * @returns {Promise<boolean>} False when nothing is waiting for review
+ */
+const showTrackerReview = async (get_settings, mesId, { onCommitted = null } = {}) => {
+  const context = getContext();
+  const identifier = getKnownIdentifiers(get_settings);
+  const fallbackFormat = get_settings("trackerFormat") || "json";
+  const review = readTrackerReview(context.chat, mesId, identifier);
+  if (!review) return false;
+
+  const commit = async (accepted) => {
+    try {
+      commitTrackerReview(context.chat, mesId, identifier, accepted, fallbackFormat);
+      await context.saveChat();
+      $(`#${REVIEW_MODAL_ID}`).remove();
+      if (onCommitted) onCommitted(mesId);
+    } catch (error) {
+      log(`Error committing tracker review: ${error.message}`);
+      toastr.error(`Could not apply the review: ${error.message}`);
+    }
+  };
+
+  if (!review.error && !review.rows.length) {
+    await commit(true);
+    return true;
+  }
+
+  // Rows are grouped by character, world fields first
+  const groups = [];
+  review.rows.forEach((row, index) => {
+    let group = groups.find((candidate) => candidate.character === row.character);
+    if (!group) {
+      group = { character: row.character, rowsHtml: [] };
+      groups.push(group);
+    }
+    group.rowsHtml.push(buildReviewRowHtml(row, index));
+  });
+  const groupsHtml = groups
+    .map(
+      (group) => `
+                    <fieldset class="sst-editor-character">
+                        <legend>${group.character === null ? "World" : escapeHtml(group.character)}</legend>
+                        ${group.rowsHtml.join("")}
+                    </fieldset>`
+    )
+    .join("");
+
+  $(`#${REVIEW_MODAL_ID}`).remove();
+
+  const modalHtml = `
+            <dialog id="${REVIEW_MODAL_ID}" class="popup wide_dialogue_popup large_dialogue_popup vertical_scrolling_dialogue_popup popup--animation-fast">
+                <div class="sst-modal-header">
+                    <h3 class="sst-modal-title">Review Tracker Update (${escapeHtml(identifier[0])}, message #${mesId})</h3>
+                    <button class="sst-modal-close" data-sst-review-close>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg>
+                    </button>
+                </div>
+                <div class="sst-modal-body">
+                    ${
+                      review.error
+                        ? `<div class="sst-editor-note">The new block could not be read (${escapeHtml(review.error)}). Accept it as written or reject it.</div>
+                    <pre class="sst-review-raw">${escapeHtml(review.content)}</pre>`
+                        : `<div class="sst-editor-note">Unchecked changes keep their previous values.${review.isPatch ? " The block is a patch; a partial accept writes a full snapshot instead." : ""}</div>
+                    ${groupsHtml}`
+                    }
+                </div>
+                <div class="sst-modal-footer">
+                    <button class="sst-btn" data-sst-review-reject>Reject All</button>
+                    ${review.error ? "" : `<button class="sst-btn" data-sst-review-selected>Accept Selected</button>`}
+                    <button class="sst-btn sst-btn-primary" data-sst-review-accept>Accept All</button>
+                </div>
+            </dialog>
+        `;
+
+  $("body").append(modalHtml);
+  const $modal = $(`#${REVIEW_MODAL_ID}`);
+
+  // Closing without a decision keeps the block waiting; /sst-review opens it again
+  const closeModal = () => $modal.remove();
+
+  $modal.find("[data-sst-review-accept]").on("click", () => commit(true));
+  $modal.find("[data-sst-review-reject]").on("click", () => commit(false));
+  $modal.find("[data-sst-review-selected]").on("click", () => {
+    const accepted = $modal
+      .find("[data-sst-review-row]:checked")
+      .map(function () {
+        return parseInt($(this).attr("data-sst-review-row"), 10);
+      })
+      .get();
+    commit(accepted);
+  });
+  $modal.find("[data-sst-review-close]").on("click", closeModal);
+  $modal.on("keydown", (e) => {
+    if (e.key === "Escape") closeModal();
+  });
+  $modal.on("click", function (e) {
+    if (e.target === this) closeModal();
+  });
+
+  $modal[0].showModal();
+  return true;
+};
+
+export {
+  proposeTrackerUpdate,
+  getPendingTrackerReview,
+  holdTrackerBlock,
+  buildTrackerDiff,
+  mergeReviewedState,
+  readTrackerReview,
+  commitTrackerReview,
+  findPendingTrackerReview,
+  showTrackerReview,
+};
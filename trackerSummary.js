@@ -0,0 +1,115 @@
+// trackerSummary.js - One-line summaries that stand in for tracker blocks stripped from the prompt
+//
+// With "Summarize Stripped Trackers" on, the generate interceptor replaces each block it removes
+// from the prompt with a short line built from the block's parsed state, such as
+// "[Tracker @ 2024-03-12: Alice ap 80→95, tp 60]", so the model still sees how values moved.
+// The line comes from a template with {{date}}, {{time}}, {{world.<key>}} and {{characters}}.
+import { getTrackerEntry } from "./stateStore.js";
+import { getKnownIdentifiers } from "./patches.js";
+import { inferFieldType, readFieldValue } from "./validation.js";
+import { applyComputedFields } from "./computedFields.js";
+import { getFieldLocks, applyFieldLocks } from "./fieldLocks.js";
+
+const DEFAULT_SUMMARY_TEMPLATE = "[Tracker @ {{date}}: {{characters}}]";
+
+const isScalar = (value) => ["string", "number", "boolean"].includes(typeof value);
+
+const formatSummaryValue = (value) => (typeof value === "number" ? String(Math.round(value * 100) / 100) : String(value));
+
+/**
+ * Keys summarized for each character: the configured list, or every number field
+ * @param {Function} get_settings - Settings getter
+ * @returns {string[]}
+ */
+const getSummaryFields = (get_settings) => {
+  const configured = String(get_settings("trackerSummaryFields") || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  if (configured.length) return configured;
+  return (get_settings("customFields") || [])
+    .filter((field) => field.key && field.type !== "computed" && inferFieldType(field) === "number")
+    .map((field) => field.key);
+};
+
+/**
+ * Summarize one character: each field's value, as "before→after" when it changed
+ * @returns {string} e.g. "Alice ap 80→95, tp 60"
+ */
+const summarizeCharacter = (character, previousCharacter, fields) => {
+  const parts = fields
+    .map((key) => {
+      const current = readFieldValue(character, key);
+      if (!current.found || !isScalar(current.value)) return null;
+      const previous = previousCharacter ? readFieldValue(previousCharacter, key) : { found: false };
+      const value = formatSummaryValue(current.value);
+      if (previous.found && isScalar(previous.value) && formatSummaryValue(previous.value) !== value) {
+        return `${key} ${formatSummaryValue(previous.value)}→${value}`;
+      }
+      return `${key} ${value}`;
+    })
+    .filter(Boolean);
+  return [String(character.name), ...(parts.length ? [parts.join(", ")] : [])].join(" ");
+};
+
+/**
+ * Build the summary line of a tracker state
+ * @param {{worldData: Object, characters: Array}} state - State of the block
+ * @param {{worldData: Object, characters: Array}|null} previous - State of the block before it
+ * @param {Function} get_settings - Settings getter
+ * @returns {string}
+ */
+const summarizeTrackerState = (state, previous, get_settings) => {
+  const fields = getSummaryFields(get_settings);
+  const worldData = state.worldData || {};
+  const characters = (state.characters || [])
+    .filter((character) => character && character.name !== undefined)
+    .map((character) => {
+      const previousCharacter = previous?.characters?.find((candidate) => String(candidate.name) === String(character.name));
+      return summarizeCharacter(character, previousCharacter, fields);
+    })
+    .join("; ");
+
+  const template = get_settings("trackerSummaryTemplate") || DEFAULT_SUMMARY_TEMPLATE;
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    if (key === "characters") return characters;
+    if (key === "date") return worldData.current_date ?? "?";
+    if (key === "time") return worldData.current_time ?? "?";
+    if (key.startsWith("world.")) {
+      const { found, value } = readFieldValue(worldData, key.slice("world.".length));
+      return found && isScalar(value) ? formatSummaryValue(value) : "?";
+    }
+    return match;
+  });
+};
+
+/**
+ * Summary lines for every message with a tracker block. They have to be built before any
+ * block is stripped, because patch blocks are resolved against the blocks before them.
+ * @param {Array} chat - Chat messages (the interceptor's copy)
+ * @param {Function} get_settings - Settings getter
+ * @returns {Map<number, string>} Summary line by message index
+ */
+const buildTrackerSummaries = (chat, get_settings) => {
+  const identifier = getKnownIdentifiers(get_settings);
+  const customFields = get_settings("customFields") || [];
+  const locks = getFieldLocks();
+  // Summaries show values as the cards do
+  const readState = (state) => (state ? applyComputedFields(applyFieldLocks(state, locks).data, customFields).data : null);
+
+  const summaries = new Map();
+  let previous = null;
+  chat.forEach((message, index) => {
+    const state = readState(getTrackerEntry(chat, index, identifier)?.state);
+    if (!state) return;
+    summaries.set(index, summarizeTrackerState(state, previous, get_settings));
+    previous = state;
+  });
+  return summaries;
+};
+
+export {
+  DEFAULT_SUMMARY_TEMPLATE,
+  summarizeTrackerState,
+  buildTrackerSummaries,
+};
@@ -0,0 +1,310 @@
+// trackerTypes.js - Additional tracker block types with their own identifier, fields and template
+//
+// The main tracker is set up by the settings the extension always had: Code Block Identifier,
+// Custom Fields, the active template and its position. Each entry of the Tracker Types setting
+// adds another kind of block that can sit in the same reply, such as a ```world or ```inventory
+// block next to ```sim, with its own fields, card template and position above or below the
+// message. Code written for one tracker takes a settings getter; getTrackerTypeSettings returns
+// one scoped to an additional type, so that code serves every type unchanged.
+import { getKnownIdentifiers } from "./patches.js";
+import { get_extension_directory, extractCardTemplate, unescapeHtml, currentTemplatePosition } from "./templating.js";
+import { escapeHtml } from "./helpers.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+const TRACKER_TYPES_MODAL_ID = "sst-tracker-types-modal";
+
+// Where the cards of an additional type can go; the sidebars and the macro stay with the main tracker
+const TRACKER_TYPE_POSITIONS = {
+  BOTTOM: "Below the message",
+  TOP: "Above the message",
+};
+
+// Loaded card template of each additional type, by type id
+const typeTemplates = new Map();
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+const normalizeTrackerType = (type) => ({
+  id: String(type.id),
+  name: String(type.name || type.identifier || ""),
+  identifier: String(type.identifier || "").trim(),
+  enabled: type.enabled !== false,
+  templateFile: String(type.templateFile || ""),
+  position: TRACKER_TYPE_POSITIONS[type.position] ? type.position : "BOTTOM",
+  customFields: Array.isArray(type.customFields) ? type.customFields : [],
+});
+
+/**
+ * The enabled additional tracker types. A type without an identifier, or with one that the main
+ * tracker or an earlier type already reads, is left out.
+ * @param {Function} get_settings - Settings getter
+ * @returns {Array<{id: string, name: string, identifier: string, templateFile: string, position: string, customFields: Array}>}
+ */
+const getAdditionalTrackerTypes = (get_settings) => {
+  const taken = new Set(getKnownIdentifiers(get_settings));
+  const types = Array.isArray(get_settings("trackerTypes")) ? get_settings("trackerTypes") : [];
+  return types.map(normalizeTrackerType).filter((type) => {
+    if (!type.enabled || !type.identifier || taken.has(type.identifier)) return false;
+    taken.add(type.identifier);
+    return true;
+  });
+};
+
+/**
+ * Every registered tracker type, the main tracker first
+ * @param {Function} get_settings - Settings getter
+ * @returns {Array<Object>} Types as getAdditionalTrackerTypes returns them, plus `identifiers`
+ *   (every identifier the type is read under) and `isMain`
+ */
+const getTrackerTypes = (get_settings) => [
+  {
+    id: "main",
+    name: "Main",
+    identifier: get_settings("codeBlockIdentifier") || "sim",
+    identifiers: getKnownIdentifiers(get_settings),
+    templateFile: get_settings("templateFile") || "",
+    position: currentTemplatePosition,
+    customFields: get_settings("customFields") || [],
+    isMain: true,
+  },
+  ...getAdditionalTrackerTypes(get_settings).map((type) => ({ ...type, identifiers: [type.identifier], isMain: false })),
+];
+
+/**
+ * Every identifier tracker blocks of any type are read under, for hiding and stripping them all
+ * @param {Function} get_settings - Settings getter
+ * @returns {string[]}
+ */
+const getAllTrackerIdentifiers = (get_settings) => getTrackerTypes(get_settings).flatMap((type) => type.identifiers);
+
+/**
+ * A settings getter for an additional tracker type: its identifier, fields, template and position
+ * stand in for the main tracker's, every other setting is read through. Without fields of its own,
+ * a type uses the fields of its template.
+ * @param {Function} get_settings - Settings getter
+ * @param {Object} type - Additional tracker type
+ * @returns {Function}
+ */
+const getTrackerTypeSettings = (get_settings, type) => {
+  const overrides = {
+    codeBlockIdentifier: type.identifier,
+    knownIdentifiers: [],
+    customFields: type.customFields.length ? type.customFields : typeTemplates.get(type.id)?.customFields || [],
+    templateFile: type.templateFile,
+    customTemplateHtml: "",
+    templatePosition: type.position,
+    // Code run for a type never loops over the types again
+    trackerTypes: [],
+  };
+  return (key) => (Object.prototype.hasOwnProperty.call(overrides, key) ? overrides[key] : get_settings(key));
+};
+
+/**
+ * Load and compile the card template of every additional type, from a built-in template file or
+ * a user preset. A type without a template, or whose template fails to load, shows no cards.
+ * @param {Function} get_settings - Settings getter
+ */
+const loadTrackerTypeTemplates = async (get_settings) => {
+  typeTemplates.clear();
+  for (const type of getAdditionalTrackerTypes(get_settings)) {
+    if (!type.templateFile) continue;
+    try {
+      let templateData;
+      if (type.templateFile.startsWith("user-preset-")) {
+        templateData = (get_settings("userPresets") || [])[parseInt(type.templateFile.replace("user-preset-", ""))];
+        if (!templateData) throw new Error("the preset no longer exists");
+      } else {
+        const response = await $.get(`${get_extension_directory()}/tracker-card-templates/${type.templateFile}`);
+        templateData = typeof response === "string" ? JSON.parse(response) : response;
+      }
+
+      const templateHtml = unescapeHtml(templateData.htmlTemplate || "");
+      typeTemplates.set(type.id, {
+        compiledCardTemplate: Handlebars.compile(extractCardTemplate(templateHtml)),
+        isTabbed: type.templateFile.includes("tabs") || templateHtml.includes("sim-tracker-tabs"),
+        customFields: Array.isArray(templateData.customFields) ? templateData.customFields : [],
+      });
+    } catch (error) {
+      log(`Could not load the template "${type.templateFile}" of tracker type "${type.name}": ${error.message}`);
+    }
+  }
+  log(`Loaded the templates of ${typeTemplates.size} additional tracker types`);
+};
+
+/**
+ * The loaded card template of an additional type
+ * @returns {{compiledCardTemplate: Function, isTabbed: boolean, customFields: Array}|null}
+ */
+const getTrackerTypeTemplate = (type) => typeTemplates.get(type.id) || null;
+
+// One field per line, as "key: description"
+const parseFieldLines = (text, previousFields) =>
+  String(text || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [key, ...description] = line.split(":");
+      // Properties set elsewhere (such as a valueType) survive editing the line
+      const previous = previousFields.find((field) => field.key === key.trim());
+      return { ...previous, key: key.trim(), description: description.join(":").trim() };
+    })
+    .filter((field) => field.key);
+
+const formatFieldLines = (fields) => fields.map((field) => (field.description ? `${field.key}: ${field.description}` : field.key)).join("\n");
+
+/**
+ * Open the tracker types editor. Changes are saved as they are made; templates are reloaded and
+ * the cards refreshed when the editor is closed.
+ * @param {Function} get_settings - Settings getter
+ * @param {Function} set_settings - Settings setter
+ * @param {Function} refreshAllCards - Re-renders every card
+ */
+const showTrackerTypesModal = (get_settings, set_settings, refreshAllCards) => {
+  $(`#${TRACKER_TYPES_MODAL_ID}`).remove();
+
+  const modalHtml = `
+            <dialog id="${TRACKER_TYPES_MODAL_ID}" class="popup wide_dialogue_popup large_dialogue_popup vertical_scrolling_dialogue_popup popup--animation-fast">
+                <div class="sst-modal-header">
+                    <h3 class="sst-modal-title">Tracker Types</h3>
+                    <button class="sst-modal-close" data-sst-types-close>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg>
+                    </button>
+                </div>
+                <div class="sst-modal-body">
+                    <p class="sst-setting-desc">
+                        Each type is a separate block the model writes next to the main <code>${escapeHtml(get_settings("codeBlockIdentifier") || "sim")}</code> block,
+                        such as <code>world</code> or <code>inventory</code>, with the same <code>worldData</code>/<code>characters</code> layout.
+                        Fields are one per line as <code>key: description</code>; left empty, the template's fields are used.
+                    </p>
+                    <div class="sst-tracker-type-list"></div>
+                    <div class="sst-rule-actions">
+                        <button class="sst-btn sst-btn-primary" data-sst-types-add>Add Tracker Type</button>
+                    </div>
+                </div>
+            </dialog>
+        `;
+
+  $("body").append(modalHtml);
+  const $modal = $(`#${TRACKER_TYPES_MODAL_ID}`);
+  const $list = $modal.find(".sst-tracker-type-list");
+  // The same templates as the Active Template dropdown
+  const templateOptions = $("#templateFile option")
+    .map((_, option) => ({ value: $(option).val(), label: $(option).text() }))
+    .get();
+
+  const updateType = (index, property, value) => {
+    const types = [...(get_settings("trackerTypes") || [])];
+    types[index] = { ...types[index], [property]: value };
+    set_settings("trackerTypes", types);
+  };
+
+  const describeIdentifierProblem = (identifier, index) => {
+    if (!identifier) return "Enter an identifier.";
+    // The identifier is the first word of a fence's info string
+    if (!/^[^\s`]+$/.test(identifier)) return "Identifiers can't contain spaces or backticks.";
+    if (getKnownIdentifiers(get_settings).includes(identifier)) return "The main tracker already uses this identifier.";
+    const types = get_settings("trackerTypes") || [];
+    if (types.some((type, i) => i < index && String(type.identifier || "").trim() === identifier)) return "An earlier type already uses this identifier.";
+    return "";
+  };
+
+  const renderTypes = () => {
+    const types = get_settings("trackerTypes") || [];
+    $list.empty();
+    if (!types.length) {
+      $list.append('<p class="sst-setting-desc">No additional tracker types yet.</p>');
+      return;
+    }
+    types.map(normalizeTrackerType).forEach((type, index) => {
+      const options = [{ value: "", label: "No template" }, ...templateOptions]
+        .map(({ value, label }) => `<option value="${escapeHtml(value)}" ${value === type.templateFile ? "selected" : ""}>${escapeHtml(label)}</option>`)
+        .join("");
+      const positions = Object.entries(TRACKER_TYPE_POSITIONS)
+        .map(([value, label]) => `<option value="${value}" ${value === type.position ? "selected" : ""}>${label}</option>`)
+        .join("");
+      const $type = $(`
+                <div class="sst-tracker-type">
+                    <div class="sst-tracker-type-header">
+                        <input type="text" class="sst-input" data-sst-type-property="name" placeholder="Type name" value="${escapeHtml(type.name)}" />
+                        <label class="sst-toggle" title="Enabled">
+                            <input type="checkbox" class="sst-tracker-type-enabled" ${type.enabled ? "checked" : ""} />
+                            <span class="sst-slider"></span>
+                        </label>
+                        <button class="sst-btn sst-btn-danger sst-tracker-type-remove" title="Remove tracker type">
+                            <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor"><path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>
+                        </button>
+                    </div>
+                    <label class="sst-rule-label">Identifier</label>
+                    <input type="text" class="sst-input sst-tracker-type-identifier" placeholder="world" value="${escapeHtml(type.identifier)}" />
+                    <div class="sst-rule-error">${escapeHtml(describeIdentifierProblem(type.identifier, index))}</div>
+                    <label class="sst-rule-label">Template</label>
+                    <select class="sst-select" data-sst-type-property="templateFile">${options}</select>
+                    <label class="sst-rule-label">Position</label>
+                    <select class="sst-select" data-sst-type-property="position">${positions}</select>
+                    <label class="sst-rule-label">Fields</label>
+                    <textarea class="sst-input sst-tracker-type-fields" rows="3" placeholder="location: Where the scene takes place">${escapeHtml(formatFieldLines(type.customFields))}</textarea>
+                </div>
+            `);
+      $type.find("[data-sst-type-property]").on("input change", function () {
+        updateType(index, $(this).attr("data-sst-type-property"), $(this).val());
+      });
+      $type.find(".sst-tracker-type-enabled").on("change", function () {
+        updateType(index, "enabled", $(this).is(":checked"));
+      });
+      $type.find(".sst-tracker-type-identifier").on("input", function () {
+        const identifier = $(this).val().trim();
+        updateType(index, "identifier", identifier);
+        $type.find(".sst-rule-error").text(describeIdentifierProblem(identifier, index));
+      });
+      $type.find(".sst-tracker-type-fields").on("change", function () {
+        const previousFields = normalizeTrackerType((get_settings("trackerTypes") || [])[index]).customFields;
+        updateType(index, "customFields", parseFieldLines($(this).val(), previousFields));
+      });
+      $type.find(".sst-tracker-type-remove").on("click", () => {
+        set_settings("trackerTypes", (get_settings("trackerTypes") || []).filter((_, i) => i !== index));
+        renderTypes();
+      });
+      $list.append($type);
+    });
+  };
+
+  $modal.find("[data-sst-types-add]").on("click", () => {
+    const type = { id: `type-${Date.now().toString(36)}`, name: "", identifier: "", enabled: true, templateFile: "", position: "BOTTOM", customFields: [] };
+    set_settings("trackerTypes", [...(get_settings("trackerTypes") || []), type]);
+    renderTypes();
+  });
+
+  const close = async () => {
+    // Field edits are saved on change, which a textarea only fires once it loses focus
+    $modal.find(".sst-tracker-type-fields").trigger("change");
+    $modal.remove();
+    await loadTrackerTypeTemplates(get_settings);
+    refreshAllCards();
+  };
+
+  $modal.find("[data-sst-types-close]").on("click", close);
+  $modal.on("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    }
+  });
+  $modal.on("click", function (e) {
+    if (e.target === this) close();
+  });
+
+  renderTypes();
+  $modal[0].showModal();
+};
+
+export {
+  TRACKER_TYPE_POSITIONS,
+  getAdditionalTrackerTypes,
+  getTrackerTypes,
+  getAllTrackerIdentifiers,
+  getTrackerTypeSettings,
+  loadTrackerTypeTemplates,
+  getTrackerTypeTemplate,
+  showTrackerTypesModal,
+};
@@ -1,6 +1,14 @@
 // utils.js - Miscellaneous helper functions
 import { getContext } from "../../../extensions.js";
-import { parseTrackerData, generateTrackerBlock } from "./formatUtils.js";
+import { getTokenCountAsync } from "../../../tokenizers.js";
+import { parseTrackerData, generateTrackerBlock, findTrackerFences, replaceTrackerFences, wrapTrackerBlock } from "./formatUtils.js";
+import { isPatchData, getKnownIdentifiers, findTrackerBlock } from "./patches.js";
+import {
+  getTrackerEntry,
+  hasTrackerBlock,
+  findLatestTrackerMessage,
+  invalidateTrackerState
+} from "./stateStore.js";
 
 const MODULE_NAME = "silly-sim-tracker";
 
@@ -70,29 +78,12 @@ const updateLastSimStatsOnRegenerateOrSwipe = (currentMesId = null, get_settings
       return;
     }
 
-    // Look for the most recent character message with sim data
-    // We iterate backwards from the end of the chat to find the most recent valid message
-    for (let i = context.chat.length - 1; i >= 0; i--) {
-      const message = context.chat[i];
-      if (!message || !message.mes) continue;
-
-      // Only consider character messages (not user or system messages)
-      if (message.is_user || message.is_system) continue;
-
-      // Check if this message contains sim data
-      const identifier = get_settings("codeBlockIdentifier");
-      const simRegex = new RegExp(
-        "```" + identifier + "[\\\\s\\\\S]*?```",
-        "m"
-      );
-      const match = message.mes.match(simRegex);
-
-      if (match) {
-        // Extract content from the match\n        const fullContent = match[0];\n        const content = fullContent\n          .replace(/```/g, \"\")\n          .replace(new RegExp(`^${identifier}\\\\s*`), \"\")\n          .trim();
-
-        // Update the lastSimJsonString with the found message's sim data
-        return content;
-      }
+    // Look for the most recent character message (not user or system messages) with sim data
+    const identifier = getKnownIdentifiers(get_settings);
+    const mesId = findLatestTrackerMessage(context.chat, identifier, { characterOnly: true });
+    if (mesId !== null) {
+      // Update the lastSimJsonString with the found message's sim data
+      return getTrackerEntry(context.chat, mesId, identifier).content;
     }
     log("No character message with sim data found for regenerate/swipe update");
     return null;
@@ -102,8 +93,16 @@ const updateLastSimStatsOnRegenerateOrSwipe = (currentMesId = null, get_settings
   }
 };
 
-// Function to filter sim blocks in prompt (keep only the last N as configured)
-const filterSimBlocksInPrompt = (chat, get_settings) => {
+// Put the summary line of a message's stripped block at the end of its text, if there is one
+// and the message has no block left
+const appendTrackerSummary = (message, index, summaries, identifier) => {
+  if (!summaries || !summaries.has(index) || hasTrackerBlock(message, identifier)) return;
+  message.mes = message.mes ? `${message.mes}\n\n${summaries.get(index)}` : summaries.get(index);
+};
+
+// Function to filter sim blocks in prompt (keep only the last N as configured).
+// Removed blocks are replaced by their line from `summaries` (see trackerSummary.js) when given.
+const filterSimBlocksInPrompt = (chat, get_settings, summaries = null) => {
   try {
     if (!chat || !Array.isArray(chat)) {
       log("Invalid chat data for filtering sim blocks");
@@ -119,20 +118,14 @@ const filterSimBlocksInPrompt = (chat, get_settings) => {
       return;
     }
 
-    // Find all messages with sim data
-    const identifier = get_settings("codeBlockIdentifier");
-    // Pattern to match both wrapped and unwrapped sim blocks
-    const simRegexPattern = "```" + identifier + "[\\s\\S]*?```";
+    // Find all messages with sim data, under the current identifier or an earlier one
+    const identifier = getKnownIdentifiers(get_settings);
 
     // Collect all messages with sim data along with their positions
     const messagesWithSim = [];
     chat.forEach((message, index) => {
-      if (message && message.mes) {
-        // Create a new regex instance for each test to avoid state issues
-        const testRegex = new RegExp(simRegexPattern, "m");
-        if (testRegex.test(message.mes)) {
-          messagesWithSim.push({ index, message });
-        }
+      if (hasTrackerBlock(message, identifier)) {
+        messagesWithSim.push({ index, message });
       }
     });
 
@@ -151,17 +144,9 @@ const filterSimBlocksInPrompt = (chat, get_settings) => {
         if (message.mes) {
           const originalMes = message.mes;
           
-          // First, try to remove wrapped sim blocks (with hidden div and newlines)
+          // Remove wrapped sim blocks together with their hidden div, and unwrapped ones
           // Pattern: <div style="display: none;">\n```identifier...```\n</div>
-          const wrappedRegex = new RegExp(
-            `<div style="display: none;">\\s*\`\`\`${identifier}[\\s\\S]*?\`\`\`\\s*</div>`,
-            "gm"
-          );
-          let filteredMes = originalMes.replace(wrappedRegex, "");
-          
-          // Then, remove any remaining unwrapped sim blocks
-          const unwrappedRegex = new RegExp(simRegexPattern, "gm");
-          filteredMes = filteredMes.replace(unwrappedRegex, "");
+          let filteredMes = replaceTrackerFences(originalMes, identifier, () => "");
           
           // Clean up extra whitespace
           filteredMes = filteredMes.trim();
@@ -169,6 +154,7 @@ const filterSimBlocksInPrompt = (chat, get_settings) => {
           // Only modify if we actually made changes
           if (filteredMes !== originalMes) {
             message.mes = filteredMes;
+            appendTrackerSummary(message, index, summaries, identifier);
           }
         }
       });
@@ -178,6 +164,99 @@ const filterSimBlocksInPrompt = (chat, get_settings) => {
   }
 };
 
+// Function to filter sim blocks in prompt by size: keep the most recent blocks that fit in the
+// token budget (counted with SillyTavern's tokenizer) and remove the older ones.
+// The newest block is always kept, even when it alone is over budget.
+// Removed blocks are replaced by their line from `summaries` (see trackerSummary.js) when given.
+const filterSimBlocksByTokenBudget = async (chat, get_settings, identifiers, summaries = null) => {
+  try {
+    if (!chat || !Array.isArray(chat)) {
+      log("Invalid chat data for filtering sim blocks");
+      return;
+    }
+
+    const budget = parseInt(get_settings("trackerTokenBudget")) || 0;
+    if (budget <= 0) {
+      log("trackerTokenBudget is 0, including all sim blocks in LLM context");
+      return;
+    }
+
+    let usedTokens = 0;
+    let budgetReached = false;
+    const kept = [];
+    const dropped = [];
+
+    // Walk from the newest message back, newest block first within a message
+    for (let index = chat.length - 1; index >= 0; index--) {
+      const message = chat[index];
+      if (!message || !message.mes) continue;
+      // Blocks under any known identifier, together with their hidden wrapper
+      const blocks = findTrackerFences(message.mes, identifiers);
+      if (!blocks.length) continue;
+
+      const removed = new Set();
+      for (const block of blocks.reverse()) {
+        const tokens = budgetReached ? null : await getTokenCountAsync(message.mes.slice(block.outerStart, block.outerEnd));
+        if (!budgetReached && (kept.length === 0 || usedTokens + tokens <= budget)) {
+          usedTokens += tokens;
+          kept.push({ index, tokens });
+        } else {
+          budgetReached = true;
+          dropped.push({ index, tokens });
+          removed.add(block.outerStart);
+        }
+      }
+
+      if (removed.size) {
+        const filteredMes = replaceTrackerFences(message.mes, identifiers, (block, source) => (removed.has(block.outerStart) ? "" : source));
+        // Clean up empty lines that might be left
+        message.mes = filteredMes.replace(/\n\s*\n\s*\n/g, "\n\n").trim();
+        appendTrackerSummary(message, index, summaries, identifiers);
+      }
+    }
+
+    if (kept.length && kept[0].tokens > budget) {
+      log(`The newest tracker block (message ${kept[0].index}) is ${kept[0].tokens} tokens, over the budget of ${budget}; keeping it anyway`);
+    }
+    if (dropped.length) {
+      const first = dropped.find((entry) => entry.tokens !== null);
+      log(
+        `Token budget ${budget}: kept ${kept.length} sim blocks (${usedTokens} tokens), dropped ${dropped.length} from messages ${[...new Set(dropped.map((entry) => entry.index))].reverse().join(", ")}` +
+          (first ? ` (the newest dropped block, message ${first.index}, was ${first.tokens} tokens)` : "")
+      );
+    } else {
+      log(`Token budget ${budget}: all ${kept.length} sim blocks fit (${usedTokens} tokens)`);
+    }
+  } catch (error) {
+    log(`Error filtering sim blocks by token budget: ${error.message}`);
+  }
+};
+
+// Function to remove every sim block, under any known identifier, from the prompt context.
+// Used when the latest state is injected as a prompt extension instead (see stateInjection.js).
+// Removed blocks are replaced by their line from `summaries` (see trackerSummary.js) when given.
+const stripAllSimBlocks = (chat, get_settings, identifiers, summaries = null) => {
+  if (!chat || !Array.isArray(chat)) {
+    log("Invalid chat data for stripping sim blocks");
+    return;
+  }
+
+  let stripped = 0;
+  chat.forEach((message, index) => {
+    if (!message || !message.mes) return;
+    // Blocks under any known identifier, together with their hidden wrapper
+    const filteredMes = replaceTrackerFences(message.mes, identifiers, () => {
+      stripped++;
+      return "";
+    });
+    if (filteredMes === message.mes) return;
+    // Clean up empty lines that might be left
+    message.mes = filteredMes.replace(/\n\s*\n\s*\n/g, "\n\n").trim();
+    appendTrackerSummary(message, index, summaries, identifiers);
+  });
+  log(`Stripped all ${stripped} sim blocks from the LLM context`);
+};
+
 // Utility function to migrate old JSON format to new format
 const migrateJsonFormat = (oldJsonData) => {
   // Check if it's already in the new format
@@ -224,23 +303,19 @@ const migrateAllSimData = async (get_settings) => {
       const message = context.chat[i];
       if (!message || !message.mes) continue;
 
-      // Check if this message contains sim data
-      const identifier = get_settings("codeBlockIdentifier");
-      const simRegex = new RegExp("```" + identifier + "[\\s\\S]*?```", "gm");
-      const matches = message.mes.match(simRegex);
+      // Check if this message contains sim data, under the current identifier or an earlier one
+      const blocks = findTrackerFences(message.mes, getKnownIdentifiers(get_settings));
 
-      if (matches && matches.length > 0) {
+      if (blocks.length > 0) {
         // Process each sim block in the message
         let updatedMessage = message.mes;
         let modified = false;
 
-        matches.forEach((match) => {
+        // Last block first, so the offsets of the earlier ones still hold
+        blocks.reverse().forEach(({ identifier, syntax, content: blockContent, start, end }) => {
           try {
             // Extract content
-            const content = match
-              .replace(/```/g, "")
-              .replace(new RegExp(`^${identifier}\\s*`), "")
-              .trim();
+            const content = blockContent.trim();
             
             // Parse the content (handles both JSON and YAML)
             const jsonData = parseTrackerData(content);
@@ -250,15 +325,20 @@ const migrateAllSimData = async (get_settings) => {
               return; // Already in new format, skip
             }
 
+            // Patch blocks have their own shape; they are expanded separately
+            if (isPatchData(jsonData)) {
+              return;
+            }
+
             // Migrate to new format
             const migratedData = migrateJsonFormat(jsonData);
 
-            // Convert back to the user's preferred format
+            // Convert back to the user's preferred format, keeping the block's identifier and syntax
             const format = get_settings("trackerFormat") || "json";
-            const migratedCodeBlock = generateTrackerBlock(migratedData, format, identifier);
+            const migratedCodeBlock = generateTrackerBlock(migratedData, format, identifier, syntax);
 
             // Replace in message
-            updatedMessage = updatedMessage.replace(match, migratedCodeBlock);
+            updatedMessage = updatedMessage.slice(0, start) + migratedCodeBlock + updatedMessage.slice(end);
             modified = true;
           } catch (error) {
             log(`Error migrating sim data in message ${i}: ${error.message}`);
@@ -268,6 +348,7 @@ const migrateAllSimData = async (get_settings) => {
         // If we modified the message, update it
         if (modified) {
           message.mes = updatedMessage;
+          invalidateTrackerState(context.chat, i);
           migratedCount++;
         }
       }
@@ -295,6 +376,100 @@ const migrateAllSimData = async (get_settings) => {
   }
 };
 
+// Utility function to rewrite every patch block in the chat as a full snapshot
+const expandAllTrackerPatches = async (get_settings) => {
+  try {
+    log("Expanding tracker patches into full snapshots...");
+    const context = getContext();
+    const identifier = getKnownIdentifiers(get_settings);
+    const format = get_settings("trackerFormat") || "json";
+
+    // Resolve every patch before rewriting any of them; each block keeps its identifier and syntax
+    const expansions = [];
+    context.chat.forEach((message, i) => {
+      const entry = getTrackerEntry(context.chat, i, identifier);
+      if (!entry || !entry.isPatch || !entry.state) return;
+      const found = findTrackerBlock(message.mes, identifier);
+      expansions.push({ message, found, block: generateTrackerBlock(entry.state, format, found.identifier, found.syntax) });
+    });
+
+    expansions.forEach(({ message, found, block }) => {
+      message.mes = message.mes.slice(0, found.index) + block + message.mes.slice(found.index + found.length);
+    });
+    invalidateTrackerState(context.chat);
+
+    const expandedCount = expansions.length;
+
+    if (expandedCount > 0) {
+      await context.saveChat();
+      log(`Expanded ${expandedCount} tracker patches into full snapshots.`);
+      toastr.success(`Expanded ${expandedCount} tracker patches into full snapshots!`);
+    } else {
+      log("No tracker patches found to expand.");
+      toastr.info("No tracker patches found to expand.");
+    }
+    return expandedCount;
+  } catch (error) {
+    log(`Error expanding tracker patches: ${error.message}`);
+    toastr.error("Error expanding tracker patches. Check console for details.");
+    return -1;
+  }
+};
+
+// Utility function to rewrite every tracker block in the chat in one syntax ("fence" or "tag").
+// Blocks are read in either syntax; content, identifier and hidden wrapper are kept.
+const convertAllTrackerSyntax = async (identifiers, syntax) => {
+  try {
+    log(`Converting tracker blocks to the ${syntax} syntax...`);
+    const context = getContext();
+
+    const convert = (text) => {
+      let count = 0;
+      const converted = replaceTrackerFences(text, identifiers, (block, source) => {
+        // Blocks in a legacy fence shape are rewritten as proper fences
+        if (block.syntax === syntax && !block.legacy) return source;
+        count++;
+        let rewritten = wrapTrackerBlock(block.content, block.identifier, syntax);
+        // A fence has to be on lines of its own, a tag block may have been inline
+        if (syntax === "fence" && block.start > 0 && text[block.start - 1] !== "\n") rewritten = `\n${rewritten}`;
+        if (syntax === "fence" && block.end < text.length && !/[\r\n]/.test(text[block.end])) rewritten = `${rewritten}\n`;
+        return source.slice(0, block.start - block.outerStart) + rewritten + source.slice(block.end - block.outerStart);
+      }, { syntax: "both" });
+      return { text: converted, count };
+    };
+
+    let convertedCount = 0;
+    context.chat.forEach((message) => {
+      if (!message || typeof message.mes !== "string") return;
+      const current = convert(message.mes);
+      // The active swipe is the message text itself
+      if (Array.isArray(message.swipes)) {
+        message.swipes = message.swipes.map((swipe, index) => {
+          if (index === message.swipe_id) return current.text;
+          return typeof swipe === "string" ? convert(swipe).text : swipe;
+        });
+      }
+      message.mes = current.text;
+      convertedCount += current.count;
+    });
+    invalidateTrackerState(context.chat);
+
+    if (convertedCount > 0) {
+      await context.saveChat();
+      log(`Converted ${convertedCount} tracker blocks to the ${syntax} syntax.`);
+      toastr.success(`Converted ${convertedCount} tracker blocks to ${syntax === "tag" ? "XML tags" : "code fences"}!`);
+    } else {
+      log("No tracker blocks needed converting.");
+      toastr.info("No tracker blocks needed converting.");
+    }
+    return convertedCount;
+  } catch (error) {
+    log(`Error converting tracker syntax: ${error.message}`);
+    toastr.error("Error converting tracker syntax. Check console for details.");
+    return -1;
+  }
+};
+
 // Export functions
 export {
   log,
@@ -305,6 +480,10 @@ export {
   get_extension_directory,
   updateLastSimStatsOnRegenerateOrSwipe,
   filterSimBlocksInPrompt,
+  filterSimBlocksByTokenBudget,
+  stripAllSimBlocks,
   migrateJsonFormat,
-  migrateAllSimData
+  migrateAllSimData,
+  expandAllTrackerPatches,
+  convertAllTrackerSyntax
 };
@@ -0,0 +1,311 @@
+// validation.js - Schema validation of parsed tracker data against customFields
+import { getConstrainedType, getFieldConstraints, applyFieldConstraints } from "./fieldConstraints.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+
+// World-level keys used by the legacy (object-per-character) format
+const WORLD_DATA_FIELDS = ["current_date", "current_time"];
+
+// Keys that are always allowed on a character even when not declared as fields
+const RESERVED_CHARACTER_KEYS = ["name"];
+
+/**
+ * Work out the value type of a custom field.
+ * Structured constraints (valueType, min/max, enum, default) win; otherwise the
+ * type is inferred from the description, since older fields describe their type in prose
+ * (e.g. "Affection Points (0-200)", "Boolean for pregnancy status (true/false)").
+ * @param {Object} field - Custom field definition
+ * @returns {"number"|"boolean"|"string"|"array"|"any"}
+ */
+const inferFieldType = (field) => {
+  if (field.type === "array") return "array";
+  const constrainedType = getConstrainedType(field);
+  if (constrainedType) return constrainedType;
+  // A computed field's description explains the formula, not a type to infer
+  if (field.type === "computed") return "any";
+
+  const description = field.description || "";
+  if (/\bboolean\b|true\/false/i.test(description)) return "boolean";
+  if (/\btext\b|\bhex\b|\bcolor\b|\bdate\b|YYYY|\bthoughts?\b/i.test(description)) return "string";
+  if (
+    /\(\s*-?\d+(?:\.\d+)?\s*-\s*-?\d+(?:\.\d+)?\s*\)/.test(description) ||
+    /\b\d+\s*=/.test(description) ||
+    /\b(points?|count|number|amount|days?|level|percent(age)?)\b/i.test(description) ||
+    /positive\/negative/i.test(description)
+  ) {
+    return "number";
+  }
+  return "any";
+};
+
+/**
+ * Read a (possibly dotted) field key from a character object.
+ * Literal keys such as "stats.hp" take precedence over nested paths.
+ * @returns {{found: boolean, value: *}}
+ */
+const readFieldValue = (character, key) => {
+  if (Object.prototype.hasOwnProperty.call(character, key)) {
+    return { found: true, value: character[key] };
+  }
+  if (!key.includes(".")) return { found: false, value: undefined };
+
+  let current = character;
+  for (const part of key.split(".")) {
+    if (current === null || typeof current !== "object" || !(part in current)) {
+      return { found: false, value: undefined };
+    }
+    current = current[part];
+  }
+  return { found: true, value: current };
+};
+
+/**
+ * Write a (possibly dotted) field key back to a character object,
+ * following the same lookup rules as readFieldValue. Missing parents are created.
+ */
+const writeFieldValue = (character, key, value) => {
+  if (Object.prototype.hasOwnProperty.call(character, key) || !key.includes(".")) {
+    character[key] = value;
+    return;
+  }
+  const parts = key.split(".");
+  let current = character;
+  parts.slice(0, -1).forEach((part) => {
+    if (current[part] === null || typeof current[part] !== "object" || Array.isArray(current[part])) current[part] = {};
+    current = current[part];
+  });
+  current[parts[parts.length - 1]] = value;
+};
+
+/**
+ * Coerce a value to the expected type when it can be done without guessing
+ * @param {*} value - Value from the tracker block
+ * @param {string} type - Expected type
+ * @returns {{ok: boolean, value: *, coerced: boolean}}
+ */
+const coerceValue = (value, type) => {
+  if (value === null || value === undefined || type === "any") {
+    return { ok: true, value, coerced: false };
+  }
+
+  switch (type) {
+    case "number": {
+      if (typeof value === "number" && Number.isFinite(value)) return { ok: true, value, coerced: false };
+      if (typeof value === "string" && /^\s*[+-]?(\d+\.?\d*|\.\d+)\s*$/.test(value)) {
+        return { ok: true, value: Number(value.trim()), coerced: true };
+      }
+      return { ok: false, value, coerced: false };
+    }
+    case "boolean": {
+      if (typeof value === "boolean") return { ok: true, value, coerced: false };
+      if (typeof value === "string") {
+        const normalized = value.trim().toLowerCase();
+        if (normalized === "true" || normalized === "yes") return { ok: true, value: true, coerced: true };
+        if (normalized === "false" || normalized === "no") return { ok: true, value: false, coerced: true };
+      }
+      if (value === 0 || value === 1) return { ok: true, value: value === 1, coerced: true };
+      return { ok: false, value, coerced: false };
+    }
+    case "string": {
+      if (typeof value === "string") return { ok: true, value, coerced: false };
+      if (typeof value === "number" || typeof value === "boolean") {
+        return { ok: true, value: String(value), coerced: true };
+      }
+      return { ok: false, value, coerced: false };
+    }
+    case "array":
+      return { ok: Array.isArray(value), value, coerced: false };
+    default:
+      return { ok: true, value, coerced: false };
+  }
+};
+
+const describeValue = (value) => (typeof value === "string" ? `"${value}"` : JSON.stringify(value));
+
+/**
+ * Validate the items of an array field against its itemSchema
+ */
+const validateArrayItems = (items, field, report) => {
+  if (field.itemSchema === "string") {
+    items.forEach((item, index) => {
+      const result = coerceValue(item, "string");
+      if (!result.ok) {
+        report(`${field.key}[${index}] should be text, got ${describeValue(item)}`);
+      } else {
+        items[index] = result.value;
+      }
+    });
+    return;
+  }
+
+  if (!Array.isArray(field.itemSchema) || field.itemSchema.length === 0) return;
+
+  items.forEach((item, index) => {
+    if (item === null || typeof item !== "object" || Array.isArray(item)) {
+      report(`${field.key}[${index}] should be an object, got ${describeValue(item)}`);
+      return;
+    }
+    field.itemSchema.forEach((prop) => {
+      if (!prop.key || !(prop.key in item)) return;
+      const result = coerceValue(item[prop.key], prop.type || "string");
+      if (!result.ok) {
+        report(`${field.key}[${index}].${prop.key} should be a ${prop.type}, got ${describeValue(item[prop.key])}`);
+      } else {
+        item[prop.key] = result.value;
+      }
+    });
+  });
+};
+
+/**
+ * Validate one character against the custom field definitions
+ * @returns {Array<{field: string|null, severity: string, message: string}>}
+ */
+const validateCharacter = (character, fields) => {
+  const issues = [];
+  const report = (message, field = null, severity = "error") => issues.push({ field, severity, message });
+
+  if (character.name === undefined || character.name === null || String(character.name).trim() === "") {
+    report("missing required field \"name\"", "name");
+  }
+
+  fields.forEach((field) => {
+    // Computed fields are filled in after validation (see computedFields.js)
+    if (!field.key || field.type === "computed") return;
+    const constraints = getFieldConstraints(field);
+    const { found, value } = readFieldValue(character, field.key);
+    if (!found) {
+      if (constraints.hasDefault && !field.key.includes(".")) {
+        character[field.key] = structuredClone(constraints.default);
+        report(`missing field "${field.key}", used default ${JSON.stringify(constraints.default)}`, field.key, "info");
+      } else {
+        report(`missing field "${field.key}"`, field.key, "warning");
+      }
+      return;
+    }
+
+    // Enum fields accept their labels too ("Injured" for 1), so try them before type checks
+    if (constraints.enum.length) {
+      const enumMatch = applyFieldConstraints(value, field);
+      if (!enumMatch.message) {
+        if (enumMatch.changed) writeFieldValue(character, field.key, enumMatch.value);
+        return;
+      }
+    }
+
+    const type = inferFieldType(field);
+    const result = coerceValue(value, type);
+    if (!result.ok) {
+      const expected = type === "array" ? "a list" : `a ${type}`;
+      if (constraints.hasDefault) {
+        writeFieldValue(character, field.key, structuredClone(constraints.default));
+        report(`"${field.key}" should be ${expected}, got ${describeValue(value)}; used default ${JSON.stringify(constraints.default)}`, field.key, "warning");
+      } else {
+        report(`"${field.key}" should be ${expected}, got ${describeValue(value)}`, field.key);
+      }
+      return;
+    }
+    if (result.coerced) writeFieldValue(character, field.key, result.value);
+
+    if (type === "array") {
+      validateArrayItems(result.value, field, (message) => report(message, field.key));
+      return;
+    }
+
+    const constrained = applyFieldConstraints(result.value, field);
+    if (constrained.changed) {
+      writeFieldValue(character, field.key, constrained.value);
+      if (constrained.message) report(`"${field.key}": ${constrained.message}`, field.key, "warning");
+    } else if (constrained.message) {
+      report(`"${field.key}": ${constrained.message}`, field.key);
+    }
+  });
+
+  // Top-level keys that no field declares (dotted keys declare their first segment)
+  const knownKeys = new Set(RESERVED_CHARACTER_KEYS);
+  fields.forEach((field) => {
+    if (field.key) knownKeys.add(field.key.split(".")[0]);
+  });
+  Object.keys(character).forEach((key) => {
+    if (!knownKeys.has(key)) report(`unknown field "${key}"`, key, "info");
+  });
+
+  return issues;
+};
+
+/**
+ * Validate parsed tracker data against the configured custom fields.
+ * Safe coercions (numeric strings, "true"/"false") and field constraints
+ * (clamping, enum checks, defaults) are applied in place on a copy.
+ * @param {Object} data - Parsed tracker data (new or legacy format)
+ * @param {Array} customFields - Field definitions from settings
+ * @param {Object} [options]
+ * @param {boolean} [options.silent=false] - Don't log issues to the console
+ * @returns {{data: Object, issues: Array<{character: string, field: string|null, severity: string, message: string}>}}
+ */
+const validateTrackerData = (data, customFields, { silent = false } = {}) => {
+  const fields = Array.isArray(customFields) ? customFields : [];
+  if (!data || typeof data !== "object" || Array.isArray(data) || fields.length === 0) {
+    return { data, issues: [] };
+  }
+
+  const validated = structuredClone(data);
+  const issues = [];
+
+  const checkCharacter = (character, label) => {
+    if (character === null || typeof character !== "object" || Array.isArray(character)) {
+      issues.push({ character: label, field: null, severity: "error", message: "is not an object" });
+      return;
+    }
+    validateCharacter(character, fields).forEach((issue) => {
+      issues.push({ character: label, ...issue });
+    });
+  };
+
+  if (Array.isArray(validated.characters)) {
+    validated.characters.forEach((character, index) => {
+      checkCharacter(character, character?.name ? String(character.name) : `Character #${index + 1}`);
+    });
+  } else {
+    // Legacy format: every non-world key is a character keyed by name
+    Object.keys(validated).forEach((key) => {
+      if (WORLD_DATA_FIELDS.includes(key) || key === "worldData") return;
+      // The name comes from the key, so it is never missing here
+      if (validated[key] && typeof validated[key] === "object" && !Array.isArray(validated[key])) {
+        const hadName = "name" in validated[key];
+        const character = { name: key, ...validated[key] };
+        checkCharacter(character, key);
+        if (!hadName) delete character.name;
+        validated[key] = character;
+      } else {
+        checkCharacter(validated[key], key);
+      }
+    });
+  }
+
+  if (!silent) {
+    issues.forEach((issue) => {
+      const log = issue.severity === "info" ? console.log : console.warn;
+      log(`[SST] [${MODULE_NAME}]`, `Tracker validation (${issue.severity}): ${issue.character}: ${issue.message}`);
+    });
+  }
+
+  return { data: validated, issues };
+};
+
+/**
+ * Format validation issues as readable lines
+ * @param {Array} issues - Issues returned by validateTrackerData
+ * @returns {string[]}
+ */
+const describeValidationIssues = (issues) =>
+  issues.map((issue) => `${issue.character}: ${issue.message}`);
+
+export {
+  validateTrackerData,
+  describeValidationIssues,
+  inferFieldType,
+  coerceValue,
+  readFieldValue,
+  writeFieldValue,
+};
@@ -0,0 +1,281 @@
+// variableSync.js - Mirror tracker values into chat variables, and apply variables changed by scripts
+//
+// After a tracker block renders, every mapped field is written to a chat-local variable
+// (sst.Alice.ap by default), so lorebooks and Quick Replies can use {{getvar::sst.Alice.ap}}.
+// The values written last are remembered in the chat metadata. When a mapping allows
+// write-back and its variable no longer holds that value (e.g. after /setvar), the new
+// value is written into the next tracker block before that block is mirrored.
+import { getContext } from "../../../extensions.js";
+import { getLocalVariable, setLocalVariable } from "../../../variables.js";
+import { getTrackerEntry, getTrackerState, findLatestTrackerMessage } from "./stateStore.js";
+import { getKnownIdentifiers } from "./patches.js";
+import { readFieldValue } from "./validation.js";
+import { parseEditedValue, writeTrackerEdits } from "./cardEditor.js";
+import { applyComputedFields } from "./computedFields.js";
+import { getFieldLocks, applyFieldLocks } from "./fieldLocks.js";
+import { escapeHtml } from "./helpers.js";
+
+const MODULE_NAME = "silly-sim-tracker";
+const MAPPINGS_MODAL_ID = "sst-variable-mappings-modal";
+
+// Key of the sync bookkeeping inside the chat metadata
+const SYNC_METADATA_KEY = "sst_variable_sync";
+
+// Variable name used when a mapping leaves it empty ({char} and {field} are filled in)
+const DEFAULT_VARIABLE_PATTERN = "sst.{char}.{field}";
+
+// Fields under this prefix map worldData values instead of a character's
+const WORLD_PREFIX = "worldData.";
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+/**
+ * Mappings in effect: the configured table, or every scalar custom field
+ * (mirrored only, without write-back) when the table is empty
+ * @returns {Array<{field: string, variable: string, writeBack: boolean}>}
+ */
+const getVariableMappings = (get_settings) => {
+  const configured = (get_settings("variableMappings") || []).filter((mapping) => mapping.field);
+  if (configured.length) {
+    return configured.map((mapping) => ({
+      field: mapping.field,
+      variable: mapping.variable || DEFAULT_VARIABLE_PATTERN,
+      writeBack: Boolean(mapping.writeBack),
+    }));
+  }
+  return (get_settings("customFields") || [])
+    .filter((field) => field.key && field.type !== "array")
+    .map((field) => ({ field: field.key, variable: DEFAULT_VARIABLE_PATTERN, writeBack: false }));
+};
+
+/**
+ * Fill a variable name pattern
+ * @param {string} pattern - e.g. "sst.{char}.{field}"
+ * @param {string|null} character - Character name, or null for world fields
+ * @param {string} field - Field key (without the worldData. prefix)
+ */
+const resolveVariableName = (pattern, character, field) =>
+  pattern.replace(/\{char\}/g, character === null ? "world" : character).replace(/\{field\}/g, field);
+
+/**
+ * Every variable a state maps to, with the value it should hold
+ * @returns {Array<{name: string, character: string|null, field: string, value: *, writeBack: boolean}>}
+ */
+const collectMappedValues = (state, mappings) => {
+  const values = [];
+  mappings.forEach((mapping) => {
+    if (mapping.field.startsWith(WORLD_PREFIX)) {
+      const field = mapping.field.slice(WORLD_PREFIX.length);
+      const { found, value } = readFieldValue(state.worldData, field);
+      values.push({ name: resolveVariableName(mapping.variable, null, field), character: null, field, value: found ? value : undefined, writeBack: mapping.writeBack });
+      return;
+    }
+    state.characters.forEach((character) => {
+      if (character.name === undefined || character.name === null) return;
+      const name = String(character.name);
+      const { found, value } = readFieldValue(character, mapping.field);
+      values.push({ name: resolveVariableName(mapping.variable, name, mapping.field), character: name, field: mapping.field, value: found ? value : undefined, writeBack: mapping.writeBack });
+    });
+  });
+  return values;
+};
+
+const toVariableValue = (value) => (value !== null && typeof value === "object" ? JSON.stringify(value) : value);
+
+/**
+ * Bring the chat variables and the latest tracker state in line.
+ * Variables changed since the last sync are first written into the latest block when it is
+ * a new one (another message or swipe than last time); then every mapped value is mirrored.
+ * @param {Function} get_settings - Settings getter
+ * @returns {{mesId: number|null, applied: string[]}} The tracker message, and the variables
+ *   whose values were written into it (the caller saves the chat and re-renders when any were)
+ */
+const syncTrackerVariables = (get_settings) => {
+  const result = { mesId: null, applied: [] };
+  if (!get_settings("isEnabled") || !get_settings("syncChatVariables")) return result;
+
+  const context = getContext();
+  const chat = context.chat;
+  const identifier = getKnownIdentifiers(get_settings);
+  const mesId = findLatestTrackerMessage(chat, identifier);
+  if (mesId === null || !getTrackerEntry(chat, mesId, identifier)?.state) return result;
+  result.mesId = mesId;
+
+  const metadata = context.chatMetadata;
+  const sync = metadata[SYNC_METADATA_KEY] || { written: {}, mesId: null, swipeId: null };
+  const swipeId = chat[mesId].swipe_id ?? 0;
+  const mappings = getVariableMappings(get_settings);
+  const customFields = get_settings("customFields") || [];
+
+  // A write-back variable that no longer holds what we wrote was changed by a script
+  const isChangedByScript = (mapped) => {
+    if (!mapped.writeBack || !(mapped.name in sync.written)) return false;
+    const current = getLocalVariable(mapped.name);
+    return current !== "" && String(current) !== String(sync.written[mapped.name]);
+  };
+
+  // Changed variables go into the new block
+  const isNewBlock = sync.mesId !== mesId || sync.swipeId !== swipeId;
+  if (isNewBlock) {
+    const edits = [];
+    collectMappedValues(getTrackerState(chat, mesId, identifier), mappings).forEach((mapped) => {
+      if (!isChangedByScript(mapped)) return;
+      // Computed fields are mirrored only; their values come from the formula
+      if (mapped.character !== null && customFields.find((candidate) => candidate.key === mapped.field)?.type === "computed") return;
+      const current = getLocalVariable(mapped.name);
+
+      // World values are plain text; character fields follow their type and constraints
+      const field = customFields.find((candidate) => candidate.key === mapped.field) || { key: mapped.field };
+      const parsed = mapped.character === null ? { ok: true, value: String(current) } : parseEditedValue(String(current), field);
+      if (!parsed.ok) {
+        log(`Ignored variable ${mapped.name}: "${current}" ${parsed.message}`);
+        return;
+      }
+      edits.push({ character: mapped.character, key: mapped.field, value: parsed.value });
+      result.applied.push(mapped.name);
+    });
+
+    if (edits.length) {
+      writeTrackerEdits(chat, mesId, identifier, edits, get_settings("trackerFormat") || "json");
+      log(`Applied ${edits.length} changed chat variables to the tracker block of message ${mesId}`);
+    }
+  }
+
+  // Mirror the (possibly updated) state into the variables. Changes still waiting for
+  // a new block are left alone, so a re-render doesn't undo them.
+  const written = {};
+  const { data: state } = applyComputedFields(applyFieldLocks(getTrackerState(chat, mesId, identifier), getFieldLocks()).data, customFields);
+  collectMappedValues(state, mappings).forEach((mapped) => {
+    if (!isNewBlock && isChangedByScript(mapped)) {
+      written[mapped.name] = sync.written[mapped.name];
+      return;
+    }
+    if (mapped.value === undefined) return;
+    const value = toVariableValue(mapped.value);
+    if (String(getLocalVariable(mapped.name)) !== String(value)) setLocalVariable(mapped.name, value);
+    written[mapped.name] = value;
+  });
+  metadata[SYNC_METADATA_KEY] = { written, mesId, swipeId };
+  context.saveMetadataDebounced?.();
+
+  return result;
+};
+
+/**
+ * Open the table of field-to-variable mappings
+ * @param {Function} get_settings - Settings getter
+ * @param {Function} set_settings - Settings setter
+ */
+const showVariableMappingsModal = (get_settings, set_settings) => {
+  $(`#${MAPPINGS_MODAL_ID}`).remove();
+
+  const fieldKeys = (get_settings("customFields") || []).map((field) => field.key).filter(Boolean);
+  const modalHtml = `
+            <dialog id="${MAPPINGS_MODAL_ID}" class="popup wide_dialogue_popup large_dialogue_popup vertical_scrolling_dialogue_popup popup--animation-fast">
+                <div class="sst-modal-header">
+                    <h3 class="sst-modal-title">Chat Variable Mappings</h3>
+                    <button class="sst-modal-close" data-sst-mappings-close>
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 6L6 18M6 6l12 12"/></svg>
+                    </button>
+                </div>
+                <div class="sst-modal-body">
+                    <p class="sst-setting-desc">
+                        Each row mirrors a field into a chat variable. <code>{char}</code> and <code>{field}</code> in the name are filled in;
+                        an empty name means <code>${DEFAULT_VARIABLE_PATTERN}</code>. Use <code>worldData.current_date</code> for world values.
+                        With <b>Write back</b>, a variable changed by <code>/setvar</code> is applied to the next tracker block.
+                        Without any rows, every scalar field is mirrored.
+                    </p>
+                    <datalist id="sst-mapping-field-keys">
+                        ${[...fieldKeys, "worldData.current_date", "worldData.current_time"].map((key) => `<option value="${escapeHtml(key)}"></option>`).join("")}
+                    </datalist>
+                    <div class="sst-mapping-list"></div>
+                    <div class="sst-mapping-actions">
+                        <button class="sst-btn" data-sst-mappings-fill>Add All Fields</button>
+                        <button class="sst-btn sst-btn-primary" data-sst-mappings-add>Add Mapping</button>
+                    </div>
+                </div>
+            </dialog>
+        `;
+
+  $("body").append(modalHtml);
+  const $modal = $(`#${MAPPINGS_MODAL_ID}`);
+  const $list = $modal.find(".sst-mapping-list");
+
+  const updateMapping = (index, property, value) => {
+    const mappings = [...(get_settings("variableMappings") || [])];
+    mappings[index] = { ...mappings[index], [property]: value };
+    set_settings("variableMappings", mappings);
+  };
+
+  const renderMappings = () => {
+    const mappings = get_settings("variableMappings") || [];
+    $list.empty();
+    if (!mappings.length) {
+      $list.append(`<p class="sst-setting-desc">No mappings yet; every scalar field is mirrored as <code>${DEFAULT_VARIABLE_PATTERN}</code>.</p>`);
+      return;
+    }
+    mappings.forEach((mapping, index) => {
+      const $row = $(`
+                <div class="sst-mapping-row">
+                    <input type="text" class="sst-input sst-mapping-field" list="sst-mapping-field-keys" placeholder="Field key" value="${escapeHtml(mapping.field || "")}" />
+                    <input type="text" class="sst-input sst-mapping-variable" placeholder="${DEFAULT_VARIABLE_PATTERN}" value="${escapeHtml(mapping.variable || "")}" />
+                    <label class="sst-mapping-writeback" title="Apply changes to this variable to the next tracker block">
+                        <input type="checkbox" class="sst-mapping-writeback-input" ${mapping.writeBack ? "checked" : ""} /> Write back
+                    </label>
+                    <button class="sst-btn sst-btn-danger sst-mapping-remove" title="Remove mapping">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor"><path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>
+                    </button>
+                </div>
+            `);
+      $row.find(".sst-mapping-field").on("input", function () {
+        updateMapping(index, "field", $(this).val().trim());
+      });
+      $row.find(".sst-mapping-variable").on("input", function () {
+        updateMapping(index, "variable", $(this).val().trim());
+      });
+      $row.find(".sst-mapping-writeback-input").on("change", function () {
+        updateMapping(index, "writeBack", $(this).is(":checked"));
+      });
+      $row.find(".sst-mapping-remove").on("click", () => {
+        set_settings("variableMappings", (get_settings("variableMappings") || []).filter((_, i) => i !== index));
+        renderMappings();
+      });
+      $list.append($row);
+    });
+  };
+
+  $modal.find("[data-sst-mappings-add]").on("click", () => {
+    set_settings("variableMappings", [...(get_settings("variableMappings") || []), { field: "", variable: "", writeBack: false }]);
+    renderMappings();
+  });
+
+  // One row per custom field that isn't mapped yet
+  $modal.find("[data-sst-mappings-fill]").on("click", () => {
+    const mappings = get_settings("variableMappings") || [];
+    const mapped = new Set(mappings.map((mapping) => mapping.field));
+    const added = (get_settings("customFields") || [])
+      .filter((field) => field.key && field.type !== "array" && !mapped.has(field.key))
+      .map((field) => ({ field: field.key, variable: "", writeBack: false }));
+    set_settings("variableMappings", [...mappings, ...added]);
+    renderMappings();
+  });
+
+  $modal.find("[data-sst-mappings-close]").on("click", () => $modal.remove());
+  $modal.on("keydown", (e) => {
+    if (e.key === "Escape") $modal.remove();
+  });
+  $modal.on("click", function (e) {
+    if (e.target === this) $modal.remove();
+  });
+
+  renderMappings();
+  $modal[0].showModal();
+};
+
+export {
+  DEFAULT_VARIABLE_PATTERN,
+  getVariableMappings,
+  resolveVariableName,
+  syncTrackerVariables,
+  showVariableMappingsModal,
+};
@@ -0,0 +1,1167 @@
+// yamlUtils.js - YAML 1.2 reader and emitter used for tracker blocks
+//
+// Supports the subset of YAML 1.2 that tracker blocks realistically use:
+// block mappings and sequences (including compact "- key: value" items),
+// block scalars (| and > with chomping/indentation indicators), flow
+// collections, single/double quoted scalars, quoted and explicit keys,
+// anchors/aliases, merge keys (<<), the standard !! tags and comments.
+// Plain scalars are resolved with the YAML 1.2 core schema.
+
+const MODULE_NAME = "silly-sim-tracker";
+
+const log = (message) => console.log(`[SST] [${MODULE_NAME}]`, message);
+
+// Characters that terminate a plain scalar / anchor name inside flow collections
+const FLOW_INDICATORS = ",[]{}";
+
+// Characters that may not start a plain scalar
+const INDICATOR_CHARS = "-?:,[]{}#&*!|>'\"%@`";
+
+const DOUBLE_QUOTE_ESCAPES = {
+  "0": "\0",
+  a: "\x07",
+  b: "\b",
+  t: "\t",
+  "\t": "\t",
+  n: "\n",
+  v: "\v",
+  f: "\f",
+  r: "\r",
+  e: "\x1b",
+  " ": " ",
+  '"': '"',
+  "/": "/",
+  "\\": "\\",
+  N: "\u0085",
+  _: "\u00a0",
+  L: "\u2028",
+  P: "\u2029",
+};
+
+const HEX_ESCAPE_LENGTHS = { x: 2, u: 4, U: 8 };
+
+// --- ERRORS ---
+
+/**
+ * Convert a character offset into a 1-based line/column pair
+ * @param {string} src - Source text
+ * @param {number} pos - Character offset
+ * @returns {{line: number, column: number}}
+ */
+const getLineColumn = (src, pos) => {
+  const clamped = Math.max(0, Math.min(pos, src.length));
+  let line = 1;
+  let lineStart = 0;
+  for (let i = 0; i < clamped; i++) {
+    if (src[i] === "\n") {
+      line++;
+      lineStart = i + 1;
+    }
+  }
+  return { line, column: clamped - lineStart + 1 };
+};
+
+/**
+ * Build a YAML syntax error carrying the position of the problem
+ * @param {Object} state - Parser state
+ * @param {string} message - Human readable description
+ * @param {number} [pos] - Offset of the problem (defaults to the current position)
+ * @returns {Error} Error with `line` and `column` properties
+ */
+const createYamlError = (state, message, pos = state.pos) => {
+  const { line, column } = getLineColumn(state.src, pos);
+  const error = new Error(`${message} at line ${line}, column ${column}`);
+  error.name = "YamlSyntaxError";
+  error.line = line;
+  error.column = column;
+  return error;
+};
+
+// --- LOW-LEVEL SCANNING ---
+
+const peek = (state, offset = 0) => state.src[state.pos + offset] || "";
+const isWhite = (ch) => ch === " " || ch === "\t";
+const isBlankOrEnd = (ch) => ch === "" || ch === " " || ch === "\t" || ch === "\n";
+const isAtEnd = (state) => state.pos >= state.src.length;
+
+const lineStartOf = (state, pos = state.pos) => state.src.lastIndexOf("\n", pos - 1) + 1;
+const columnOf = (state, pos = state.pos) => pos - lineStartOf(state, pos);
+
+// True when only indentation precedes the current position on its line
+const isFirstOnLine = (state) => state.src.slice(lineStartOf(state), state.pos).trim() === "";
+
+const skipInlineSpace = (state) => {
+  while (isWhite(peek(state))) state.pos++;
+};
+
+const skipComment = (state) => {
+  if (peek(state) !== "#") return;
+  while (!isAtEnd(state) && peek(state) !== "\n") state.pos++;
+};
+
+// "---" or "..." at the start of a line
+const isDocumentMarker = (state, pos = state.pos) => {
+  if (columnOf(state, pos) !== 0) return false;
+  const marker = state.src.slice(pos, pos + 3);
+  return (marker === "---" || marker === "...") && isBlankOrEnd(state.src[pos + 3] || "");
+};
+
+/**
+ * Skip whitespace, comments and line breaks up to the next content character.
+ * Tabs are rejected when they are used to indent block content.
+ * @returns {boolean} Whether a line break was crossed
+ */
+const skipToNextContent = (state) => {
+  let crossedLine = false;
+  while (!isAtEnd(state)) {
+    const ch = peek(state);
+    if (ch === " ") {
+      state.pos++;
+    } else if (ch === "\t") {
+      if (isFirstOnLine(state)) {
+        // A tab inside indentation is only legal on an otherwise empty line
+        let lookahead = state.pos;
+        while (isWhite(state.src[lookahead])) lookahead++;
+        const next = state.src[lookahead] || "";
+        if (next !== "\n" && next !== "#" && next !== "") {
+          throw createYamlError(state, "Tabs are not allowed for indentation");
+        }
+      }
+      state.pos++;
+    } else if (ch === "#") {
+      skipComment(state);
+    } else if (ch === "\n") {
+      state.pos++;
+      crossedLine = true;
+    } else {
+      break;
+    }
+  }
+  return crossedLine;
+};
+
+/**
+ * After a node has been read, only whitespace or a comment may follow on that line
+ */
+const expectLineEnd = (state) => {
+  skipInlineSpace(state);
+  skipComment(state);
+  const ch = peek(state);
+  if (ch === "" || ch === "\n") return;
+  if (ch === ":") {
+    throw createYamlError(state, "Mapping values are not allowed here");
+  }
+  throw createYamlError(state, `Unexpected character '${ch}'`);
+};
+
+// Position the parser on the line break preceding the line that holds `contentPos`
+const rewindToLineBreak = (state, contentPos) => {
+  state.pos = Math.max(0, lineStartOf(state, contentPos) - 1);
+};
+
+// --- SCALAR RESOLUTION ---
+
+const NULL_RE = /^(?:~|null|Null|NULL)?$/;
+const TRUE_RE = /^(?:true|True|TRUE)$/;
+const FALSE_RE = /^(?:false|False|FALSE)$/;
+const INT_RE = /^[-+]?[0-9]+$/;
+const OCT_RE = /^0o[0-7]+$/;
+const HEX_RE = /^0x[0-9a-fA-F]+$/;
+const FLOAT_RE = /^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/;
+const INF_RE = /^[-+]?\.(?:inf|Inf|INF)$/;
+const NAN_RE = /^\.(?:nan|NaN|NAN)$/;
+
+/**
+ * Resolve a plain scalar using the YAML 1.2 core schema
+ * @param {string} text - Plain scalar text
+ * @returns {*} null, boolean, number or the original string
+ */
+const resolvePlainScalar = (text) => {
+  if (NULL_RE.test(text)) return null;
+  if (TRUE_RE.test(text)) return true;
+  if (FALSE_RE.test(text)) return false;
+  if (INT_RE.test(text) || FLOAT_RE.test(text)) return Number(text);
+  if (OCT_RE.test(text)) return parseInt(text.slice(2), 8);
+  if (HEX_RE.test(text)) return parseInt(text.slice(2), 16);
+  if (INF_RE.test(text)) return text.startsWith("-") ? -Infinity : Infinity;
+  if (NAN_RE.test(text)) return NaN;
+  return text;
+};
+
+/**
+ * Apply an explicit tag to a parsed node
+ * @param {Object} state - Parser state
+ * @param {string|null} tag - Tag text (e.g. "!!str"), or null
+ * @param {*} value - Resolved value
+ * @param {string|null} text - Raw scalar text (null for collections)
+ * @param {number} pos - Tag position for error reporting
+ */
+const applyTag = (state, tag, value, text, pos) => {
+  if (!tag) return value;
+  const name = tag.replace(/^!<tag:yaml\.org,2002:(.*)>$/, "!!$1");
+  if (text === null) return value;
+
+  switch (name) {
+    case "!!str":
+      return text;
+    case "!!int":
+    case "!!float": {
+      const number = resolvePlainScalar(text.trim());
+      if (typeof number !== "number") {
+        throw createYamlError(state, `Cannot convert "${text}" to ${name}`, pos);
+      }
+      return number;
+    }
+    case "!!bool": {
+      if (TRUE_RE.test(text)) return true;
+      if (FALSE_RE.test(text)) return false;
+      throw createYamlError(state, `Cannot convert "${text}" to !!bool`, pos);
+    }
+    case "!!null":
+      return null;
+    default:
+      // Unknown and local tags are accepted but do not change the value
+      return value;
+  }
+};
+
+// Aliases are expanded into copies so later edits don't leak between nodes
+const cloneValue = (value) => {
+  if (value === null || typeof value !== "object") return value;
+  return structuredClone(value);
+};
+
+// --- NODE PROPERTIES (anchors and tags) ---
+
+const readPropertyName = (state) => {
+  const start = state.pos;
+  while (!isAtEnd(state) && !isBlankOrEnd(peek(state)) && !FLOW_INDICATORS.includes(peek(state))) {
+    state.pos++;
+  }
+  return state.src.slice(start, state.pos);
+};
+
+/**
+ * Read any anchor (&name) and tag (!tag) preceding a node
+ * @returns {{anchor: string|null, tag: string|null, tagPos: number}}
+ */
+const parseProperties = (state) => {
+  const props = { anchor: null, tag: null, tagPos: state.pos };
+  while (peek(state) === "&" || peek(state) === "!") {
+    if (peek(state) === "&") {
+      if (props.anchor !== null) throw createYamlError(state, "A node may only have one anchor");
+      state.pos++;
+      props.anchor = readPropertyName(state);
+      if (!props.anchor) throw createYamlError(state, "Anchor name expected");
+    } else {
+      if (props.tag !== null) throw createYamlError(state, "A node may only have one tag");
+      props.tagPos = state.pos;
+      if (peek(state, 1) === "<") {
+        const end = state.src.indexOf(">", state.pos);
+        if (end === -1) throw createYamlError(state, "Unterminated verbatim tag");
+        props.tag = state.src.slice(state.pos, end + 1);
+        state.pos = end + 1;
+      } else {
+        props.tag = readPropertyName(state);
+      }
+    }
+    skipInlineSpace(state);
+  }
+  return props;
+};
+
+const parseAlias = (state) => {
+  const start = state.pos;
+  state.pos++;
+  const name = readPropertyName(state);
+  if (!name) throw createYamlError(state, "Alias name expected", start);
+  if (!state.anchors.has(name)) {
+    throw createYamlError(state, `Unknown alias "*${name}"`, start);
+  }
+  return cloneValue(state.anchors.get(name));
+};
+
+// --- QUOTED SCALARS ---
+
+/**
+ * Fold a line break inside a quoted or plain flow scalar.
+ * Expects the position to be on the first "\n"; consumes the following
+ * empty lines and leading whitespace of the next line.
+ * @returns {string} " " for a single break, otherwise one "\n" per empty line
+ */
+const foldLineBreaks = (state) => {
+  let breaks = 0;
+  while (peek(state) === "\n") {
+    breaks++;
+    state.pos++;
+    skipInlineSpace(state);
+  }
+  return breaks === 1 ? " " : "\n".repeat(breaks - 1);
+};
+
+const parseDoubleQuoted = (state) => {
+  const start = state.pos;
+  state.pos++;
+  let result = "";
+
+  while (true) {
+    if (isAtEnd(state)) throw createYamlError(state, "Unterminated double-quoted string", start);
+    const ch = peek(state);
+
+    if (ch === '"') {
+      state.pos++;
+      return result;
+    }
+
+    if (ch === "\\") {
+      const next = peek(state, 1);
+      if (next === "\n") {
+        // Escaped line break: join lines without adding a space
+        state.pos += 2;
+        skipInlineSpace(state);
+        continue;
+      }
+      if (next in DOUBLE_QUOTE_ESCAPES) {
+        result += DOUBLE_QUOTE_ESCAPES[next];
+        state.pos += 2;
+        continue;
+      }
+      if (next in HEX_ESCAPE_LENGTHS) {
+        const length = HEX_ESCAPE_LENGTHS[next];
+        const hex = state.src.slice(state.pos + 2, state.pos + 2 + length);
+        if (hex.length !== length || !/^[0-9a-fA-F]+$/.test(hex)) {
+          throw createYamlError(state, `Invalid \\${next} escape sequence`);
+        }
+        result += String.fromCodePoint(parseInt(hex, 16));
+        state.pos += 2 + length;
+        continue;
+      }
+      throw createYamlError(state, `Unknown escape sequence "\\${next}"`);
+    }
+
+    if (isWhite(ch) || ch === "\n") {
+      // Whitespace before a line break is not part of the value
+      const runStart = state.pos;
+      skipInlineSpace(state);
+      if (peek(state) === "\n") {
+        result += foldLineBreaks(state);
+      } else {
+        result += state.src.slice(runStart, state.pos);
+      }
+      continue;
+    }
+
+    result += ch;
+    state.pos++;
+  }
+};
+
+const parseSingleQuoted = (state) => {
+  const start = state.pos;
+  state.pos++;
+  let result = "";
+
+  while (true) {
+    if (isAtEnd(state)) throw createYamlError(state, "Unterminated single-quoted string", start);
+    const ch = peek(state);
+
+    if (ch === "'") {
+      if (peek(state, 1) === "'") {
+        result += "'";
+        state.pos += 2;
+        continue;
+      }
+      state.pos++;
+      return result;
+    }
+
+    if (isWhite(ch) || ch === "\n") {
+      const runStart = state.pos;
+      skipInlineSpace(state);
+      if (peek(state) === "\n") {
+        result += foldLineBreaks(state);
+      } else {
+        result += state.src.slice(runStart, state.pos);
+      }
+      continue;
+    }
+
+    result += ch;
+    state.pos++;
+  }
+};
+
+// --- PLAIN SCALARS ---
+
+// Does the current ":" act as a mapping value indicator?
+const isValueIndicator = (state, pos, inFlow) => {
+  const next = state.src[pos + 1] || "";
+  return isBlankOrEnd(next) || (inFlow && FLOW_INDICATORS.includes(next));
+};
+
+/**
+ * Read a plain scalar. In block context it may continue on following lines
+ * that are indented deeper than `parentIndent`.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepColons=false] - Read ": " as text instead of ending the scalar
+ * @returns {string} The folded scalar text (unresolved)
+ */
+const parsePlainScalar = (state, parentIndent, inFlow, { keepColons = false } = {}) => {
+  const start = state.pos;
+  const first = peek(state);
+  if (first === "@" || first === "`") {
+    throw createYamlError(state, `Reserved indicator '${first}' cannot start a plain scalar`);
+  }
+
+  let result = "";
+  let lineText = "";
+
+  const readLineSegment = () => {
+    const segmentStart = state.pos;
+    while (!isAtEnd(state)) {
+      const ch = peek(state);
+      if (ch === "\n") break;
+      if (ch === ":" && !keepColons && isValueIndicator(state, state.pos, inFlow)) break;
+      if (ch === "#" && isWhite(state.src[state.pos - 1])) break;
+      if (inFlow && FLOW_INDICATORS.includes(ch)) break;
+      state.pos++;
+    }
+    // Trailing whitespace is not part of the scalar
+    let end = state.pos;
+    while (end > segmentStart && isWhite(state.src[end - 1])) end--;
+    state.pos = end;
+    return state.src.slice(segmentStart, end);
+  };
+
+  lineText = readLineSegment();
+  result = lineText;
+
+  // Multi-line continuation
+  while (true) {
+    const save = state.pos;
+    skipInlineSpace(state);
+    if (peek(state) !== "\n") {
+      state.pos = save;
+      break;
+    }
+
+    let breaks = 0;
+    while (peek(state) === "\n") {
+      breaks++;
+      state.pos++;
+      skipInlineSpace(state);
+    }
+
+    const ch = peek(state);
+    const column = columnOf(state);
+    const continues =
+      !isAtEnd(state) &&
+      ch !== "#" &&
+      !isDocumentMarker(state, lineStartOf(state)) &&
+      (inFlow ? !FLOW_INDICATORS.includes(ch) && !(ch === ":" && isValueIndicator(state, state.pos, true)) : column > parentIndent) &&
+      !(ch === ":" && isValueIndicator(state, state.pos, inFlow));
+
+    if (!continues) {
+      state.pos = save;
+      break;
+    }
+
+    const segment = readLineSegment();
+    if (segment === "") {
+      state.pos = save;
+      break;
+    }
+    result += (breaks === 1 ? " " : "\n".repeat(breaks - 1)) + segment;
+  }
+
+  if (result === "" && state.pos === start) {
+    throw createYamlError(state, `Unexpected character '${first}'`);
+  }
+  return result;
+};
+
+// --- BLOCK SCALARS ---
+
+const parseBlockScalar = (state, parentIndent) => {
+  const headerPos = state.pos;
+  const folded = peek(state) === ">";
+  state.pos++;
+
+  let chomping = "clip";
+  let explicitIndent = 0;
+  for (let i = 0; i < 2; i++) {
+    const ch = peek(state);
+    if (ch === "+" || ch === "-") {
+      chomping = ch === "+" ? "keep" : "strip";
+      state.pos++;
+    } else if (/[1-9]/.test(ch)) {
+      explicitIndent = Number(ch);
+      state.pos++;
+    }
+  }
+
+  skipInlineSpace(state);
+  skipComment(state);
+  if (!isAtEnd(state) && peek(state) !== "\n") {
+    throw createYamlError(state, "Invalid block scalar header", headerPos);
+  }
+
+  const baseIndent = Math.max(parentIndent, 0);
+  let contentIndent = explicitIndent ? baseIndent + explicitIndent : null;
+  const lines = [];
+  let trailingEmpty = 0;
+
+  // Walk the following lines until one is indented less than the content
+  while (!isAtEnd(state)) {
+    const lineStart = state.pos + 1;
+    if (lineStart >= state.src.length) break;
+    let lineEnd = state.src.indexOf("\n", lineStart);
+    if (lineEnd === -1) lineEnd = state.src.length;
+    const line = state.src.slice(lineStart, lineEnd);
+    const indent = line.length - line.replace(/^ */, "").length;
+    const isEmpty = line.trim() === "";
+
+    if (!isEmpty) {
+      if (contentIndent === null) {
+        if (indent <= parentIndent) break;
+        contentIndent = indent;
+      }
+      if (indent < contentIndent || isDocumentMarker(state, lineStart)) break;
+      for (let i = 0; i < trailingEmpty; i++) lines.push("");
+      trailingEmpty = 0;
+      lines.push(line.slice(contentIndent));
+    } else if (contentIndent !== null && line.length > contentIndent) {
+      // Whitespace-only line that still carries content spaces
+      for (let i = 0; i < trailingEmpty; i++) lines.push("");
+      trailingEmpty = 0;
+      lines.push(line.slice(contentIndent));
+    } else {
+      trailingEmpty++;
+    }
+    state.pos = lineEnd;
+  }
+
+  let text;
+  if (folded) {
+    text = "";
+    let previousType = null;
+    let pendingEmpty = 0;
+    lines.forEach((line) => {
+      if (line === "") {
+        pendingEmpty++;
+        return;
+      }
+      const type = isWhite(line[0]) ? "more" : "normal";
+      if (previousType === null) {
+        text += "\n".repeat(pendingEmpty);
+      } else if (previousType === "normal" && type === "normal") {
+        text += pendingEmpty ? "\n".repeat(pendingEmpty) : " ";
+      } else {
+        text += "\n" + "\n".repeat(pendingEmpty);
+      }
+      text += line;
+      previousType = type;
+      pendingEmpty = 0;
+    });
+  } else {
+    text = lines.join("\n");
+  }
+
+  const hasContent = lines.length > 0;
+  if (chomping === "strip") return text;
+  if (chomping === "clip") return hasContent ? `${text}\n` : "";
+  return hasContent ? `${text}\n${"\n".repeat(trailingEmpty)}` : "\n".repeat(trailingEmpty);
+};
+
+// --- FLOW COLLECTIONS ---
+
+const skipFlowSpace = (state) => {
+  while (!isAtEnd(state)) {
+    const ch = peek(state);
+    if (ch === " " || ch === "\t" || ch === "\n") {
+      state.pos++;
+    } else if (ch === "#" && isBlankOrEnd(state.src[state.pos - 1] || "")) {
+      skipComment(state);
+    } else {
+      break;
+    }
+  }
+};
+
+const toKey = (state, key, pos) => {
+  if (key !== null && typeof key === "object") {
+    throw createYamlError(state, "Collections cannot be used as mapping keys", pos);
+  }
+  return String(key);
+};
+
+/**
+ * Store a mapping entry, handling merge keys and duplicate detection
+ */
+const setMappingEntry = (state, mapping, explicitKeys, key, value, isPlainKey, pos) => {
+  if (key === "<<" && isPlainKey) {
+    const sources = Array.isArray(value) ? value : [value];
+    sources.forEach((source) => {
+      if (source === null || typeof source !== "object" || Array.isArray(source)) {
+        throw createYamlError(state, "Merge key expects a mapping or a list of mappings", pos);
+      }
+      Object.keys(source).forEach((sourceKey) => {
+        if (!explicitKeys.has(sourceKey)) mapping[sourceKey] = source[sourceKey];
+      });
+    });
+    return;
+  }
+
+  if (explicitKeys.has(key)) {
+    throw createYamlError(state, `Duplicate mapping key "${key}"`, pos);
+  }
+  explicitKeys.add(key);
+  mapping[key] = value;
+};
+
+const parseFlowNode = (state) => {
+  const props = parseProperties(state);
+  const ch = peek(state);
+  let value;
+  let text = null;
+
+  if (ch === "[") {
+    value = parseFlowSequence(state);
+  } else if (ch === "{") {
+    value = parseFlowMapping(state);
+  } else if (ch === '"') {
+    text = parseDoubleQuoted(state);
+    value = text;
+  } else if (ch === "'") {
+    text = parseSingleQuoted(state);
+    value = text;
+  } else if (ch === "*") {
+    value = parseAlias(state);
+  } else if (ch === "," || ch === "]" || ch === "}" || ch === "") {
+    // Empty node (e.g. "[a, , b]" or a value-less key)
+    text = "";
+    value = null;
+  } else {
+    text = parsePlainScalar(state, -1, true);
+    value = resolvePlainScalar(text);
+  }
+
+  value = applyTag(state, props.tag, value, text, props.tagPos);
+  if (props.anchor !== null) state.anchors.set(props.anchor, value);
+  return value;
+};
+
+const parseFlowSequence = (state) => {
+  const start = state.pos;
+  state.pos++;
+  const result = [];
+
+  while (true) {
+    skipFlowSpace(state);
+    if (isAtEnd(state)) throw createYamlError(state, "Unterminated flow sequence", start);
+    if (peek(state) === "]") {
+      state.pos++;
+      return result;
+    }
+
+    const itemPos = state.pos;
+    const quotedKey = peek(state) === '"' || peek(state) === "'";
+    let item = parseFlowNode(state);
+    skipFlowSpace(state);
+
+    // Single pair mapping inside a sequence: [a: 1, b: 2]
+    if (peek(state) === ":" && (quotedKey || isValueIndicator(state, state.pos, true))) {
+      state.pos++;
+      skipFlowSpace(state);
+      const value = peek(state) === "," || peek(state) === "]" ? null : parseFlowNode(state);
+      item = { [toKey(state, item, itemPos)]: value };
+      skipFlowSpace(state);
+    }
+
+    result.push(item);
+    if (peek(state) === ",") {
+      state.pos++;
+    } else if (peek(state) !== "]") {
+      throw createYamlError(state, "Expected ',' or ']' in flow sequence");
+    }
+  }
+};
+
+const parseFlowMapping = (state) => {
+  const start = state.pos;
+  state.pos++;
+  const result = {};
+  const explicitKeys = new Set();
+
+  while (true) {
+    skipFlowSpace(state);
+    if (isAtEnd(state)) throw createYamlError(state, "Unterminated flow mapping", start);
+    if (peek(state) === "}") {
+      state.pos++;
+      return result;
+    }
+
+    if (peek(state) === "?" && isBlankOrEnd(peek(state, 1))) {
+      state.pos++;
+      skipFlowSpace(state);
+    }
+
+    const keyPos = state.pos;
+    const isPlainKey = !"\"'".includes(peek(state));
+    const key = toKey(state, parseFlowNode(state), keyPos);
+    skipFlowSpace(state);
+
+    let value = null;
+    if (peek(state) === ":") {
+      state.pos++;
+      skipFlowSpace(state);
+      if (peek(state) !== "," && peek(state) !== "}") {
+        value = parseFlowNode(state);
+      }
+      skipFlowSpace(state);
+    }
+
+    setMappingEntry(state, result, explicitKeys, key, value, isPlainKey, keyPos);
+
+    if (peek(state) === ",") {
+      state.pos++;
+    } else if (peek(state) !== "}") {
+      throw createYamlError(state, "Expected ',' or '}' in flow mapping");
+    }
+  }
+};
+
+// --- BLOCK COLLECTIONS ---
+
+/**
+ * Check whether the current line starts with an implicit mapping key ("key: ...")
+ */
+const looksLikeMappingKey = (state) => {
+  const save = state.pos;
+  try {
+    const ch = peek(state);
+    if (ch === '"' || ch === "'") {
+      const lineEnd = state.src.indexOf("\n", state.pos);
+      if (ch === '"') parseDoubleQuoted(state);
+      else parseSingleQuoted(state);
+      // Implicit keys must fit on a single line
+      if (lineEnd !== -1 && state.pos > lineEnd) return false;
+      skipInlineSpace(state);
+      return peek(state) === ":";
+    }
+    if (ch === "[" || ch === "{") return false;
+
+    while (!isAtEnd(state) && peek(state) !== "\n") {
+      const current = peek(state);
+      if (current === "#" && isWhite(state.src[state.pos - 1])) return false;
+      if (current === ":" && isValueIndicator(state, state.pos, false)) return true;
+      state.pos++;
+    }
+    return false;
+  } catch (error) {
+    return false;
+  } finally {
+    state.pos = save;
+  }
+};
+
+/**
+ * Read an implicit key and its ":" indicator
+ * @returns {{key: string, isPlainKey: boolean}}
+ */
+const parseImplicitKey = (state) => {
+  const ch = peek(state);
+  let key;
+  let isPlainKey = false;
+  if (ch === '"') {
+    key = parseDoubleQuoted(state);
+  } else if (ch === "'") {
+    key = parseSingleQuoted(state);
+  } else {
+    const start = state.pos;
+    while (!isAtEnd(state) && !(peek(state) === ":" && isValueIndicator(state, state.pos, false))) {
+      state.pos++;
+    }
+    key = state.src.slice(start, state.pos).trim();
+    isPlainKey = true;
+  }
+  skipInlineSpace(state);
+  if (peek(state) !== ":") throw createYamlError(state, "Expected ':' after mapping key");
+  state.pos++;
+  return { key, isPlainKey };
+};
+
+const parseBlockMapping = (state, indent) => {
+  const result = {};
+  const explicitKeys = new Set();
+
+  while (true) {
+    const keyPos = state.pos;
+    let key;
+    let isPlainKey = false;
+
+    if (peek(state) === "?" && isBlankOrEnd(peek(state, 1))) {
+      // Explicit key: "? key" on one line, ": value" on the next
+      state.pos++;
+      key = toKey(state, parseBlockNode(state, indent, {}), keyPos);
+      expectLineEnd(state);
+      skipToNextContent(state);
+      if (columnOf(state) !== indent || peek(state) !== ":") {
+        setMappingEntry(state, result, explicitKeys, key, null, false, keyPos);
+        rewindToLineBreak(state, state.pos);
+        const nextPos = state.pos;
+        skipToNextContent(state);
+        if (isAtEnd(state) || columnOf(state) < indent) {
+          rewindToLineBreak(state, state.pos);
+          return result;
+        }
+        state.pos = nextPos;
+        skipToNextContent(state);
+        continue;
+      }
+      state.pos++;
+    } else {
+      const parsedKey = parseImplicitKey(state);
+      key = parsedKey.key;
+      isPlainKey = parsedKey.isPlainKey;
+    }
+
+    const value = parseBlockNode(state, indent, { inMappingValue: true });
+    setMappingEntry(state, result, explicitKeys, key, value, isPlainKey, keyPos);
+    expectLineEnd(state);
+
+    skipToNextContent(state);
+    if (isAtEnd(state) || isDocumentMarker(state, lineStartOf(state))) {
+      if (!isAtEnd(state)) rewindToLineBreak(state, state.pos);
+      return result;
+    }
+
+    const column = columnOf(state);
+    if (column < indent) {
+      rewindToLineBreak(state, state.pos);
+      return result;
+    }
+    if (column > indent) {
+      throw createYamlError(state, "Bad indentation of a mapping entry");
+    }
+    if (peek(state) === "-" && isBlankOrEnd(peek(state, 1))) {
+      throw createYamlError(state, "Unexpected sequence entry inside a mapping");
+    }
+    if (!(peek(state) === "?" && isBlankOrEnd(peek(state, 1))) && !looksLikeMappingKey(state)) {
+      throw createYamlError(state, "Expected a mapping key");
+    }
+  }
+};
+
+const parseBlockSequence = (state, indent) => {
+  const result = [];
+
+  while (true) {
+    // Consume the "-" indicator
+    state.pos++;
+    result.push(parseBlockNode(state, indent, {}));
+    expectLineEnd(state);
+
+    skipToNextContent(state);
+    if (isAtEnd(state) || isDocumentMarker(state, lineStartOf(state))) {
+      if (!isAtEnd(state)) rewindToLineBreak(state, state.pos);
+      return result;
+    }
+
+    const column = columnOf(state);
+    if (column > indent) {
+      throw createYamlError(state, "Bad indentation of a sequence entry");
+    }
+    if (column < indent || !(peek(state) === "-" && isBlankOrEnd(peek(state, 1)))) {
+      // Either a dedent or the next key of a mapping that holds this sequence
+      rewindToLineBreak(state, state.pos);
+      return result;
+    }
+  }
+};
+
+/**
+ * Parse any node in block context
+ * @param {Object} state - Parser state
+ * @param {number} parentIndent - Indentation of the parent collection (-1 at the root)
+ * @param {Object} options
+ * @param {boolean} [options.inMappingValue] - The node is the value of a block mapping entry
+ * @returns {*} Parsed value
+ */
+const parseBlockNode = (state, parentIndent, { inMappingValue = false } = {}) => {
+  skipInlineSpace(state);
+  const sameLine = !isFirstOnLine(state) && peek(state) !== "\n" && peek(state) !== "#";
+
+  // Anchors/tags may sit on the key line with the content below them
+  let props = { anchor: null, tag: null, tagPos: state.pos };
+  if (sameLine && (peek(state) === "&" || peek(state) === "!")) {
+    props = parseProperties(state);
+  }
+
+  const crossedLine = skipToNextContent(state);
+  const onKeyLine = !crossedLine && !isFirstOnLine(state);
+
+  const finish = (value, text = null) => {
+    const tagged = applyTag(state, props.tag, value, text, props.tagPos);
+    if (props.anchor !== null) state.anchors.set(props.anchor, tagged);
+    return tagged;
+  };
+
+  if (isAtEnd(state) || (crossedLine && isDocumentMarker(state, lineStartOf(state)))) {
+    if (!isAtEnd(state)) rewindToLineBreak(state, state.pos);
+    return finish(null, "");
+  }
+
+  const column = columnOf(state);
+  const ch = peek(state);
+  const isSequenceEntry = ch === "-" && isBlankOrEnd(peek(state, 1));
+
+  if (crossedLine || !onKeyLine) {
+    const allowedAtParent = inMappingValue && isSequenceEntry && column === parentIndent;
+    if (column <= parentIndent && !allowedAtParent) {
+      // Empty node - hand the line back to the parent collection
+      rewindToLineBreak(state, state.pos);
+      return finish(null, "");
+    }
+  }
+
+  // Properties on their own line, directly before the content
+  if (!sameLine && (ch === "&" || ch === "!")) {
+    props = parseProperties(state);
+    if (peek(state) === "\n" || peek(state) === "#" || isAtEnd(state)) {
+      const value = parseBlockNode(state, parentIndent, { inMappingValue });
+      return finish(value);
+    }
+  }
+
+  const current = peek(state);
+  const contentColumn = columnOf(state);
+  const compactForbidden = inMappingValue && onKeyLine;
+
+  if (current === "-" && isBlankOrEnd(peek(state, 1))) {
+    if (compactForbidden) throw createYamlError(state, "Block sequence entries are not allowed on the key line");
+    return finish(parseBlockSequence(state, contentColumn));
+  }
+  if (current === "|" || current === ">") {
+    const text = parseBlockScalar(state, parentIndent);
+    return finish(text, text);
+  }
+  if (current === "*") {
+    return finish(parseAlias(state));
+  }
+  if (current === "?" && isBlankOrEnd(peek(state, 1))) {
+    if (compactForbidden) throw createYamlError(state, "Nested mappings are not allowed on the key line");
+    return finish(parseBlockMapping(state, contentColumn));
+  }
+  if (looksLikeMappingKey(state)) {
+    // A value like "He thought: wow" can't start a mapping on the key line, so it is read as text,
+    // as common parsers do; models write prose like this in thought and mood fields
+    if (compactForbidden) {
+      const text = parsePlainScalar(state, parentIndent, false, { keepColons: true });
+      return finish(resolvePlainScalar(text), text);
+    }
+    return finish(parseBlockMapping(state, contentColumn));
+  }
+  if (current === "[") {
+    return finish(parseFlowSequence(state));
+  }
+  if (current === "{") {
+    return finish(parseFlowMapping(state));
+  }
+  if (current === '"') {
+    const text = parseDoubleQuoted(state);
+    return finish(text, text);
+  }
+  if (current === "'") {
+    const text = parseSingleQuoted(state);
+    return finish(text, text);
+  }
+  if (INDICATOR_CHARS.includes(current) && isBlankOrEnd(peek(state, 1)) && current !== "-" && current !== "?" && current !== ":") {
+    throw createYamlError(state, `Unexpected indicator '${current}'`);
+  }
+
+  const text = parsePlainScalar(state, parentIndent, false);
+  return finish(resolvePlainScalar(text), text);
+};
+
+// --- PUBLIC API: PARSING ---
+
+/**
+ * Parse a YAML document into plain JavaScript values.
+ * Only the first document of a stream is returned.
+ * @param {string} yamlContent - YAML source text
+ * @returns {*} Parsed value (objects, arrays, strings, numbers, booleans, null)
+ * @throws {Error} YamlSyntaxError with `line` and `column` properties
+ */
+const parseYaml = (yamlContent) => {
+  const state = {
+    src: String(yamlContent ?? "")
+      .replace(/^\uFEFF/, "")
+      .replace(/\r\n?/g, "\n"),
+    pos: 0,
+    anchors: new Map(),
+  };
+
+  try {
+    skipToNextContent(state);
+
+    // Skip directives (%YAML, %TAG) and the document start marker
+    while (peek(state) === "%" && columnOf(state) === 0) {
+      while (!isAtEnd(state) && peek(state) !== "\n") state.pos++;
+      skipToNextContent(state);
+    }
+    if (isDocumentMarker(state) && state.src.startsWith("---", state.pos)) {
+      state.pos += 3;
+    }
+
+    const value = parseBlockNode(state, -1, {});
+    expectLineEnd(state);
+    skipToNextContent(state);
+
+    if (!isAtEnd(state) && !isDocumentMarker(state)) {
+      throw createYamlError(state, "Unexpected content after document");
+    }
+    return value;
+  } catch (error) {
+    log(`Error parsing YAML content: ${error.message}`);
+    throw error;
+  }
+};
+
+// --- EMITTER ---
+
+const RESERVED_PLAIN_RE = /^(?:~|null|Null|NULL|true|True|TRUE|false|False|FALSE)$/;
+
+/**
+ * Whether a string has to be quoted to survive a round trip as a plain scalar
+ * @param {string} value - String to check
+ * @param {boolean} [isKey=false] - Whether the string is used as a mapping key
+ */
+const needsQuotes = (value, isKey = false) => {
+  if (value === "") return true;
+  if (value !== value.trim()) return true;
+  if (INDICATOR_CHARS.includes(value[0])) return true;
+  if (/[\x00-\x1f\x7f\u0085\u2028\u2029]/.test(value)) return true;
+  if (value.includes(": ") || value.includes(" #") || value.endsWith(":")) return true;
+  if (isKey && value.includes(":")) return true;
+  if (value.startsWith("---") || value.startsWith("...")) return true;
+  if (RESERVED_PLAIN_RE.test(value)) return true;
+  return typeof resolvePlainScalar(value) !== "string";
+};
+
+// JSON string syntax is a valid YAML double-quoted scalar
+const quoteString = (value) => JSON.stringify(value);
+
+const formatKey = (key) => (needsQuotes(key, true) ? quoteString(key) : key);
+
+/**
+ * Convert a scalar value to its single-line YAML representation
+ * @param {*} value - Scalar value
+ * @returns {string}
+ */
+const convertValueToYaml = (value) => {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "boolean") return value ? "true" : "false";
+  if (typeof value === "number") {
+    if (Number.isNaN(value)) return ".nan";
+    if (value === Infinity) return ".inf";
+    if (value === -Infinity) return "-.inf";
+    return String(value);
+  }
+  const text = String(value);
+  return needsQuotes(text) ? quoteString(text) : text;
+};
+
+// Multi-line strings are written as literal block scalars when that round-trips cleanly
+const canUseLiteralBlock = (value) =>
+  value.includes("\n") &&
+  value.trim() !== "" &&
+  !/[\x00-\x08\x0b-\x1f\x7f\u0085\u2028\u2029]/.test(value);
+
+const formatLiteralBlock = (value, childIndentStr) => {
+  const body = value.replace(/\n+$/, "");
+  const trailingBreaks = value.length - body.length;
+  const chomping = trailingBreaks === 0 ? "-" : trailingBreaks === 1 ? "" : "+";
+  const lines = body.split("\n");
+  // An indentation indicator is required when the first line starts with whitespace
+  const indicator = /^\s/.test(body) ? "2" : "";
+
+  let output = `|${indicator}${chomping}\n`;
+  lines.forEach((line) => {
+    output += line === "" ? "\n" : `${childIndentStr}${line}\n`;
+  });
+  for (let i = 1; i < trailingBreaks; i++) output += "\n";
+  return output;
+};
+
+const isEmptyCollection = (value) =>
+  Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+
+/**
+ * Serialize a value as a block-style YAML document
+ * @param {*} jsonObject - Value to serialize
+ * @param {number} [indent=0] - Indentation level (two spaces per level)
+ * @returns {string} YAML text terminated by a newline
+ */
+const convertJsonToYaml = (jsonObject, indent = 0) => {
+  const indentStr = "  ".repeat(indent);
+  const childIndentStr = "  ".repeat(indent + 1);
+
+  if (jsonObject === null || typeof jsonObject !== "object") {
+    if (typeof jsonObject === "string" && canUseLiteralBlock(jsonObject)) {
+      return formatLiteralBlock(jsonObject, childIndentStr);
+    }
+    return `${indentStr}${convertValueToYaml(jsonObject)}\n`;
+  }
+
+  if (isEmptyCollection(jsonObject)) {
+    return `${indentStr}${Array.isArray(jsonObject) ? "[]" : "{}"}\n`;
+  }
+
+  let yaml = "";
+
+  if (Array.isArray(jsonObject)) {
+    jsonObject.forEach((item) => {
+      if (item !== null && typeof item === "object" && !isEmptyCollection(item)) {
+        // Compact form: the first line of the nested block shares the "- " line
+        const nested = convertJsonToYaml(item, indent + 1);
+        yaml += `${indentStr}- ${nested.slice(childIndentStr.length)}`;
+      } else if (typeof item === "string" && canUseLiteralBlock(item)) {
+        yaml += `${indentStr}- ${formatLiteralBlock(item, childIndentStr)}`;
+      } else if (item !== null && typeof item === "object") {
+        yaml += `${indentStr}- ${Array.isArray(item) ? "[]" : "{}"}\n`;
+      } else {
+        yaml += `${indentStr}- ${convertValueToYaml(item)}\n`;
+      }
+    });
+    return yaml;
+  }
+
+  Object.keys(jsonObject).forEach((key) => {
+    const value = jsonObject[key];
+    if (value === undefined || typeof value === "function") return;
+
+    const keyText = `${indentStr}${formatKey(key)}:`;
+    if (value !== null && typeof value === "object") {
+      if (isEmptyCollection(value)) {
+        yaml += `${keyText} ${Array.isArray(value) ? "[]" : "{}"}\n`;
+      } else {
+        yaml += `${keyText}\n${convertJsonToYaml(value, indent + 1)}`;
+      }
+    } else if (typeof value === "string" && canUseLiteralBlock(value)) {
+      yaml += `${keyText} ${formatLiteralBlock(value, childIndentStr)}`;
+    } else {
+      yaml += `${keyText} ${convertValueToYaml(value)}\n`;
+    }
+  });
+
+  return yaml;
+};
+
+export {
+  parseYaml,
+  convertJsonToYaml,
+  convertValueToYaml,
+  resolvePlainScalar,
+  getLineColumn,
+};